@@ -102,6 +102,85 @@ export interface ChargerModel {
     hardwareVersion: string;
 }
 
+/**
+ * What a charger's firmware supports, derived from its `ChargerModel`.
+ */
+export interface ChargerCapabilities {
+    /**
+     * the firmware version as a number, 1.06 => 106
+     */
+    firmware: number;
+    /**
+     * the hardware version
+     */
+    hardware: number;
+    threePhase: boolean;
+    /**
+     * `SetMaxPower`, and the user's limits in realtime data (1.06)
+     */
+    supportsMaxPower: boolean;
+    /**
+     * `SetReservation`, and the reservation in the controls state (1.06)
+     */
+    supportsReservation: boolean;
+    /**
+     * `SetMaxMonthlyPower` (1.08)
+     */
+    supportsMaxMonthlyPower: boolean;
+    /**
+     * `SetEmergencyStopProtection` (1.08)
+     */
+    supportsEmergencyStopProtection: boolean;
+    /**
+     * `isMaximum` in realtime data (1.08)
+     */
+    supportsMaximumFlag: boolean;
+    /**
+     * the `sticking` and `contactor` fault flags (1.08)
+     */
+    supportsContactorFaults: boolean;
+    /**
+     * DLB extreme and night modes (1.10)
+     */
+    supportsExtremeMode: boolean;
+    /**
+     * yearly consumption records (1.11)
+     */
+    supportsYearRecords: boolean;
+}
+
+/**
+ * What a charger supports, according to its model.
+ * @param model as returned by `sendGetChargerModel()`
+ */
+export function getChargerCapabilities(model: ChargerModel): ChargerCapabilities;
+
+export interface CurrentLimits {
+    /**
+     * amps
+     */
+    min: number;
+    /**
+     * amps
+     */
+    max: number;
+}
+
+/**
+ * The max current range the firmware accepts, in amps.
+ * It's fixed: the same for 1-phase and 3-phase models, as no model is known to take a different one.
+ */
+export const CURRENT_LIMITS: Readonly<CurrentLimits>;
+
+/**
+ * Byte lengths the charger takes for Wi-Fi credentials, encoded as UTF-8. An empty password joins an open network.
+ */
+export const WIFI_LIMITS: {
+    readonly ssidMaxBytes: number,
+    readonly passwordMinBytes: number,
+    readonly passwordMaxBytes: number,
+};
+
 export interface PowerConsumptionRecords {
     days: number[];
     months: number[];
@@ -113,14 +192,431 @@ export interface PowerConsumptionRecordsOfMonth {
     days: number[];
 }
 
+export interface ConsumptionRow {
+    /**
+     * 'YYYY-MM-DD' for days, 'YYYY-MM' for months, 'YYYY' for years - on the charger's calendar
+     */
+    date: string;
+    kWh: number;
+}
+
+export interface DatedConsumptionRecords {
+    days: ConsumptionRow[];
+    months: ConsumptionRow[];
+    /**
+     * empty when the firmware does not report years
+     */
+    years: ConsumptionRow[];
+}
+
+export interface ConsumptionQuery {
+    /**
+     * 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD', or a `Date` - inclusive
+     */
+    from: string | Date;
+    /**
+     * same as `from`, inclusive. Defaults to today.
+     */
+    to?: string | Date | null;
+    /**
+     * (default 'day')
+     */
+    granularity?: 'day' | 'month' | 'year';
+}
+
+/**
+ * Dates the rolling records of `sendGetPowerConsumptionRecords()`.
+ * Each array is in chronological order, its last entry being the current day, month or year on the charger's clock.
+ * @param options.now the charger's current time, defaults to this machine's
+ * @param options.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ */
+export function datePowerConsumptionRecords(records: PowerConsumptionRecords, options?: {
+    now?: Date,
+    timeZone?: string | null,
+}): DatedConsumptionRecords;
+
+/**
+ * Dates the records of `sendGetPowerConsumptionRecordsOfMonth()`. Empty when the charger has no records for the month.
+ */
+export function dateMonthRecords(year: number, month: number, records: PowerConsumptionRecordsOfMonth): ConsumptionRow[];
+
+/**
+ * Collects the daily records of a range of dates, one month query at a time, and totals them by `granularity`.
+ * Months the charger has no records for are left out. The range is cut at today, as the charger's calendar has it.
+ * An invalid query throws a `TypeError` or a `RangeError`, before fetching anything.
+ */
+export function collectConsumption(
+    fetchMonth: (year: number, month: number) => Promise<PowerConsumptionRecordsOfMonth>,
+    query: ConsumptionQuery,
+    options?: { now?: Date, timeZone?: string | null },
+): Promise<ConsumptionRow[]>;
+
+/**
+ * Formats consumption rows for spreadsheets and expense systems: CSV with CRLF line endings, as in RFC 4180, or a JSON array.
+ * @param options.format (default 'csv')
+ * @param options.delimiter CSV delimiter (default ','), i.e. ';' for locales with decimal commas
+ * @param options.header whether the CSV starts with a `date,kWh` header row (default `true`)
+ */
+export function formatConsumption(rows: ConsumptionRow[], options?: {
+    format?: 'csv' | 'json',
+    delimiter?: string,
+    header?: boolean,
+}): string;
+
+export interface RetryPolicy {
+    /**
+     * total number of attempts, including the first one
+     */
+    attempts: number;
+    /**
+     * delay before the first retry, in milliseconds
+     */
+    backoff: number;
+    /**
+     * multiplier applied to the delay on each subsequent retry
+     */
+    factor: number;
+    /**
+     * upper bound for the delay, in milliseconds
+     */
+    maxBackoff: number;
+    /**
+     * randomize each delay by up to this fraction of it (0-1)
+     */
+    jitter: number;
+}
+
+export interface CommandOptions {
+    /**
+     * `true` for the controller's `retryPolicy`, a number of attempts, or a policy overriding parts of it.
+     */
+    retry?: Partial<RetryPolicy> | number | boolean;
+    /**
+     * called when a response was lost, to check whether the command took effect anyway. Resolving to `true` ends the retries.
+     */
+    verify?: () => Promise<boolean>;
+    /**
+     * position in the charger's command queue. Defaults to `CommandPriority.Normal`.
+     */
+    priority?: CommandPriority;
+    /**
+     * share the response of an identical command that is already queued or in flight
+     */
+    coalesce?: boolean;
+}
+
+/**
+ * An interval of `0` disables polling of that kind.
+ */
+export interface MonitoringOptions {
+    /**
+     * milliseconds between realtime data polls while a vehicle is charging (default 2000)
+     */
+    realtimeInterval?: number;
+    /**
+     * milliseconds between realtime data polls while idle (default 15000)
+     */
+    idleRealtimeInterval?: number;
+    /**
+     * milliseconds between fault status polls (default 10000)
+     */
+    faultInterval?: number;
+    /**
+     * milliseconds between controls state polls (default 60000)
+     */
+    controlsInterval?: number;
+}
+
 export interface ParsedMessage {
     raw: string;
+    messageId: string;
     command: Command;
     data: string;
 }
 
+export interface DiscoveredCharger {
+    /**
+     * the charger's identification code, without leading zeros
+     */
+    code: string;
+    ip: string;
+    port: number;
+    /**
+     * `null` if the charger did not respond to `GetChargerModel` (i.e. a different password)
+     */
+    model: ChargerModel | null;
+}
+
+export interface DiscoveryOptions {
+    /**
+     * milliseconds to wait for responses in each scan (default 2000)
+     */
+    timeout?: number;
+    /**
+     * used for querying the model info (default '123456')
+     */
+    password?: string;
+    /**
+     * query each charger's model info (default true)
+     */
+    includeModel?: boolean;
+    /**
+     * charger codes to query, with the documented `GetIpAddress` query
+     */
+    codes?: string[];
+    /**
+     * also send the undocumented query for code 0, that some chargers may answer (experimental, default false)
+     */
+    wildcard?: boolean;
+    /**
+     * broadcast address (default '255.255.255.255')
+     */
+    address?: string;
+    /**
+     * the chargers' port (default 3333)
+     */
+    port?: number;
+    /**
+     * the local port to listen on. `null` (default) listens on `port`.
+     */
+    localPort?: number | null;
+    /**
+     * milliseconds between scans in continuous mode (default 30000)
+     */
+    interval?: number;
+    /**
+     * consecutive scans a charger may be missing from before it's considered lost (default 3)
+     */
+    lostAfter?: number;
+}
+
+/**
+ * Finds chargers on the local network, by broadcasting `GetIpAddress` queries.
+ * The documented query resolves a known code, so chargers are reliably found by listing their codes in `codes`.
+ * Finding chargers without knowing their codes is experimental, and has to be asked for with `wildcard`:
+ * it relies on the undocumented query for code 0, and on hearing the responses to other clients' queries,
+ * which works only when listening on the chargers' port.
+ * Socket errors during a scan are emitted as `error` events; without a listener, they fail the scan.
+ */
+export class ChargerDiscovery extends EventEmitter {
+    constructor(options?: DiscoveryOptions);
+
+    /**
+     * Chargers currently known to continuous discovery
+     */
+    get chargers(): DiscoveredCharger[];
+
+    get isRunning(): boolean;
+
+    /**
+     * Broadcasts a single query, and collects the responses until `timeout`.
+     */
+    scan(): Promise<DiscoveredCharger[]>;
+
+    /**
+     * Starts scanning every `interval`, emitting `charger_found` and `charger_lost` as chargers come and go.
+     */
+    start(): void;
+
+    stop(): void;
+}
+
+export interface ChargerTransport {
+    /**
+     * returns a socket-like object (`send()`, `close()` and a `'message'` event) that carries only this charger's frames
+     */
+    open(controller: ChargerController): Promise<any>;
+}
+
+export interface ChargerControllerOptions {
+    /**
+     * opens the socket for this controller, instead of binding its own.
+     * Used by `ChargerFleet` to share one socket between many chargers.
+     */
+    transport?: ChargerTransport;
+    /**
+     * IANA timezone the charger's clock is in, i.e. 'Asia/Jerusalem'. Defaults to this machine's.
+     */
+    timeZone?: string;
+    /**
+     * returns the current time, for the time-based commands. Defaults to the system clock.
+     */
+    clock?: () => Date;
+}
+
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat';
+
+/**
+ * Day names, in the order of the charger's days bitmask (sunday first)
+ */
+export const WEEKDAYS: ReadonlyArray<Weekday>;
+
+/**
+ * A weekly reservation: the charger starts charging at `from` on each of `days`, and stops at `to`.
+ * When `to` is not after `from`, the window is overnight, and ends on the next day.
+ */
+export interface Reservation {
+    /**
+     * the days the window starts on, in week order
+     */
+    days: Weekday[];
+    /**
+     * 'HH:mm'
+     */
+    from: string;
+    /**
+     * 'HH:mm'
+     */
+    to: string;
+}
+
+export interface ReservationWindow {
+    start: Date;
+    end: Date;
+}
+
+/**
+ * The reservation window in progress, or the next one to start. `null` when there are no days to start on.
+ * @param options.now defaults to this machine's current time
+ * @param options.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ */
+export function nextReservationWindow(reservation: Reservation | null, options?: {
+    now?: Date,
+    timeZone?: string | null,
+}): ReservationWindow | null;
+
+export interface DlbConfig {
+    enabled: boolean;
+    /**
+     * amps the household may draw, 0-255
+     */
+    maxCurrent: number;
+    /**
+     * firmware 1.10 and up
+     */
+    extremeMode?: boolean;
+    /**
+     * firmware 1.10 and up
+     */
+    nightMode?: boolean;
+}
+
+/**
+ * The charger's settings. Fields that the firmware does not support are left out.
+ */
+export interface ChargerConfig {
+    rfid: boolean;
+    appControlCharging: boolean;
+    dlb: DlbConfig;
+    groundingDetection: boolean;
+    /**
+     * amps
+     */
+    maxCurrent: number;
+    /**
+     * kWh, 0-65535 (firmware 1.08 and up)
+     */
+    maxMonthlyPower?: number;
+    /**
+     * firmware 1.08 and up
+     */
+    emergencyStopProtection?: boolean;
+    /**
+     * `null` for none (firmware 1.06 and up)
+     */
+    reservation?: Reservation | null;
+}
+
+/**
+ * A desired config, for `applyConfig()`. Fields that are left out are left as they are.
+ */
+export type DesiredChargerConfig = Partial<Omit<ChargerConfig, 'dlb'>> & { dlb?: Partial<DlbConfig> };
+
+/**
+ * The outcome of each field of `applyConfig()`.
+ */
+export enum ConfigFieldStatus {
+    /** Already as desired, nothing was sent */
+    Unchanged = "unchanged",
+    /** Would be changed, in a dry run */
+    Planned = "planned",
+    /** Changed, and confirmed by reading it back */
+    Applied = "applied",
+    /** The command has failed, or the field did not read back as desired */
+    Failed = "failed",
+    /** The charger's firmware does not support the field */
+    Unsupported = "unsupported",
+}
+
+export interface ConfigFieldResult {
+    /**
+     * i.e. 'maxCurrent', or 'dlb.enabled'
+     */
+    field: string;
+    status: ConfigFieldStatus;
+    /**
+     * the value before, `undefined` when unsupported
+     */
+    from: any;
+    /**
+     * the desired value
+     */
+    to: any;
+    /**
+     * the value read back, when applying has failed
+     */
+    actual?: any;
+    error?: Error;
+}
+
+export interface ConfigApplyResult {
+    /**
+     * whether every field is unchanged, planned or applied
+     */
+    ok: boolean;
+    dryRun: boolean;
+    /**
+     * the fields of the desired config, in `ChargerConfig` order
+     */
+    fields: ConfigFieldResult[];
+}
+
+/**
+ * Validates a desired config, and brings it to its canonical form - the one `getConfig()` reads.
+ * Unknown fields and invalid values throw a `TypeError` or a `RangeError`.
+ */
+export function normalizeConfig(desired: DesiredChargerConfig): DesiredChargerConfig;
+
+/**
+ * A time of day, as accepted by the time-based commands alongside 'HH:mm' strings and `Date`s.
+ */
+export interface TimeOfDay {
+    /**
+     * 0-23
+     */
+    hour: number;
+    /**
+     * 0-59
+     */
+    minute: number;
+    /**
+     * 0-59 (default 0)
+     */
+    second?: number;
+}
+
 export class ChargerController extends EventEmitter {
-    constructor(password: any);
+    /**
+     * An invalid password (digits only) throws a `TypeError` or a `RangeError`.
+     */
+    constructor(password: any, options?: ChargerControllerOptions);
+
+    /**
+     * Broadcasts on the local network and collects every responding charger, including its model info when possible.
+     * Without `codes`, this takes `wildcard`, and is experimental - see `ChargerDiscovery`.
+     * For continuous discovery, use `ChargerDiscovery`.
+     */
+    static discover(options?: DiscoveryOptions): Promise<DiscoveredCharger[]>;
 
     /**
      * @returns {{port: number, ipAddress: string}}
@@ -145,6 +641,13 @@ export class ChargerController extends EventEmitter {
      */
     get modelInfo(): ChargerModel|null;
 
+    /**
+     * What the charger's firmware supports, according to its model. `null` until `sendGetChargerModel()`.
+     * Getters and setters that depend on it fetch the model by themselves.
+     * Setters of commands the firmware does not support throw a `ChargerUnsupportedError` without sending anything.
+     */
+    get capabilities(): ChargerCapabilities|null;
+
     /**
      * Last controls state recorded from calling `sendGetControlsState()`
      */
@@ -167,6 +670,11 @@ export class ChargerController extends EventEmitter {
      */
     get lastKnownState(): number|null;
     connect(): Promise<any>;
+
+    /**
+     * Closes the socket. Commands that are queued or in flight fail with a `ChargerDisconnectedError`,
+     * instead of opening it again; commands sent afterwards do.
+     */
     disconnect(): void;
 
     /**
@@ -175,47 +683,87 @@ export class ChargerController extends EventEmitter {
      * @param waitForResult
      * @param resultTester
      */
-    sendCommand(command: string, waitForResult?: boolean | string, resultTester?: (message: ParsedMessage) => boolean): Promise<ParsedMessage | undefined>;
+    sendCommand(command: string, waitForResult?: boolean | string, resultTester?: ((message: ParsedMessage) => boolean) | null, options?: CommandOptions): Promise<ParsedMessage | undefined>;
 
     sendHeartbeat(): Promise<void>;
 
+    /**
+     * Changes the charger's password, as a transaction: the new password is only taken once the charger
+     * has responded to a frame signed with it. When the response to the change is lost, both passwords are
+     * tried, to tell whether it has happened. Other commands wait meanwhile.
+     * An invalid password (digits only, up to 4294967295) throws a `TypeError` or a `RangeError`, before sending anything.
+     * Throws a `ChargerRejectedError` if the charger did not change its password, a `ChargerTimeoutError` if the change
+     * was lost and the charger still takes the previous password, or a `ChargerPasswordError` if it responds to neither.
+     */
     sendSetPassword(password: string): Promise<boolean>;
 
     /**
      * Broadcast a request to resolve the charger's IP address and port, based on it's identification code.
+     * An invalid code throws a `TypeError` or a `RangeError`, before sending anything.
      * @param code the charger's code, visible on a sticker on the charger, or in the z-box app.
      */
-    sendGetIpAddress(code: string): Promise<{
+    sendGetIpAddress(code: string, options?: CommandOptions): Promise<{
         port: number;
         ip: string;
     }>;
 
-    sendGetChargerModel(): Promise<ChargerModel>;
-
-    sendSetWifiAccessPoint(ssid: string, password: string): Promise<boolean>;
-
-    sendSetChargeState(charging: boolean): Promise<boolean>;
+    sendGetChargerModel(options?: CommandOptions): Promise<ChargerModel>;
 
     /**
-     *
-     * @param fromTime 'HH:mm' / 'HH:mm:ss'
-     * @param toTime 'HH:mm' / 'HH:mm:ss'
+     * Sets the network for the charger to join. See `provisionWifi()` for the whole flow.
+     * Invalid credentials throw a `TypeError` or a `RangeError`, before sending anything - see `WIFI_LIMITS`.
+     * @param ssid up to 32 bytes, as encoded
+     * @param password 8-63 bytes, as encoded, or '' for an open network
+     * @param options.encoding 'gbk' (the firmware's, default) or 'utf8', for networks that name themselves in UTF-8
      */
-    sendSetTimedChargeState(fromTime: string, toTime: string): Promise<boolean>;
+    sendSetWifiAccessPoint(ssid: string, password: string, options?: { encoding?: 'gbk' | 'utf8' }): Promise<boolean>;
+
+    /**
+     * Moves the charger from its hotspot onto a network, and finds it there. Connect this machine to the hotspot first.
+     * Sends the credentials, waits for the charger to leave its hotspot, calls `joinNetwork()`,
+     * resolves the charger by its code on the network, and checks it responds there.
+     * Emits `provisioning` events as each step starts, completes or fails.
+     * A failed step throws a `ChargerProvisioningError`, with the step and the reason.
+     */
+    provisionWifi(options: ProvisioningOptions): Promise<ProvisioningResult>;
+
+    /**
+     * Stopping is sent with `CommandPriority.High` by default, jumping ahead of any queued polling.
+     * Not retried unless `options.retry` is specified.
+     * When retrying, a lost response is followed by a `sendGetRealTimeData()` to check whether the state has changed anyway.
+     */
+    sendSetChargeState(charging: boolean, options?: CommandOptions): Promise<boolean>;
+
+    /**
+     * Times are read on the charger's clock, see `timeZone`.
+     * Invalid times throw a `TypeError` or a `RangeError`, before sending anything.
+     * @param fromTime 'HH:mm' / 'HH:mm:ss', `{ hour, minute, second? }` or a `Date`
+     * @param toTime same as `fromTime`
+     */
+    sendSetTimedChargeState(fromTime: string | TimeOfDay | Date, toTime: string | TimeOfDay | Date): Promise<boolean>;
 
     sendSetRFIDAndApp(rfidEnabled: boolean, appEnabled: boolean): Promise<boolean>;
 
+    /**
+     * Invalid arguments throw a `TypeError` or a `RangeError`, before sending anything.
+     * @param maxCurrent amps the household may draw, 0-255
+     */
     sendSetDLB(enabled: boolean, extremeMode: boolean, maxCurrent: number, nightMode: boolean): Promise<boolean>;
 
     sendSetGroundingDetection(enabled: boolean): Promise<boolean>;
 
+    /**
+     * Validated against `CURRENT_LIMITS`, the range of every known model.
+     * An invalid current throws a `TypeError` or a `RangeError`, before sending anything.
+     * @param maxCurrent amps, an integer
+     */
     sendSetMaxCurrent(maxCurrent: number): Promise<boolean>;
 
-    sendGetFaultStatus(): Promise<ChargeFaultStatus>;
+    sendGetFaultStatus(options?: CommandOptions): Promise<ChargeFaultStatus>;
 
-    sendGetRealTimeData(): Promise<ChargerRealTimeData>;
+    sendGetRealTimeData(options?: CommandOptions): Promise<ChargerRealTimeData>;
 
-    sendGetControlsState(): Promise<ChargerControlsState>;
+    sendGetControlsState(options?: CommandOptions): Promise<ChargerControlsState>;
 
     sendSetBluetoothConnectionMode(enabled: boolean): Promise<boolean>;
 
@@ -223,74 +771,1752 @@ export class ChargerController extends EventEmitter {
 
     /**
      * Set the maximum power to charge the car with. When it reaches this number, the charger will stop.
+     * @param maxPower kWh, an integer 0-255
      */
     sendSetMaxPower(maxPower: number): Promise<boolean>;
 
     /**
-     *
-     * @param fromTime HH:mm
-     * @param toTime HH:mm
+     * Times are read on the charger's clock, see `timeZone`.
+     * Invalid times or days throw a `TypeError` or a `RangeError`, before sending anything.
+     * @param fromTime 'HH:mm', `{ hour, minute }` or a `Date`
+     * @param toTime same as `fromTime`
      * @param daysOfWeek sunday-saturday "1010101"
      */
-    sendSetReservation(fromTime: string, toTime: string, daysOfWeek?: string): Promise<boolean>;
+    sendSetReservation(fromTime: string | TimeOfDay | Date | null, toTime: string | TimeOfDay | Date | null, daysOfWeek?: string | null): Promise<boolean>;
+
+    /**
+     * Reads the reservation back from the controls state, in the same form `setReservation()` takes.
+     * `null` when there is none.
+     */
+    getReservation(options?: CommandOptions): Promise<Reservation | null>;
+
+    /**
+     * Sets the weekly reservation, i.e. `{ days: ['mon', 'tue'], from: '22:00', to: '06:00' }`, or clears it with `null`.
+     * `days` may be in any order, and the times may be `{ hour, minute }`.
+     * An invalid reservation throws a `TypeError` or a `RangeError`, before sending anything.
+     */
+    setReservation(reservation: Reservation | { days: Weekday[], from: string | TimeOfDay, to: string | TimeOfDay } | null): Promise<boolean>;
+
+    /**
+     * The reservation window in progress, or the next one, as dates - read on the charger's clock, see `timeZone`.
+     * `null` when there is no reservation.
+     */
+    getNextReservationWindow(options?: CommandOptions): Promise<ReservationWindow | null>;
+
+    /**
+     * The charger's settings, read from its controls state - in the form `applyConfig()` takes.
+     */
+    getConfig(options?: CommandOptions): Promise<ChargerConfig>;
+
+    /**
+     * Brings the charger to a desired config, i.e. one shared by a fleet: sends only the commands of the fields
+     * that differ from the controls state, and reads it back to confirm each change.
+     * Fields that are left out are left as they are. A failed field does not stop the others.
+     * Unknown fields and invalid values throw a `TypeError` or a `RangeError`, before sending anything.
+     * @param options.dryRun only read the charger, and report the fields that would be changed
+     */
+    applyConfig(desired: DesiredChargerConfig, options?: { dryRun?: boolean }): Promise<ConfigApplyResult>;
 
+    /**
+     * Sets the charger's clock to the current time, in its `timeZone`.
+     */
     sendSyncTime(): Promise<boolean>;
 
-    sendGetPowerConsumptionRecords(): Promise<PowerConsumptionRecords>;
+    sendGetPowerConsumptionRecords(options?: CommandOptions): Promise<PowerConsumptionRecords>;
+
+    /**
+     * An invalid month throws a `TypeError` or a `RangeError`, before sending anything.
+     * @param year 2000-2255
+     * @param month 1-12
+     */
+    sendGetPowerConsumptionRecordsOfMonth(year: number, month: number, options?: CommandOptions): Promise<PowerConsumptionRecordsOfMonth>;
+
+    /**
+     * `sendGetPowerConsumptionRecords()`, with each entry dated on the charger's clock - see `sendSyncTime()` and `timeZone`.
+     */
+    getDatedConsumptionRecords(options?: CommandOptions): Promise<DatedConsumptionRecords>;
 
-    sendGetPowerConsumptionRecordsOfMonth(year: number, month: number): Promise<PowerConsumptionRecordsOfMonth>;
+    /**
+     * Daily consumption over a range of dates, stitched from one `sendGetPowerConsumptionRecordsOfMonth()` per month,
+     * i.e. `getConsumption({ from: '2025-01', to: '2026-09' })`. Export it with `formatConsumption()`.
+     * An invalid query throws a `TypeError` or a `RangeError`, before sending anything.
+     * @param options for each month query
+     */
+    getConsumption(query: ConsumptionQuery, options?: CommandOptions): Promise<ConsumptionRow[]>;
 
-    sendSetMaxMonthlyPower(maxCurrent: number): Promise<boolean>;
+    /**
+     * @param maxMonthlyPower kWh, an integer 0-65535
+     */
+    sendSetMaxMonthlyPower(maxMonthlyPower: number): Promise<boolean>;
 
     sendSetEmergencyStopProtection(enabled: boolean): Promise<boolean>;
 
+    /**
+     * Starts polling the charger periodically, emitting `state_change`, `plugged`, `unplugged`, `charging_started`,
+     * `charging_stopped`, `controls_changed`, `fault_raised` and `fault_cleared` events.
+     * Realtime data is polled at `realtimeInterval` while charging, and at `idleRealtimeInterval` otherwise.
+     * Calling it again restarts monitoring with the new options.
+     */
+    startMonitoring(options?: MonitoringOptions): void;
+
+    stopMonitoring(): void;
+
+    get isMonitoring(): boolean;
+
     get canStopCharging(): boolean;
 
     get canStartCharging(): boolean;
 
     get resultTimeout(): number;
     set resultTimeout(timeout: number);
+
+    /**
+     * The current time, by the `clock` option - the system clock by default.
+     */
+    get now(): Date;
+
+    /**
+     * The charger's identification code, once known: resolved by `sendGetIpAddress()`, or set by the application
+     * (`ChargerFleet` sets it). It identifies the charger in a `ConsumptionArchive`.
+     */
+    get code(): string | null;
+    set code(code: string | null);
+
+    /**
+     * IANA timezone the charger's clock is in, for `sendSyncTime()`, `sendSetTimedChargeState()` and `sendSetReservation()`.
+     * `null` for this machine's. Setting an unsupported timezone throws a `RangeError`.
+     */
+    get timeZone(): string | null;
+    set timeZone(timeZone: string | null);
+
+    /**
+     * The retry policy used by the idempotent getters, and by commands called with `{ retry: true }`.
+     * Setting it overrides parts of the default policy.
+     */
+    get retryPolicy(): RetryPolicy;
+    set retryPolicy(policy: Partial<RetryPolicy> | null);
+
+    /**
+     * The local port to listen on. `null` (default) listens on the same port as the charger's, `0` for a random port.
+     */
+    get localPort(): number|null;
+    set localPort(port: number|null);
+
+    /**
+     * Records every frame sent and datagram received. `null` (default) records nothing.
+     */
+    get capture(): TrafficRecorder|null;
+    set capture(recorder: TrafficRecorder|null);
 }
 
-export enum Command {
-    Error = "00",
-    Heartbeat = "01",
-    PasswordChange = "02",
-    GetIpAddress = "03",
-    GetChargerModel = "04",
-    SetWifiAccessPoint = "05",
-    SetChargeState = "06",
-    SetTimedChargeState = "69",
-    SetRFIDAndApp = "6a",
-    SetDLB = "6b",
-    SetGroundingDetection = "6c",
-    SetMaxCurrent = "6d",
-    GetFaultStatus = "6e",
-    GetRealTimeData = "70",
-    GetControlsState = "71",
-    SetBluetoothConnectionMode = "72",
-    SwitchIapMode = "73",
-    SetMaxPower = "74",
-    SetReservation = "75",
-    SetTime = "76",
-    GetPowerConsumptionRecords = "77",
-    SetMaxMonthlyPower = "78",
-    SetEmergencyStopProtection = "79",
-    GetPowerConsumptionRecordsOfMonth = "7a",
+export interface FleetChargerOptions {
+    /**
+     * defaults to '123456'
+     */
+    password?: string;
+    /**
+     * the charger's address. When omitted, it's resolved by `resolve()` from the code.
+     */
+    ip?: string | null;
+    /**
+     * defaults to the fleet's port
+     */
+    port?: number;
+    /**
+     * IANA timezone the charger's clock is in, defaults to this machine's
+     */
+    timeZone?: string | null;
 }
 
-export enum ChargerMode {
-    OnePhase = 0,
-    ThreePhase = 1,
+export interface FleetResult<T = any> {
+    code: string;
+    /**
+     * `false` if the command has failed, or the charger has rejected it
+     */
+    ok: boolean;
+    value?: T;
+    error?: Error;
 }
 
-export enum ChargerState {
-    Abnormal = 0,
-    Unplugged = 1,
-    Standby = 2,
-    NotReady = 5,
-    Charging = 6,
-    SelfChecking = 7,
+export interface FleetEvent<T = any> {
+    code: string;
+    controller: ChargerController;
+    data: T;
+}
+
+/**
+ * Manages many chargers through a single UDP socket, routing incoming frames to each charger's controller
+ * by their source address and port.
+ */
+export class ChargerFleet extends EventEmitter {
+    /**
+     * @param options.controllerClass the class of the chargers' controllers, i.e. a subclass (default `ChargerController`)
+     */
+    constructor(options?: { controllerClass?: typeof ChargerController, port?: number, localPort?: number | null });
+
+    get codes(): string[];
+
+    get controllers(): ChargerController[];
+
+    get(code: string): ChargerController | undefined;
+
+    /**
+     * Adds a charger to the fleet. Its controller uses the fleet's socket.
+     * @param code the charger's code, visible on a sticker on the charger, or in the z-box app.
+     */
+    add(code: string, options?: FleetChargerOptions): ChargerController;
+
+    /**
+     * Removes a charger from the fleet, and stops its monitoring.
+     */
+    remove(code: string): boolean;
+
+    open(): Promise<void>;
+
+    /**
+     * Closes the shared socket. Chargers stay in the fleet, and the socket is reopened on their next command.
+     */
+    close(): void;
+
+    /**
+     * Resolves the address of each charger added without one, and retrieves every charger's model info.
+     */
+    resolve(): Promise<FleetResult<ChargerModel>[]>;
+
+    /**
+     * Syncs the clock of every charger in the fleet (or only of `codes`) to this machine's time.
+     * Not an actual broadcast: each charger is sent its own frame, signed with its password and in its timezone.
+     */
+    broadcastSyncTime(codes?: string[]): Promise<FleetResult<boolean>[]>;
+
+    /**
+     * Sets the max current on every charger in the fleet (or only on `codes`).
+     */
+    setMaxCurrent(maxCurrent: number, codes?: string[]): Promise<FleetResult<boolean>[]>;
+
+    /**
+     * Brings every charger in the fleet (or only `codes`) to the same config, see `ChargerController.applyConfig()`.
+     * `ok` is `false` if any of a charger's fields has failed.
+     * Unknown fields and invalid values throw a `TypeError` or a `RangeError`, before sending anything.
+     */
+    applyConfig(desired: DesiredChargerConfig, options?: { dryRun?: boolean }, codes?: string[]): Promise<FleetResult<ConfigApplyResult>[]>;
+
+    on(event: 'realtime_data', listener: (event: FleetEvent<ChargerRealTimeData>) => void): this;
+    on(event: 'fault_status', listener: (event: FleetEvent<ChargeFaultStatus>) => void): this;
+    on(event: 'controls_state', listener: (event: FleetEvent<ChargerControlsState>) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+}
+
+export interface ChargingSession {
+    id: string;
+    startedAt: Date;
+    /**
+     * `null` while the session is open
+     */
+    endedAt: Date | null;
+    /**
+     * kWh delivered, from `totalPower` deltas
+     */
+    energy: number;
+    /**
+     * kW
+     */
+    peakPower: number;
+    /**
+     * per phase, while charging. One item for 1-phase chargers, three for 3-phase.
+     */
+    averageCurrent: number[];
+    /**
+     * whether a reservation has started the charge
+     */
+    isReservation: boolean;
+    /**
+     * number of realtime data snapshots recorded
+     */
+    samples: number;
+}
+
+export interface SessionQuery {
+    /**
+     * sessions that started at or after this time
+     */
+    from?: Date | number;
+    /**
+     * sessions that started before this time
+     */
+    to?: Date | number;
+    /**
+     * max number of sessions, most recent first
+     */
+    limit?: number;
+}
+
+export interface SessionStore {
+    /**
+     * inserts or updates a session by its `id`
+     */
+    save(session: ChargingSession): Promise<void> | void;
+    query(query?: SessionQuery): Promise<ChargingSession[]> | ChargingSession[];
+}
+
+/**
+ * Keeps the sessions in memory. This is the default `SessionStore`.
+ */
+export class MemorySessionStore implements SessionStore {
+    save(session: ChargingSession): void;
+    query(query?: SessionQuery): ChargingSession[];
+}
+
+/**
+ * Turns a controller's realtime data into charging sessions.
+ * A session opens when the charger starts charging (or waits for the vehicle to be ready),
+ * and closes when the vehicle is unplugged. An open session is saved as it progresses, every `saveInterval`.
+ * Times are read on the controller's clock, see `ChargerController.now`.
+ * The tracker does not poll by itself - use `controller.startMonitoring()` or poll `sendGetRealTimeData()`.
+ */
+export class SessionTracker extends EventEmitter {
+    /**
+     * @param options.saveInterval milliseconds between saves of an open session's progress, by the controller's clock.
+     *  `0` saves every sample. Default 60000.
+     */
+    constructor(controller: ChargerController, options?: { store?: SessionStore, saveInterval?: number });
+
+    /**
+     * The open session, if any
+     */
+    get currentSession(): ChargingSession | null;
+
+    get store(): SessionStore;
+
+    getSessions(query?: SessionQuery): Promise<ChargingSession[]>;
+
+    /**
+     * Stops tracking. An open session stays open, and is not saved again.
+     */
+    detach(): void;
+}
+
+export interface HistoryStore {
+    /**
+     * daily rows between two 'YYYY-MM-DD' dates (inclusive, both optional), in chronological order
+     */
+    getDays(charger: string, range?: { from?: string | null, to?: string | null }): Promise<ConsumptionRow[]> | ConsumptionRow[];
+    /**
+     * inserts or replaces rows by their date
+     */
+    putDays(charger: string, rows: ConsumptionRow[]): Promise<void> | void;
+    /**
+     * the archive's bookkeeping, `null` at first
+     */
+    getState(charger: string): Promise<object | null> | object | null;
+    setState(charger: string, state: object): Promise<void> | void;
+}
+
+/**
+ * Keeps the history in memory.
+ */
+export class MemoryHistoryStore implements HistoryStore {
+    getDays(charger: string, range?: { from?: string | null, to?: string | null }): ConsumptionRow[];
+    putDays(charger: string, rows: ConsumptionRow[]): void;
+    getState(charger: string): object | null;
+    setState(charger: string, state: object): void;
+}
+
+/**
+ * Keeps the history of all chargers in one JSON file. This is the default `HistoryStore`.
+ * Writes go to a temporary file first, which then replaces the archive.
+ * Stores of the same path in a process share the file's data, and write it one at a time.
+ */
+export class JsonFileHistoryStore implements HistoryStore {
+    constructor(path: string);
+    get path(): string;
+    getDays(charger: string, range?: { from?: string | null, to?: string | null }): Promise<ConsumptionRow[]>;
+    putDays(charger: string, rows: ConsumptionRow[]): Promise<void>;
+    getState(charger: string): Promise<object | null>;
+    setState(charger: string, state: object): Promise<void>;
+}
+
+/**
+ * Keeps the history in SQLite. Pass it an open database of `node:sqlite` (`DatabaseSync`) or `better-sqlite3`.
+ * The tables are created when missing.
+ * @param options.tablePrefix (default 'bcp_')
+ */
+export class SqliteHistoryStore implements HistoryStore {
+    constructor(db: {
+        exec(sql: string): unknown,
+        prepare(sql: string): {
+            run(...params: unknown[]): unknown,
+            all(...params: unknown[]): any[],
+            get(...params: unknown[]): any,
+        },
+    }, options?: { tablePrefix?: string });
+    getDays(charger: string, range?: { from?: string | null, to?: string | null }): ConsumptionRow[];
+    putDays(charger: string, rows: ConsumptionRow[]): void;
+    getState(charger: string): object | null;
+    setState(charger: string, state: object): void;
+}
+
+export interface HistoryAnomaly {
+    /**
+     * 'reset' when the charger's records have dropped, as after a counter reset,
+     * 'clock_skew' when its records are shifted in time, as when its clock is off,
+     * 'conflict' when past days have changed otherwise
+     */
+    kind: 'reset' | 'clock_skew' | 'conflict';
+    message: string;
+    /**
+     * the affected dates. Their archived values are kept.
+     */
+    dates: string[];
+    /**
+     * for 'clock_skew', by how many days the charger's records are ahead when positive
+     */
+    offset?: number;
+}
+
+export interface HistorySyncResult {
+    /**
+     * the charger's current date, 'YYYY-MM-DD'
+     */
+    today: string;
+    /**
+     * whether this sync has backfilled older months
+     */
+    backfilled: boolean;
+    /**
+     * days archived for the first time
+     */
+    added: number;
+    /**
+     * days updated, i.e. today's value as it grows
+     */
+    updated: number;
+    anomalies: HistoryAnomaly[];
+}
+
+export interface ConsumptionArchiveOptions {
+    /**
+     * the charger's key in the store. Defaults to the controller's `code`.
+     */
+    charger?: string | null;
+    /**
+     * a store, or the path of a JSON file (default 'bcp-charger-history.json')
+     */
+    store?: HistoryStore | string;
+    /**
+     * milliseconds between syncs (default 6 hours)
+     */
+    interval?: number;
+    /**
+     * 'YYYY-MM', the oldest month to backfill. Defaults to the oldest year the charger reports consumption for,
+     * or to 10 years back when its firmware does not report years.
+     */
+    backfillFrom?: string;
+}
+
+/**
+ * Archives a charger's daily consumption locally, beyond the 20 days, 12 months and 10 years the charger remembers.
+ * Each sync merges the month records since the previous sync - on the first one, every month the charger has records for.
+ * Days before yesterday are final: when the charger reports them differently later, the archived values are kept,
+ * and the difference is reported as an `anomaly`.
+ */
+export class ConsumptionArchive extends EventEmitter {
+    constructor(controller: ChargerController, options?: ConsumptionArchiveOptions);
+
+    get store(): HistoryStore;
+
+    get isRunning(): boolean;
+
+    /**
+     * Syncs now, and then every `interval`.
+     */
+    start(): void;
+
+    /**
+     * Stops syncing. A sync in progress completes.
+     */
+    stop(): void;
+
+    /**
+     * Pulls the charger's records, and merges them into the store. Concurrent calls share the sync in progress.
+     */
+    sync(): Promise<HistorySyncResult>;
+
+    /**
+     * Archived consumption, totalled by `granularity`.
+     */
+    query(query?: {
+        from?: string | Date | null,
+        to?: string | Date | null,
+        granularity?: 'day' | 'month' | 'year',
+    }): Promise<ConsumptionRow[]>;
+}
+
+export interface EmulatorProfileInfo {
+    mode: ChargerMode;
+    /**
+     * model name, reported by `sendGetChargerModel()`
+     */
+    version: string;
+    /**
+     * 'x.yy'
+     */
+    firmwareVersion: string;
+    hardwareVersion: string;
+}
+
+export interface EmulatorHistory {
+    /**
+     * last 20 days, in kWh
+     */
+    days?: number[];
+    /**
+     * last 12 months, in kWh
+     */
+    months?: number[];
+    /**
+     * last 10 years, in kWh
+     */
+    years?: number[];
+    /**
+     * days of specific months, keyed by 'YYYY-MM'
+     */
+    monthly?: { [month: string]: number[] };
+}
+
+export interface EmulatorScenarioStep {
+    /**
+     * milliseconds to wait before running the action
+     */
+    delay?: number;
+    action?: 'plugIn' | 'unplug' | 'setVehicleReady' | 'startCharging' | 'stopCharging' |
+        'raiseFault' | 'clearFault' | 'clearFaults' | 'dropRequests' | 'dropResponses' | 'rejectRequests' | 'setMeasurements' |
+        ((emulator: ChargerEmulator) => void | Promise<void>);
+    args?: any[];
+}
+
+export interface ChargerEmulatorOptions {
+    /**
+     * the charger's identification code (as on the sticker)
+     */
+    code: string;
+    /**
+     * defaults to '123456'
+     */
+    password?: string;
+    /**
+     * defaults to `EmulatorProfile.OnePhaseV111`
+     */
+    profile?: EmulatorProfileInfo;
+    /**
+     * address to bind to, defaults to all interfaces
+     */
+    address?: string;
+    /**
+     * port to bind to, defaults to 3333. `0` for a random port.
+     */
+    port?: number;
+    /**
+     * address reported in `GetIpAddress` responses, defaults to '127.0.0.1'
+     */
+    ipAddress?: string;
+    /**
+     * echo the request's message id back in the response (default true)
+     */
+    echoMessageId?: boolean;
+    /**
+     * milliseconds to wait before responding
+     */
+    responseDelay?: number;
+    /**
+     * probability (0-1) of silently dropping an incoming request
+     */
+    dropRate?: number;
+    history?: EmulatorHistory;
+    /**
+     * milliseconds to stay silent after `SetWifiAccessPoint`, as the charger leaves its hotspot and joins the network.
+     * `0` (default) keeps responding.
+     */
+    wifiSwitchDelay?: number;
+}
+
+/**
+ * A local UDP server that speaks the charger's protocol, for testing without hardware.
+ */
+export class ChargerEmulator extends EventEmitter {
+    constructor(options: ChargerEmulatorOptions);
+
+    get profile(): EmulatorProfileInfo;
+
+    get code(): string;
+
+    /**
+     * The password currently accepted by the emulator
+     */
+    get password(): string;
+
+    /**
+     * The address the emulator is listening on. Only available after `start()`.
+     */
+    get address(): { address: string, port: number }|null;
+
+    get chargerState(): ChargerState;
+
+    /**
+     * A copy of the active fault flags
+     */
+    get faults(): ChargeFaultStatus;
+
+    /**
+     * The access point credentials last set through `SetWifiAccessPoint`
+     */
+    get wifi(): { ssid: string, password: string };
+
+    /**
+     * A copy of the controls state, as changed by the setters
+     */
+    get controls(): { [key: string]: any };
+
+    get bluetoothConnectionMode(): boolean;
+
+    get iapMode(): boolean;
+
+    /**
+     * The emulated charger's clock
+     */
+    get now(): Date;
+
+    start(): Promise<void>;
+
+    stop(): Promise<void>;
+
+    /**
+     * Simulates a vehicle being plugged in.
+     * @param vehicleReady whether the vehicle is ready to accept charge
+     */
+    plugIn(vehicleReady?: boolean): void;
+
+    /**
+     * Simulates the vehicle being unplugged, which also ends any charging session.
+     */
+    unplug(): void;
+
+    /**
+     * Simulates the vehicle switching in or out of its ready state.
+     */
+    setVehicleReady(ready: boolean): void;
+
+    /**
+     * Starts charging as if triggered locally (RFID card, reservation).
+     * @returns `false` if there is no vehicle plugged in, or there are active faults
+     */
+    startCharging(isReservation?: boolean): boolean;
+
+    /**
+     * @returns `false` if not charging
+     */
+    stopCharging(): boolean;
+
+    raiseFault(flag: keyof ChargeFaultStatus): void;
+
+    clearFault(flag: keyof ChargeFaultStatus): void;
+
+    clearFaults(): void;
+
+    /**
+     * Silently drops the next `count` incoming requests.
+     */
+    dropRequests(count?: number): void;
+
+    /**
+     * Handles the next `count` incoming requests, but silently drops their responses.
+     */
+    dropResponses(count?: number): void;
+
+    /**
+     * Answers the next `count` requests of a setter `command` as failed, without applying them.
+     */
+    rejectRequests(command: Command, count?: number): void;
+
+    /**
+     * Overrides the simulated measurements.
+     */
+    setMeasurements(measurements: { voltage?: number, current?: number, temperature?: number, totalPower?: number }): void;
+
+    /**
+     * Runs a list of scenario steps in order.
+     */
+    runScenario(steps: EmulatorScenarioStep[]): Promise<void>;
+}
+
+export const EmulatorProfile: {
+    readonly OnePhaseV106: EmulatorProfileInfo;
+    readonly OnePhaseV108: EmulatorProfileInfo;
+    readonly OnePhaseV110: EmulatorProfileInfo;
+    readonly OnePhaseV111: EmulatorProfileInfo;
+    readonly ThreePhaseV106: EmulatorProfileInfo;
+    readonly ThreePhaseV108: EmulatorProfileInfo;
+    readonly ThreePhaseV110: EmulatorProfileInfo;
+    readonly ThreePhaseV111: EmulatorProfileInfo;
+};
+
+export enum Command {
+    Error = "00",
+    Heartbeat = "01",
+    PasswordChange = "02",
+    GetIpAddress = "03",
+    GetChargerModel = "04",
+    SetWifiAccessPoint = "05",
+    SetChargeState = "06",
+    SetTimedChargeState = "69",
+    SetRFIDAndApp = "6a",
+    SetDLB = "6b",
+    SetGroundingDetection = "6c",
+    SetMaxCurrent = "6d",
+    GetFaultStatus = "6e",
+    GetRealTimeData = "70",
+    GetControlsState = "71",
+    SetBluetoothConnectionMode = "72",
+    SwitchIapMode = "73",
+    SetMaxPower = "74",
+    SetReservation = "75",
+    SetTime = "76",
+    GetPowerConsumptionRecords = "77",
+    SetMaxMonthlyPower = "78",
+    SetEmergencyStopProtection = "79",
+    GetPowerConsumptionRecordsOfMonth = "7a",
+}
+
+/**
+ * Order in which queued commands are sent to the charger. Commands of the same priority are sent in order.
+ */
+export enum CommandPriority {
+    Low = -10,
+    Normal = 0,
+    High = 10,
+}
+
+/**
+ * Error codes sent back in `Command.Error` frames.
+ * The firmware does not document them, so these are only the ones known so far - others are passed on as sent.
+ * They name the error, but the controller does not decide anything by them.
+ */
+export enum ChargerErrorCode {
+    WrongPassword = "01",
+    UnsupportedCommand = "02",
+}
+
+/**
+ * Base class of the errors thrown by this library. `code` tells them apart without parsing messages.
+ */
+export class ChargerError extends Error {
+    code: string;
+}
+
+/**
+ * The charger did not respond in time, after all attempts.
+ */
+export class ChargerTimeoutError extends ChargerError {
+    constructor(details: { command: string, host: { ipAddress: string, port: number }, attempts?: number });
+    code: 'ETIMEDOUT';
+    command: string;
+    host: { ipAddress: string, port: number };
+    attempts: number;
+}
+
+/**
+ * The charger has responded to a setter, but did not accept it.
+ */
+export class ChargerRejectedError extends ChargerError {
+    constructor(details: { command: string });
+    code: 'EREJECTED';
+    command: string;
+}
+
+/**
+ * A frame could not be parsed: a bad header or checksum, or a payload too short for its command.
+ */
+export class ChargerProtocolError extends ChargerError {
+    constructor(details: { reason: string, raw?: string | null, command?: string | null });
+    code: 'EPROTO';
+    reason: 'header' | 'checksum' | 'length' | 'command' | string;
+    raw: string | null;
+    command: string | null;
+}
+
+/**
+ * The charger has sent back a `Command.Error` frame.
+ * The message describes the known `ChargerErrorCode`s; other codes are passed on as sent.
+ */
+export class ChargerDeviceError extends ChargerError {
+    constructor(details: { deviceCode: string, command?: string | null });
+    code: 'EDEVICE';
+    deviceCode: ChargerErrorCode | string;
+    command: string | null;
+}
+
+/**
+ * The charger's firmware does not support a command, so it was not sent. See `ChargerController.capabilities`.
+ */
+export class ChargerUnsupportedError extends ChargerError {
+    constructor(details: { command: string, firmwareVersion: string });
+    code: 'EUNSUPPORTED';
+    command: string;
+    firmwareVersion: string;
+}
+
+/**
+ * A step of `provisionWifi()` has failed. `step` tells which, and `cause` holds the underlying error, if any.
+ */
+export class ChargerProvisioningError extends ChargerError {
+    constructor(details: { step: ProvisioningStep, reason: string, cause?: Error | null });
+    code: 'EPROVISION';
+    step: ProvisioningStep;
+    reason: string;
+    cause: Error | null;
+}
+
+/**
+ * `disconnect()` was called while the command was queued or in flight, so it was dropped.
+ */
+export class ChargerDisconnectedError extends ChargerError {
+    constructor();
+    code: 'EDISCONNECTED';
+}
+
+/**
+ * A password change could not be confirmed: the charger has responded to neither the new password nor the previous one.
+ * The controller keeps the previous password. `cause` holds the underlying error, if any.
+ */
+export class ChargerPasswordError extends ChargerError {
+    constructor(details: { reason: string, cause?: Error | null });
+    code: 'EPASSWORD';
+    reason: string;
+    cause: Error | null;
+}
+
+/**
+ * The steps of `provisionWifi()`, in order.
+ */
+export enum ProvisioningStep {
+    Validate = "validate",
+    SendCredentials = "send_credentials",
+    LeaveAccessPoint = "leave_access_point",
+    JoinNetwork = "join_network",
+    Resolve = "resolve",
+    Verify = "verify",
+}
+
+export interface ProvisioningOptions {
+    /**
+     * the network the charger should join
+     */
+    ssid: string;
+    /**
+     * '' for an open network
+     */
+    password: string;
+    /**
+     * the charger's code, for finding it on the network
+     */
+    chargerCode: string;
+    /**
+     * 'gbk' (the firmware's, default) or 'utf8', for networks that name themselves in UTF-8
+     */
+    encoding?: 'gbk' | 'utf8';
+    /**
+     * called once the charger has left its hotspot, to bring this machine back on the network - unless it does so by itself
+     */
+    joinNetwork?: () => Promise<void> | void;
+    /**
+     * milliseconds for the charger to leave its hotspot (default 30 seconds)
+     */
+    leaveTimeout?: number;
+    /**
+     * milliseconds for the charger to show up on the network (default 2 minutes)
+     */
+    resolveTimeout?: number;
+    /**
+     * milliseconds between checks (default 2 seconds)
+     */
+    pollInterval?: number;
+}
+
+export interface ProvisioningResult {
+    /**
+     * the charger's address on the network
+     */
+    ip: string;
+    port: number;
+    model: ChargerModel;
+}
+
+export interface ProvisioningEvent {
+    step: ProvisioningStep;
+    status: 'started' | 'completed' | 'failed';
+    /**
+     * when failed
+     */
+    error?: ChargerProvisioningError;
+}
+
+export enum ChargerMode {
+    OnePhase = 0,
+    ThreePhase = 1,
+}
+
+export enum ChargerState {
+    Abnormal = 0,
+    Unplugged = 1,
+    Standby = 2,
+    NotReady = 5,
+    Charging = 6,
+    SelfChecking = 7,
+}
+
+export interface HttpServerOptions {
+    /**
+     * bearer token(s) accepted in the `Authorization` header, or in a `token` query parameter (for `EventSource`).
+     * `null` (default) disables authentication.
+     */
+    token?: string | string[] | ((token: string) => boolean) | null;
+    /**
+     * maximum request body size in bytes (default 65536)
+     */
+    maxBodySize?: number;
+    /**
+     * milliseconds between SSE keep-alive comments (default 15000)
+     */
+    keepAliveInterval?: number;
+    /**
+     * the OpenAPI document's title
+     */
+    title?: string;
+    /**
+     * the OpenAPI document's version
+     */
+    version?: string;
+}
+
+/**
+ * Creates an `http.Server` exposing a controller, or each charger in a fleet under `/chargers/{code}`, over REST.
+ * Call `listen()` on it.
+ * The server does not poll by itself - the SSE stream relays events of `startMonitoring()` or of other callers.
+ */
+export function createHttpServer(target: ChargerController | ChargerFleet, options?: HttpServerOptions): Server;
+
+/**
+ * Creates the request listener of `createHttpServer()`, to mount on any `http.Server`.
+ */
+export function createHttpHandler(target: ChargerController | ChargerFleet, options?: HttpServerOptions): (req: IncomingMessage, res: ServerResponse) => void;
+
+/**
+ * The subset of an MQTT.js client that `MqttBridge` uses.
+ */
+export interface MqttClient {
+    publish(topic: string, message: string, options: { retain: boolean, qos: number }, callback: (err?: Error | null) => void): any;
+    subscribe(topic: string, callback: (err?: Error | null) => void): any;
+    unsubscribe(topic: string, callback: (err?: Error | null) => void): any;
+    on(event: 'message', listener: (topic: string, payload: Buffer) => void): any;
+    off(event: 'message', listener: (topic: string, payload: Buffer) => void): any;
+}
+
+export interface MqttBridgeOptions {
+    /**
+     * identifies the charger in topics and Home Assistant unique ids, i.e. its code
+     */
+    id: string;
+    /**
+     * the device name in Home Assistant (default 'BCP charger <id>')
+     */
+    name?: string | null;
+    /**
+     * (default 'bcp-charger')
+     */
+    baseTopic?: string;
+    /**
+     * Home Assistant's discovery prefix (default 'homeassistant'). `null` disables discovery.
+     */
+    discoveryPrefix?: string | null;
+    /**
+     * milliseconds between availability heartbeats (default 30000)
+     */
+    heartbeatInterval?: number;
+    /**
+     * consecutive heartbeat failures before the charger is published as offline (default 2)
+     */
+    offlineAfter?: number;
+    /**
+     * (default 1)
+     */
+    qos?: number;
+}
+
+export interface HomeAssistantEntity {
+    component: 'sensor' | 'binary_sensor' | 'switch' | 'number';
+    objectId: string;
+    name: string;
+    /**
+     * relative to the charger's topic
+     */
+    stateTopic: string;
+    /**
+     * relative to the charger's topic
+     */
+    commandTopic?: string;
+    /**
+     * extra discovery config fields
+     */
+    config?: { [key: string]: any };
+}
+
+/**
+ * Bridges a controller to MQTT: publishes its snapshots as retained topics, maps command topics onto setters,
+ * and publishes Home Assistant discovery configs.
+ * The bridge does not poll by itself, other than the availability heartbeat - use `controller.startMonitoring()`.
+ */
+export class MqttBridge extends EventEmitter {
+    constructor(controller: ChargerController, client: MqttClient, options: MqttBridgeOptions);
+
+    /**
+     * The last will to connect the client with, so that the broker publishes the charger as offline
+     * when the connection drops: `mqtt.connect(url, { will: MqttBridge.lastWill(options) })`.
+     * Only `id`, `baseTopic` and `qos` of the options are used.
+     */
+    static lastWill(options: MqttBridgeOptions): { topic: string, payload: string, retain: boolean, qos: number };
+
+    /**
+     * The charger's topic, under which all of its topics are
+     */
+    get topic(): string;
+
+    get isRunning(): boolean;
+
+    /**
+     * `null` until the first heartbeat
+     */
+    get isOnline(): boolean | null;
+
+    /**
+     * Subscribes to the command topics, starts relaying, and starts the availability heartbeat.
+     * The discovery configs are published once the charger responds, as the entities depend on its model.
+     */
+    start(): Promise<void>;
+
+    /**
+     * Stops relaying, and publishes the charger as offline.
+     */
+    stop(): void;
+
+    /**
+     * The Home Assistant entities for the charger, according to its model
+     */
+    getEntities(): HomeAssistantEntity[];
+
+    /**
+     * Publishes a retained discovery config for each entity. Called once the charger first responds.
+     */
+    publishDiscovery(): Promise<void>;
+}
+
+export interface MetricsExporterOptions {
+    /**
+     * prepended to each metric name (default 'bcp_charger_')
+     */
+    prefix?: string;
+    /**
+     * upper bounds of the command duration histogram, in seconds (default 0.01 to 2.5)
+     */
+    buckets?: number[];
+}
+
+/**
+ * Collects the controllers' realtime data, fault status and health in the Prometheus text format.
+ * Values are only updated by the controllers' events - use `controller.startMonitoring()` to keep them fresh.
+ */
+export class MetricsExporter {
+    constructor(options?: MetricsExporterOptions);
+
+    /**
+     * Labels of the exported chargers
+     */
+    get chargers(): string[];
+
+    /**
+     * Starts collecting a controller's metrics.
+     * @param charger the `charger` label, i.e. its code
+     */
+    add(charger: string, controller: ChargerController): this;
+
+    /**
+     * Stops collecting a controller's metrics, and drops them.
+     * @returns false if it was not exported
+     */
+    remove(charger: string): boolean;
+
+    /**
+     * Renders all metrics in the Prometheus text exposition format (version 0.0.4).
+     */
+    metrics(): string;
+
+    /**
+     * A request listener serving `GET /metrics`. Mount it on any `http.Server`, or use `createServer()`.
+     */
+    handler(): (req: IncomingMessage, res: ServerResponse) => void;
+
+    /**
+     * Creates an `http.Server` serving `GET /metrics`. Call `listen()` on it.
+     */
+    createServer(): Server;
+}
+
+/**
+ * Provides grid power readings, in watts: positive when importing from the grid, negative when exporting to it.
+ */
+export interface GridPowerSource {
+    start(onReading: (watts: number) => void, onError: (err: Error) => void): void;
+    stop(): void;
+}
+
+export enum SolarMode {
+    /**
+     * Charges only from surplus
+     */
+    Pv = 'pv',
+    /**
+     * Always charges at least at the minimum current, and faster with surplus
+     */
+    MinPv = 'minpv',
+}
+
+export interface SolarSurplusOptions {
+    /**
+     * (default `SolarMode.Pv`)
+     */
+    mode?: SolarMode;
+    /**
+     * lowest current the charger charges with, in amps (default 6)
+     */
+    minCurrent?: number;
+    /**
+     * highest current to set, in amps (default 32)
+     */
+    maxCurrent?: number;
+    /**
+     * watts of surplus above the minimum charging power, required to start (default 0)
+     */
+    startSurplus?: number;
+    /**
+     * watts of grid import tolerated at the minimum current, before stopping (default 300)
+     */
+    stopDeficit?: number;
+    /**
+     * milliseconds the surplus must last before starting (default 60000)
+     */
+    startDelay?: number;
+    /**
+     * milliseconds the deficit must last before stopping (default 180000)
+     */
+    stopDelay?: number;
+    /**
+     * minimum milliseconds of charging before stopping (default 300000)
+     */
+    minOnTime?: number;
+    /**
+     * minimum milliseconds between stopping and starting again (default 300000)
+     */
+    minOffTime?: number;
+    /**
+     * milliseconds after which the last reading is ignored (default 60000)
+     */
+    staleAfter?: number;
+    /**
+     * used while the charger does not report a voltage (default 230)
+     */
+    nominalVoltage?: number;
+}
+
+export interface SolarDecision {
+    time: Date;
+    mode: SolarMode;
+    action: 'start' | 'stop' | 'adjust' | 'hold';
+    reason: string;
+    /**
+     * the last reading in watts, `null` if there is none or it's stale
+     */
+    gridPower: number | null;
+    /**
+     * watts available for charging, including what the charger draws now
+     */
+    surplus: number | null;
+    /**
+     * amps the surplus is worth, before clamping
+     */
+    availableCurrent: number | null;
+    /**
+     * amps set by this decision, or kept by it
+     */
+    current: number | null;
+    phases: number;
+    voltage: number;
+    charging: boolean;
+}
+
+/**
+ * Readings pushed by the application, i.e. from a meter's own callback API.
+ */
+export class CallbackGridSource implements GridPowerSource {
+    start(onReading: (watts: number) => void): void;
+    stop(): void;
+    /**
+     * @param watts positive when importing, negative when exporting
+     */
+    push(watts: number): void;
+}
+
+/**
+ * Polls a JSON endpoint, i.e. of an inverter or a smart meter gateway.
+ */
+export class HttpPollGridSource implements GridPowerSource {
+    /**
+     * @param options.interval milliseconds between polls (default 5000)
+     * @param options.timeout milliseconds (default 5000)
+     * @param options.extract picks the grid power in watts from the parsed JSON body.
+     *  Defaults to the body itself when it's a number, or its `power` property.
+     */
+    constructor(url: string, options?: {
+        interval?: number,
+        timeout?: number,
+        headers?: { [name: string]: string },
+        extract?: (body: any) => number,
+    });
+    start(onReading: (watts: number) => void, onError: (err: Error) => void): void;
+    stop(): void;
+}
+
+/**
+ * Readings from an MQTT topic. Pass it any connected MQTT.js client, or one with the same interface.
+ */
+export class MqttGridSource implements GridPowerSource {
+    /**
+     * @param options.parse picks the grid power in watts from a payload. Defaults to parsing it as a number.
+     */
+    constructor(client: MqttClient, topic: string, options?: { parse?: (payload: string) => number });
+    start(onReading: (watts: number) => void, onError: (err: Error) => void): void;
+    stop(): void;
+}
+
+/**
+ * Charges from solar surplus: adjusts the charger's max current to the power exported to the grid,
+ * and starts and stops charging with hysteresis, delays and minimum on/off times.
+ * Each reading is evaluated into a `decision` event, whatever the outcome, so they can be audited.
+ * It does not poll the charger by itself - use `controller.startMonitoring()` to keep the realtime data fresh.
+ */
+export class SolarSurplusController extends EventEmitter {
+    constructor(controller: ChargerController, source: GridPowerSource, options?: SolarSurplusOptions);
+
+    /**
+     * Takes effect on the next reading.
+     */
+    get mode(): SolarMode;
+    set mode(mode: SolarMode);
+
+    get isRunning(): boolean;
+
+    get lastDecision(): SolarDecision | null;
+
+    /**
+     * Starts following the source's readings.
+     */
+    start(): void;
+
+    /**
+     * Stops following the readings. The charger is left as it is.
+     */
+    stop(): void;
+}
+
+export interface PriceSlot {
+    start: Date;
+    end: Date;
+    /**
+     * per kWh, in any currency
+     */
+    price: number;
+}
+
+/**
+ * Provides the known prices between two times.
+ * Sources that are `EventEmitter`s may emit `'update'` when their prices change, which triggers re-planning.
+ */
+export interface PriceSource {
+    getPrices(from: Date, to: Date): PriceSlot[] | Promise<PriceSlot[]>;
+}
+
+export interface WeeklyTariffPeriod {
+    /**
+     * days of the week it applies to, 0 = sunday. Defaults to every day.
+     */
+    days?: number[];
+    /**
+     * 'HH:mm'
+     */
+    from: string;
+    /**
+     * 'HH:mm', before `from` for periods that cross midnight
+     */
+    to: string;
+    price: number;
+}
+
+export interface PlannedSlot extends PriceSlot {
+    /**
+     * kWh charged in the slot
+     */
+    energy: number;
+}
+
+export interface ChargingPlan {
+    /**
+     * the chosen slots, in chronological order
+     */
+    slots: PlannedSlot[];
+    /**
+     * the slots, with adjacent ones merged
+     */
+    windows: { start: Date, end: Date }[];
+    /**
+     * kWh planned
+     */
+    energy: number;
+    cost: number;
+    /**
+     * kW the charger is expected to charge with
+     */
+    power: number;
+    /**
+     * whether the planned energy covers the required energy
+     */
+    feasible: boolean;
+    departure: Date;
+}
+
+export interface TariffSchedulerOptions {
+    /**
+     * 'commands' (default) starts and stops charging at the slot boundaries,
+     * 'timed' programs the charger's timed-charge window with the next window instead
+     */
+    strategy?: 'commands' | 'timed';
+    /**
+     * amps to plan with. Defaults to the charger's `maxCurrent` control.
+     */
+    maxCurrent?: number;
+    /**
+     * (default 230)
+     */
+    nominalVoltage?: number;
+}
+
+/**
+ * A static time-of-use tariff, repeating every week, on the clock of its timezone.
+ */
+export class WeeklyTariff implements PriceSource {
+    /**
+     * @param periods the first period that covers a time sets its price
+     * @param options.defaultPrice outside of all periods (default 0)
+     * @param options.resolution minutes between price changes (default 15)
+     * @param options.timeZone IANA timezone the periods are in, defaults to this machine's
+     */
+    constructor(periods: WeeklyTariffPeriod[], options?: { defaultPrice?: number, resolution?: number, timeZone?: string | null });
+    priceAt(time: Date): number;
+    getPrices(from: Date, to: Date): PriceSlot[];
+}
+
+/**
+ * Dynamic prices, i.e. hourly day-ahead prices from a feed. Emits `'update'` when they are replaced.
+ */
+export class DynamicTariff extends EventEmitter implements PriceSource {
+    constructor(slots?: PriceSlot[]);
+    get prices(): PriceSlot[];
+    /**
+     * Replaces the known prices.
+     * @param options.silent do not emit `'update'`
+     */
+    setPrices(slots: PriceSlot[], options?: { silent?: boolean }): void;
+    getPrices(from: Date, to: Date): PriceSlot[];
+}
+
+/**
+ * Parses a JSON price feed: an array of `{ start, end?, price }`, or an object with such an array in `prices`.
+ * Slots without an `end` last an hour.
+ */
+export function parsePriceJson(input: string | object): PriceSlot[];
+
+/**
+ * Parses a CSV price feed, with `start` and `price` columns, and an optional `end` column.
+ * Without a header row, the columns are `start,price`. Slots without an `end` last an hour.
+ */
+export function parsePriceCsv(text: string): PriceSlot[];
+
+/**
+ * Picks the cheapest slots that deliver the required energy before departure.
+ * Slots without a price are not used. The last chosen slot is shortened to what's needed.
+ * @param params.energy kWh required
+ * @param params.power kW the charger charges with
+ */
+export function planCharging(params: {
+    prices: PriceSlot[],
+    energy: number,
+    power: number,
+    departure: Date,
+    now?: Date,
+}): ChargingPlan;
+
+/**
+ * Charges the required energy before departure, in the cheapest slots of a tariff.
+ * Plans are re-computed when the prices update, and when the vehicle is plugged or unplugged.
+ * Plug events come from monitoring - use `controller.startMonitoring()`.
+ */
+export class TariffScheduler extends EventEmitter {
+    constructor(controller: ChargerController, source: PriceSource, options?: TariffSchedulerOptions);
+
+    get plan(): ChargingPlan | null;
+
+    get target(): { departure: Date, energy: number } | null;
+
+    /**
+     * kWh delivered since `schedule()`
+     */
+    get delivered(): number;
+
+    /**
+     * Plans and runs charging of `energy` kWh before `departure`. Replaces the previous target.
+     */
+    schedule(target: { departure: Date | number | string, energy: number }): Promise<ChargingPlan>;
+
+    /**
+     * Re-computes the plan for the remaining energy, and runs it.
+     */
+    replan(): Promise<ChargingPlan>;
+
+    /**
+     * Stops running the plan. Charging that the scheduler has started is stopped.
+     */
+    cancel(): Promise<void>;
+}
+
+export interface CaptureEntry {
+    /**
+     * ISO timestamp
+     */
+    time: string;
+    /**
+     * 'out' for frames sent to the charger, 'in' for datagrams received from it
+     */
+    direction: 'out' | 'in';
+    /**
+     * the charger's address for 'out', the sender's for 'in'
+     */
+    peer: { address: string, port: number } | null;
+    /**
+     * the frame as sent or received
+     */
+    raw: string;
+    /**
+     * the parsed frame, `null` if malformed
+     */
+    message: ParsedMessage | codec.ParsedRequest | null;
+}
+
+export interface DecodedCaptureEntry {
+    entry: CaptureEntry;
+    /**
+     * the command code, `null` if malformed
+     */
+    command: Command | null;
+    /**
+     * the decoded value, see `codec.decode()`
+     */
+    value: any;
+    /**
+     * why the frame could not be decoded
+     */
+    error: Error | null;
+}
+
+/**
+ * Records frames to a JSON-lines capture file, one `CaptureEntry` per line - or in memory, without a target.
+ * Assign it to `controller.capture` to record a controller's traffic.
+ */
+export class TrafficRecorder extends EventEmitter {
+    /**
+     * @param target a file path to append to, or a writable stream. `null` keeps the entries in memory.
+     * @param options.redact blank passwords in recorded frames (default `true`), see `redactFrame()`
+     */
+    constructor(target?: string | Writable | null, options?: { redact?: boolean });
+
+    /**
+     * The recorded entries, when recording in memory
+     */
+    get entries(): CaptureEntry[] | null;
+
+    get isClosed(): boolean;
+
+    /**
+     * Records a frame. Called by the controller for each frame sent and datagram received.
+     * @returns `null` once closed
+     */
+    record(direction: 'out' | 'in', frame: Buffer | string, peer?: { address: string, port: number } | null): CaptureEntry | null;
+
+    /**
+     * Stops recording, and closes the file when the recorder has opened it.
+     * Rejects if the capture could not be written.
+     */
+    close(): Promise<void>;
+}
+
+/**
+ * Blanks the password in a frame sent to the charger - and the new password of `PasswordChange`,
+ * or the Wi-Fi password of `SetWifiAccessPoint`. The checksum is recalculated, so the frame still parses.
+ * Frames that are not requests are returned as is.
+ */
+export function redactFrame(raw: string): string;
+
+/**
+ * Parses a JSON-lines capture.
+ */
+export function parseCapture(text: string): CaptureEntry[];
+
+/**
+ * Reads a JSON-lines capture file.
+ */
+export function readCapture(path: string): Promise<CaptureEntry[]>;
+
+/**
+ * Feeds the received frames of a capture back through the parsers and decoders.
+ * The model for realtime data is taken from the capture's `GetChargerModel` responses, unless given.
+ */
+export function decodeCapture(entries: CaptureEntry[], options?: codec.DecodeOptions): DecodedCaptureEntry[];
+
+/**
+ * Creates a `ChargerTransport` that serves a capture instead of a charger, for deterministic regression tests.
+ * Each request is answered with the received frames that have followed the next unanswered request
+ * of the same command in the capture. Unknown requests are left unanswered.
+ * The responses are replayed byte for byte, so that the firmware's message ids are too - whether it echoes them or not.
+ */
+export function createReplayTransport(entries: CaptureEntry[], options?: {
+    /**
+     * answer with the request's message id instead of the recorded one, as if the firmware echoed it (default `false`)
+     */
+    echoMessageId?: boolean,
+}): ChargerTransport;
+
+/**
+ * Pure encoding and decoding of the charger's protocol, without any socket.
+ * `encode<Command>()` returns the command code followed by its arguments, ready for `compileMessage()`.
+ * `decode<Command>()` accepts either a raw frame or a `ParsedMessage`.
+ * Encoders throw a `TypeError` or a `RangeError` for arguments the charger would not take.
+ * Decoders throw a `ChargerProtocolError` for malformed frames, and a `ChargerDeviceError` for `Command.Error` frames.
+ */
+export namespace codec {
+    type Frame = string | ParsedMessage;
+
+    interface DecodeOptions {
+        /**
+         * the charger's model, for its capabilities. Either this or `capabilities` is required for `decodeGetRealTimeData()`.
+         * Without either, other layouts are inferred from the payload length.
+         */
+        model?: ChargerModel;
+        /**
+         * instead of `model`
+         */
+        capabilities?: ChargerCapabilities;
+        /**
+         * required for `decodeGetPowerConsumptionRecordsOfMonth()`
+         */
+        year?: number;
+        /**
+         * 1-12, required for `decodeGetPowerConsumptionRecordsOfMonth()`
+         */
+        month?: number;
+    }
+
+    interface ParsedRequest {
+        raw: string;
+        messageId: string;
+        length: number;
+        password: number;
+        command: Command;
+        /**
+         * the arguments, without the checksum
+         */
+        data: string;
+    }
+
+    interface DecodedFrame<T = any> {
+        command: Command;
+        messageId: string;
+        value: T;
+    }
+
+    /**
+     * Compiles a full frame, as sent to the charger.
+     * @param command command code followed by its arguments
+     */
+    function compileMessage(command: string, options?: { password?: string, messageId?: string }): string;
+
+    /**
+     * Compiles a full frame, as sent back by the charger.
+     */
+    function compileResponse(command: string, options?: { messageId?: string }): string;
+
+    /**
+     * Parses a frame sent back by the charger. `undefined` if malformed, or the checksum does not match.
+     */
+    function parseFrame(input: string): ParsedMessage | undefined;
+
+    /**
+     * Parses a frame sent to the charger. `undefined` if malformed, or the checksum does not match.
+     */
+    function parseRequest(input: string): ParsedRequest | undefined;
+
+    /**
+     * Decodes any response frame, by its command code.
+     */
+    function decode(frame: Frame, options?: DecodeOptions): DecodedFrame;
+
+    const encoders: { readonly [command: string]: (args?: any) => string };
+
+    const decoders: { readonly [command: string]: (frame: Frame, options?: DecodeOptions) => any };
+
+    function encodeError(args: { code: string }): string;
+    function decodeError(frame: Frame): { code: string };
+
+    function encodeHeartbeat(): string;
+    function decodeHeartbeat(frame: Frame): boolean;
+
+    function encodePasswordChange(args: { password: string }): string;
+    function decodePasswordChange(frame: Frame): boolean;
+
+    function encodeGetIpAddress(args: { code: string }): string;
+    function decodeGetIpAddress(frame: Frame): { code: string, ip: string, port: number };
+
+    function encodeGetChargerModel(): string;
+    function decodeGetChargerModel(frame: Frame): ChargerModel;
+
+    /**
+     * Lengths are in bytes, as encoded.
+     * @param args.encoding 'gbk' (the firmware's, default) or 'utf8'
+     */
+    function encodeSetWifiAccessPoint(args: { ssid: string, password: string, encoding?: 'gbk' | 'utf8' }): string;
+    function decodeSetWifiAccessPoint(frame: Frame): boolean;
+
+    function encodeSetChargeState(args: { charging: boolean }): string;
+    function decodeSetChargeState(frame: Frame): boolean;
+
+    /**
+     * @param args.from 'HH:mm' / 'HH:mm:ss', `{ hour, minute, second? }` or a `Date`
+     * @param args.to same as `from`
+     * @param args.now the current time, defaults to this machine's
+     * @param args.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+     */
+    function encodeSetTimedChargeState(args: {
+        from: string | TimeOfDay | Date,
+        to: string | TimeOfDay | Date,
+        now?: Date,
+        timeZone?: string | null,
+    }): string;
+    function decodeSetTimedChargeState(frame: Frame): boolean;
+
+    function encodeSetRFIDAndApp(args: { rfidEnabled: boolean, appEnabled: boolean }): string;
+    function decodeSetRFIDAndApp(frame: Frame): boolean;
+
+    function encodeSetDLB(args: { enabled: boolean, extremeMode: boolean, maxCurrent: number, nightMode: boolean }): string;
+    function decodeSetDLB(frame: Frame): boolean;
+
+    function encodeSetGroundingDetection(args: { enabled: boolean }): string;
+    function decodeSetGroundingDetection(frame: Frame): boolean;
+
+    /**
+     * @param args.capabilities of the charger's model, for its range. Without them, the range of all models.
+     */
+    function encodeSetMaxCurrent(args: { maxCurrent: number }): string;
+    function decodeSetMaxCurrent(frame: Frame): boolean;
+
+    function encodeGetFaultStatus(): string;
+    /**
+     * @param options `model` or `capabilities`, for the flags of the charger's firmware
+     */
+    function decodeGetFaultStatus(frame: Frame, options?: DecodeOptions): ChargeFaultStatus;
+
+    function encodeGetRealTimeData(): string;
+    /**
+     * @param options `model` or `capabilities` is required,
+     *  as the layout differs between 1-phase and 3-phase chargers, and between firmware versions
+     */
+    function decodeGetRealTimeData(frame: Frame, options: DecodeOptions & ({ model: ChargerModel } | { capabilities: ChargerCapabilities })): ChargerRealTimeData;
+
+    function encodeGetControlsState(): string;
+    /**
+     * @param options `model` or `capabilities`, for the fields of the charger's firmware
+     */
+    function decodeGetControlsState(frame: Frame, options?: DecodeOptions): ChargerControlsState;
+
+    function encodeSetBluetoothConnectionMode(args: { enabled: boolean }): string;
+    function decodeSetBluetoothConnectionMode(frame: Frame): boolean;
+
+    function encodeSwitchIapMode(args: { enabled: boolean }): string;
+    function decodeSwitchIapMode(frame: Frame): boolean;
+
+    function encodeSetMaxPower(args: { maxPower: number }): string;
+    function decodeSetMaxPower(frame: Frame): boolean;
+
+    /**
+     * @param args.from 'HH:mm', `{ hour, minute }` or a `Date`. Seconds are not sent.
+     * @param args.to same as `from`
+     * @param args.daysOfWeek sunday-saturday "1010101"
+     * @param args.now the current time, defaults to this machine's
+     * @param args.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+     */
+    function encodeSetReservation(args: {
+        from?: string | TimeOfDay | Date | null,
+        to?: string | TimeOfDay | Date | null,
+        daysOfWeek?: string,
+        now?: Date,
+        timeZone?: string | null,
+    }): string;
+    function decodeSetReservation(frame: Frame): boolean;
+
+    /**
+     * @param args.now the time to set, defaults to this machine's
+     * @param args.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+     */
+    function encodeSetTime(args?: { now?: Date, timeZone?: string | null }): string;
+    function decodeSetTime(frame: Frame): boolean;
+
+    function encodeGetPowerConsumptionRecords(): string;
+    /**
+     * @param options `model` or `capabilities`, for whether the charger's firmware reports years
+     */
+    function decodeGetPowerConsumptionRecords(frame: Frame, options?: DecodeOptions): PowerConsumptionRecords;
+
+    function encodeSetMaxMonthlyPower(args: { maxMonthlyPower: number }): string;
+    function decodeSetMaxMonthlyPower(frame: Frame): boolean;
+
+    function encodeSetEmergencyStopProtection(args: { enabled: boolean }): string;
+    function decodeSetEmergencyStopProtection(frame: Frame): boolean;
+
+    /**
+     * @param args.month 1-12
+     */
+    function encodeGetPowerConsumptionRecordsOfMonth(args: { year: number, month: number }): string;
+    /**
+     * @param options.year the requested year, for the number of days
+     * @param options.month the requested month (1-12), for the number of days
+     */
+    function decodeGetPowerConsumptionRecordsOfMonth(frame: Frame, options: DecodeOptions & { year: number, month: number }): PowerConsumptionRecordsOfMonth;
 }
 
 import { EventEmitter } from 'events';
+import { Server, IncomingMessage, ServerResponse } from 'http';
+import { Writable } from 'stream';
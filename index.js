@@ -1,8 +1,77 @@
-import iconv from 'iconv-lite';
 import dgram from 'node:dgram';
 import { Buffer } from 'node:buffer';
 import { promisify } from 'node:util';
+import { performance } from 'node:perf_hooks';
 import { EventEmitter } from 'node:events';
+import { MESSAGE_ID, Command, ChargerMode, ChargerState, CommandPriority, ChargerErrorCode } from './lib/protocol.js';
+import { CommandUtil } from './lib/command-util.js';
+import { getChargerCapabilities, supportsCommand } from './lib/capabilities.js';
+import { validateTimeZone } from './lib/clock.js';
+import { CURRENT_LIMITS, WIFI_LIMITS, validateNumericString } from './lib/validation.js';
+import {
+    WEEKDAYS,
+    reservationFromControls,
+    normalizeReservation,
+    daysToBits,
+    nextReservationWindow,
+} from './lib/reservation.js';
+import {
+    datePowerConsumptionRecords,
+    dateMonthRecords,
+    collectConsumption,
+    formatConsumption,
+} from './lib/consumption-history.js';
+import { ChargerEmulator, EmulatorProfile } from './lib/charger-emulator.js';
+import { ChargerMonitor } from './lib/charger-monitor.js';
+import { ChargerDiscovery } from './lib/charger-discovery.js';
+import { ChargerFleet as BaseChargerFleet } from './lib/charger-fleet.js';
+import { SessionTracker, MemorySessionStore } from './lib/session-tracker.js';
+import * as codec from './lib/codec.js';
+import { createHttpServer, createHttpHandler } from './lib/http-server.js';
+import { MqttBridge } from './lib/mqtt-bridge.js';
+import { MetricsExporter } from './lib/metrics-exporter.js';
+import {
+    TrafficRecorder,
+    redactFrame,
+    parseCapture,
+    readCapture,
+    decodeCapture,
+    createReplayTransport,
+} from './lib/traffic-capture.js';
+import {
+    SolarMode,
+    SolarSurplusController,
+    CallbackGridSource,
+    HttpPollGridSource,
+    MqttGridSource,
+} from './lib/solar-surplus.js';
+import {
+    WeeklyTariff,
+    DynamicTariff,
+    parsePriceJson,
+    parsePriceCsv,
+    planCharging,
+    TariffScheduler,
+} from './lib/tariff-scheduler.js';
+import {
+    ConsumptionArchive,
+    MemoryHistoryStore,
+    JsonFileHistoryStore,
+    SqliteHistoryStore,
+} from './lib/consumption-archive.js';
+import {
+    ChargerError,
+    ChargerTimeoutError,
+    ChargerRejectedError,
+    ChargerProtocolError,
+    ChargerDeviceError,
+    ChargerDisconnectedError,
+    ChargerUnsupportedError,
+    ChargerProvisioningError,
+    ChargerPasswordError,
+} from './lib/errors.js';
+import { ProvisioningStep, provisionWifi } from './lib/wifi-provisioning.js';
+import { ConfigFieldStatus, configFromControls, normalizeConfig, applyConfig } from './lib/charger-config.js';
 
 /**
  * @typedef {Object} ChargerControlsState
@@ -23,180 +92,116 @@ import { EventEmitter } from 'node:events';
  * @property {boolean?} nightMode
  */
 
-const FRAME_HEADER = '55aa';
-const MESSAGE_ID = '0001';
-
 /**
- * @enum {string} Command
+ * @typedef {Object} RetryPolicy
+ * @property {number} attempts total number of attempts, including the first one
+ * @property {number} backoff delay before the first retry, in milliseconds
+ * @property {number} factor multiplier applied to the delay on each subsequent retry
+ * @property {number} maxBackoff upper bound for the delay, in milliseconds
+ * @property {number} jitter randomize each delay by up to this fraction of it (0-1)
  */
-const Command = Object.freeze({
-    Error: '00',
-    Heartbeat: '01',
-    PasswordChange: '02',
-    GetIpAddress: '03',
-    GetChargerModel: '04',
-    SetWifiAccessPoint: '05',
-    SetChargeState: '06',
-
-    SetTimedChargeState: '69',
-    SetRFIDAndApp: '6a',
-    SetDLB: '6b',
-    SetGroundingDetection: '6c',
-    SetMaxCurrent: '6d',
-    GetFaultStatus: '6e',
-    GetRealTimeData: '70',
-    GetControlsState: '71',
-    SetBluetoothConnectionMode: '72',
-    SwitchIapMode: '73',
-    SetMaxPower: '74',
-    SetReservation: '75',
-    SetTime: '76',
-    GetPowerConsumptionRecords: '77',
-    SetMaxMonthlyPower: '78',
-    SetEmergencyStopProtection: '79',
-    GetPowerConsumptionRecordsOfMonth: '7a',
-});
 
 /**
- * @enum {number} ChargerMode
+ * @typedef {Object} CommandOptions
+ * @property {RetryPolicy|Partial<RetryPolicy>|number|boolean?} retry
+ *  `true` for the controller's `retryPolicy`, a number of attempts, or a policy overriding parts of it.
+ * @property {function(): Promise<boolean>?} verify
+ *  called when a response was lost, to check whether the command took effect anyway. Resolving to `true` ends the retries.
+ * @property {CommandPriority?} priority position in the charger's command queue. Defaults to `CommandPriority.Normal`.
+ * @property {boolean?} coalesce share the response of an identical command that is already queued or in flight
  */
-const ChargerMode = Object.freeze({
-    OnePhase: 0,
-    ThreePhase: 1,
-});
 
 /**
- * @enum {number} ChargerState
+ * @typedef {Object} ChargerTransport
+ * @property {function(controller: ChargerController): Promise<Socket>} open
+ *  returns a socket-like object (`send()`, `close()` and a `'message'` event) that carries only this charger's frames
  */
-const ChargerState = Object.freeze({
-    Abnormal: 0,
-    Unplugged: 1,
-    Standby: 2,
-    NotReady: 5, // plugged, but waiting for ready state from the vehicle
-    Charging: 6,
-    SelfChecking: 7,
-});
 
-class CommandUtil {
-    password = '123456';
+/**
+ * @typedef {Object} CoalescedCommand
+ * @property {number} priority the highest of its callers'
+ * @property {Promise<ParsedMessage|undefined>} promise
+ */
 
-    constructor() {
-    }
+/**
+ * @typedef {Object} QueuedCommand
+ * @property {function(): Promise<*>} task
+ * @property {number} priority
+ * @property {CoalescedCommand|null} coalesced
+ * @property {function(*)} resolve
+ * @property {function(Error)} reject
+ */
 
-    /**
-     * @param {string} input
-     * @returns {string}
-     */
-    checksum(input) {
-        if (!input)
-            return '00';
+/** @type RetryPolicy */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    attempts: 3,
+    backoff: 100,
+    factor: 2,
+    maxBackoff: 2000,
+    jitter: 0.2,
+});
 
-        input = input.replace(/ /g, '');
-        const length = input.length;
+class ChargerController extends EventEmitter {
+    /** @type CommandUtil */
+    #util;
 
-        if ((length % 2) !== 0)
-            return '00';
+    /** @type number */
+    #resultTimeout = 1000;
 
-        let chk = 0;
+    /** @type RetryPolicy */
+    #retryPolicy = DEFAULT_RETRY_POLICY;
 
-        for (let i = 0; i < length; i += 2) {
-            chk += parseInt(input.substring(i, i + 2), 16);
-        }
+    /** @type QueuedCommand[] */
+    #queue = [];
 
-        chk = chk % 0x100;
+    /** @type boolean */
+    #isProcessingQueue = false;
 
-        return chk.toString(16).padStart(2, '0');
-    }
+    /** @type Map<string, CoalescedCommand> */
+    #coalescedCommands = new Map();
 
-    /**
-     * @param {string} input
-     * @returns {boolean}
-     */
-    testChecksum(input) {
-        let chk1 = input.substring(input.length - 2);
-        let chk2 = this.checksum(input.substring(0, input.length - 2));
-        return chk2 === chk1;
-    }
+    /** @type number */
+    #nextMessageId = 2;
 
     /**
-     * @param {string} command
-     * @returns {string}
+     * Whether the charger echoes back the message id, so that frames can carry their own.
+     * `null` until probed - frames carry `MESSAGE_ID` until then, and for good if it does not.
+     * @type boolean|null
      */
-    compileMessage(command) {
-        let password = this.password || '123456';
+    #echoesMessageId = null;
 
-        let encodedPwd = parseInt(password, 10).toString(16).padStart(8, '0');
-        let length = Math.trunc(
-            (FRAME_HEADER.length + MESSAGE_ID.length + encodedPwd.length + command.length) / 2) + 2;
-        let lengthHex = length.toString(16).padStart(2, '0');
-        let full = FRAME_HEADER + MESSAGE_ID + lengthHex + encodedPwd + command;
-        return full + this.checksum(full);
-    }
+    /** @type boolean */
+    #isProbingMessageId = false;
 
     /**
-     * @param {string} input
-     * @returns {ParsedMessage|undefined}
+     * Incremented by `disconnect()`, so that the retries of a command sent before it end there
+     * @type number
      */
-    parseResult(input) {
-        if (!input) return;
-        if (input.length < 13) return;
-        if (!input.startsWith(FRAME_HEADER)) return;
-        if (!this.testChecksum(input)) return;
-
-        return {
-            raw: input,
-            command: input.substring(10, 12),
-            data: input.substring(12),
-        };
-    }
+    #generation = 0;
 
     /**
-     * @param {string} input
-     * @returns {boolean}
+     * Fail the frames waiting for their responses
+     * @type Set<function(Error)>
      */
-    decodeBoolean(input) {
-        return input.substring(0, 2) === '01';
-    }
+    #pendingFrames = new Set();
 
-    /**
-     * @param {string} hexInput
-     * @returns {string}
-     */
-    decodeString(hexInput) {
-        return iconv.decode(Buffer.from(hexInput.replace(/ /g, ''), 'hex'), 'gbk')
-            // eslint-disable-next-line no-control-regex
-            .replace(/\x00*$/, '');
-    }
+    /** @type ChargerMonitor|null */
+    #monitor = null;
 
-    /**
-     * @param {string} input
-     * @returns {string}
-     */
-    encodeString(input) {
-        return Buffer.from(input, 'utf8').toString('hex').toUpperCase();
-    }
+    /** @type ChargerTransport|null */
+    #transport = null;
 
-    /**
-     * @returns {string}
-     */
-    getCurrentDate() {
-        let now = new Date();
+    /** @type TrafficRecorder|null */
+    #capture = null;
 
-        return (now.getFullYear() % 100).toString().padStart(2, '0') +
-            (now.getMonth() + 1).toString().padStart(2, '0') +
-            now.getDate().toString().padStart(2, '0') +
-            now.getHours().toString().padStart(2, '0') +
-            now.getMinutes().toString().padStart(2, '0') +
-            now.getSeconds().toString().padStart(2, '0');
-    }
-}
+    /** @type string|null */
+    #timeZone = null;
 
-class ChargerController extends EventEmitter {
-    /** @type CommandUtil */
-    #util;
+    /** @type string|null */
+    #code = null;
 
-    /** @type number */
-    #resultTimeout = 1000;
+    /** @type function(): Date */
+    #clock = () => new Date();
 
     /** @type Socket|null */
     #socket = null;
@@ -213,9 +218,15 @@ class ChargerController extends EventEmitter {
     /** @type number|null */
     #port = 3333;
 
+    /** @type number|null */
+    #localPort = null;
+
     /** @type ChargerModel|null */
     #model = null;
 
+    /** @type ChargerCapabilities|null */
+    #capabilities = null;
+
     /** @type ChargeFaultStatus|null */
     #lastFaultStatus = null;
 
@@ -225,10 +236,39 @@ class ChargerController extends EventEmitter {
     /** @type ChargerRealTimeData|null */
     #lastData = null;
 
-    constructor(password) {
+    /**
+     * @param {string} password digits only
+     * @param {Object?} options
+     * @param {ChargerTransport?} options.transport opens the socket for this controller, instead of binding its own.
+     *  Used by `ChargerFleet` to share one socket between many chargers.
+     * @param {string?} options.timeZone IANA timezone the charger's clock is in, i.e. 'Asia/Jerusalem'.
+     *  Defaults to this machine's.
+     * @param {function(): Date?} options.clock returns the current time, for the time-based commands.
+     *  Defaults to the system clock.
+     * @throws {TypeError|RangeError} for an invalid password
+     */
+    constructor(password, options) {
         super();
+        if (password !== undefined && password !== null && password !== '')
+            validateNumericString(password, 'password');
         this.#util = new CommandUtil();
         this.#util.password = password;
+        this.#transport = options?.transport ?? null;
+        if (options?.timeZone)
+            this.timeZone = options.timeZone;
+        if (options?.clock)
+            this.#clock = options.clock;
+    }
+
+    /**
+     * Broadcasts on the local network and collects every responding charger, including its model info when possible.
+     * Without `codes`, this takes `wildcard`, and is experimental - see `ChargerDiscovery`.
+     * For continuous discovery, use `ChargerDiscovery`.
+     * @param {DiscoveryOptions?} options
+     * @returns {Promise<DiscoveredCharger[]>}
+     */
+    static async discover(options) {
+        return new ChargerDiscovery(options).scan();
     }
 
     /**
@@ -270,6 +310,15 @@ class ChargerController extends EventEmitter {
         return this.#model;
     }
 
+    /**
+     * What the charger's firmware supports, according to its model. `null` until `sendGetChargerModel()`.
+     * Getters and setters that depend on it fetch the model by themselves.
+     * @returns {ChargerCapabilities|null}
+     */
+    get capabilities() {
+        return this.#capabilities;
+    }
+
     /**
      * Last controls state recorded from calling `sendGetControlsState()`
      * @returns {ChargerControlsState|null}
@@ -326,6 +375,17 @@ class ChargerController extends EventEmitter {
             });
         }
 
+        if (this.#transport) {
+            const socket = await this.#transport.open(this);
+
+            socket.sendAsync = promisify(socket.send);
+            socket.addListener('message', (/**Buffer*/msg, rinfo) => this.#handleMessage(msg, rinfo));
+
+            this.#isConnected = true;
+            this.#socket = /**@type Socket*/socket;
+            return;
+        }
+
         const socket = dgram.createSocket('udp4');
 
         socket.connectAsync = promisify(socket.connect);
@@ -333,38 +393,7 @@ class ChargerController extends EventEmitter {
 
         this.#connectingSocket = /**@type Socket*/socket;
 
-        socket.addListener('message', (/**Buffer*/msg) => {
-            let result = this.#util.parseResult(msg.toString('utf8'));
-            if (!result) {
-                /**
-                 * Malformed message event.
-                 *
-                 * @event malformed_message
-                 * @type {Buffer} message
-                 */
-                this.emit('malformed_message', msg);
-                return;
-            }
-
-            if (result.command === Command.Error) {
-                let error = this.#util.decodeString(result.data.substring(0, 2));
-                /**
-                 * Error received from charger. I don't know yet when this happens.
-                 *
-                 * @event charger_error
-                 * @type {string} code
-                 */
-                this.emit('charger_error', error);
-            }
-
-            /**
-             * Each message sent back from the charger.
-             *
-             * @event message
-             * @type {ParsedMessage} message
-             */
-            this.emit('message', result);
-        });
+        socket.addListener('message', (/**Buffer*/msg, rinfo) => this.#handleMessage(msg, rinfo));
 
         try {
             await new Promise((resolve, reject) => {
@@ -375,7 +404,7 @@ class ChargerController extends EventEmitter {
 
                     resolve();
                 });
-                socket.bind(this.#port);
+                socket.bind(this.#localPort ?? this.#port);
             });
 
             this.#isConnected = true;
@@ -389,7 +418,61 @@ class ChargerController extends EventEmitter {
         }
     }
 
+    /**
+     * @param {Buffer} msg
+     * @param {{address: string, port: number}?} rinfo
+     */
+    #handleMessage(msg, rinfo) {
+        this.#capture?.record('in', msg, rinfo ?? null);
+
+        const raw = msg.toString('utf8');
+        let result = this.#util.parseResult(raw);
+        if (!result) {
+            /**
+             * Malformed message event.
+             *
+             * @event malformed_message
+             * @type {Buffer} message
+             * @type {ChargerProtocolError} error
+             */
+            this.emit('malformed_message', msg,
+                new ChargerProtocolError({ reason: this.#util.getResultError(raw), raw }));
+            return;
+        }
+
+        if (result.command === Command.Error) {
+            /**
+             * Error received from charger, i.e. a wrong password.
+             * A command waiting for a response is rejected with the same error.
+             *
+             * @event charger_error
+             * @type {ChargerDeviceError} error
+             */
+            this.emit('charger_error', new ChargerDeviceError({ deviceCode: codec.decodeError(result).code }));
+        }
+
+        /**
+         * Each message sent back from the charger.
+         *
+         * @event message
+         * @type {ParsedMessage} message
+         */
+        this.emit('message', result);
+    }
+
+    /**
+     * Closes the socket. Commands that are queued or in flight fail with a `ChargerDisconnectedError`,
+     * instead of opening it again; commands sent afterwards do.
+     */
     disconnect() {
+        this.#generation++;
+
+        for (let entry of this.#queue.splice(0))
+            entry.reject(new ChargerDisconnectedError());
+
+        for (let abort of Array.from(this.#pendingFrames))
+            abort(new ChargerDisconnectedError());
+
         if (this.#socket) {
             this.#socket.close();
             this.#socket = null;
@@ -403,45 +486,323 @@ class ChargerController extends EventEmitter {
      * @param {string} command
      * @param {boolean|string?} waitForResult
      * @param {function(message: ParsedMessage): boolean?} resultTester
+     * @param {CommandOptions?} options
      * @returns {Promise<ParsedMessage|undefined>}
      */
-    async sendCommand(command, waitForResult, resultTester) {
-        const message = this.#util.compileMessage(command);
+    async sendCommand(command, waitForResult, resultTester, options) {
+        if (!options?.coalesce || !waitForResult)
+            return this.#sendCommandWithRetries(command, waitForResult, resultTester, options);
+
+        const key = command + ':' + (typeof waitForResult === 'string' ? waitForResult : '');
+        const priority = options?.priority ?? CommandPriority.Normal;
+
+        let coalesced = this.#coalescedCommands.get(key);
+        if (coalesced) {
+            // A more urgent caller takes the shared command ahead with it
+            if (priority > coalesced.priority) {
+                coalesced.priority = priority;
+                this.#reprioritize(coalesced, priority);
+            }
+
+            return coalesced.promise;
+        }
+
+        coalesced = { priority, promise: null };
+        this.#coalescedCommands.set(key, coalesced);
+        coalesced.promise = this.#sendCommandWithRetries(command, waitForResult, resultTester, options, coalesced)
+            .finally(() => this.#coalescedCommands.delete(key));
+
+        return coalesced.promise;
+    }
+
+    /**
+     * @param {string} command
+     * @param {boolean|string?} waitForResult
+     * @param {function(message: ParsedMessage): boolean?} resultTester
+     * @param {CommandOptions?} options
+     * @param {CoalescedCommand?} coalesced the shared command, whose priority its callers may raise
+     * @returns {Promise<ParsedMessage|undefined>}
+     */
+    async #sendCommandWithRetries(command, waitForResult, resultTester, options, coalesced = null) {
+        const policy = this.#resolveRetryPolicy(options?.retry);
+        const generation = this.#generation;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.#enqueue(
+                    () => this.#sendCommandOnce(command, waitForResult, resultTester),
+                    coalesced?.priority ?? options?.priority ?? CommandPriority.Normal,
+                    coalesced);
+            } catch (err) {
+                if (!(err instanceof ChargerTimeoutError) || !waitForResult)
+                    throw err;
+
+                err.attempts = attempt;
+
+                if (options?.verify) {
+                    let verified = false;
+                    try {
+                        verified = await options.verify();
+                    } catch (ignored) {
+                        // The verification read is lost too, so the outcome is still unknown
+                    }
+
+                    if (verified) return;
+                }
+
+                if (attempt >= policy.attempts)
+                    throw err;
+
+                let delay = Math.min(policy.backoff * Math.pow(policy.factor, attempt - 1), policy.maxBackoff);
+                delay = Math.max(0, Math.round(delay + delay * policy.jitter * (Math.random() * 2 - 1)));
+
+                /**
+                 * A command's response timed out, and it is about to be sent again.
+                 *
+                 * @event retry
+                 * @type {Object} event
+                 * @property {string} command
+                 * @property {number} attempt the attempt that has just failed
+                 * @property {number} delay milliseconds until the next attempt
+                 */
+                this.emit('retry', { command: command.substring(0, 2), attempt, delay });
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+
+                if (generation !== this.#generation)
+                    throw new ChargerDisconnectedError();
+            }
+        }
+    }
+
+    /**
+     * Serializes commands to the charger, so that only one is in flight at a time,
+     * and its response could not be mistaken for another's.
+     * @param {function(): Promise<*>} task
+     * @param {number} priority
+     * @param {CoalescedCommand?} coalesced
+     * @returns {Promise<*>}
+     */
+    #enqueue(task, priority, coalesced = null) {
+        return new Promise((resolve, reject) => {
+            this.#insertQueued({ task, priority, coalesced, resolve, reject });
+            this.#processQueue();
+        });
+    }
+
+    /**
+     * @param {QueuedCommand} entry
+     */
+    #insertQueued(entry) {
+        let index = this.#queue.findIndex(x => x.priority < entry.priority);
+        if (index === -1) {
+            this.#queue.push(entry);
+        } else {
+            this.#queue.splice(index, 0, entry);
+        }
+    }
+
+    /**
+     * Moves a shared command that is still queued to its raised priority
+     * @param {CoalescedCommand} coalesced
+     * @param {number} priority
+     */
+    #reprioritize(coalesced, priority) {
+        const index = this.#queue.findIndex(x => x.coalesced === coalesced);
+        if (index === -1) return;
+
+        const [entry] = this.#queue.splice(index, 1);
+        entry.priority = priority;
+        this.#insertQueued(entry);
+    }
+
+    async #processQueue() {
+        if (this.#isProcessingQueue) return;
+        this.#isProcessingQueue = true;
+
+        try {
+            while (this.#queue.length) {
+                const entry = this.#queue.shift();
+
+                try {
+                    entry.resolve(await entry.task());
+                } catch (err) {
+                    entry.reject(err);
+                }
+            }
+        } finally {
+            this.#isProcessingQueue = false;
+        }
+    }
+
+    /**
+     * @returns {string} never `MESSAGE_ID`, so that an echo tells them apart
+     */
+    #allocateMessageId() {
+        let id = this.#nextMessageId;
+        this.#nextMessageId = id >= 0xffff ? 2 : id + 1;
+        return id.toString(16).padStart(4, '0');
+    }
+
+    /**
+     * Sends a heartbeat with a message id of its own, to learn whether the charger echoes it back.
+     * It goes out alongside the first command instead of ahead of it, so that it costs no round trip;
+     * firmware that does not echo it, or does not answer it, keeps getting `MESSAGE_ID`.
+     */
+    #probeMessageId() {
+        this.#isProbingMessageId = true;
+
+        this.#sendFrame(codec.encodeHeartbeat(), true, null, this.#allocateMessageId())
+            .then(() => true, err => !(err instanceof ChargerDisconnectedError))
+            .then(concluded => {
+                // Set when a response has echoed it. One cut off by `disconnect()` goes out again with the next command.
+                if (concluded && this.#echoesMessageId === null)
+                    this.#echoesMessageId = false;
+
+                this.#isProbingMessageId = false;
+            });
+    }
+
+    /**
+     * @param {RetryPolicy|Partial<RetryPolicy>|number|boolean|undefined} retry
+     * @returns {RetryPolicy}
+     */
+    #resolveRetryPolicy(retry) {
+        if (retry === true)
+            return this.#retryPolicy;
+
+        if (typeof retry === 'number')
+            return Object.assign({}, this.#retryPolicy, { attempts: retry });
+
+        if (retry && typeof retry === 'object')
+            return Object.assign({}, this.#retryPolicy, retry);
+
+        return Object.assign({}, this.#retryPolicy, { attempts: 1 });
+    }
+
+    /**
+     *
+     * @param {string} command
+     * @param {boolean|string?} waitForResult
+     * @param {function(message: ParsedMessage): boolean?} resultTester
+     * @returns {Promise<ParsedMessage|undefined>}
+     */
+    async #sendCommandOnce(command, waitForResult, resultTester) {
+        // Probed once, on the charger's address - not on a broadcast, that any charger may answer
+        if (this.#echoesMessageId === null && !this.#isProbingMessageId &&
+            waitForResult && !this.#ipAddress.endsWith('.255')) {
+            await this.connect();
+            this.#probeMessageId();
+        }
+
+        return this.#sendFrame(command, waitForResult, resultTester,
+            this.#echoesMessageId ? this.#allocateMessageId() : MESSAGE_ID);
+    }
+
+    /**
+     *
+     * @param {string} command
+     * @param {boolean|string?} waitForResult
+     * @param {function(message: ParsedMessage): boolean?} resultTester
+     * @param {string} messageId
+     * @returns {Promise<ParsedMessage|undefined>}
+     */
+    async #sendFrame(command, waitForResult, resultTester, messageId) {
+        const message = this.#util.compileMessage(command, messageId);
         const buffer = Buffer.from(message, 'utf8');
 
         await this.connect();
 
         const socket = this.#socket;
 
+        this.#capture?.record('out', message, { address: this.#ipAddress, port: this.#port });
+
         if (waitForResult) {
             const resultCode = typeof waitForResult === 'string' ? waitForResult : command.substring(0, 2);
 
             return new Promise((resolve, reject) => {
+                let timer = null;
+                let startedAt = performance.now();
+
+                const complete = outcome => {
+                    /**
+                     * An attempt of a command has completed - once per attempt when retrying.
+                     *
+                     * @event command_timing
+                     * @type {Object} event
+                     * @property {string} command the command code
+                     * @property {number} duration milliseconds since the frame was sent
+                     * @property {string} outcome 'ok', 'timeout', 'device_error' or 'send_error'
+                     */
+                    this.emit('command_timing', {
+                        command: command.substring(0, 2),
+                        duration: performance.now() - startedAt,
+                        outcome,
+                    });
+                };
+
                 let onMessage = /**Buffer*/msg => {
                     let result = this.#util.parseResult(msg.toString('utf8'));
                     if (!result)
                         return;
 
-                    if (result.command !== resultCode ||
-                        (resultTester && !resultTester(result)))
+                    const isError = result.command === Command.Error;
+                    if (result.command !== resultCode && !isError)
+                        return;
+
+                    if (result.messageId === messageId && messageId !== MESSAGE_ID) {
+                        this.#echoesMessageId = true;
+                    } else if (this.#echoesMessageId && messageId !== MESSAGE_ID) {
+                        return; // a late response to a previous request
+                    }
+
+                    if (!isError && resultTester && !resultTester(result))
                         return;
 
                     socket.removeListener('message', onMessage);
+                    clearTimeout(timer);
+                    this.#pendingFrames.delete(abort);
+
+                    complete(isError ? 'device_error' : 'ok');
+
+                    if (isError) {
+                        return reject(new ChargerDeviceError({
+                            deviceCode: codec.decodeError(result).code,
+                            command: command.substring(0, 2),
+                        }));
+                    }
+
                     resolve(result);
                 };
 
+                // By `disconnect()`
+                const abort = err => {
+                    socket.off('message', onMessage);
+                    clearTimeout(timer);
+                    this.#pendingFrames.delete(abort);
+                    reject(err);
+                };
+
                 socket.on('message', onMessage);
+                this.#pendingFrames.add(abort);
 
                 if (this.#resultTimeout > 0) {
-                    setTimeout(() => {
+                    timer = setTimeout(() => {
                         socket.off('message', onMessage);
-                        reject(new Error('result timed out'));
+                        this.#pendingFrames.delete(abort);
+                        complete('timeout');
+                        reject(new ChargerTimeoutError({ command: command.substring(0, 2), host: this.host }));
                     }, this.#resultTimeout);
                 }
 
                 socket.send(buffer, this.#port, this.#ipAddress, err => {
-                    if (err)
+                    if (err) {
+                        socket.off('message', onMessage);
+                        clearTimeout(timer);
+                        this.#pendingFrames.delete(abort);
+                        complete('send_error');
                         return reject(err);
+                    }
                 });
             });
         } else {
@@ -449,8 +810,40 @@ class ChargerController extends EventEmitter {
         }
     }
 
+    /**
+     * @param {ParsedMessage} result a setter's response
+     * @param {function(frame: ParsedMessage): boolean} decode
+     * @returns {boolean} always `true`
+     * @throws {ChargerRejectedError} if the charger did not accept the command
+     */
+    #ensureAccepted(result, decode) {
+        if (!decode(result))
+            throw new ChargerRejectedError({ command: result.command });
+        return true;
+    }
+
+    /**
+     * @returns {Promise<ChargerCapabilities>}
+     */
+    async #resolveCapabilities() {
+        if (!this.#capabilities)
+            await this.sendGetChargerModel();
+        return this.#capabilities;
+    }
+
+    /**
+     * Fails fast for commands that the firmware does not support, which it would not respond to.
+     * @param {string} command
+     * @returns {Promise<void>}
+     * @throws {ChargerUnsupportedError}
+     */
+    async #ensureSupported(command) {
+        if (!supportsCommand(await this.#resolveCapabilities(), command))
+            throw new ChargerUnsupportedError({ command, firmwareVersion: this.#model.firmwareVersion });
+    }
+
     async sendHeartbeat() {
-        await this.sendCommand(Command.Heartbeat, true);
+        await this.sendCommand(codec.encodeHeartbeat(), true);
 
         /**
          * A heartbeat response sent back from the charger.
@@ -461,43 +854,105 @@ class ChargerController extends EventEmitter {
     }
 
     /**
-     * @param {string} password
+     * Changes the charger's password, as a transaction: the new password is only taken once the charger
+     * has responded to a frame signed with it. When the response to the change is lost, both passwords are
+     * tried, to tell whether it has happened. Other commands wait meanwhile.
+     * @param {string} password digits only, up to 4294967295
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for an invalid password, before sending anything
+     * @throws {ChargerRejectedError} if the charger did not change its password
+     * @throws {ChargerTimeoutError} if the change was lost, and the charger still takes the previous password
+     * @throws {ChargerPasswordError} if the charger responds to neither password
      */
     async sendSetPassword(password) {
-        let result = await this.sendCommand(
-            Command.PasswordChange + parseInt(password, 10).toString(16).padStart(8, '0'),
-            true);
-        this.#util.password = password;
+        const command = codec.encodePasswordChange({ password });
+        password = password.toString();
+
+        await this.#enqueue(async () => {
+            const previous = this.#util.password;
+
+            let timeout = null;
+            try {
+                let result = await this.#sendCommandOnce(command, true);
+                this.#ensureAccepted(result, codec.decodePasswordChange);
+            } catch (err) {
+                if (!(err instanceof ChargerTimeoutError))
+                    throw err;
+                timeout = err;
+            }
+
+            if (await this.#probePassword(password)) {
+                this.#util.password = password;
+                return;
+            }
+
+            if (await this.#probePassword(previous))
+                throw timeout ?? new ChargerRejectedError({ command: Command.PasswordChange });
+
+            throw new ChargerPasswordError({
+                reason: 'the charger responds to neither the new password nor the previous one',
+                cause: timeout,
+            });
+        }, CommandPriority.High);
 
         /**
-         * The charger password was successfully changed.
+         * The charger password was successfully changed, and the charger has responded to the new one.
          *
          * @event password
          * @type {string} password
          */
         this.emit('password', password);
 
-        return this.#util.decodeBoolean(result.data);
+        return true;
+    }
+
+    /**
+     * Tells whether the charger takes a password, by whether it answers a heartbeat signed with it.
+     * An error frame, or no response after all attempts, is not taken as confirmation - the firmware's error codes
+     * are not documented, so there is no telling a wrong password from any other error.
+     * Only to be called from a queued task, so that no other frame is signed with it.
+     * @param {string} password
+     * @returns {Promise<boolean>}
+     */
+    async #probePassword(password) {
+        const current = this.#util.password;
+        this.#util.password = password;
+
+        try {
+            for (let attempt = 1; attempt <= this.#retryPolicy.attempts; attempt++) {
+                try {
+                    await this.#sendCommandOnce(codec.encodeHeartbeat(), true);
+                    return true;
+                } catch (err) {
+                    if (err instanceof ChargerDeviceError)
+                        return false;
+                    if (!(err instanceof ChargerTimeoutError))
+                        throw err;
+                }
+            }
+            return false;
+        } finally {
+            this.#util.password = current;
+        }
     }
 
     /**
      * Broadcast a request to resolve the charger's IP address and port, based on it's identification code.
      * @param {string} code the charger's code, visible on a sticker on the charger, or in the z-box app.
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<{port: number, ip: string}>}
+     * @throws {TypeError|RangeError} for an invalid code, before sending anything
      */
-    async sendGetIpAddress(code) {
+    async sendGetIpAddress(code, options) {
         let result = await this.sendCommand(
-            Command.GetIpAddress + parseInt(code, 10).toString(16).padStart(8, '0'),
+            codec.encodeGetIpAddress({ code }),
             true,
-            result => parseInt(result.data.substring(0, 8), 16) === parseInt(code, 10));
+            result => parseInt(result.data.substring(0, 8), 16) === parseInt(code, 10),
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
 
-        let ipAddress = parseInt(result.data.substring(8, 10), 16) + '.' +
-            parseInt(result.data.substring(10, 12), 16) + '.' +
-            parseInt(result.data.substring(12, 14), 16) + '.' +
-            parseInt(result.data.substring(14, 16), 16);
-        let port = parseInt(result.data.substring(16, 20), 16);
+        let { ip: ipAddress, port } = codec.decodeGetIpAddress(result);
 
+        this.#code = String(code);
         this.setHost(ipAddress, port);
 
         /**
@@ -514,21 +969,18 @@ class ChargerController extends EventEmitter {
     }
 
     /**
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<ChargerModel>}
      */
-    async sendGetChargerModel() {
-        let result = await this.sendCommand(Command.GetChargerModel, true);
+    async sendGetChargerModel(options) {
+        let result = await this.sendCommand(codec.encodeGetChargerModel(), true, null,
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
 
         /** @type ChargerModel */
-        let model = {
-            mode: /**@type ChargerMode*/parseInt(result.data.substring(0, 4), 16),
-            version: this.#util.decodeString(result.data.substring(4, 44)),
-            firmwareVersion: parseInt(result.data.substring(44, 46), 16).toString() + '.' +
-                parseInt(result.data.substring(46, 48), 16).toString().padStart(2, '0'),
-            hardwareVersion: parseInt(result.data.substring(48, 50), 16).toString(),
-        };
+        let model = codec.decodeGetChargerModel(result);
 
         this.#model = model;
+        this.#capabilities = getChargerCapabilities(model);
 
         /**
          * Charger model info has been retrieved.
@@ -542,77 +994,75 @@ class ChargerController extends EventEmitter {
     }
 
     /**
-     *
-     * @param {string} ssid
-     * @param {string} password
+     * Sets the network for the charger to join. See `provisionWifi()` for the whole flow.
+     * @param {string} ssid up to 32 bytes, as encoded
+     * @param {string} password 8-63 bytes, as encoded, or '' for an open network
+     * @param {Object?} options
+     * @param {string?} options.encoding 'gbk' (the firmware's, default) or 'utf8', for networks that name themselves in UTF-8
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for invalid credentials, before sending anything
      */
-    async sendSetWifiAccessPoint(ssid, password) {
-        let result = await this.sendCommand(Command.SetWifiAccessPoint +
-            ssid.length.toString(16).padStart(2, '0') +
-            password.length.toString(16).padStart(2, '0') +
-            this.#util.encodeString(ssid) +
-            this.#util.encodeString(password),
+    async sendSetWifiAccessPoint(ssid, password, options) {
+        let result = await this.sendCommand(
+            codec.encodeSetWifiAccessPoint({ ssid, password, encoding: options?.encoding }),
             true);
-        return this.#util.decodeBoolean(result.data);
+        return this.#ensureAccepted(result, codec.decodeSetWifiAccessPoint);
     }
 
     /**
-     *
-     * @param {boolean} charging
-     * @returns {Promise<boolean>}
+     * Moves the charger from its hotspot onto a network, and finds it there. Connect this machine to the hotspot first.
+     * Sends the credentials, waits for the charger to leave its hotspot, calls `joinNetwork()`,
+     * resolves the charger by its code on the network, and checks it responds there.
+     * @param {ProvisioningOptions} options
+     * @returns {Promise<ProvisioningResult>}
+     * @throws {ChargerProvisioningError} with the step that has failed, and why
      */
-    async sendSetChargeState(charging) {
-        let result = await this.sendCommand(Command.SetChargeState +
-            (charging ? '01' : '00'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+    async provisionWifi(options) {
+        return provisionWifi(this, options);
     }
 
     /**
      *
-     * @param {string} fromTime 'HH:mm' / 'HH:mm:ss'
-     * @param {string} toTime 'HH:mm' / 'HH:mm:ss'
+     * @param {boolean} charging
+     * @param {CommandOptions?} options not retried unless `retry` is specified.
+     *  When retrying, a lost response is followed by a `sendGetRealTimeData()` to check whether the state has changed anyway.
      * @returns {Promise<boolean>}
      */
-    async sendSetTimedChargeState(fromTime, toTime) {
-        let now = new Date();
-        let nowInSeconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
-
-        let fromInSeconds = (parseInt(fromTime.substring(0, 2), 10) || 0) * 3600 +
-            (parseInt(fromTime.substring(3, 5), 10) || 0) * 60 +
-            (parseInt(fromTime.substring(6, 8), 10) || 0) * 60 - nowInSeconds;
-        let toInSeconds = (parseInt(toTime.substring(0, 2), 10) || 0) * 3600 +
-            (parseInt(toTime.substring(3, 5), 10) || 0) * 60 +
-            (parseInt(toTime.substring(6, 8), 10) || 0) * 60 - nowInSeconds;
-
-        if (fromInSeconds < 0)
-            fromInSeconds += 86400;
-        while (toInSeconds < 0 || toInSeconds < fromInSeconds)
-            toInSeconds += 86400;
-
-        let timingString = fromInSeconds.toString(16).padStart(8, '0');
-        timingString += toInSeconds.toString(16).padStart(8, '0');
-
-        const nowHours = now.getHours();
-        const nowMinutes = now.getMinutes();
-        const nowSeconds = now.getSeconds();
-
-        timingString += (parseInt(fromTime.substring(0, 2), 10) || 0).toString(16).padStart(2, '0') +
-            (parseInt(fromTime.substring(3, 5), 10) || 0).toString(16).padStart(2, '0') +
-            (parseInt(fromTime.substring(6, 8), 10) || 0).toString(16).padStart(2, '0');
+    async sendSetChargeState(charging, options) {
+        const retry = options?.retry ?? false;
+
+        let result = await this.sendCommand(codec.encodeSetChargeState({ charging }),
+            true, null, {
+                retry: retry,
+                // Stopping is a safety measure, so it jumps ahead of any polling
+                priority: options?.priority ?? (charging ? CommandPriority.Normal : CommandPriority.High),
+                verify: options?.verify ?? (retry ? async () => {
+                    await this.sendGetRealTimeData({ retry: false, priority: CommandPriority.High });
+                    return this.canStopCharging === !!charging;
+                } : undefined),
+            });
 
-        timingString += (parseInt(toTime.substring(0, 2), 10) || 0).toString(16).padStart(2, '0') +
-            (parseInt(toTime.substring(3, 5), 10) || 0).toString(16).padStart(2, '0') +
-            (parseInt(toTime.substring(6, 8), 10) || 0).toString(16).padStart(2, '0');
+        if (!result) // the response was lost, but the follow-up read shows the state has changed
+            return true;
 
-        timingString += nowHours.toString(16).padStart(2, '0') +
-            nowMinutes.toString(16).padStart(2, '0') +
-            nowSeconds.toString(16).padStart(2, '0');
+        return this.#ensureAccepted(result, codec.decodeSetChargeState);
+    }
 
-        let result = await this.sendCommand(Command.SetTimedChargeState + timingString,
-            true);
-        return this.#util.decodeBoolean(result.data);
+    /**
+     * Times are read on the charger's clock, see `timeZone`.
+     * @param {string|TimeOfDay|Date} fromTime 'HH:mm' / 'HH:mm:ss', `{ hour, minute, second? }` or a `Date`
+     * @param {string|TimeOfDay|Date} toTime same as `fromTime`
+     * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for invalid times, before sending anything
+     */
+    async sendSetTimedChargeState(fromTime, toTime) {
+        let result = await this.sendCommand(codec.encodeSetTimedChargeState({
+            from: fromTime,
+            to: toTime,
+            now: this.#clock(),
+            timeZone: this.#timeZone,
+        }), true);
+        return this.#ensureAccepted(result, codec.decodeSetTimedChargeState);
     }
 
     /**
@@ -622,28 +1072,24 @@ class ChargerController extends EventEmitter {
      * @returns {Promise<boolean>}
      */
     async sendSetRFIDAndApp(rfidEnabled, appEnabled) {
-        let result = await this.sendCommand(Command.SetRFIDAndApp +
-            (rfidEnabled ? '01' : '00') + (appEnabled ? '01' : '00'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        let result = await this.sendCommand(codec.encodeSetRFIDAndApp({ rfidEnabled, appEnabled }), true);
+        return this.#ensureAccepted(result, codec.decodeSetRFIDAndApp);
     }
 
     /**
      *
      * @param {boolean} enabled
      * @param {boolean} extremeMode
-     * @param {number} maxCurrent
+     * @param {number} maxCurrent amps the household may draw, 0-255
      * @param {boolean} nightMode
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for invalid arguments, before sending anything
      */
     async sendSetDLB(enabled, extremeMode, maxCurrent, nightMode) {
-        let result = await this.sendCommand(Command.SetDLB +
-            (enabled ? '01' : '00') +
-            (extremeMode ? '01' : '00') +
-            Math.min(Math.trunc(maxCurrent), 0xff).toString(16).padStart(2, '0') +
-            (nightMode ? '01' : '00'),
+        let result = await this.sendCommand(
+            codec.encodeSetDLB({ enabled, extremeMode, maxCurrent, nightMode }),
             true);
-        return this.#util.decodeBoolean(result.data);
+        return this.#ensureAccepted(result, codec.decodeSetDLB);
     }
 
     /**
@@ -652,53 +1098,33 @@ class ChargerController extends EventEmitter {
      * @returns {Promise<boolean>}
      */
     async sendSetGroundingDetection(enabled) {
-        let result = await this.sendCommand(Command.SetGroundingDetection +
-            (enabled ? '01' : '00'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        let result = await this.sendCommand(codec.encodeSetGroundingDetection({ enabled }), true);
+        return this.#ensureAccepted(result, codec.decodeSetGroundingDetection);
     }
 
     /**
-     *
-     * @param {number} maxCurrent
+     * Validated against `CURRENT_LIMITS`, the range of every known model.
+     * @param {number} maxCurrent amps
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for an invalid current, before sending anything
      */
     async sendSetMaxCurrent(maxCurrent) {
-        let result = await this.sendCommand(Command.SetMaxCurrent +
-            Math.min(Math.trunc(maxCurrent), 0xff).toString(16).padStart(4, '0'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        let result = await this.sendCommand(codec.encodeSetMaxCurrent({ maxCurrent }), true);
+        return this.#ensureAccepted(result, codec.decodeSetMaxCurrent);
     }
 
     /**
      *
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<ChargeFaultStatus>}
      */
-    async sendGetFaultStatus() {
-        let result = (await this.sendCommand(Command.GetFaultStatus, true))?.data;
-
-        const isV108 = result.length >= 26;
-
-        /** @type ChargeFaultStatus */
-        let status = {
-            overVoltage: parseInt(result.substring(0, 2), 16) !== 0,
-            underVoltage: parseInt(result.substring(2, 4), 16) !== 0,
-            overload: parseInt(result.substring(4, 6), 16) !== 0,
-            highTemperature: parseInt(result.substring(6, 8), 16) !== 0,
-            groundDetection: parseInt(result.substring(8, 10), 16) !== 0,
-            leakage: parseInt(result.substring(10, 12), 16) !== 0,
-            cpSignalAbnormal: parseInt(result.substring(12, 14), 16) !== 0,
-            emergencyStopButton: parseInt(result.substring(14, 16), 16) !== 0,
-            ccSignalAbnormal: parseInt(result.substring(16, 18), 16) !== 0,
-            dlbWiring: parseInt(result.substring(18, 20), 16) !== 0,
-            dlbOffline: parseInt(result.substring(20, 22), 16) !== 0,
-            motorLock: parseInt(result.substring(22, 24), 16) !== 0,
-        };
-
-        if (isV108) {
-            status.sticking = parseInt(result.substring(24, 26), 16) !== 0;
-            status.contactor = parseInt(result.substring(26, 28), 16) !== 0;
-        }
+    async sendGetFaultStatus(options) {
+        const capabilities = await this.#resolveCapabilities();
+
+        let result = await this.sendCommand(codec.encodeGetFaultStatus(), true, null,
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
+
+        let status = codec.decodeGetFaultStatus(result, { capabilities });
 
         this.#lastFaultStatus = status;
 
@@ -715,84 +1141,16 @@ class ChargerController extends EventEmitter {
 
     /**
      *
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<ChargerRealTimeData>}
      */
-    async sendGetRealTimeData() {
-        let result = (await this.sendCommand(Command.GetRealTimeData, true))?.data;
-
-        let ptr = 0;
-
-        let resultLengthByte = result.length;
+    async sendGetRealTimeData(options) {
+        const capabilities = await this.#resolveCapabilities();
 
-        /** @type ChargerRealTimeData */
-        let data = {};
+        let result = await this.sendCommand(codec.encodeGetRealTimeData(), true, null,
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
 
-        let isV106 = false;
-        let isV108 = false;
-        let isV110 = false;
-
-        if (this.#model.mode === ChargerMode.OnePhase) {
-            data.electricCurrent = parseInt(result.substring(ptr, ptr + 4), 16);
-            data.voltage = parseInt(result.substring(ptr + 4, ptr + 8), 16);
-            ptr += 8;
-
-            isV106 = resultLengthByte >= 36;
-            isV108 = resultLengthByte >= 42;
-            isV110 = resultLengthByte >= 44;
-        } else if (this.#model.mode === ChargerMode.ThreePhase) {
-            data.electricCurrentA = parseInt(result.substring(ptr, ptr + 2), 16);
-            data.electricCurrentB = parseInt(result.substring(ptr + 2, ptr + 4), 16);
-            data.electricCurrentC = parseInt(result.substring(ptr + 4, ptr + 6), 16);
-            ptr += 6;
-
-            data.voltageA = parseInt(result.substring(ptr, ptr + 4), 16);
-            data.voltageB = parseInt(result.substring(ptr + 4, ptr + 8), 16);
-            data.voltageC = parseInt(result.substring(ptr + 8, ptr + 12), 16);
-            ptr += 12;
-
-            isV106 = resultLengthByte >= 46;
-            isV108 = resultLengthByte >= 52;
-            isV110 = resultLengthByte >= 54;
-        }
-
-        data.power = parseInt(result.substring(ptr, ptr + 4), 16) / 10;
-        data.totalPower = parseInt(result.substring(ptr + 4, ptr + 8), 16) / 10;
-        data.temperature = parseInt(result.substring(ptr + 8, ptr + 10), 16) - 100;
-        data.state = /**@type ChargerState*/parseInt(result.substring(ptr + 10, ptr + 12), 16);
-        if (data.state === 4) // 4 and 1 are the same
-            data.state = ChargerState.Unplugged;
-        else if (data.state === 3) // 3 and 2 are the same
-            data.state = ChargerState.Standby;
-        ptr += 12;
-
-        data.timedChargeEnabled = result.substring(ptr, ptr + 2) !== '00';
-        ptr += 2;
-
-        data.startChargeTime = parseInt(result.substring(ptr, ptr + 2), 16).toString().padStart(2, '0') + ':' +
-            parseInt(result.substring(ptr + 2, ptr + 4), 16).toString().padStart(2, '0') + ':' +
-            parseInt(result.substring(ptr + 4, ptr + 6), 16).toString().padStart(2, '0');
-        ptr += 6;
-
-        data.endChargeTime = parseInt(result.substring(ptr, ptr + 2), 16).toString().padStart(2, '0') + ':' +
-            parseInt(result.substring(ptr + 2, ptr + 4), 16).toString().padStart(2, '0') + ':' +
-            parseInt(result.substring(ptr + 4, ptr + 6), 16).toString().padStart(2, '0');
-        ptr += 6;
-
-        if (isV106) {
-            data.maxCurrent = parseInt(result.substring(46, 48), 16);
-            data.maxPower = parseInt(result.substring(48, 50), 16);
-            data.isReservation = parseInt(result.substring(50, 52), 16) === 1;
-            ptr += 6;
-        }
-
-        if (isV108) {
-            data.isMaximum = parseInt(result.substring(ptr, ptr + 2), 16) === 1;
-            ptr += 2;
-        }
-
-        if (isV110) {
-            data.isExtremeMode = parseInt(result.substring(ptr, ptr + 2), 16) === 1;
-        }
+        let data = codec.decodeGetRealTimeData(result, { capabilities });
 
         this.#lastData = data;
 
@@ -809,47 +1167,16 @@ class ChargerController extends EventEmitter {
 
     /**
      *
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<ChargerControlsState>}
      */
-    async sendGetControlsState() {
-        let result = (await this.sendCommand(Command.GetControlsState, true))?.data;
-
-        /** @type ChargerControlsState */
-        let control = {
-            rfid: parseInt(result.substring(0, 2), 16) === 1,
-            appControlCharging: parseInt(result.substring(2, 4), 16) === 1,
-            dlb: parseInt(result.substring(4, 6), 16) !== 0, // possible values: 00 disabled, 01 enabled, 02 ?
-            groundingDetection: parseInt(result.substring(6, 8), 16) === 1,
-            temperatureThreshold: parseInt(result.substring(8, 10), 16),
-            maxCurrent: parseInt(result.substring(10, 14), 16),
-            dlbPattern: parseInt(result.substring(14, 16), 16),
-            dlbMaxCurrent: parseInt(result.substring(16, 18), 16),
-        };
-
-        const isV106 = result.length >= 20;
-        let i = 18;
-        if (isV106) {
-            control.reservation = parseInt(result.substring(18, 20), 16).toString(2).padStart(7, '0');
-            control.reservationStart = (parseInt(result.substring(20, 22), 16) || 0).toString().padStart(2, '0') +
-                (parseInt(result.substring(22, 24), 16) || 0).toString().padStart(2, '0');
-            control.reservationEnd = (parseInt(result.substring(24, 26), 16) || 0).toString().padStart(2, '0') +
-                (parseInt(result.substring(26, 28), 16) || 0).toString().padStart(2, '0');
-            i = 28;
-        }
+    async sendGetControlsState(options) {
+        const capabilities = await this.#resolveCapabilities();
 
-        const isV108 = result.length >= 30;
-        if (isV108) {
-            control.maxMonthlyPower = parseInt(result.substring(i, i + 4), 16);
-            i += 4;
-            control.emergencyStopProtection = (parseInt(result.substring(i, i + 2), 16) || 0) === 1;
-            i += 2;
-        }
+        let result = await this.sendCommand(codec.encodeGetControlsState(), true, null,
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
 
-        const isV110 = result.length >= 36;
-        if (isV110) {
-            control.extremeMode = parseInt(result.substring(i, i + 2), 16) === 1;
-            control.nightMode = parseInt(result.substring(i + 2, i + 4), 16) === 1;
-        }
+        let control = codec.decodeGetControlsState(result, { capabilities });
 
         this.#lastControlsState = control;
 
@@ -870,10 +1197,8 @@ class ChargerController extends EventEmitter {
      * @returns {Promise<boolean>}
      */
     async sendSetBluetoothConnectionMode(enabled) {
-        let result = await this.sendCommand(Command.SetBluetoothConnectionMode +
-            (enabled ? '01' : '00'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        let result = await this.sendCommand(codec.encodeSetBluetoothConnectionMode({ enabled }), true);
+        return this.#ensureAccepted(result, codec.decodeSetBluetoothConnectionMode);
     }
 
     /**
@@ -882,145 +1207,154 @@ class ChargerController extends EventEmitter {
      * @returns {Promise<boolean>}
      */
     async sendSwitchIapMode(enabled) {
-        let result = await this.sendCommand(Command.SwitchIapMode +
-            (enabled ? '01' : '00'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        let result = await this.sendCommand(codec.encodeSwitchIapMode({ enabled }), true);
+        return this.#ensureAccepted(result, codec.decodeSwitchIapMode);
     }
 
     /**
      * Set the maximum power to charge the car with. When it reaches this number, the charger will stop.
-     * @param {number} maxPower
+     * @param {number} maxPower kWh, 0-255
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for an invalid value, before sending anything
      */
     async sendSetMaxPower(maxPower) {
-        let result = await this.sendCommand(Command.SetMaxPower +
-            Math.min(Math.trunc(maxPower), 0xff).toString(16).padStart(2, '0'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        const command = codec.encodeSetMaxPower({ maxPower });
+        await this.#ensureSupported(Command.SetMaxPower);
+        let result = await this.sendCommand(command, true);
+        return this.#ensureAccepted(result, codec.decodeSetMaxPower);
     }
 
     /**
-     *
-     * @param {string} fromTime HH:mm
-     * @param {string} toTime HH:mm
-     * @param {string?} daysOfWeek sunday-saturday "1010101"
+     * Times are read on the charger's clock, see `timeZone`.
+     * @param {string|TimeOfDay|Date} fromTime 'HH:mm', `{ hour, minute }` or a `Date`
+     * @param {string|TimeOfDay|Date} toTime same as `fromTime`
+     * @param {string|null?} daysOfWeek sunday-saturday "1010101"
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for invalid times or days, before sending anything
      */
     async sendSetReservation(fromTime, toTime, daysOfWeek) {
-        let rsr = this.#util.getCurrentDate();
+        // Validated before the model is fetched. The time is taken again just before sending.
+        codec.encodeSetReservation({ from: fromTime, to: toTime, daysOfWeek, timeZone: this.#timeZone });
+        await this.#ensureSupported(Command.SetReservation);
+        let result = await this.sendCommand(codec.encodeSetReservation({
+            from: fromTime,
+            to: toTime,
+            daysOfWeek,
+            now: this.#clock(),
+            timeZone: this.#timeZone,
+        }), true);
+        return this.#ensureAccepted(result, codec.decodeSetReservation);
+    }
 
-        if (!daysOfWeek) {
-            rsr += '00';
-        } else {
-            let week = '';
-            for (let i = 0; i < 7; i++) {
-                week += daysOfWeek[i] === '1' ? '1' : '0';
-            }
+    /**
+     * Reads the reservation back from the controls state, in the same form `setReservation()` takes.
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
+     * @returns {Promise<Reservation|null>} `null` when there is none
+     */
+    async getReservation(options) {
+        await this.#ensureSupported(Command.SetReservation);
+        return reservationFromControls(await this.sendGetControlsState(options));
+    }
 
-            rsr += parseInt(week, 2).toString(16).padStart(2, '0');
-        }
+    /**
+     * Sets the weekly reservation, or clears it.
+     * @param {Reservation|null} reservation i.e. `{ days: ['mon', 'tue'], from: '22:00', to: '06:00' }`,
+     *  overnight when `to` is not after `from`. `null` clears it.
+     * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for an invalid reservation, before sending anything
+     */
+    async setReservation(reservation) {
+        if (reservation === null)
+            return this.sendSetReservation(null, null, null);
 
-        rsr += fromTime
-            ? (parseInt(fromTime.substring(0, 2), 10) || 0).toString(16).padStart(2, '0') +
-            (parseInt(fromTime.substring(3, 5), 10) || 0).toString(16).padStart(2, '0')
-            : '0000';
-        rsr += toTime
-            ? (parseInt(toTime.substring(0, 2), 10) || 0).toString(16).padStart(2, '0') +
-            (parseInt(toTime.substring(3, 5), 10) || 0).toString(16).padStart(2, '0')
-            : '0000';
+        const { days, from, to } = normalizeReservation(reservation);
+        return this.sendSetReservation(from, to, daysToBits(days));
+    }
 
-        let result = await this.sendCommand(Command.SetReservation + rsr, true);
-        return this.#util.decodeBoolean(result.data);
+    /**
+     * The reservation window in progress, or the next one, as dates - read on the charger's clock, see `timeZone`.
+     * @param {CommandOptions?} options
+     * @returns {Promise<ReservationWindow|null>} `null` when there is no reservation
+     */
+    async getNextReservationWindow(options) {
+        return nextReservationWindow(await this.getReservation(options), { now: this.#clock(), timeZone: this.#timeZone });
     }
 
     /**
-     *
+     * Sets the charger's clock to the current time, in its `timeZone`.
      * @returns {Promise<boolean>}
      */
     async sendSyncTime() {
-        let result = await this.sendCommand(Command.SetTime + this.#util.getCurrentDate(), true);
-        return this.#util.decodeBoolean(result.data);
+        let result = await this.sendCommand(codec.encodeSetTime({ now: this.#clock(), timeZone: this.#timeZone }), true);
+        return this.#ensureAccepted(result, codec.decodeSetTime);
     }
 
     /**
      *
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<PowerConsumptionRecords>}
      */
-    async sendGetPowerConsumptionRecords() /**PowerConsumptionRecords*/ {
-        let result = (await this.sendCommand(Command.GetPowerConsumptionRecords, true))?.data;
+    async sendGetPowerConsumptionRecords(options) /**PowerConsumptionRecords*/ {
+        const capabilities = await this.#resolveCapabilities();
 
-        let days = [];
-        let months = [];
-        let years = [];
+        let result = await this.sendCommand(codec.encodeGetPowerConsumptionRecords(), true, null,
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
 
-        let ptr = 0;
-        for (let i = 0; i < 20; i++) {
-            days.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0) / 10);
-            ptr += 4;
-        }
-
-        for (let i = 0; i < 12; i++) {
-            months.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0) / 10);
-            ptr += 4;
-        }
-
-        const isV111 = result.length >= 130;
-        if (isV111) {
-            for (let i = 0; i < 10; i++) {
-                years.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0));
-                ptr += 4;
-            }
-        }
-
-        /** @type PowerConsumptionRecords */
-        return {
-            days: days,
-            months: months,
-            years: years,
-        };
+        return codec.decodeGetPowerConsumptionRecords(result, { capabilities });
     }
 
     /**
      *
-     * @param {number} year
-     * @param {number} month
+     * @param {number} year 2000-2255
+     * @param {number} month 1-12
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
      * @returns {Promise<PowerConsumptionRecordsOfMonth>}
+     * @throws {TypeError|RangeError} for an invalid month, before sending anything
      */
-    async sendGetPowerConsumptionRecordsOfMonth(year, month) /**PowerConsumptionRecordsOfMonth*/ {
-        let date = (year < 2000 ? 0 : year - 2000).toString(16).padStart(2, '0') +
-            (month - 1).toString(16).padStart(2, '0');
-
-        let result = (await this.sendCommand(Command.GetPowerConsumptionRecordsOfMonth + date, true))?.data;
-
-        const monthLastDay = new Date(year, month, 0).getDate();
+    async sendGetPowerConsumptionRecordsOfMonth(year, month, options) /**PowerConsumptionRecordsOfMonth*/ {
+        let result = await this.sendCommand(codec.encodeGetPowerConsumptionRecordsOfMonth({ year, month }),
+            true, null,
+            { retry: options?.retry ?? true, priority: options?.priority, coalesce: true });
 
-        const isEffective = result.substring(0, 2) === '01';
-        let days = [];
+        return codec.decodeGetPowerConsumptionRecordsOfMonth(result, { year, month });
+    }
 
-        let ptr = 2;
-        for (let i = 0; i < monthLastDay; i++) {
-            days.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0) / 10);
-            ptr += 4;
-        }
+    /**
+     * `sendGetPowerConsumptionRecords()`, with each entry dated on the charger's clock - see `sendSyncTime()` and `timeZone`.
+     * @param {CommandOptions?} options
+     * @returns {Promise<DatedConsumptionRecords>}
+     */
+    async getDatedConsumptionRecords(options) {
+        return datePowerConsumptionRecords(await this.sendGetPowerConsumptionRecords(options),
+            { now: this.#clock(), timeZone: this.#timeZone });
+    }
 
-        /** @type PowerConsumptionRecordsOfMonth */
-        return {
-            isEffective: isEffective,
-            days: days,
-        };
+    /**
+     * Daily consumption over a range of dates, stitched from one `sendGetPowerConsumptionRecordsOfMonth()` per month,
+     * i.e. `getConsumption({ from: '2025-01', to: '2026-09' })`. Export it with `formatConsumption()`.
+     * @param {ConsumptionQuery} query
+     * @param {CommandOptions?} options for each month query
+     * @returns {Promise<ConsumptionRow[]>}
+     * @throws {TypeError|RangeError} for an invalid query, before sending anything
+     */
+    async getConsumption(query, options) {
+        return collectConsumption(
+            (year, month) => this.sendGetPowerConsumptionRecordsOfMonth(year, month, options),
+            query,
+            { now: this.#clock(), timeZone: this.#timeZone });
     }
 
     /**
      *
-     * @param {number} maxCurrent
+     * @param {number} maxMonthlyPower kWh, 0-65535
      * @returns {Promise<boolean>}
+     * @throws {TypeError|RangeError} for an invalid value, before sending anything
      */
-    async sendSetMaxMonthlyPower(maxCurrent) {
-        let result = await this.sendCommand(Command.SetMaxMonthlyPower +
-            Math.min(Math.trunc(maxCurrent), 0xffff).toString(16).padStart(4, '0'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+    async sendSetMaxMonthlyPower(maxMonthlyPower) {
+        const command = codec.encodeSetMaxMonthlyPower({ maxMonthlyPower });
+        await this.#ensureSupported(Command.SetMaxMonthlyPower);
+        let result = await this.sendCommand(command, true);
+        return this.#ensureAccepted(result, codec.decodeSetMaxMonthlyPower);
     }
 
     /**
@@ -1029,10 +1363,61 @@ class ChargerController extends EventEmitter {
      * @returns {Promise<boolean>}
      */
     async sendSetEmergencyStopProtection(enabled) {
-        let result = await this.sendCommand(Command.SetEmergencyStopProtection +
-            (enabled ? '01' : '00'),
-            true);
-        return this.#util.decodeBoolean(result.data);
+        const command = codec.encodeSetEmergencyStopProtection({ enabled });
+        await this.#ensureSupported(Command.SetEmergencyStopProtection);
+        let result = await this.sendCommand(command, true);
+        return this.#ensureAccepted(result, codec.decodeSetEmergencyStopProtection);
+    }
+
+    /**
+     * The charger's settings, read from its controls state - in the form `applyConfig()` takes.
+     * @param {CommandOptions?} options retried with the controller's `retryPolicy` unless `retry` is overridden
+     * @returns {Promise<ChargerConfig>}
+     */
+    async getConfig(options) {
+        return configFromControls(await this.sendGetControlsState(options));
+    }
+
+    /**
+     * Brings the charger to a desired config, i.e. one shared by a fleet: sends only the commands of the fields
+     * that differ from the controls state, and reads it back to confirm each change.
+     * Fields that are left out are left as they are. A failed field does not stop the others.
+     * @param {Partial<ChargerConfig>|Object} desired
+     * @param {Object?} options
+     * @param {boolean?} options.dryRun only read the charger, and report the fields that would be changed
+     * @returns {Promise<ConfigApplyResult>} the outcome of each field
+     * @throws {TypeError|RangeError} for unknown fields and invalid values, before sending anything
+     */
+    async applyConfig(desired, options) {
+        return applyConfig(this, desired, options);
+    }
+
+    /**
+     * Starts polling the charger periodically, emitting `state_change`, `plugged`, `unplugged`, `charging_started`,
+     * `charging_stopped`, `controls_changed`, `fault_raised` and `fault_cleared` events.
+     * Realtime data is polled at `realtimeInterval` while charging, and at `idleRealtimeInterval` otherwise.
+     * Calling it again restarts monitoring with the new options.
+     * @param {MonitoringOptions?} options
+     */
+    startMonitoring(options) {
+        this.stopMonitoring();
+
+        this.#monitor = new ChargerMonitor(this, options);
+        this.#monitor.start();
+    }
+
+    stopMonitoring() {
+        if (this.#monitor) {
+            this.#monitor.stop();
+            this.#monitor = null;
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isMonitoring() {
+        return !!this.#monitor?.isRunning;
     }
 
     /**
@@ -1062,6 +1447,173 @@ class ChargerController extends EventEmitter {
     set resultTimeout(timeout) {
         this.#resultTimeout = timeout;
     }
+
+    /**
+     * The current time, by the `clock` option - the system clock by default.
+     * @returns {Date}
+     */
+    get now() {
+        return this.#clock();
+    }
+
+    /**
+     * The charger's identification code, once known: resolved by `sendGetIpAddress()`, or set by the application
+     * (`ChargerFleet` sets it). It identifies the charger in a `ConsumptionArchive`.
+     * @returns {string|null}
+     */
+    get code() {
+        return this.#code;
+    }
+
+    /**
+     * @param {string|null} code
+     */
+    set code(code) {
+        this.#code = code === null || code === undefined ? null : String(code);
+    }
+
+    /**
+     * IANA timezone the charger's clock is in, for `sendSyncTime()`, `sendSetTimedChargeState()` and `sendSetReservation()`.
+     * `null` for this machine's.
+     * @returns {string|null}
+     */
+    get timeZone() {
+        return this.#timeZone;
+    }
+
+    /**
+     * @param {string|null} timeZone
+     * @throws {RangeError} if the timezone is not supported
+     */
+    set timeZone(timeZone) {
+        if (timeZone)
+            validateTimeZone(timeZone);
+        this.#timeZone = timeZone || null;
+    }
+
+    /**
+     * The retry policy used by the idempotent getters, and by commands called with `{ retry: true }`.
+     * @returns {RetryPolicy}
+     */
+    get retryPolicy() {
+        return this.#retryPolicy;
+    }
+
+    /**
+     * @param {Partial<RetryPolicy>|null} policy parts to override in the default policy
+     */
+    set retryPolicy(policy) {
+        this.#retryPolicy = Object.freeze(Object.assign({}, DEFAULT_RETRY_POLICY, policy));
+    }
+
+    /**
+     * The local port to listen on. `null` (default) listens on the same port as the charger's.
+     * @returns {number|null}
+     */
+    get localPort() {
+        return this.#localPort;
+    }
+
+    /**
+     * @param {number|null} port `0` for a random port
+     */
+    set localPort(port) {
+        if (port !== this.#localPort)
+            this.disconnect();
+
+        this.#localPort = port ?? null;
+    }
+
+    /**
+     * Records every frame sent and datagram received. `null` (default) records nothing.
+     * @returns {TrafficRecorder|null}
+     */
+    get capture() {
+        return this.#capture;
+    }
+
+    /**
+     * @param {TrafficRecorder|null} recorder
+     */
+    set capture(recorder) {
+        this.#capture = recorder ?? null;
+    }
+}
+
+/**
+ * Manages many chargers through a single UDP socket, see `lib/charger-fleet.js`.
+ * Its controllers are `ChargerController`s, unless another `controllerClass` is passed.
+ */
+class ChargerFleet extends BaseChargerFleet {
+    /**
+     * @param {Object?} options
+     * @param {typeof ChargerController?} options.controllerClass i.e. a subclass of `ChargerController`
+     * @param {number?} options.port the chargers' port (default 3333)
+     * @param {number|null?} options.localPort the local port to listen on. `null` (default) listens on `port`.
+     */
+    constructor({ controllerClass = ChargerController, ...options } = {}) {
+        super({ controllerClass, ...options });
+    }
 }
 
-export { ChargerController, Command, ChargerMode, ChargerState };
+export {
+    ChargerController,
+    ChargerDiscovery,
+    ChargerEmulator,
+    ChargerFleet,
+    EmulatorProfile,
+    SessionTracker,
+    MemorySessionStore,
+    Command,
+    ChargerMode,
+    ChargerState,
+    CommandPriority,
+    ChargerErrorCode,
+    ChargerError,
+    ChargerTimeoutError,
+    ChargerRejectedError,
+    ChargerProtocolError,
+    ChargerDeviceError,
+    ChargerDisconnectedError,
+    ChargerUnsupportedError,
+    ChargerProvisioningError,
+    ChargerPasswordError,
+    ProvisioningStep,
+    getChargerCapabilities,
+    codec,
+    createHttpServer,
+    createHttpHandler,
+    MqttBridge,
+    MetricsExporter,
+    TrafficRecorder,
+    redactFrame,
+    parseCapture,
+    readCapture,
+    decodeCapture,
+    createReplayTransport,
+    SolarMode,
+    SolarSurplusController,
+    CallbackGridSource,
+    HttpPollGridSource,
+    MqttGridSource,
+    WeeklyTariff,
+    DynamicTariff,
+    parsePriceJson,
+    parsePriceCsv,
+    planCharging,
+    TariffScheduler,
+    WEEKDAYS,
+    nextReservationWindow,
+    ConfigFieldStatus,
+    normalizeConfig,
+    datePowerConsumptionRecords,
+    dateMonthRecords,
+    collectConsumption,
+    formatConsumption,
+    CURRENT_LIMITS,
+    WIFI_LIMITS,
+    ConsumptionArchive,
+    MemoryHistoryStore,
+    JsonFileHistoryStore,
+    SqliteHistoryStore,
+};
@@ -0,0 +1,98 @@
+import { Command, ChargerMode } from './protocol.js';
+
+/**
+ * @typedef {Object} ChargerCapabilities
+ * What a charger's firmware supports, derived from its `ChargerModel`.
+ * @property {number} firmware the firmware version as a number, 1.06 => 106
+ * @property {number} hardware the hardware version
+ * @property {boolean} threePhase
+ * @property {boolean} supportsMaxPower `SetMaxPower`, and the user's limits in realtime data (1.06)
+ * @property {boolean} supportsReservation `SetReservation`, and the reservation in the controls state (1.06)
+ * @property {boolean} supportsMaxMonthlyPower `SetMaxMonthlyPower` (1.08)
+ * @property {boolean} supportsEmergencyStopProtection `SetEmergencyStopProtection` (1.08)
+ * @property {boolean} supportsMaximumFlag `isMaximum` in realtime data (1.08)
+ * @property {boolean} supportsContactorFaults the `sticking` and `contactor` fault flags (1.08)
+ * @property {boolean} supportsExtremeMode DLB extreme and night modes (1.10)
+ * @property {boolean} supportsYearRecords yearly consumption records (1.11)
+ */
+
+/** Lowest firmware version (as a number, 1.06 => 106) of each capability */
+const CAPABILITY_MIN_FIRMWARE = Object.freeze({
+    supportsMaxPower: 106,
+    supportsReservation: 106,
+    supportsMaxMonthlyPower: 108,
+    supportsEmergencyStopProtection: 108,
+    supportsMaximumFlag: 108,
+    supportsContactorFaults: 108,
+    supportsExtremeMode: 110,
+    supportsYearRecords: 111,
+});
+
+/** The capability required by each command. Commands that are not listed are supported by all firmwares. */
+const COMMAND_CAPABILITY = Object.freeze({
+    [Command.SetMaxPower]: 'supportsMaxPower',
+    [Command.SetReservation]: 'supportsReservation',
+    [Command.SetMaxMonthlyPower]: 'supportsMaxMonthlyPower',
+    [Command.SetEmergencyStopProtection]: 'supportsEmergencyStopProtection',
+});
+
+/** Lowest firmware version (as a number, 1.06 => 106) that accepts each command */
+const COMMAND_MIN_FIRMWARE = Object.freeze(Object.fromEntries(
+    Object.entries(COMMAND_CAPABILITY).map(([command, capability]) => [command, CAPABILITY_MIN_FIRMWARE[capability]])));
+
+/**
+ * @param {string} firmwareVersion 'x.yy'
+ * @returns {number} 1.06 => 106
+ */
+const parseFirmwareVersion = firmwareVersion => {
+    let [major, minor] = String(firmwareVersion).split('.');
+    return (parseInt(major, 10) || 0) * 100 + (parseInt(minor, 10) || 0);
+};
+
+/**
+ * @param {number} firmware 1.06 => 106
+ * @param {ChargerMode} mode
+ * @param {number?} hardware
+ * @returns {ChargerCapabilities}
+ */
+const capabilitiesOfFirmware = (firmware, mode, hardware = 0) => {
+    /** @type ChargerCapabilities */
+    let capabilities = {
+        firmware,
+        hardware,
+        threePhase: mode === ChargerMode.ThreePhase,
+    };
+
+    for (let [capability, minFirmware] of Object.entries(CAPABILITY_MIN_FIRMWARE))
+        capabilities[capability] = firmware >= minFirmware;
+
+    return Object.freeze(capabilities);
+};
+
+/**
+ * What a charger supports, according to its model.
+ * @param {ChargerModel} model as returned by `sendGetChargerModel()`
+ * @returns {ChargerCapabilities}
+ */
+const getChargerCapabilities = model => capabilitiesOfFirmware(
+    parseFirmwareVersion(model.firmwareVersion),
+    model.mode,
+    parseInt(model.hardwareVersion, 10) || 0);
+
+/**
+ * @param {ChargerCapabilities} capabilities
+ * @param {string} command
+ * @returns {boolean}
+ */
+const supportsCommand = (capabilities, command) => {
+    const capability = COMMAND_CAPABILITY[command];
+    return !capability || capabilities[capability];
+};
+
+export {
+    COMMAND_MIN_FIRMWARE,
+    parseFirmwareVersion,
+    capabilitiesOfFirmware,
+    getChargerCapabilities,
+    supportsCommand,
+};
@@ -0,0 +1,305 @@
+import { Command } from './protocol.js';
+import { validateBoolean, validateInteger, validateMaxCurrent } from './validation.js';
+import { normalizeReservation, reservationFromControls } from './reservation.js';
+
+/**
+ * @typedef {Object} DlbConfig
+ * @property {boolean} enabled
+ * @property {number} maxCurrent amps the household may draw, 0-255
+ * @property {boolean?} extremeMode firmware 1.10 and up
+ * @property {boolean?} nightMode firmware 1.10 and up
+ */
+
+/**
+ * @typedef {Object} ChargerConfig
+ * The charger's settings. Fields that the firmware does not support are left out.
+ * @property {boolean} rfid
+ * @property {boolean} appControlCharging
+ * @property {DlbConfig} dlb
+ * @property {boolean} groundingDetection
+ * @property {number} maxCurrent amps
+ * @property {number?} maxMonthlyPower kWh, 0-65535 (firmware 1.08 and up)
+ * @property {boolean?} emergencyStopProtection firmware 1.08 and up
+ * @property {Reservation|null?} reservation `null` for none (firmware 1.06 and up)
+ */
+
+/**
+ * @typedef {Object} ConfigFieldResult
+ * @property {string} field i.e. 'maxCurrent', or 'dlb.enabled'
+ * @property {ConfigFieldStatus} status
+ * @property {*} from the value before, `undefined` when unsupported
+ * @property {*} to the desired value
+ * @property {*} actual the value read back, when applying has failed
+ * @property {Error?} error when failed
+ */
+
+/**
+ * @typedef {Object} ConfigApplyResult
+ * @property {boolean} ok whether every field is unchanged, planned or applied
+ * @property {boolean} dryRun
+ * @property {ConfigFieldResult[]} fields the fields of the desired config, in `ChargerConfig` order
+ */
+
+/**
+ * The outcome of each field of `applyConfig()`.
+ * @enum {string} ConfigFieldStatus
+ */
+const ConfigFieldStatus = Object.freeze({
+    /** Already as desired, nothing was sent */
+    Unchanged: 'unchanged',
+    /** Would be changed, in a dry run */
+    Planned: 'planned',
+    /** Changed, and confirmed by reading it back */
+    Applied: 'applied',
+    /** The command has failed, or the field did not read back as desired */
+    Failed: 'failed',
+    /** The charger's firmware does not support the field */
+    Unsupported: 'unsupported',
+});
+
+/**
+ * Each field of `ChargerConfig`, in order, with the command that sets it.
+ * Fields that share a command are sent together, with the current values of those that are not changed.
+ */
+const CONFIG_FIELDS = Object.freeze([
+    { field: 'rfid', command: Command.SetRFIDAndApp, validate: validateBoolean },
+    { field: 'appControlCharging', command: Command.SetRFIDAndApp, validate: validateBoolean },
+    { field: 'dlb.enabled', command: Command.SetDLB, validate: validateBoolean },
+    { field: 'dlb.maxCurrent', command: Command.SetDLB, validate: (value, name) => validateInteger(value, name, 0, 0xff) },
+    { field: 'dlb.extremeMode', command: Command.SetDLB, validate: validateBoolean, capability: 'supportsExtremeMode' },
+    { field: 'dlb.nightMode', command: Command.SetDLB, validate: validateBoolean, capability: 'supportsExtremeMode' },
+    { field: 'groundingDetection', command: Command.SetGroundingDetection, validate: validateBoolean },
+    // Validated against the model's range when sending
+    { field: 'maxCurrent', command: Command.SetMaxCurrent, validate: value => validateMaxCurrent(value) },
+    {
+        field: 'maxMonthlyPower',
+        command: Command.SetMaxMonthlyPower,
+        validate: (value, name) => validateInteger(value, name, 0, 0xffff),
+        capability: 'supportsMaxMonthlyPower',
+    },
+    {
+        field: 'emergencyStopProtection',
+        command: Command.SetEmergencyStopProtection,
+        validate: validateBoolean,
+        capability: 'supportsEmergencyStopProtection',
+    },
+    {
+        field: 'reservation',
+        command: Command.SetReservation,
+        validate: value => value === null ? null : normalizeReservation(value),
+        capability: 'supportsReservation',
+    },
+]);
+
+/**
+ * Sends the command of a group of fields, with the values of `config`.
+ * @type {Object<string, function(controller: ChargerController, config: ChargerConfig): Promise<boolean>>}
+ */
+const CONFIG_SETTERS = Object.freeze({
+    [Command.SetRFIDAndApp]: (controller, config) => controller.sendSetRFIDAndApp(config.rfid, config.appControlCharging),
+    [Command.SetDLB]: (controller, { dlb }) =>
+        controller.sendSetDLB(dlb.enabled, dlb.extremeMode ?? false, dlb.maxCurrent, dlb.nightMode ?? false),
+    [Command.SetGroundingDetection]: (controller, config) => controller.sendSetGroundingDetection(config.groundingDetection),
+    [Command.SetMaxCurrent]: (controller, config) => controller.sendSetMaxCurrent(config.maxCurrent),
+    [Command.SetMaxMonthlyPower]: (controller, config) => controller.sendSetMaxMonthlyPower(config.maxMonthlyPower),
+    [Command.SetEmergencyStopProtection]: (controller, config) =>
+        controller.sendSetEmergencyStopProtection(config.emergencyStopProtection),
+    [Command.SetReservation]: (controller, config) => controller.setReservation(config.reservation),
+});
+
+/**
+ * @param {Object} config
+ * @param {string} field a path, i.e. 'dlb.enabled'
+ * @returns {*}
+ */
+const getField = (config, field) => field.split('.').reduce((object, key) => object?.[key], config);
+
+/**
+ * @param {Object} config
+ * @param {string} field a path, i.e. 'dlb.enabled'
+ * @param {*} value
+ */
+const setField = (config, field, value) => {
+    let keys = field.split('.');
+    let last = keys.pop();
+    for (let key of keys) {
+        if (config[key] == null)
+            config[key] = {};
+        config = config[key];
+    }
+    config[last] = value;
+};
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Reads the config of a controls state, as decoded by `sendGetControlsState()`.
+ * @param {ChargerControlsState} controls
+ * @returns {ChargerConfig}
+ */
+const configFromControls = controls => {
+    /** @type ChargerConfig */
+    let config = {
+        rfid: controls.rfid,
+        appControlCharging: controls.appControlCharging,
+        dlb: { enabled: controls.dlb, maxCurrent: controls.dlbMaxCurrent },
+        groundingDetection: controls.groundingDetection,
+        maxCurrent: controls.maxCurrent,
+    };
+
+    if (controls.extremeMode !== undefined) {
+        config.dlb.extremeMode = controls.extremeMode;
+        config.dlb.nightMode = controls.nightMode;
+    }
+
+    if (controls.maxMonthlyPower !== undefined) {
+        config.maxMonthlyPower = controls.maxMonthlyPower;
+        config.emergencyStopProtection = controls.emergencyStopProtection;
+    }
+
+    if (controls.reservation !== undefined)
+        config.reservation = reservationFromControls(controls);
+
+    return config;
+};
+
+/**
+ * Validates a desired config, and brings it to its canonical form - the one `getConfig()` reads.
+ * Fields that are left out (or `undefined`) are not managed, and left as they are.
+ * @param {Partial<ChargerConfig>|Object} desired i.e. parsed from a JSON or YAML file
+ * @returns {Partial<ChargerConfig>}
+ * @throws {TypeError|RangeError} for unknown fields and invalid values
+ */
+const normalizeConfig = desired => {
+    if (!desired || typeof desired !== 'object' || Array.isArray(desired))
+        throw new TypeError('config must be an object');
+
+    const known = CONFIG_FIELDS.map(x => x.field);
+
+    for (let key of Object.keys(desired)) {
+        if (key === 'dlb') {
+            if (desired.dlb === undefined)
+                continue;
+            if (!desired.dlb || typeof desired.dlb !== 'object' || Array.isArray(desired.dlb))
+                throw new TypeError('dlb must be an object');
+            for (let dlbKey of Object.keys(desired.dlb)) {
+                if (!known.includes('dlb.' + dlbKey))
+                    throw new TypeError(`unknown config field: dlb.${dlbKey}`);
+            }
+        } else if (!known.includes(key)) {
+            throw new TypeError(`unknown config field: ${key}`);
+        }
+    }
+
+    let config = {};
+    for (let { field, validate } of CONFIG_FIELDS) {
+        let value = getField(desired, field);
+        if (value !== undefined)
+            setField(config, field, validate(value, field));
+    }
+
+    return config;
+};
+
+/**
+ * Brings a charger to a desired config: reads its controls state, sends only the commands
+ * of the fields that differ, and reads the state back to confirm each change.
+ * A failed field does not stop the others. The desired config is validated before anything is sent.
+ * @param {ChargerController} controller
+ * @param {Partial<ChargerConfig>|Object} desired see `normalizeConfig()`
+ * @param {Object?} options
+ * @param {boolean?} options.dryRun only read the charger, and report the fields that would be changed
+ * @returns {Promise<ConfigApplyResult>}
+ * @throws {TypeError|RangeError} for an invalid config
+ */
+const applyConfig = async (controller, desired, { dryRun = false } = {}) => {
+    const normalized = normalizeConfig(desired);
+
+    const current = configFromControls(await controller.sendGetControlsState());
+    const capabilities = controller.capabilities;
+
+    /** @type ConfigFieldResult[] */
+    let results = [];
+    // Only the fields of `dlb` are set in place - the others, `reservation` included, are replaced as a whole
+    let target = Object.assign({}, current, { dlb: Object.assign({}, current.dlb) });
+    let commands = new Map();
+
+    for (let { field, command, capability } of CONFIG_FIELDS) {
+        let to = getField(normalized, field);
+        if (to === undefined)
+            continue;
+
+        let from = getField(current, field);
+        let result = { field, from, to };
+        commands.set(result, command);
+
+        if (capability && !capabilities[capability]) {
+            result.status = ConfigFieldStatus.Unsupported;
+        } else if (isSameValue(from, to)) {
+            result.status = ConfigFieldStatus.Unchanged;
+        } else {
+            result.status = ConfigFieldStatus.Planned;
+            setField(target, field, to);
+        }
+
+        results.push(result);
+    }
+
+    let pending = results.filter(x => x.status === ConfigFieldStatus.Planned);
+
+    if (!dryRun && pending.length) {
+        let sent = [];
+
+        for (let command of new Set(pending.map(x => commands.get(x)))) {
+            let fields = pending.filter(x => commands.get(x) === command);
+            try {
+                await CONFIG_SETTERS[command](controller, target);
+                sent.push(...fields);
+            } catch (err) {
+                for (let result of fields)
+                    Object.assign(result, { status: ConfigFieldStatus.Failed, error: err });
+            }
+        }
+
+        if (sent.length) {
+            try {
+                const actual = configFromControls(await controller.sendGetControlsState());
+
+                for (let result of sent) {
+                    let value = getField(actual, result.field);
+                    if (isSameValue(value, result.to)) {
+                        result.status = ConfigFieldStatus.Applied;
+                    } else {
+                        Object.assign(result, {
+                            status: ConfigFieldStatus.Failed,
+                            actual: value,
+                            error: new Error(`${result.field} reads back as ${JSON.stringify(value)}`),
+                        });
+                    }
+                }
+            } catch (err) {
+                // Sent, but unconfirmed
+                for (let result of sent)
+                    Object.assign(result, { status: ConfigFieldStatus.Failed, error: err });
+            }
+        }
+    }
+
+    return {
+        ok: results.every(x => x.status !== ConfigFieldStatus.Failed && x.status !== ConfigFieldStatus.Unsupported),
+        dryRun,
+        fields: results,
+    };
+};
+
+export {
+    ConfigFieldStatus,
+    configFromControls,
+    normalizeConfig,
+    applyConfig,
+};
@@ -0,0 +1,272 @@
+import dgram from 'node:dgram';
+import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
+import { Command } from './protocol.js';
+import { CommandUtil } from './command-util.js';
+
+/**
+ * @typedef {Object} DiscoveredCharger
+ * @property {string} code the charger's identification code, without leading zeros
+ * @property {string} ip
+ * @property {number} port
+ * @property {ChargerModel|null} model `null` if the charger did not respond to `GetChargerModel` (i.e. a different password)
+ */
+
+/**
+ * @typedef {Object} DiscoveryOptions
+ * @property {number?} timeout milliseconds to wait for responses in each scan (default 2000)
+ * @property {string?} password used for querying the model info (default '123456')
+ * @property {boolean?} includeModel query each charger's model info (default true)
+ * @property {string[]?} codes charger codes to query, with the documented `GetIpAddress` query
+ * @property {boolean?} wildcard also send the undocumented query for code 0, that some chargers may answer (experimental, default false)
+ * @property {string?} address broadcast address (default '255.255.255.255')
+ * @property {number?} port the chargers' port (default 3333)
+ * @property {number|null?} localPort the local port to listen on. `null` (default) listens on `port`.
+ * @property {number?} interval milliseconds between scans in continuous mode (default 30000)
+ * @property {number?} lostAfter consecutive scans a charger may be missing from before it's considered lost (default 3)
+ */
+
+/**
+ * The code of a query that any charger might answer.
+ * This is not documented, and is not known to work with every firmware.
+ */
+const WILDCARD_CODE = '00000000';
+
+/**
+ * Finds chargers on the local network, by broadcasting `GetIpAddress` queries.
+ * The documented query resolves a known code, so chargers are reliably found by listing their codes in `codes`.
+ * Finding chargers without knowing their codes is experimental, and has to be asked for with `wildcard`:
+ * it relies on the undocumented query for code 0, and on hearing the responses to other clients' queries,
+ * which works only when listening on the chargers' port.
+ */
+class ChargerDiscovery extends EventEmitter {
+    /** @type CommandUtil */
+    #util = new CommandUtil();
+
+    /** @type Required<DiscoveryOptions> */
+    #options;
+
+    /** @type Map<string, {charger: DiscoveredCharger, missed: number}> */
+    #known = new Map();
+
+    /** @type boolean */
+    #running = false;
+
+    /** @type ReturnType<typeof setTimeout>|null */
+    #timer = null;
+
+    /**
+     * @param {DiscoveryOptions?} options
+     */
+    constructor({
+        timeout = 2000,
+        password = '123456',
+        includeModel = true,
+        codes = [],
+        wildcard = false,
+        address = '255.255.255.255',
+        port = 3333,
+        localPort = null,
+        interval = 30000,
+        lostAfter = 3,
+    } = {}) {
+        super();
+
+        this.#options = { timeout, password, includeModel, codes, wildcard, address, port, localPort, interval, lostAfter };
+        this.#util.password = password;
+    }
+
+    /**
+     * Chargers currently known to continuous discovery
+     * @returns {DiscoveredCharger[]}
+     */
+    get chargers() {
+        return Array.from(this.#known.values()).map(x => x.charger);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.#running;
+    }
+
+    /**
+     * Broadcasts a single query, and collects the responses until `timeout`.
+     * Socket errors once listening are emitted as `error` events; without a listener, they fail the scan.
+     * @returns {Promise<DiscoveredCharger[]>}
+     */
+    async scan() {
+        const options = this.#options;
+        const socket = dgram.createSocket('udp4');
+
+        /** @type Map<string, DiscoveredCharger> */
+        const found = new Map();
+
+        /** @type Error|null */
+        let socketError = null;
+
+        const onError = err => {
+            if (!err) return;
+
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            } else if (socketError === null) {
+                socketError = err;
+            }
+        };
+
+        socket.on('message', (/**Buffer*/msg, rinfo) => {
+            let result = this.#util.parseResult(msg.toString('utf8'));
+            if (!result)
+                return;
+
+            if (result.command === Command.GetIpAddress) {
+                let { code, ip, port } = this.#util.decodeIpAddress(result.data);
+                if (found.has(code))
+                    return;
+
+                if (ip === '0.0.0.0')
+                    ip = rinfo.address;
+
+                found.set(code, { code, ip, port, model: null });
+
+                if (options.includeModel) {
+                    socket.send(Buffer.from(this.#util.compileMessage(Command.GetChargerModel), 'utf8'), port, ip,
+                        onError);
+                }
+            } else if (result.command === Command.GetChargerModel) {
+                for (let charger of found.values()) {
+                    if (charger.ip === rinfo.address && charger.port === rinfo.port)
+                        charger.model = this.#util.decodeChargerModel(result.data);
+                }
+            }
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                socket.once('error', reject);
+                socket.once('listening', () => {
+                    socket.off('error', reject);
+                    socket.setBroadcast(true);
+                    resolve();
+                });
+                socket.bind(options.localPort ?? options.port);
+            });
+
+            socket.on('error', onError);
+
+            const queries = options.codes.map(code => parseInt(code, 10).toString(16).padStart(8, '0'));
+            if (options.wildcard)
+                queries.push(WILDCARD_CODE);
+
+            const broadcast = () => {
+                for (let code of queries) {
+                    socket.send(Buffer.from(this.#util.compileMessage(Command.GetIpAddress + code), 'utf8'),
+                        options.port, options.address, onError);
+                }
+            };
+
+            // Broadcasts are easily lost, so the query is sent twice
+            broadcast();
+            await new Promise(resolve => setTimeout(resolve, options.timeout / 2));
+            broadcast();
+            await new Promise(resolve => setTimeout(resolve, options.timeout / 2));
+        } finally {
+            socket.close();
+        }
+
+        if (socketError)
+            throw socketError;
+
+        return Array.from(found.values());
+    }
+
+    /**
+     * Starts scanning every `interval`, emitting `charger_found` and `charger_lost` as chargers come and go.
+     */
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+
+        const run = async () => {
+            this.#timer = null;
+
+            try {
+                this.#update(await this.scan());
+            } catch (err) {
+                /**
+                 * A scan has failed, or its socket has had an error. Scanning continues on schedule.
+                 *
+                 * @event error
+                 * @type {Error}
+                 */
+                if (this.#running && this.listenerCount('error') > 0)
+                    this.emit('error', err);
+            }
+
+            if (this.#running)
+                this.#timer = setTimeout(run, this.#options.interval);
+        };
+
+        run();
+    }
+
+    stop() {
+        this.#running = false;
+
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /**
+     * @param {DiscoveredCharger[]} chargers
+     */
+    #update(chargers) {
+        if (!this.#running) return;
+
+        let seen = new Set();
+
+        for (let charger of chargers) {
+            seen.add(charger.code);
+
+            let entry = this.#known.get(charger.code);
+            if (entry) {
+                entry.missed = 0;
+                entry.charger = Object.assign({}, charger, { model: charger.model ?? entry.charger.model });
+                continue;
+            }
+
+            this.#known.set(charger.code, { charger, missed: 0 });
+
+            /**
+             * A charger has responded for the first time.
+             *
+             * @event charger_found
+             * @type {DiscoveredCharger}
+             */
+            this.emit('charger_found', charger);
+        }
+
+        for (let [code, entry] of this.#known) {
+            if (seen.has(code))
+                continue;
+
+            if (++entry.missed >= this.#options.lostAfter) {
+                this.#known.delete(code);
+
+                /**
+                 * A charger has stopped responding for `lostAfter` consecutive scans.
+                 *
+                 * @event charger_lost
+                 * @type {DiscoveredCharger}
+                 */
+                this.emit('charger_lost', entry.charger);
+            }
+        }
+    }
+}
+
+export { ChargerDiscovery };
@@ -0,0 +1,966 @@
+import iconv from 'iconv-lite';
+import dgram from 'node:dgram';
+import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
+import { STRING_ENCODING, Command, ChargerMode, ChargerState, ChargerErrorCode } from './protocol.js';
+import { CommandUtil } from './command-util.js';
+import { getChargerCapabilities, supportsCommand } from './capabilities.js';
+import { CURRENT_LIMITS } from './validation.js';
+
+/**
+ * @typedef {Object} EmulatorProfile
+ * @property {ChargerMode} mode
+ * @property {string} version model name, reported by `GetChargerModel`
+ * @property {string} firmwareVersion 'x.yy'
+ * @property {string} hardwareVersion
+ */
+
+/**
+ * @typedef {Object} EmulatorHistory
+ * @property {number[]?} days last 20 days, in kWh
+ * @property {number[]?} months last 12 months, in kWh
+ * @property {number[]?} years last 10 years, in kWh
+ * @property {Object<string, number[]>?} monthly days of specific months, keyed by 'YYYY-MM'
+ */
+
+/**
+ * @typedef {Object} EmulatorScenarioStep
+ * @property {number?} delay milliseconds to wait before running the action
+ * @property {string|function(emulator: ChargerEmulator)?} action
+ * @property {Array?} args
+ */
+
+/**
+ * Known firmware profiles. These differ in the payload lengths of the realtime data, controls state,
+ * fault status and consumption records responses.
+ * @enum {EmulatorProfile} EmulatorProfile
+ */
+const EmulatorProfile = Object.freeze({
+    OnePhaseV106: Object.freeze({ mode: ChargerMode.OnePhase, version: 'BCP-AC7KW', firmwareVersion: '1.06', hardwareVersion: '1' }),
+    OnePhaseV108: Object.freeze({ mode: ChargerMode.OnePhase, version: 'BCP-AC7KW', firmwareVersion: '1.08', hardwareVersion: '1' }),
+    OnePhaseV110: Object.freeze({ mode: ChargerMode.OnePhase, version: 'BCP-AC7KW', firmwareVersion: '1.10', hardwareVersion: '2' }),
+    OnePhaseV111: Object.freeze({ mode: ChargerMode.OnePhase, version: 'BCP-AC7KW', firmwareVersion: '1.11', hardwareVersion: '2' }),
+    ThreePhaseV106: Object.freeze({ mode: ChargerMode.ThreePhase, version: 'BCP-AC22KW', firmwareVersion: '1.06', hardwareVersion: '1' }),
+    ThreePhaseV108: Object.freeze({ mode: ChargerMode.ThreePhase, version: 'BCP-AC22KW', firmwareVersion: '1.08', hardwareVersion: '1' }),
+    ThreePhaseV110: Object.freeze({ mode: ChargerMode.ThreePhase, version: 'BCP-AC22KW', firmwareVersion: '1.10', hardwareVersion: '2' }),
+    ThreePhaseV111: Object.freeze({ mode: ChargerMode.ThreePhase, version: 'BCP-AC22KW', firmwareVersion: '1.11', hardwareVersion: '2' }),
+});
+
+const FAULT_FLAGS = Object.freeze([
+    'overVoltage', 'underVoltage', 'overload', 'highTemperature', 'groundDetection', 'leakage',
+    'cpSignalAbnormal', 'emergencyStopButton', 'ccSignalAbnormal', 'dlbWiring', 'dlbOffline', 'motorLock',
+]);
+
+const V108_FAULT_FLAGS = Object.freeze(['sticking', 'contactor']);
+
+const SCENARIO_ACTIONS = Object.freeze([
+    'plugIn', 'unplug', 'setVehicleReady', 'startCharging', 'stopCharging',
+    'raiseFault', 'clearFault', 'clearFaults', 'dropRequests', 'dropResponses', 'rejectRequests', 'setMeasurements',
+]);
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+const hex = (value, digits) => {
+    let max = Math.pow(16, digits) - 1;
+    return Math.max(0, Math.min(Math.round(value) || 0, max)).toString(16).padStart(digits, '0');
+};
+
+/**
+ * @param {boolean} value
+ * @returns {string}
+ */
+const hexBool = value => value ? '01' : '00';
+
+/**
+ * A local UDP server that speaks the charger's protocol, for testing without hardware.
+ * It validates checksums and passwords like the firmware does, keeps the state the setters change,
+ * and can be scripted to simulate a vehicle plugging in, charging, faults and packet loss.
+ */
+class ChargerEmulator extends EventEmitter {
+    /** @type CommandUtil */
+    #util = new CommandUtil();
+
+    /** @type Socket|null */
+    #socket = null;
+
+    /** @type string */
+    #code;
+
+    /** @type number */
+    #password;
+
+    /** @type EmulatorProfile */
+    #profile;
+
+    /** @type ChargerCapabilities */
+    #capabilities;
+
+    /** @type string|undefined */
+    #bindAddress;
+
+    /** @type number */
+    #bindPort;
+
+    /** @type string */
+    #ipAddress;
+
+    /** @type boolean */
+    #echoMessageId;
+
+    /** @type number */
+    #responseDelay;
+
+    /** @type number */
+    #dropRate;
+
+    /** @type number */
+    #dropCount = 0;
+
+    /** @type number */
+    #dropResponseCount = 0;
+
+    /** @type Map<string, number> */
+    #rejectCounts = new Map();
+
+    /** @type number */
+    #wifiSwitchDelay;
+
+    /** @type number */
+    #offlineUntil = 0;
+
+    /** @type number */
+    #clockOffset = 0;
+
+    /** @type ChargerState */
+    #chargerState = ChargerState.Unplugged;
+
+    /** @type boolean */
+    #plugged = false;
+
+    /** @type boolean */
+    #vehicleReady = true;
+
+    /** @type number */
+    #voltage = 230;
+
+    /** @type number|null */
+    #chargingCurrent = null;
+
+    /** @type number */
+    #temperature = 30;
+
+    /** @type number */
+    #totalPower = 0;
+
+    /** @type number */
+    #lastEnergyUpdate = Date.now();
+
+    /** @type number */
+    #maxPower = 0;
+
+    /** @type boolean */
+    #isReservation = false;
+
+    /** @type boolean */
+    #isMaximum = false;
+
+    #timedCharge = { enabled: false, start: [0, 0, 0], end: [0, 0, 0] };
+
+    #controls = {
+        rfid: false,
+        appControlCharging: true,
+        dlb: false,
+        groundingDetection: true,
+        temperatureThreshold: 85,
+        maxCurrent: 32,
+        dlbPattern: 0,
+        dlbMaxCurrent: 0,
+        reservation: 0,
+        reservationStart: [0, 0],
+        reservationEnd: [0, 0],
+        maxMonthlyPower: 0,
+        emergencyStopProtection: false,
+        extremeMode: false,
+        nightMode: false,
+    };
+
+    /** @type Object<string, boolean> */
+    #faults = Object.fromEntries(FAULT_FLAGS.concat(V108_FAULT_FLAGS).map(x => [x, false]));
+
+    #wifi = { ssid: '', password: '' };
+
+    #bluetooth = false;
+
+    #iapMode = false;
+
+    /** @type Required<EmulatorHistory> */
+    #history;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.code the charger's identification code (as on the sticker)
+     * @param {string?} options.password defaults to '123456'
+     * @param {EmulatorProfile?} options.profile defaults to `EmulatorProfile.OnePhaseV111`
+     * @param {string?} options.address address to bind to, defaults to all interfaces
+     * @param {number?} options.port port to bind to, defaults to 3333. `0` for a random port.
+     * @param {string?} options.ipAddress address reported in `GetIpAddress` responses, defaults to '127.0.0.1'
+     * @param {boolean?} options.echoMessageId echo the request's message id back in the response (default true)
+     * @param {number?} options.responseDelay milliseconds to wait before responding
+     * @param {number?} options.dropRate probability (0-1) of silently dropping an incoming request
+     * @param {EmulatorHistory?} options.history consumption records to report
+     * @param {number?} options.wifiSwitchDelay milliseconds to stay silent after `SetWifiAccessPoint`, as the charger
+     *  leaves its hotspot and joins the network. `0` (default) keeps responding.
+     */
+    constructor({
+        code,
+        password = '123456',
+        profile = EmulatorProfile.OnePhaseV111,
+        address,
+        port = 3333,
+        ipAddress = '127.0.0.1',
+        echoMessageId = true,
+        responseDelay = 0,
+        dropRate = 0,
+        history = {},
+        wifiSwitchDelay = 0,
+    }) {
+        super();
+
+        this.#code = String(code);
+        this.#password = parseInt(password, 10);
+        this.#profile = profile;
+        this.#capabilities = getChargerCapabilities(profile);
+        this.#bindAddress = address;
+        this.#bindPort = port;
+        this.#ipAddress = ipAddress;
+        this.#echoMessageId = echoMessageId;
+        this.#responseDelay = responseDelay;
+        this.#dropRate = dropRate;
+        this.#wifiSwitchDelay = wifiSwitchDelay;
+        this.#history = {
+            days: (history.days || []).concat(new Array(20).fill(0)).slice(0, 20),
+            months: (history.months || []).concat(new Array(12).fill(0)).slice(0, 12),
+            years: (history.years || []).concat(new Array(10).fill(0)).slice(0, 10),
+            monthly: Object.assign({}, history.monthly),
+        };
+    }
+
+    /**
+     * @returns {EmulatorProfile}
+     */
+    get profile() {
+        return this.#profile;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get code() {
+        return this.#code;
+    }
+
+    /**
+     * The password currently accepted by the emulator
+     * @returns {string}
+     */
+    get password() {
+        return this.#password.toString();
+    }
+
+    /**
+     * The address the emulator is listening on. Only available after `start()`.
+     * @returns {{address: string, port: number}|null}
+     */
+    get address() {
+        if (!this.#socket) return null;
+        let info = this.#socket.address();
+        return { address: info.address, port: info.port };
+    }
+
+    /**
+     * @returns {ChargerState}
+     */
+    get chargerState() {
+        return this.#chargerState;
+    }
+
+    /**
+     * A copy of the active fault flags
+     * @returns {ChargeFaultStatus}
+     */
+    get faults() {
+        return Object.assign({}, this.#faults);
+    }
+
+    /**
+     * The access point credentials last set through `SetWifiAccessPoint`
+     * @returns {{ssid: string, password: string}}
+     */
+    get wifi() {
+        return Object.assign({}, this.#wifi);
+    }
+
+    /**
+     * A copy of the controls state, as changed by the setters
+     * @returns {Object}
+     */
+    get controls() {
+        return Object.assign({}, this.#controls, {
+            reservationStart: this.#controls.reservationStart.slice(),
+            reservationEnd: this.#controls.reservationEnd.slice(),
+        });
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get bluetoothConnectionMode() {
+        return this.#bluetooth;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get iapMode() {
+        return this.#iapMode;
+    }
+
+    /**
+     * The emulated charger's clock
+     * @returns {Date}
+     */
+    get now() {
+        return new Date(Date.now() + this.#clockOffset);
+    }
+
+    async start() {
+        if (this.#socket) return;
+
+        const socket = dgram.createSocket('udp4');
+
+        socket.addListener('message', (msg, rinfo) => this.#handleMessage(msg, rinfo));
+
+        try {
+            await new Promise((resolve, reject) => {
+                socket.once('error', reject);
+                socket.once('listening', () => {
+                    socket.off('error', reject);
+                    socket.setBroadcast(true);
+                    resolve();
+                });
+                socket.bind(this.#bindPort, this.#bindAddress);
+            });
+        } catch (err) {
+            socket.close();
+            throw err;
+        }
+
+        socket.on('error', err => this.emit('error', err));
+
+        this.#socket = /**@type Socket*/socket;
+    }
+
+    async stop() {
+        if (!this.#socket) return;
+
+        const socket = this.#socket;
+        this.#socket = null;
+
+        await new Promise(resolve => socket.close(() => resolve()));
+    }
+
+    /**
+     * Simulates a vehicle being plugged in.
+     * @param {boolean?} vehicleReady whether the vehicle is ready to accept charge
+     */
+    plugIn(vehicleReady = true) {
+        this.#plugged = true;
+        this.#vehicleReady = vehicleReady;
+        if (this.#chargerState === ChargerState.Unplugged)
+            this.#setChargerState(ChargerState.Standby);
+    }
+
+    /**
+     * Simulates the vehicle being unplugged, which also ends any charging session.
+     */
+    unplug() {
+        this.#plugged = false;
+        this.#isReservation = false;
+
+        if (this.#chargerState !== ChargerState.Abnormal)
+            this.#setChargerState(ChargerState.Unplugged);
+    }
+
+    /**
+     * Simulates the vehicle switching in or out of its ready state.
+     * @param {boolean} ready
+     */
+    setVehicleReady(ready) {
+        this.#vehicleReady = ready;
+
+        if (ready && this.#chargerState === ChargerState.NotReady)
+            this.#setChargerState(ChargerState.Charging);
+        else if (!ready && this.#chargerState === ChargerState.Charging)
+            this.#setChargerState(ChargerState.NotReady);
+    }
+
+    /**
+     * Starts charging as if triggered locally (RFID card, reservation).
+     * @param {boolean?} isReservation
+     * @returns {boolean} `false` if there is no vehicle plugged in, or there are active faults
+     */
+    startCharging(isReservation = false) {
+        if (this.#chargerState !== ChargerState.Standby)
+            return false;
+
+        this.#totalPower = 0;
+        this.#isMaximum = false;
+        this.#isReservation = isReservation;
+        this.#setChargerState(this.#vehicleReady ? ChargerState.Charging : ChargerState.NotReady);
+        return true;
+    }
+
+    /**
+     * @returns {boolean} `false` if not charging
+     */
+    stopCharging() {
+        if (this.#chargerState !== ChargerState.Charging &&
+            this.#chargerState !== ChargerState.NotReady)
+            return false;
+
+        this.#setChargerState(ChargerState.Standby);
+        return true;
+    }
+
+    /**
+     * @param {string} flag a `ChargeFaultStatus` field name
+     */
+    raiseFault(flag) {
+        if (!Object.prototype.hasOwnProperty.call(this.#faults, flag))
+            throw new TypeError(`unknown fault flag: ${flag}`);
+
+        this.#faults[flag] = true;
+        this.#setChargerState(ChargerState.Abnormal);
+    }
+
+    /**
+     * @param {string} flag a `ChargeFaultStatus` field name
+     */
+    clearFault(flag) {
+        if (!Object.prototype.hasOwnProperty.call(this.#faults, flag))
+            throw new TypeError(`unknown fault flag: ${flag}`);
+
+        this.#faults[flag] = false;
+
+        if (this.#chargerState === ChargerState.Abnormal &&
+            !Object.values(this.#faults).some(x => x)) {
+            this.#setChargerState(this.#plugged ? ChargerState.Standby : ChargerState.Unplugged);
+        }
+    }
+
+    clearFaults() {
+        for (let flag of Object.keys(this.#faults))
+            this.clearFault(flag);
+    }
+
+    /**
+     * Silently drops the next `count` incoming requests.
+     * @param {number?} count
+     */
+    dropRequests(count = 1) {
+        this.#dropCount += count;
+    }
+
+    /**
+     * Handles the next `count` incoming requests, but silently drops their responses.
+     * @param {number?} count
+     */
+    dropResponses(count = 1) {
+        this.#dropResponseCount += count;
+    }
+
+    /**
+     * Answers the next `count` requests of a setter `command` as failed, without applying them.
+     * @param {string} command
+     * @param {number?} count
+     */
+    rejectRequests(command, count = 1) {
+        this.#rejectCounts.set(command, (this.#rejectCounts.get(command) || 0) + count);
+    }
+
+    /**
+     * Overrides the simulated measurements.
+     * @param {Object} measurements
+     * @param {number?} measurements.voltage per phase
+     * @param {number?} measurements.current per phase while charging. Defaults to the max current.
+     * @param {number?} measurements.temperature
+     * @param {number?} measurements.totalPower kWh delivered in the current session
+     */
+    setMeasurements({ voltage, current, temperature, totalPower }) {
+        this.#updateEnergy();
+
+        if (voltage !== undefined) this.#voltage = voltage;
+        if (current !== undefined) this.#chargingCurrent = current;
+        if (temperature !== undefined) this.#temperature = temperature;
+        if (totalPower !== undefined) this.#totalPower = totalPower;
+    }
+
+    /**
+     * Runs a list of scenario steps in order, e.g.
+     * `[{ action: 'plugIn' }, { delay: 100, action: 'startCharging' }, { delay: 500, action: 'raiseFault', args: ['overload'] }]`
+     * @param {EmulatorScenarioStep[]} steps
+     * @returns {Promise<void>}
+     */
+    async runScenario(steps) {
+        for (let step of steps) {
+            if (step.delay > 0)
+                await new Promise(resolve => setTimeout(resolve, step.delay));
+
+            if (typeof step.action === 'function') {
+                await step.action(this);
+            } else if (step.action) {
+                if (!SCENARIO_ACTIONS.includes(step.action))
+                    throw new TypeError(`unknown scenario action: ${step.action}`);
+
+                this[step.action](...(step.args || []));
+            }
+        }
+    }
+
+    /**
+     * @param {ChargerState} state
+     */
+    #setChargerState(state) {
+        if (state === this.#chargerState) return;
+
+        this.#updateEnergy();
+
+        let previous = this.#chargerState;
+        this.#chargerState = state;
+
+        /**
+         * The emulated charger state has changed.
+         *
+         * @event state_change
+         * @type {Object} event
+         * @property {ChargerState} previous
+         * @property {ChargerState} state
+         */
+        this.emit('state_change', { previous, state });
+    }
+
+    /**
+     * @returns {number}
+     */
+    #currentPerPhase() {
+        if (this.#chargerState !== ChargerState.Charging)
+            return 0;
+
+        let max = this.#controls.maxCurrent;
+        if (this.#controls.dlb && this.#controls.dlbMaxCurrent > 0)
+            max = Math.min(max, this.#controls.dlbMaxCurrent);
+
+        return Math.min(this.#chargingCurrent ?? max, max);
+    }
+
+    /**
+     * @returns {number} kW
+     */
+    #power() {
+        let phases = this.#profile.mode === ChargerMode.ThreePhase ? 3 : 1;
+        return phases * this.#voltage * this.#currentPerPhase() / 1000;
+    }
+
+    #updateEnergy() {
+        let now = Date.now();
+        let hours = (now - this.#lastEnergyUpdate) / 3600000;
+        this.#lastEnergyUpdate = now;
+
+        if (hours <= 0 || this.#chargerState !== ChargerState.Charging)
+            return;
+
+        this.#totalPower += this.#power() * hours;
+
+        if (this.#maxPower > 0 && this.#totalPower >= this.#maxPower) {
+            this.#totalPower = this.#maxPower;
+            this.#isMaximum = true;
+            this.#setChargerState(ChargerState.Standby);
+        }
+    }
+
+    /**
+     * @param {Buffer} msg
+     * @param {{address: string, port: number}} rinfo
+     */
+    #handleMessage(msg, rinfo) {
+        let raw = msg.toString('utf8');
+
+        // Switching networks, see `wifiSwitchDelay`
+        if (Date.now() < this.#offlineUntil)
+            return;
+
+        if (this.#dropCount > 0 || (this.#dropRate > 0 && Math.random() < this.#dropRate)) {
+            if (this.#dropCount > 0)
+                this.#dropCount--;
+
+            /**
+             * A request or a response was dropped on purpose, simulating packet loss.
+             *
+             * @event dropped
+             * @type {string} raw
+             */
+            this.emit('dropped', raw);
+            return;
+        }
+
+        let request = this.#util.parseRequest(raw);
+        if (!request || request.length * 2 !== raw.length) {
+            /**
+             * A request was ignored due to a bad frame header, length or checksum, like the firmware does.
+             *
+             * @event rejected
+             * @type {string} raw
+             */
+            this.emit('rejected', raw);
+            return;
+        }
+
+        /**
+         * A valid request has been received.
+         *
+         * @event request
+         * @type {ParsedRequest}
+         */
+        this.emit('request', request);
+
+        let response;
+
+        if (request.command === Command.GetIpAddress) {
+            // Resolving happens before the password is known, so it is not checked here
+            if (parseInt(request.data.substring(0, 8), 16) !== parseInt(this.#code, 10))
+                return;
+            response = this.#handleGetIpAddress();
+        } else if (request.password !== this.#password) {
+            response = Command.Error + ChargerErrorCode.WrongPassword;
+        } else if (!supportsCommand(this.#capabilities, request.command)) {
+            response = Command.Error + ChargerErrorCode.UnsupportedCommand;
+        } else if (this.#rejectCounts.get(request.command) > 0) {
+            this.#rejectCounts.set(request.command, this.#rejectCounts.get(request.command) - 1);
+            response = request.command + '00';
+        } else {
+            response = this.#handleCommand(request.command, request.data);
+        }
+
+        if (response === undefined)
+            return;
+
+        let frame = this.#util.compileResponse(response,
+            this.#echoMessageId ? request.messageId : undefined);
+
+        if (this.#dropResponseCount > 0) {
+            this.#dropResponseCount--;
+            this.emit('dropped', frame);
+            return;
+        }
+
+        const send = () => {
+            if (!this.#socket) return;
+
+            this.#socket.send(Buffer.from(frame, 'utf8'), rinfo.port, rinfo.address, err => {
+                if (err) {
+                    this.emit('error', err);
+                    return;
+                }
+
+                /**
+                 * A response has been sent.
+                 *
+                 * @event response
+                 * @type {string} frame
+                 */
+                this.emit('response', frame);
+            });
+        };
+
+        if (this.#responseDelay > 0) {
+            setTimeout(send, this.#responseDelay);
+        } else {
+            send();
+        }
+    }
+
+    /**
+     * @param {string} command
+     * @param {string} data
+     * @returns {string|undefined} response command + payload
+     */
+    #handleCommand(command, data) {
+        const byte = offset => parseInt(data.substring(offset, offset + 2), 16) || 0;
+
+        switch (command) {
+            case Command.Heartbeat:
+                return Command.Heartbeat;
+
+            case Command.PasswordChange:
+                this.#password = parseInt(data.substring(0, 8), 16);
+                return command + '01';
+
+            case Command.GetChargerModel:
+                return command + this.#encodeModel();
+
+            case Command.SetWifiAccessPoint: {
+                let ssidLength = byte(0) * 2;
+                let passwordLength = byte(2) * 2;
+                this.#wifi = {
+                    ssid: this.#util.decodeString(data.substring(4, 4 + ssidLength)),
+                    password: this.#util.decodeString(data.substring(4 + ssidLength, 4 + ssidLength + passwordLength)),
+                };
+                if (this.#wifiSwitchDelay > 0)
+                    this.#offlineUntil = Date.now() + this.#wifiSwitchDelay;
+                return command + '01';
+            }
+
+            case Command.SetChargeState: {
+                let ok = byte(0) === 1 ? this.startCharging() : this.stopCharging();
+                return command + hexBool(ok);
+            }
+
+            case Command.SetTimedChargeState:
+                this.#timedCharge = {
+                    enabled: true,
+                    start: [byte(16), byte(18), byte(20)],
+                    end: [byte(22), byte(24), byte(26)],
+                };
+                return command + '01';
+
+            case Command.SetRFIDAndApp:
+                this.#controls.rfid = byte(0) === 1;
+                this.#controls.appControlCharging = byte(2) === 1;
+                return command + '01';
+
+            case Command.SetDLB:
+                this.#updateEnergy();
+                this.#controls.dlb = byte(0) === 1;
+                this.#controls.extremeMode = byte(2) === 1;
+                this.#controls.dlbMaxCurrent = byte(4);
+                this.#controls.nightMode = byte(6) === 1;
+                return command + '01';
+
+            case Command.SetGroundingDetection:
+                this.#controls.groundingDetection = byte(0) === 1;
+                return command + '01';
+
+            case Command.SetMaxCurrent: {
+                let maxCurrent = parseInt(data.substring(0, 4), 16) || 0;
+                if (maxCurrent < CURRENT_LIMITS.min || maxCurrent > CURRENT_LIMITS.max)
+                    return command + '00';
+
+                this.#updateEnergy();
+                this.#controls.maxCurrent = maxCurrent;
+                return command + '01';
+            }
+
+            case Command.GetFaultStatus:
+                return command + this.#encodeFaultStatus();
+
+            case Command.GetRealTimeData:
+                return command + this.#encodeRealTimeData();
+
+            case Command.GetControlsState:
+                return command + this.#encodeControlsState();
+
+            case Command.SetBluetoothConnectionMode:
+                this.#bluetooth = byte(0) === 1;
+                return command + '01';
+
+            case Command.SwitchIapMode:
+                this.#iapMode = byte(0) === 1;
+                return command + '01';
+
+            case Command.SetMaxPower:
+                this.#maxPower = byte(0);
+                return command + '01';
+
+            case Command.SetReservation:
+                this.#controls.reservation = byte(12);
+                this.#controls.reservationStart = [byte(14), byte(16)];
+                this.#controls.reservationEnd = [byte(18), byte(20)];
+                return command + '01';
+
+            case Command.SetTime: {
+                let digits = data.substring(0, 12).match(/../g)?.map(x => parseInt(x, 10)) ?? [];
+                if (digits.length !== 6 || digits.some(x => isNaN(x)))
+                    return command + '00';
+
+                let [year, month, day, hours, minutes, seconds] = digits;
+                let time = new Date(2000 + year, month - 1, day, hours, minutes, seconds).getTime();
+                this.#clockOffset = time - Date.now();
+                return command + '01';
+            }
+
+            case Command.GetPowerConsumptionRecords:
+                return command + this.#encodeConsumptionRecords();
+
+            case Command.SetMaxMonthlyPower:
+                this.#controls.maxMonthlyPower = parseInt(data.substring(0, 4), 16) || 0;
+                return command + '01';
+
+            case Command.SetEmergencyStopProtection:
+                this.#controls.emergencyStopProtection = byte(0) === 1;
+                return command + '01';
+
+            case Command.GetPowerConsumptionRecordsOfMonth:
+                return command + this.#encodeConsumptionRecordsOfMonth(2000 + byte(0), byte(2) + 1);
+        }
+
+        return Command.Error + ChargerErrorCode.UnsupportedCommand;
+    }
+
+    /**
+     * @returns {string}
+     */
+    #handleGetIpAddress() {
+        let port = this.address?.port ?? this.#bindPort;
+
+        return Command.GetIpAddress +
+            hex(parseInt(this.#code, 10), 8) +
+            this.#ipAddress.split('.').map(x => hex(parseInt(x, 10), 2)).join('') +
+            hex(port, 4);
+    }
+
+    /**
+     * @returns {string}
+     */
+    #encodeModel() {
+        let [major, minor] = this.#profile.firmwareVersion.split('.');
+        let version = Buffer.alloc(20);
+        iconv.encode(this.#profile.version, STRING_ENCODING).copy(version, 0, 0, 20);
+
+        return hex(this.#profile.mode, 4) +
+            version.toString('hex') +
+            hex(parseInt(major, 10), 2) +
+            hex(parseInt(minor, 10), 2) +
+            hex(parseInt(this.#profile.hardwareVersion, 10), 2);
+    }
+
+    /**
+     * @returns {string}
+     */
+    #encodeFaultStatus() {
+        let flags = this.#capabilities.supportsContactorFaults ? FAULT_FLAGS.concat(V108_FAULT_FLAGS) : FAULT_FLAGS;
+        return flags.map(flag => hexBool(this.#faults[flag])).join('');
+    }
+
+    /**
+     * @returns {string}
+     */
+    #encodeRealTimeData() {
+        this.#updateEnergy();
+
+        let current = this.#currentPerPhase();
+        let payload = '';
+
+        if (this.#profile.mode === ChargerMode.ThreePhase) {
+            payload += hex(current, 2) + hex(current, 2) + hex(current, 2);
+            payload += hex(this.#voltage, 4) + hex(this.#voltage, 4) + hex(this.#voltage, 4);
+        } else {
+            payload += hex(current, 4) + hex(this.#voltage, 4);
+        }
+
+        payload += hex(this.#power() * 10, 4) +
+            hex(this.#totalPower * 10, 4) +
+            hex(this.#temperature + 100, 2) +
+            hex(this.#chargerState, 2);
+
+        payload += hexBool(this.#timedCharge.enabled) +
+            this.#timedCharge.start.map(x => hex(x, 2)).join('') +
+            this.#timedCharge.end.map(x => hex(x, 2)).join('');
+
+        if (this.#capabilities.supportsMaxPower) {
+            payload += hex(this.#controls.maxCurrent, 2) +
+                hex(this.#maxPower, 2) +
+                hexBool(this.#isReservation);
+        }
+
+        if (this.#capabilities.supportsMaximumFlag) {
+            payload += hexBool(this.#isMaximum);
+        }
+
+        if (this.#capabilities.supportsExtremeMode) {
+            payload += hexBool(this.#controls.extremeMode);
+        }
+
+        return payload;
+    }
+
+    /**
+     * @returns {string}
+     */
+    #encodeControlsState() {
+        let controls = this.#controls;
+
+        let payload = hexBool(controls.rfid) +
+            hexBool(controls.appControlCharging) +
+            hexBool(controls.dlb) +
+            hexBool(controls.groundingDetection) +
+            hex(controls.temperatureThreshold, 2) +
+            hex(controls.maxCurrent, 4) +
+            hex(controls.dlbPattern, 2) +
+            hex(controls.dlbMaxCurrent, 2);
+
+        if (this.#capabilities.supportsReservation) {
+            payload += hex(controls.reservation, 2) +
+                controls.reservationStart.map(x => hex(x, 2)).join('') +
+                controls.reservationEnd.map(x => hex(x, 2)).join('');
+        }
+
+        if (this.#capabilities.supportsMaxMonthlyPower) {
+            payload += hex(controls.maxMonthlyPower, 4) +
+                hexBool(controls.emergencyStopProtection);
+        }
+
+        if (this.#capabilities.supportsExtremeMode) {
+            payload += hexBool(controls.extremeMode) +
+                hexBool(controls.nightMode);
+        }
+
+        return payload;
+    }
+
+    /**
+     * @returns {string}
+     */
+    #encodeConsumptionRecords() {
+        let payload = this.#history.days.map(x => hex(x * 10, 4)).join('') +
+            this.#history.months.map(x => hex(x * 10, 4)).join('');
+
+        if (this.#capabilities.supportsYearRecords) {
+            payload += this.#history.years.map(x => hex(x, 4)).join('');
+        }
+
+        return payload;
+    }
+
+    /**
+     * @param {number} year
+     * @param {number} month 1-12
+     * @returns {string}
+     */
+    #encodeConsumptionRecordsOfMonth(year, month) {
+        let key = year.toString() + '-' + month.toString().padStart(2, '0');
+        let days = this.#history.monthly[key];
+        let monthLastDay = new Date(year, month, 0).getDate();
+
+        let payload = hexBool(!!days);
+        for (let i = 0; i < monthLastDay; i++) {
+            payload += hex((days?.[i] ?? 0) * 10, 4);
+        }
+
+        return payload;
+    }
+}
+
+export { ChargerEmulator, EmulatorProfile };
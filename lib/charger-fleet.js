@@ -0,0 +1,354 @@
+import dgram from 'node:dgram';
+import { EventEmitter } from 'node:events';
+import { normalizeConfig } from './charger-config.js';
+
+/**
+ * @typedef {Object} FleetChargerOptions
+ * @property {string?} password defaults to '123456'
+ * @property {string?} ip the charger's address. When omitted, it's resolved by `resolve()` from the code.
+ * @property {number?} port defaults to the fleet's port
+ * @property {string?} timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ */
+
+/**
+ * @typedef {Object} FleetResult
+ * @property {string} code
+ * @property {boolean} ok `false` if the command has failed, or the charger has rejected it
+ * @property {*} value
+ * @property {Error?} error
+ */
+
+/** Controller events that are relayed by the fleet, tagged with the charger's code */
+const RELAYED_EVENTS = Object.freeze([
+    'realtime_data', 'fault_status', 'controls_state', 'charger_model', 'charger_error',
+    'state_change', 'plugged', 'unplugged', 'charging_started', 'charging_stopped',
+    'controls_changed', 'fault_raised', 'fault_cleared',
+]);
+
+/**
+ * Manages many chargers through a single UDP socket, routing incoming frames to each charger's controller
+ * by their source address and port.
+ * The controller class is passed in (`index.js` passes `ChargerController`), as this module is imported by it.
+ */
+class ChargerFleet extends EventEmitter {
+    /** @type Socket|null */
+    #socket = null;
+
+    /** @type Promise<void>|null */
+    #opening = null;
+
+    /** @type typeof ChargerController */
+    #controllerClass;
+
+    /** @type number */
+    #port;
+
+    /** @type number|null */
+    #localPort;
+
+    /** @type Map<string, ChargerController> */
+    #controllers = new Map();
+
+    /** @type Map<string, function[]> */
+    #relays = new Map();
+
+    /** @type Set<EventEmitter & {controller: ChargerController}> */
+    #channels = new Set();
+
+    /** @type ChargerTransport */
+    #transport = {
+        open: controller => this.#openChannel(controller),
+    };
+
+    /**
+     * @param {Object} options
+     * @param {typeof ChargerController} options.controllerClass the class of the chargers' controllers
+     * @param {number?} options.port the chargers' port (default 3333)
+     * @param {number|null?} options.localPort the local port to listen on. `null` (default) listens on `port`.
+     */
+    constructor({ controllerClass, port = 3333, localPort = null }) {
+        super();
+
+        this.#controllerClass = controllerClass;
+        this.#port = port;
+        this.#localPort = localPort;
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    get codes() {
+        return Array.from(this.#controllers.keys());
+    }
+
+    /**
+     * @returns {ChargerController[]}
+     */
+    get controllers() {
+        return Array.from(this.#controllers.values());
+    }
+
+    /**
+     * @param {string} code
+     * @returns {ChargerController|undefined}
+     */
+    get(code) {
+        return this.#controllers.get(String(code));
+    }
+
+    /**
+     * Adds a charger to the fleet. Its controller uses the fleet's socket.
+     * @param {string} code the charger's code, visible on a sticker on the charger, or in the z-box app.
+     * @param {FleetChargerOptions?} options
+     * @returns {ChargerController}
+     */
+    add(code, { password = '123456', ip = null, port = this.#port, timeZone = null } = {}) {
+        code = String(code);
+
+        if (this.#controllers.has(code))
+            throw new Error(`charger ${code} is already in the fleet`);
+
+        const controller = new this.#controllerClass(password, { transport: this.#transport, timeZone });
+        controller.code = code;
+        if (ip)
+            controller.setHost(ip, port);
+
+        let relays = RELAYED_EVENTS.map(event => {
+            let relay = data => {
+                /**
+                 * Any of the chargers' `realtime_data`, `fault_status`, `controls_state`, `charger_model`,
+                 * `charger_error` and monitoring events, tagged with the charger's code.
+                 *
+                 * @event realtime_data
+                 * @type {Object} event
+                 * @property {string} code
+                 * @property {ChargerController} controller
+                 * @property {*} data the controller's event argument
+                 */
+                this.emit(event, { code, controller, data });
+            };
+            controller.on(event, relay);
+            return relay;
+        });
+
+        this.#controllers.set(code, controller);
+        this.#relays.set(code, relays);
+
+        return controller;
+    }
+
+    /**
+     * Removes a charger from the fleet, and stops its monitoring.
+     * @param {string} code
+     * @returns {boolean}
+     */
+    remove(code) {
+        code = String(code);
+
+        const controller = this.#controllers.get(code);
+        if (!controller)
+            return false;
+
+        let relays = this.#relays.get(code);
+        RELAYED_EVENTS.forEach((event, i) => controller.off(event, relays[i]));
+
+        controller.stopMonitoring();
+        controller.disconnect();
+
+        this.#controllers.delete(code);
+        this.#relays.delete(code);
+
+        return true;
+    }
+
+    async open() {
+        if (this.#socket) return;
+        if (this.#opening) return this.#opening;
+
+        const socket = dgram.createSocket('udp4');
+
+        socket.on('message', (msg, rinfo) => this.#route(msg, rinfo));
+
+        this.#opening = new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.once('listening', () => {
+                socket.off('error', reject);
+                socket.setBroadcast(true);
+                resolve();
+            });
+            socket.bind(this.#localPort ?? this.#port);
+        });
+
+        try {
+            await this.#opening;
+            socket.on('error', err => {
+                if (this.listenerCount('error') > 0)
+                    this.emit('error', err);
+            });
+            this.#socket = /**@type Socket*/socket;
+        } catch (err) {
+            socket.close();
+            throw err;
+        } finally {
+            this.#opening = null;
+        }
+    }
+
+    /**
+     * Closes the shared socket. Chargers stay in the fleet, and the socket is reopened on their next command.
+     */
+    close() {
+        for (let controller of this.#controllers.values())
+            controller.disconnect();
+
+        if (this.#socket) {
+            this.#socket.close();
+            this.#socket = null;
+        }
+    }
+
+    /**
+     * Resolves the address of each charger added without one, and retrieves every charger's model info.
+     * @returns {Promise<FleetResult[]>}
+     */
+    async resolve() {
+        return this.#forEach(null, async controller => {
+            let code = this.#codeOf(controller);
+
+            if (controller.host.ipAddress.endsWith('.255'))
+                await controller.sendGetIpAddress(code);
+
+            return controller.sendGetChargerModel();
+        });
+    }
+
+    /**
+     * Syncs the clock of every charger in the fleet (or only of `codes`) to this machine's time.
+     * Not an actual broadcast: each charger is sent its own frame, signed with its password and in its timezone.
+     * @param {string[]?} codes
+     * @returns {Promise<FleetResult[]>}
+     */
+    async broadcastSyncTime(codes) {
+        return this.#forEach(codes, controller => controller.sendSyncTime());
+    }
+
+    /**
+     * Sets the max current on every charger in the fleet (or only on `codes`).
+     * @param {number} maxCurrent
+     * @param {string[]?} codes
+     * @returns {Promise<FleetResult[]>}
+     */
+    async setMaxCurrent(maxCurrent, codes) {
+        return this.#forEach(codes, controller => controller.sendSetMaxCurrent(maxCurrent));
+    }
+
+    /**
+     * Brings every charger in the fleet (or only `codes`) to the same config, see `ChargerController.applyConfig()`.
+     * Each result's `value` is the charger's `ConfigApplyResult`, and `ok` is `false` if any of its fields has failed.
+     * @param {Partial<ChargerConfig>|Object} desired
+     * @param {Object?} options
+     * @param {boolean?} options.dryRun only read the chargers, and report the fields that would be changed
+     * @param {string[]?} codes
+     * @returns {Promise<FleetResult[]>}
+     * @throws {TypeError|RangeError} for unknown fields and invalid values, before sending anything
+     */
+    async applyConfig(desired, options, codes) {
+        normalizeConfig(desired);
+
+        let results = await this.#forEach(codes, controller => controller.applyConfig(desired, options));
+        return results.map(result => result.ok ? { ...result, ok: result.value.ok } : result);
+    }
+
+    /**
+     * @param {string[]|null|undefined} codes
+     * @param {function(controller: ChargerController): Promise<*>} action
+     * @returns {Promise<FleetResult[]>}
+     */
+    async #forEach(codes, action) {
+        let targets = (codes ?? this.codes).map(String);
+
+        let results = await Promise.allSettled(targets.map(async code => {
+            const controller = this.#controllers.get(code);
+            if (!controller)
+                throw new Error(`charger ${code} is not in the fleet`);
+            return action(controller);
+        }));
+
+        return results.map((result, i) => result.status === 'fulfilled'
+            ? { code: targets[i], ok: result.value !== false, value: result.value }
+            : { code: targets[i], ok: false, error: result.reason });
+    }
+
+    /**
+     * @param {ChargerController} controller
+     * @returns {string|undefined}
+     */
+    #codeOf(controller) {
+        for (let [code, x] of this.#controllers) {
+            if (x === controller)
+                return code;
+        }
+    }
+
+    /**
+     * @param {ChargerController} controller
+     * @returns {Promise<EventEmitter>}
+     */
+    async #openChannel(controller) {
+        await this.open();
+
+        const channel = new EventEmitter();
+        channel.controller = controller;
+        channel.send = (buffer, port, address, callback) => {
+            if (!this.#socket)
+                return callback?.(new Error('fleet socket is closed'));
+            this.#socket.send(buffer, port, address, callback);
+        };
+        channel.close = () => {
+            this.#channels.delete(channel);
+        };
+
+        this.#channels.add(channel);
+
+        return channel;
+    }
+
+    /**
+     * @param {Buffer} msg
+     * @param {{address: string, port: number}} rinfo
+     */
+    #route(msg, rinfo) {
+        let delivered = false;
+
+        for (let channel of this.#channels) {
+            let host = channel.controller.host;
+            if (host.ipAddress === rinfo.address && host.port === rinfo.port) {
+                channel.emit('message', msg, rinfo);
+                delivered = true;
+            }
+        }
+
+        // Responses to chargers that are still resolving their address
+        if (!delivered) {
+            for (let channel of this.#channels) {
+                if (channel.controller.host.ipAddress.endsWith('.255')) {
+                    channel.emit('message', msg, rinfo);
+                    delivered = true;
+                }
+            }
+        }
+
+        if (!delivered) {
+            /**
+             * A frame that could not be routed to any charger in the fleet.
+             *
+             * @event unrouted_message
+             * @type {Buffer} message
+             * @type {{address: string, port: number}} rinfo
+             */
+            this.emit('unrouted_message', msg, rinfo);
+        }
+    }
+}
+
+export { ChargerFleet };
@@ -0,0 +1,310 @@
+import { ChargerState, CommandPriority } from './protocol.js';
+
+/**
+ * @typedef {Object} MonitoringOptions
+ * @property {number?} realtimeInterval milliseconds between realtime data polls while a vehicle is charging (default 2000)
+ * @property {number?} idleRealtimeInterval milliseconds between realtime data polls while idle (default 15000)
+ * @property {number?} faultInterval milliseconds between fault status polls (default 10000)
+ * @property {number?} controlsInterval milliseconds between controls state polls (default 60000)
+ *
+ * An interval of `0` disables polling of that kind.
+ */
+
+/** States where a vehicle is known to be plugged in */
+const PLUGGED_STATES = Object.freeze([ChargerState.Standby, ChargerState.NotReady, ChargerState.Charging]);
+
+/** States where the realtime data is polled at the faster `realtimeInterval` */
+const ACTIVE_STATES = Object.freeze([ChargerState.NotReady, ChargerState.Charging]);
+
+/**
+ * Polls a charger and emits semantic events on the controller, computed from consecutive snapshots.
+ * Snapshots from any caller of the getters count, not only the monitor's own polls.
+ */
+class ChargerMonitor {
+    /** @type ChargerController */
+    #controller;
+
+    /** @type Required<MonitoringOptions> */
+    #options;
+
+    /** @type boolean */
+    #running = false;
+
+    /** @type Map<string, ReturnType<typeof setTimeout>> */
+    #timers = new Map();
+
+    /** @type ChargerState|null */
+    #lastState = null;
+
+    /** @type boolean|null */
+    #plugged = null;
+
+    /** @type ChargeFaultStatus|null */
+    #lastFaults = null;
+
+    /** @type ChargerControlsState|null */
+    #lastControls = null;
+
+    #onRealTimeData = data => this.#handleRealTimeData(data);
+
+    #onFaultStatus = status => this.#handleFaultStatus(status);
+
+    #onControlsState = controls => this.#handleControlsState(controls);
+
+    /**
+     * @param {ChargerController} controller
+     * @param {MonitoringOptions?} options
+     */
+    constructor(controller, {
+        realtimeInterval = 2000,
+        idleRealtimeInterval = 15000,
+        faultInterval = 10000,
+        controlsInterval = 60000,
+    } = {}) {
+        this.#controller = controller;
+        this.#options = { realtimeInterval, idleRealtimeInterval, faultInterval, controlsInterval };
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.#running;
+    }
+
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+
+        this.#controller.on('realtime_data', this.#onRealTimeData);
+        this.#controller.on('fault_status', this.#onFaultStatus);
+        this.#controller.on('controls_state', this.#onControlsState);
+
+        for (let kind of ['realtime', 'fault', 'controls']) {
+            if (this.#intervalOf(kind) > 0)
+                this.#schedule(kind, 0);
+        }
+    }
+
+    stop() {
+        if (!this.#running) return;
+        this.#running = false;
+
+        for (let timer of this.#timers.values())
+            clearTimeout(timer);
+        this.#timers.clear();
+
+        this.#controller.off('realtime_data', this.#onRealTimeData);
+        this.#controller.off('fault_status', this.#onFaultStatus);
+        this.#controller.off('controls_state', this.#onControlsState);
+
+        this.#lastState = null;
+        this.#plugged = null;
+        this.#lastFaults = null;
+        this.#lastControls = null;
+    }
+
+    /**
+     * @param {string} kind
+     * @returns {number}
+     */
+    #intervalOf(kind) {
+        switch (kind) {
+            case 'realtime':
+                if (this.#options.realtimeInterval <= 0)
+                    return 0;
+                return ACTIVE_STATES.includes(this.#lastState)
+                    ? this.#options.realtimeInterval
+                    : Math.max(this.#options.idleRealtimeInterval, this.#options.realtimeInterval);
+            case 'fault':
+                return this.#options.faultInterval;
+            case 'controls':
+                return this.#options.controlsInterval;
+        }
+        return 0;
+    }
+
+    /**
+     * @param {string} kind
+     * @param {number} delay
+     */
+    #schedule(kind, delay) {
+        clearTimeout(this.#timers.get(kind));
+        this.#timers.set(kind, setTimeout(() => this.#poll(kind), delay));
+    }
+
+    /**
+     * @param {string} kind
+     * @returns {Promise<void>}
+     */
+    async #poll(kind) {
+        this.#timers.delete(kind);
+
+        // Polling gives way to anything else the application sends
+        const options = { priority: CommandPriority.Low };
+
+        try {
+            switch (kind) {
+                case 'realtime':
+                    if (!this.#controller.modelInfo)
+                        await this.#controller.sendGetChargerModel(options);
+                    await this.#controller.sendGetRealTimeData(options);
+                    break;
+                case 'fault':
+                    await this.#controller.sendGetFaultStatus(options);
+                    break;
+                case 'controls':
+                    await this.#controller.sendGetControlsState(options);
+                    break;
+            }
+        } catch (err) {
+            if (this.#running) {
+                /**
+                 * A monitoring poll has failed. Polling continues on schedule.
+                 *
+                 * @event monitor_error
+                 * @type {Error}
+                 */
+                this.#controller.emit('monitor_error', err);
+            }
+        }
+
+        if (this.#running && !this.#timers.has(kind))
+            this.#schedule(kind, this.#intervalOf(kind));
+    }
+
+    /**
+     * @param {ChargerRealTimeData} data
+     */
+    #handleRealTimeData(data) {
+        const controller = this.#controller;
+        const previous = this.#lastState;
+        const state = data.state;
+
+        this.#lastState = state;
+
+        if (previous !== null && previous !== state) {
+            /**
+             * The charger state has changed between two consecutive snapshots.
+             *
+             * @event state_change
+             * @type {Object} event
+             * @property {ChargerState} previous
+             * @property {ChargerState} state
+             */
+            controller.emit('state_change', { previous, state });
+        }
+
+        // Abnormal/self-checking states tell nothing about the plug, so the last known value is kept
+        let plugged = PLUGGED_STATES.includes(state)
+            ? true
+            : state === ChargerState.Unplugged ? false : this.#plugged;
+
+        if (this.#plugged !== null && plugged !== this.#plugged) {
+            /**
+             * A vehicle has been plugged in.
+             *
+             * @event plugged
+             */
+
+            /**
+             * The vehicle has been unplugged.
+             *
+             * @event unplugged
+             */
+            controller.emit(plugged ? 'plugged' : 'unplugged');
+        }
+        this.#plugged = plugged;
+
+        if (previous !== null && previous !== state) {
+            if (state === ChargerState.Charging) {
+                /**
+                 * The charger has started charging.
+                 *
+                 * @event charging_started
+                 */
+                controller.emit('charging_started');
+            } else if (previous === ChargerState.Charging) {
+                /**
+                 * The charger has stopped charging.
+                 *
+                 * @event charging_stopped
+                 */
+                controller.emit('charging_stopped');
+            }
+
+            // Switch between the idle and active polling rates right away
+            if (this.#running && this.#options.realtimeInterval > 0 &&
+                ACTIVE_STATES.includes(previous) !== ACTIVE_STATES.includes(state) &&
+                this.#timers.has('realtime')) {
+                this.#schedule('realtime', this.#intervalOf('realtime'));
+            }
+        }
+    }
+
+    /**
+     * @param {ChargeFaultStatus} status
+     */
+    #handleFaultStatus(status) {
+        const previous = this.#lastFaults ?? {};
+        this.#lastFaults = Object.assign({}, status);
+
+        for (let [flag, active] of Object.entries(status)) {
+            if (!!previous[flag] === !!active)
+                continue;
+
+            /**
+             * A fault flag has been raised. Faults that are already active when monitoring starts are reported too.
+             *
+             * @event fault_raised
+             * @type {Object} event
+             * @property {string} flag a `ChargeFaultStatus` field name
+             */
+
+            /**
+             * A fault flag has been cleared.
+             *
+             * @event fault_cleared
+             * @type {Object} event
+             * @property {string} flag a `ChargeFaultStatus` field name
+             */
+            this.#controller.emit(active ? 'fault_raised' : 'fault_cleared', { flag });
+        }
+    }
+
+    /**
+     * @param {ChargerControlsState} controls
+     */
+    #handleControlsState(controls) {
+        const previous = this.#lastControls;
+        this.#lastControls = Object.assign({}, controls);
+
+        if (!previous)
+            return;
+
+        let changes = {};
+        let hasChanges = false;
+
+        for (let key of new Set(Object.keys(previous).concat(Object.keys(controls)))) {
+            if (previous[key] === controls[key])
+                continue;
+
+            changes[key] = { previous: previous[key], current: controls[key] };
+            hasChanges = true;
+        }
+
+        if (hasChanges) {
+            /**
+             * Controls state fields have changed between two consecutive snapshots.
+             *
+             * @event controls_changed
+             * @type {Object} event
+             * @property {Object<string, {previous: *, current: *}>} changes
+             * @property {ChargerControlsState} controls
+             */
+            this.#controller.emit('controls_changed', { changes, controls });
+        }
+    }
+}
+
+export { ChargerMonitor };
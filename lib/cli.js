@@ -0,0 +1,532 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    ChargerController,
+    ChargerState,
+    ChargerTimeoutError,
+    ChargerRejectedError,
+    ChargerDeviceError,
+    ChargerProtocolError,
+    ChargerUnsupportedError,
+    WEEKDAYS,
+    formatConsumption,
+    ConfigFieldStatus,
+} from '../index.js';
+
+/**
+ * @typedef {Object} CliConnection
+ * @property {string?} code
+ * @property {string?} ip
+ * @property {number} port
+ * @property {number|null} localPort
+ * @property {string} password
+ * @property {number} timeout
+ * @property {string|null} timeZone
+ */
+
+/**
+ * @typedef {Object} CliContext
+ * @property {Object<string, string|boolean>} flags
+ * @property {string[]} args
+ * @property {CliConnection} connection
+ * @property {function(text: string)} print
+ * @property {NodeJS.ProcessEnv} env
+ */
+
+/**
+ * Process exit codes, so scripts can tell the kinds of failures apart.
+ * @enum {number} CliExitCode
+ */
+const CliExitCode = Object.freeze({
+    Ok: 0,
+    Error: 1,
+    Usage: 2,
+    Timeout: 3,
+    Rejected: 4,
+    DeviceError: 5,
+    ProtocolError: 6,
+    Unsupported: 7,
+});
+
+/** Flags that take no value */
+const BOOLEAN_FLAGS = Object.freeze(['json', 'csv', 'help', 'extreme', 'night', 'dry-run', 'wildcard']);
+
+const USAGE = `Usage: bcp-charger <command> [options]
+
+Commands:
+  discover [--scan-timeout <ms>] [--wildcard]
+                                        find the charger of --code on the local network, or with --wildcard,
+                                        experimentally, chargers whose codes are not known
+  status                                realtime data, faults and controls state
+  start                                 start charging
+  stop                                  stop charging
+  set-current <amps>                    set the max current
+  set-dlb <on|off> [--max-current <amps>] [--extreme] [--night]
+  set-reservation <HH:mm> <HH:mm> [days]
+                                        days are names, i.e. mon,tue,wed, or sunday-saturday flags, i.e. 1111100
+  set-reservation off                   clear the reservation
+  sync-time                             set the charger's clock to this machine's
+  config                                the charger's settings, as apply-config takes them
+  apply-config <file> [--dry-run]       bring the charger's settings to a JSON file's, changing only those that differ
+  history [--month <yyyy-mm>]           power consumption records
+  history --from <date> [--to <date>] [--by day|month|year] [--csv]
+                                        dated consumption over a range, dates are yyyy, yyyy-mm or yyyy-mm-dd
+  watch [--interval <ms>]               print state changes until interrupted
+
+Connection options (also BCP_CHARGER_* environment variables, or a JSON config file):
+  --code <code>          the charger's code, resolved to its address by broadcast
+  --ip <address>         the charger's address, skipping the resolving
+  --port <port>          the charger's port (default 3333)
+  --local-port <port>    the local port to listen on (default: same as --port)
+  --password <password>  (default 123456)
+  --timeout <ms>         milliseconds to wait for each response (default 1000)
+  --timezone <zone>      the charger's IANA timezone, i.e. Asia/Jerusalem (default: this machine's)
+  --config <file>        (default ~/.bcp-charger.json)
+
+Output options:
+  --json                 print JSON instead of tables
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 timeout, 4 rejected, 5 charger error, 6 malformed response, 7 unsupported by the firmware
+`;
+
+class UsageError extends Error {
+}
+
+/**
+ * @param {string[]} argv
+ * @returns {{flags: Object<string, string|boolean>, args: string[]}}
+ */
+const parseArgv = argv => {
+    const flags = {};
+    const args = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+
+        if (!arg.startsWith('--') || arg === '--') {
+            args.push(arg);
+            continue;
+        }
+
+        let name = arg.substring(2);
+        let value;
+
+        let eq = name.indexOf('=');
+        if (eq !== -1) {
+            value = name.substring(eq + 1);
+            name = name.substring(0, eq);
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            value = true;
+        } else {
+            if (i + 1 >= argv.length)
+                throw new UsageError(`missing value for --${name}`);
+            value = argv[++i];
+        }
+
+        flags[name] = value;
+    }
+
+    return { flags, args };
+};
+
+/**
+ * @param {string|undefined} value
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+const parseNumber = (value, name) => {
+    if (value === undefined || value === null || value === '')
+        return undefined;
+
+    let number = Number(value);
+    if (!Number.isFinite(number))
+        throw new UsageError(`${name} must be a number`);
+    return number;
+};
+
+/**
+ * Invalid arguments are usage errors.
+ * @param {function(): Promise<*>} action
+ * @returns {Promise<*>}
+ * @throws {UsageError} for a `TypeError` or a `RangeError` of the action
+ */
+const withArgumentErrors = async action => {
+    try {
+        return await action();
+    } catch (err) {
+        if (err instanceof TypeError || err instanceof RangeError)
+            throw new UsageError(err.message);
+        throw err;
+    }
+};
+
+/**
+ * Flags take precedence over environment variables, which take precedence over the config file.
+ * @param {Object<string, string|boolean>} flags
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {CliConnection}
+ */
+const resolveConnection = (flags, env) => {
+    let configPath = flags.config ?? env.BCP_CHARGER_CONFIG;
+    let config = {};
+
+    if (configPath || fs.existsSync(path.join(os.homedir(), '.bcp-charger.json'))) {
+        configPath = configPath ?? path.join(os.homedir(), '.bcp-charger.json');
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (err) {
+            throw new UsageError(`cannot read config file ${configPath}: ${err.message}`);
+        }
+    }
+
+    const pick = (flag, envName, key) => flags[flag] ?? env[envName] ?? config[key];
+
+    return {
+        code: pick('code', 'BCP_CHARGER_CODE', 'code')?.toString(),
+        ip: pick('ip', 'BCP_CHARGER_IP', 'ip')?.toString(),
+        port: parseNumber(pick('port', 'BCP_CHARGER_PORT', 'port'), 'port') ?? 3333,
+        localPort: parseNumber(pick('local-port', 'BCP_CHARGER_LOCAL_PORT', 'localPort'), 'local port') ?? null,
+        password: (pick('password', 'BCP_CHARGER_PASSWORD', 'password') ?? '123456').toString(),
+        timeout: parseNumber(pick('timeout', 'BCP_CHARGER_TIMEOUT', 'timeout'), 'timeout') ?? 1000,
+        timeZone: pick('timezone', 'BCP_CHARGER_TIMEZONE', 'timeZone')?.toString() ?? null,
+    };
+};
+
+/**
+ * @param {Error} err
+ * @returns {number}
+ */
+const exitCodeOf = err => {
+    if (err instanceof UsageError) return CliExitCode.Usage;
+    if (err instanceof ChargerTimeoutError) return CliExitCode.Timeout;
+    if (err instanceof ChargerRejectedError) return CliExitCode.Rejected;
+    if (err instanceof ChargerDeviceError) return CliExitCode.DeviceError;
+    if (err instanceof ChargerProtocolError) return CliExitCode.ProtocolError;
+    if (err instanceof ChargerUnsupportedError) return CliExitCode.Unsupported;
+    return CliExitCode.Error;
+};
+
+/**
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const formatTable = rows => {
+    const widths = [];
+    for (let row of rows) {
+        row.forEach((cell, i) => {
+            widths[i] = Math.max(widths[i] || 0, String(cell ?? '').length);
+        });
+    }
+
+    return rows
+        .map(row => row.map((cell, i) => String(cell ?? '').padEnd(i < row.length - 1 ? widths[i] : 0)).join('  '))
+        .join('\n') + '\n';
+};
+
+/**
+ * @param {Object} object
+ * @returns {Array<Array<*>>}
+ */
+const toRows = object => Object.entries(object ?? {})
+    .map(([key, value]) => [key, Array.isArray(value) ? value.join(', ') : value]);
+
+/**
+ * @param {number} state
+ * @returns {string}
+ */
+const stateName = state => Object.keys(ChargerState).find(key => ChargerState[key] === state) ?? String(state);
+
+/**
+ * @param {CliConnection} connection
+ * @returns {Promise<ChargerController>}
+ */
+const connect = async connection => {
+    if (!connection.ip && !connection.code)
+        throw new UsageError('either --code or --ip is required');
+
+    const controller = await withArgumentErrors(async () => new ChargerController(connection.password));
+    controller.resultTimeout = connection.timeout;
+    controller.localPort = connection.localPort;
+
+    try {
+        controller.timeZone = connection.timeZone;
+    } catch (ignored) {
+        throw new UsageError(`unknown timezone: ${connection.timeZone}`);
+    }
+
+    if (connection.ip) {
+        controller.setHost(connection.ip, connection.port);
+    } else {
+        controller.setHost(null, connection.port);
+        await withArgumentErrors(() => controller.sendGetIpAddress(connection.code));
+    }
+
+    return controller;
+};
+
+/**
+ * @type {Object<string, function(controller: ChargerController, context: CliContext): Promise<*>>}
+ */
+const COMMANDS = {
+    // The model is needed for verifying a lost response with a realtime data read
+    start: async controller => {
+        await controller.sendGetChargerModel();
+        await controller.sendSetChargeState(true, { retry: true });
+    },
+
+    stop: async controller => {
+        await controller.sendGetChargerModel();
+        await controller.sendSetChargeState(false, { retry: true });
+    },
+
+    'set-current': async (controller, { args }) => {
+        let amps = parseNumber(args[0], 'current');
+        if (amps === undefined)
+            throw new UsageError('usage: set-current <amps>');
+        await withArgumentErrors(() => controller.sendSetMaxCurrent(amps));
+    },
+
+    'set-dlb': async (controller, { args, flags }) => {
+        if (args[0] !== 'on' && args[0] !== 'off')
+            throw new UsageError('usage: set-dlb <on|off> [--max-current <amps>] [--extreme] [--night]');
+
+        let maxCurrent = parseNumber(flags['max-current'], 'max current');
+        if (maxCurrent === undefined)
+            maxCurrent = (await controller.sendGetControlsState()).dlbMaxCurrent;
+
+        await withArgumentErrors(() => controller.sendSetDLB(args[0] === 'on', !!flags.extreme, maxCurrent, !!flags.night));
+    },
+
+    'set-reservation': async (controller, { args }) => {
+        if (args[0] === 'off') {
+            await controller.setReservation(null);
+            return;
+        }
+
+        if (args.length < 2)
+            throw new UsageError('usage: set-reservation <HH:mm> <HH:mm> [days] | set-reservation off');
+
+        let days = args[2] ?? '';
+        days = /^[01]{7}$/.test(days)
+            ? WEEKDAYS.filter((day, i) => days[i] === '1')
+            : days.split(',').map(day => day.trim().toLowerCase()).filter(Boolean);
+
+        await withArgumentErrors(() => controller.setReservation({ days, from: args[0], to: args[1] }));
+    },
+
+    'sync-time': async controller => {
+        await controller.sendSyncTime();
+    },
+
+    config: async (controller, { flags, print }) => {
+        const config = await controller.getConfig();
+
+        if (flags.json)
+            return print(JSON.stringify(config, null, 2) + '\n');
+
+        const { dlb, reservation, ...rest } = config;
+        print(formatTable(toRows(rest).concat(
+            toRows(dlb).map(([key, value]) => ['dlb.' + key, value]),
+            reservation === undefined ? [] : [['reservation', reservation
+                ? `${reservation.days.join(',') || 'no days'} ${reservation.from}-${reservation.to}`
+                : 'none']])));
+    },
+
+    'apply-config': async (controller, { args, flags, print }) => {
+        if (!args[0])
+            throw new UsageError('usage: apply-config <file> [--dry-run]');
+
+        let desired;
+        try {
+            desired = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+        } catch (err) {
+            throw new UsageError(`cannot read ${args[0]}: ${err.message}`);
+        }
+
+        const result = await withArgumentErrors(() => controller.applyConfig(desired, { dryRun: !!flags['dry-run'] }));
+
+        if (flags.json) {
+            print(JSON.stringify({
+                ...result,
+                fields: result.fields.map(({ error, ...field }) => error ? { ...field, error: error.message } : field),
+            }, null, 2) + '\n');
+        } else {
+            print(formatTable([['field', 'status', 'from', 'to', 'error']].concat(result.fields.map(field => [
+                field.field, field.status, JSON.stringify(field.from), JSON.stringify(field.to), field.error?.message,
+            ]))));
+        }
+
+        if (!result.ok) {
+            const failed = result.fields.filter(field => field.status === ConfigFieldStatus.Failed || field.status === ConfigFieldStatus.Unsupported);
+            throw new Error(`${failed.length} of ${result.fields.length} fields ${result.dryRun ? 'cannot be' : 'were not'} applied`);
+        }
+    },
+
+    status: async (controller, { flags, print }) => {
+        const model = await controller.sendGetChargerModel();
+        const realtime = await controller.sendGetRealTimeData();
+        const faults = await controller.sendGetFaultStatus();
+        const controls = await controller.sendGetControlsState();
+
+        if (flags.json)
+            return print(JSON.stringify({ model, realtime, faults, controls }, null, 2) + '\n');
+
+        const activeFaults = Object.keys(faults).filter(key => faults[key]);
+
+        print(formatTable([
+            ['model', model.version],
+            ['firmware', model.firmwareVersion],
+            ['state', stateName(realtime.state)],
+            ['faults', activeFaults.length ? activeFaults.join(', ') : 'none'],
+        ]));
+        print('\nrealtime data:\n' + formatTable(toRows(realtime).filter(([key]) => key !== 'state')));
+        print('\ncontrols:\n' + formatTable(toRows(controls)));
+    },
+
+    history: async (controller, { flags, print }) => {
+        if (flags.from) {
+            let rows = await withArgumentErrors(() =>
+                controller.getConsumption({ from: flags.from, to: flags.to ?? null, granularity: flags.by ?? 'day' }));
+
+            if (flags.csv || flags.json)
+                return print(formatConsumption(rows, { format: flags.csv ? 'csv' : 'json' }));
+
+            return print(formatTable([['date', 'kWh']].concat(rows.map(row => [row.date, row.kWh]))));
+        }
+
+        if (flags.month) {
+            let match = /^(\d{4})-(\d{1,2})$/.exec(flags.month);
+            if (!match)
+                throw new UsageError('--month must be yyyy-mm');
+
+            const year = parseInt(match[1], 10);
+            const month = parseInt(match[2], 10);
+            const records = await withArgumentErrors(() => controller.sendGetPowerConsumptionRecordsOfMonth(year, month));
+
+            if (flags.json)
+                return print(JSON.stringify({ year, month, ...records }, null, 2) + '\n');
+
+            if (!records.isEffective)
+                print('no records for this month\n');
+
+            return print(formatTable([['day', 'kWh']].concat(records.days.map((kWh, i) => [i + 1, kWh]))));
+        }
+
+        const records = await controller.sendGetPowerConsumptionRecords();
+
+        if (flags.json)
+            return print(JSON.stringify(records, null, 2) + '\n');
+
+        print(formatTable([
+            ['days', records.days.join(' ')],
+            ['months', records.months.join(' ')],
+            ['years', records.years.join(' ')],
+        ]));
+    },
+
+    watch: async (controller, { flags, print }) => {
+        const events = [
+            'state_change', 'plugged', 'unplugged', 'charging_started', 'charging_stopped',
+            'controls_changed', 'fault_raised', 'fault_cleared', 'monitor_error',
+        ];
+
+        for (let event of events) {
+            controller.on(event, data => {
+                if (data instanceof Error)
+                    data = { message: data.message, code: data.code };
+
+                if (flags.json) {
+                    print(JSON.stringify({ time: new Date().toISOString(), event, data }) + '\n');
+                } else {
+                    print(`${new Date().toISOString()}  ${event}${data === undefined ? '' : '  ' + JSON.stringify(data)}\n`);
+                }
+            });
+        }
+
+        let interval = parseNumber(flags.interval, 'interval');
+        controller.startMonitoring(interval === undefined
+            ? undefined
+            : { realtimeInterval: interval, idleRealtimeInterval: interval });
+
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+
+        controller.stopMonitoring();
+    },
+};
+
+/**
+ * @param {CliContext} context
+ * @returns {Promise<void>}
+ */
+const discover = async ({ flags, connection, print }) => {
+    const chargers = await ChargerController.discover({
+        timeout: parseNumber(flags['scan-timeout'], 'scan timeout') ?? 2000,
+        password: connection.password,
+        port: connection.port,
+        localPort: connection.localPort,
+        codes: connection.code ? [connection.code] : [],
+        wildcard: !!flags.wildcard,
+    });
+
+    if (flags.json)
+        return print(JSON.stringify(chargers, null, 2) + '\n');
+
+    print(formatTable([['code', 'ip', 'port', 'model', 'firmware']].concat(chargers.map(charger => [
+        charger.code, charger.ip, charger.port, charger.model?.version ?? '?', charger.model?.firmwareVersion ?? '?',
+    ]))));
+};
+
+/**
+ * Runs the `bcp-charger` command line.
+ * @param {string[]} argv arguments, without the node executable and script
+ * @param {Object?} options
+ * @param {NodeJS.WritableStream?} options.stdout
+ * @param {NodeJS.WritableStream?} options.stderr
+ * @param {NodeJS.ProcessEnv?} options.env
+ * @returns {Promise<number>} the exit code, see `CliExitCode`
+ */
+const runCli = async (argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) => {
+    const print = text => stdout.write(text);
+
+    let controller = null;
+
+    try {
+        const { flags, args } = parseArgv(argv);
+        const command = args.shift();
+
+        if (flags.help || !command || command === 'help') {
+            print(USAGE);
+            return command || flags.help ? CliExitCode.Ok : CliExitCode.Usage;
+        }
+
+        const connection = resolveConnection(flags, env);
+        const context = { flags, args, connection, print, env };
+
+        if (command === 'discover') {
+            await discover(context);
+            return CliExitCode.Ok;
+        }
+
+        const handler = COMMANDS[command];
+        if (!handler)
+            throw new UsageError(`unknown command: ${command}`);
+
+        controller = await connect(connection);
+        await handler(controller, context);
+
+        return CliExitCode.Ok;
+    } catch (err) {
+        stderr.write(`bcp-charger: ${err.message}\n`);
+        if (err instanceof UsageError)
+            stderr.write('run "bcp-charger help" for usage\n');
+        return exitCodeOf(err);
+    } finally {
+        controller?.disconnect();
+    }
+};
+
+export { runCli, CliExitCode, parseArgv, resolveConnection };
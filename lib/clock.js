@@ -0,0 +1,184 @@
+/**
+ * @typedef {Object} TimeOfDay
+ * @property {number} hour 0-23
+ * @property {number} minute 0-59
+ * @property {number?} second 0-59
+ */
+
+/**
+ * @typedef {Object} WallTime
+ * A moment as read on a clock in some timezone.
+ * @property {number} year
+ * @property {number} month 1-12
+ * @property {number} day 1-31
+ * @property {number} hour 0-23
+ * @property {number} minute 0-59
+ * @property {number} second 0-59
+ */
+
+const DAY = 24 * 3600 * 1000;
+
+/** @type Map<string, Intl.DateTimeFormat> */
+const formats = new Map();
+
+/**
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+const formatOf = timeZone => {
+    let format = formats.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+        formats.set(timeZone, format);
+    }
+    return format;
+};
+
+/**
+ * @param {string} timeZone an IANA timezone, i.e. 'Asia/Jerusalem'
+ * @throws {RangeError} if it's not supported
+ */
+const validateTimeZone = timeZone => {
+    if (typeof timeZone !== 'string')
+        throw new TypeError('timeZone must be an IANA timezone name');
+    formatOf(timeZone);
+};
+
+/**
+ * @param {Date} date
+ * @param {string|null?} timeZone an IANA timezone, defaults to this machine's
+ * @returns {WallTime}
+ */
+const wallTime = (date, timeZone = null) => {
+    if (!(date instanceof Date) || isNaN(date.getTime()))
+        throw new TypeError('expected a valid Date');
+
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds(),
+        };
+    }
+
+    let parts = {};
+    for (let { type, value } of formatOf(timeZone).formatToParts(date))
+        parts[type] = parseInt(value, 10);
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+    };
+};
+
+/**
+ * The moment a clock in some timezone shows a wall time. Days and times out of range roll over, as with `Date`.
+ * Wall times skipped by a daylight saving transition are moved forward by the length of the gap, as with `Date`:
+ * 02:30 on a night the clocks jump from 02:00 to 03:00 is 03:30.
+ * @param {WallTime} time
+ * @param {string|null?} timeZone an IANA timezone, defaults to this machine's
+ * @returns {Date}
+ */
+const zonedDate = (time, timeZone = null) => {
+    if (!timeZone)
+        return new Date(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+
+    let target = Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+
+    /**
+     * @param {number} moment
+     * @returns {number} the wall time shown at a moment, as if it were UTC
+     */
+    const shownAt = moment => {
+        let wall = wallTime(new Date(moment), timeZone);
+        return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    };
+
+    // Converges in two steps, except around daylight saving transitions
+    let guess = target;
+    for (let i = 0; i < 3; i++) {
+        let shown = shownAt(guess);
+        if (shown === target)
+            return new Date(guess);
+        guess += target - shown;
+    }
+
+    // No moment shows a wall time in a gap: the offset from before the gap moves it past the gap
+    let offsetBefore = shownAt(target - DAY) - (target - DAY);
+    return new Date(target - offsetBefore);
+};
+
+/**
+ * @param {*} value
+ * @param {string} name
+ * @param {number} max
+ * @returns {number}
+ */
+const validatePart = (value, name, max) => {
+    if (!Number.isInteger(value))
+        throw new TypeError(`${name} must be an integer`);
+    if (value < 0 || value > max)
+        throw new RangeError(`${name} must be between 0 and ${max}`);
+    return value;
+};
+
+/**
+ * Reads a time of day, strictly.
+ * @param {string|TimeOfDay|Date} value 'HH:mm' / 'HH:mm:ss', `{ hour, minute, second? }`,
+ *  or a `Date`, read on the clock of `timeZone`
+ * @param {string|null?} timeZone for `Date` values, defaults to this machine's
+ * @param {string?} name of the argument, for error messages
+ * @returns {Required<TimeOfDay>}
+ * @throws {TypeError|RangeError}
+ */
+const parseTimeOfDay = (value, timeZone = null, name = 'time') => {
+    if (value instanceof Date) {
+        let { hour, minute, second } = wallTime(value, timeZone);
+        return { hour, minute, second };
+    }
+
+    if (typeof value === 'string') {
+        let match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value.trim());
+        if (!match)
+            throw new TypeError(`${name} must be formatted as HH:mm or HH:mm:ss, got '${value}'`);
+        value = {
+            hour: parseInt(match[1], 10),
+            minute: parseInt(match[2], 10),
+            second: match[3] === undefined ? 0 : parseInt(match[3], 10),
+        };
+    } else if (!value || typeof value !== 'object') {
+        throw new TypeError(`${name} must be an 'HH:mm' string, a { hour, minute, second } object or a Date`);
+    }
+
+    return {
+        hour: validatePart(value.hour, `${name}.hour`, 23),
+        minute: validatePart(value.minute, `${name}.minute`, 59),
+        second: validatePart(value.second ?? 0, `${name}.second`, 59),
+    };
+};
+
+/**
+ * @param {TimeOfDay} time
+ * @returns {number} seconds since midnight
+ */
+const secondsOfDay = time => time.hour * 3600 + time.minute * 60 + (time.second ?? 0);
+
+export {
+    validateTimeZone,
+    wallTime,
+    zonedDate,
+    parseTimeOfDay,
+    secondsOfDay,
+};
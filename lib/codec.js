@@ -0,0 +1,815 @@
+import { MESSAGE_ID, STRING_ENCODING, Command, ChargerState } from './protocol.js';
+import { CommandUtil } from './command-util.js';
+import { ChargerProtocolError, ChargerDeviceError } from './errors.js';
+import { getChargerCapabilities, capabilitiesOfFirmware } from './capabilities.js';
+import { wallTime, parseTimeOfDay, secondsOfDay } from './clock.js';
+import {
+    validateBoolean,
+    validateInteger,
+    validateNumericString,
+    validateMaxCurrent,
+    validateDaysOfWeek,
+    validateWifiCredentials,
+} from './validation.js';
+
+/**
+ * Pure encoding and decoding of the charger's protocol, without any socket.
+ *
+ * Each `Command` has an `encode<Command>(args)`, which returns the command code followed by its arguments,
+ * ready for `compileMessage()`, and a `decode<Command>(frame, options)`, which decodes the charger's response.
+ * `frame` is either a raw frame (hex string) or a `ParsedMessage` from `parseFrame()`.
+ * Encoders validate their arguments, and throw a `TypeError` or a `RangeError` for values the charger would not take.
+ * Decoders throw a `ChargerProtocolError` for malformed frames, and a `ChargerDeviceError` for `Command.Error` frames.
+ */
+
+/**
+ * @typedef {Object} DecodeOptions
+ * @property {ChargerModel?} model the charger's model, for its capabilities. Either this or `capabilities`
+ *  is required for `decodeGetRealTimeData()`. Without either, other layouts are inferred from the payload length.
+ * @property {ChargerCapabilities?} capabilities instead of `model`
+ * @property {number?} year required for `decodeGetPowerConsumptionRecordsOfMonth()`
+ * @property {number?} month 1-12, required for `decodeGetPowerConsumptionRecordsOfMonth()`
+ */
+
+const util = new CommandUtil();
+
+/**
+ * @param {boolean} value
+ * @param {string} name
+ * @returns {string}
+ * @throws {TypeError}
+ */
+const encodeFlag = (value, name) => validateBoolean(value, name) ? '01' : '00';
+
+/**
+ * @param {number[]} values
+ * @returns {string} each value as a hex byte
+ */
+const encodeBytes = values => values.map(x => x.toString(16).padStart(2, '0')).join('');
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @returns {ParsedMessage}
+ * @throws {ChargerProtocolError}
+ */
+const toParsedFrame = frame => {
+    if (typeof frame !== 'string')
+        return frame;
+
+    let reason = util.getResultError(frame);
+    if (reason)
+        throw new ChargerProtocolError({ reason, raw: frame });
+
+    return parseFrame(frame);
+};
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @param {string} command the command the frame is expected to respond to
+ * @param {number?} minLength minimum payload length, in hex digits
+ * @returns {string} the payload. Note that it's followed by the checksum.
+ * @throws {ChargerProtocolError|ChargerDeviceError}
+ */
+const payloadOf = (frame, command, minLength = 0) => {
+    const parsed = toParsedFrame(frame);
+
+    if (parsed.command === Command.Error && command !== Command.Error)
+        throw new ChargerDeviceError({ deviceCode: decodeError(parsed).code, command });
+
+    if (parsed.command !== command)
+        throw new ChargerProtocolError({ reason: 'command', raw: parsed.raw, command: parsed.command });
+
+    // The payload is followed by the checksum
+    if (parsed.data.length - 2 < minLength)
+        throw new ChargerProtocolError({ reason: 'length', raw: parsed.raw, command: parsed.command });
+
+    return parsed.data;
+};
+
+/**
+ * Payload lengths of the firmware versions that have extended a response, for decoding without a model.
+ * Longest first.
+ */
+const FAULT_STATUS_LENGTHS = Object.freeze([[108, 28], [0, 24]]);
+const CONTROLS_STATE_LENGTHS = Object.freeze([[110, 38], [108, 34], [106, 28], [0, 18]]);
+const CONSUMPTION_RECORDS_LENGTHS = Object.freeze([[111, 168], [0, 128]]);
+
+/**
+ * @param {DecodeOptions?} options
+ * @returns {ChargerCapabilities|null}
+ */
+const capabilitiesOf = options => {
+    if (options?.capabilities)
+        return options.capabilities;
+    if (options?.model)
+        return getChargerCapabilities(options.model);
+    return null;
+};
+
+/**
+ * The capabilities of the earliest firmware whose response is as long as the frame's payload.
+ * Only a fallback when the model is unknown - the charger model tells the layout for sure.
+ * @param {ParsedMessage} frame
+ * @param {Array<[number, number]>} lengths `[firmware, payload length]`, longest first
+ * @returns {ChargerCapabilities}
+ */
+const inferCapabilities = (frame, lengths) => {
+    const payloadLength = frame.data.length - 2;
+    const [firmware] = lengths.find(([, length]) => payloadLength >= length) ?? lengths[lengths.length - 1];
+    return capabilitiesOfFirmware(firmware, null);
+};
+
+/**
+ * @param {string} command
+ * @returns {function(frame: string|ParsedMessage): boolean}
+ */
+const setterResultDecoder = command => frame => util.decodeBoolean(payloadOf(frame, command, 2));
+
+/**
+ * Compiles a full frame, as sent to the charger.
+ * @param {string} command command code followed by its arguments, as returned by the `encode*` functions
+ * @param {Object?} options
+ * @param {string?} options.password the charger's password (default '123456')
+ * @param {string?} options.messageId 4 hex digits
+ * @returns {string}
+ */
+const compileMessage = (command, { password = '123456', messageId = MESSAGE_ID } = {}) => {
+    const frameUtil = new CommandUtil();
+    frameUtil.password = password;
+    return frameUtil.compileMessage(command, messageId);
+};
+
+/**
+ * Compiles a full frame, as sent back by the charger.
+ * @param {string} command command code followed by the response payload
+ * @param {Object?} options
+ * @param {string?} options.messageId 4 hex digits
+ * @returns {string}
+ */
+const compileResponse = (command, { messageId = MESSAGE_ID } = {}) => util.compileResponse(command, messageId);
+
+/**
+ * Parses a frame sent back by the charger. `undefined` if malformed, or the checksum does not match.
+ * @param {string} input
+ * @returns {ParsedMessage|undefined}
+ */
+const parseFrame = input => util.parseResult(input);
+
+/**
+ * Parses a frame sent to the charger. `undefined` if malformed, or the checksum does not match.
+ * @param {string} input
+ * @returns {ParsedRequest|undefined}
+ */
+const parseRequest = input => util.parseRequest(input);
+
+/**
+ * @param {Object} args
+ * @param {string} args.code 2 hex digits
+ * @returns {string}
+ * @throws {TypeError}
+ */
+const encodeError = ({ code }) => {
+    if (typeof code !== 'string' || !/^[0-9a-f]{2}$/i.test(code))
+        throw new TypeError('code must be 2 hex digits');
+    return Command.Error + code;
+};
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @returns {{code: string}}
+ */
+const decodeError = frame => ({ code: payloadOf(frame, Command.Error, 2).substring(0, 2) });
+
+/**
+ * @returns {string}
+ */
+const encodeHeartbeat = () => Command.Heartbeat;
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @returns {boolean}
+ */
+const decodeHeartbeat = frame => {
+    payloadOf(frame, Command.Heartbeat);
+    return true;
+};
+
+/**
+ * @param {Object} args
+ * @param {string} args.password the new password, digits only
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodePasswordChange = ({ password }) =>
+    Command.PasswordChange + validateNumericString(password, 'password').toString(16).padStart(8, '0');
+
+const decodePasswordChange = setterResultDecoder(Command.PasswordChange);
+
+/**
+ * @param {Object} args
+ * @param {string} args.code the charger's code, visible on a sticker on the charger, or in the z-box app.
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeGetIpAddress = ({ code }) =>
+    Command.GetIpAddress + validateNumericString(code, 'code').toString(16).padStart(8, '0');
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @returns {{code: string, ip: string, port: number}}
+ */
+const decodeGetIpAddress = frame => util.decodeIpAddress(payloadOf(frame, Command.GetIpAddress, 20));
+
+/**
+ * @returns {string}
+ */
+const encodeGetChargerModel = () => Command.GetChargerModel;
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @returns {ChargerModel}
+ */
+const decodeGetChargerModel = frame => util.decodeChargerModel(payloadOf(frame, Command.GetChargerModel, 50));
+
+/**
+ * @param {Object} args
+ * @param {string} args.ssid up to 32 bytes, as encoded
+ * @param {string} args.password 8-63 bytes, as encoded, or '' for an open network
+ * @param {string?} args.encoding 'gbk' (the firmware's, default) or 'utf8', for networks that name themselves in UTF-8
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeSetWifiAccessPoint = ({ ssid, password, encoding = STRING_ENCODING }) => {
+    const bytes = validateWifiCredentials(ssid, password, encoding);
+
+    // Lengths are in bytes, as the strings are sent
+    return Command.SetWifiAccessPoint +
+        encodeBytes([bytes.ssid.length, bytes.password.length]) +
+        util.encodeString(ssid, encoding) +
+        util.encodeString(password, encoding);
+};
+
+const decodeSetWifiAccessPoint = setterResultDecoder(Command.SetWifiAccessPoint);
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.charging
+ * @returns {string}
+ */
+const encodeSetChargeState = ({ charging }) => Command.SetChargeState + encodeFlag(charging, 'charging');
+
+const decodeSetChargeState = setterResultDecoder(Command.SetChargeState);
+
+/**
+ * @param {Object} args
+ * @param {string|TimeOfDay|Date} args.from 'HH:mm' / 'HH:mm:ss', `{ hour, minute, second? }` or a `Date`
+ * @param {string|TimeOfDay|Date} args.to same as `from`
+ * @param {Date?} args.now the current time, defaults to this machine's
+ * @param {string|null?} args.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ * @returns {string}
+ * @throws {TypeError|RangeError} for invalid times
+ */
+const encodeSetTimedChargeState = ({ from, to, now = new Date(), timeZone = null }) => {
+    let fromTime = parseTimeOfDay(from, timeZone, 'from');
+    let toTime = parseTimeOfDay(to, timeZone, 'to');
+    let nowTime = wallTime(now, timeZone);
+
+    // Offsets in seconds from the charger's current time
+    let fromInSeconds = secondsOfDay(fromTime) - secondsOfDay(nowTime);
+    let toInSeconds = secondsOfDay(toTime) - secondsOfDay(nowTime);
+
+    if (fromInSeconds < 0)
+        fromInSeconds += 86400;
+    while (toInSeconds < 0 || toInSeconds < fromInSeconds)
+        toInSeconds += 86400;
+
+    return Command.SetTimedChargeState +
+        fromInSeconds.toString(16).padStart(8, '0') +
+        toInSeconds.toString(16).padStart(8, '0') +
+        encodeBytes([fromTime.hour, fromTime.minute, fromTime.second]) +
+        encodeBytes([toTime.hour, toTime.minute, toTime.second]) +
+        encodeBytes([nowTime.hour, nowTime.minute, nowTime.second]);
+};
+
+const decodeSetTimedChargeState = setterResultDecoder(Command.SetTimedChargeState);
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.rfidEnabled
+ * @param {boolean} args.appEnabled
+ * @returns {string}
+ */
+const encodeSetRFIDAndApp = ({ rfidEnabled, appEnabled }) =>
+    Command.SetRFIDAndApp + encodeFlag(rfidEnabled, 'rfidEnabled') + encodeFlag(appEnabled, 'appEnabled');
+
+const decodeSetRFIDAndApp = setterResultDecoder(Command.SetRFIDAndApp);
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.enabled
+ * @param {boolean} args.extremeMode
+ * @param {number} args.maxCurrent amps the household may draw, 0-255
+ * @param {boolean} args.nightMode
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeSetDLB = ({ enabled, extremeMode, maxCurrent, nightMode }) =>
+    Command.SetDLB +
+    encodeFlag(enabled, 'enabled') +
+    encodeFlag(extremeMode, 'extremeMode') +
+    encodeBytes([validateInteger(maxCurrent, 'maxCurrent', 0, 0xff)]) +
+    encodeFlag(nightMode, 'nightMode');
+
+const decodeSetDLB = setterResultDecoder(Command.SetDLB);
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.enabled
+ * @returns {string}
+ */
+const encodeSetGroundingDetection = ({ enabled }) => Command.SetGroundingDetection + encodeFlag(enabled, 'enabled');
+
+const decodeSetGroundingDetection = setterResultDecoder(Command.SetGroundingDetection);
+
+/**
+ * @param {Object} args
+ * @param {number} args.maxCurrent amps, in `CURRENT_LIMITS`
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeSetMaxCurrent = ({ maxCurrent }) =>
+    Command.SetMaxCurrent + validateMaxCurrent(maxCurrent).toString(16).padStart(4, '0');
+
+const decodeSetMaxCurrent = setterResultDecoder(Command.SetMaxCurrent);
+
+/**
+ * @returns {string}
+ */
+const encodeGetFaultStatus = () => Command.GetFaultStatus;
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @param {DecodeOptions?} options `model` or `capabilities`, for the flags of the charger's firmware
+ * @returns {ChargeFaultStatus}
+ */
+const decodeGetFaultStatus = (frame, options) => {
+    const parsed = toParsedFrame(frame);
+    const capabilities = capabilitiesOf(options) ?? inferCapabilities(parsed, FAULT_STATUS_LENGTHS);
+
+    let result = payloadOf(parsed, Command.GetFaultStatus, capabilities.supportsContactorFaults ? 28 : 24);
+
+    /** @type ChargeFaultStatus */
+    let status = {
+        overVoltage: parseInt(result.substring(0, 2), 16) !== 0,
+        underVoltage: parseInt(result.substring(2, 4), 16) !== 0,
+        overload: parseInt(result.substring(4, 6), 16) !== 0,
+        highTemperature: parseInt(result.substring(6, 8), 16) !== 0,
+        groundDetection: parseInt(result.substring(8, 10), 16) !== 0,
+        leakage: parseInt(result.substring(10, 12), 16) !== 0,
+        cpSignalAbnormal: parseInt(result.substring(12, 14), 16) !== 0,
+        emergencyStopButton: parseInt(result.substring(14, 16), 16) !== 0,
+        ccSignalAbnormal: parseInt(result.substring(16, 18), 16) !== 0,
+        dlbWiring: parseInt(result.substring(18, 20), 16) !== 0,
+        dlbOffline: parseInt(result.substring(20, 22), 16) !== 0,
+        motorLock: parseInt(result.substring(22, 24), 16) !== 0,
+    };
+
+    if (capabilities.supportsContactorFaults) {
+        status.sticking = parseInt(result.substring(24, 26), 16) !== 0;
+        status.contactor = parseInt(result.substring(26, 28), 16) !== 0;
+    }
+
+    return status;
+};
+
+/**
+ * @returns {string}
+ */
+const encodeGetRealTimeData = () => Command.GetRealTimeData;
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @param {DecodeOptions} options `model` or `capabilities` is required,
+ *  as the layout differs between 1-phase and 3-phase chargers, and between firmware versions
+ * @returns {ChargerRealTimeData}
+ */
+const decodeGetRealTimeData = (frame, options) => {
+    const capabilities = capabilitiesOf(options);
+    if (!capabilities)
+        throw new TypeError('the charger model is required for decoding realtime data');
+
+    let minLength = (capabilities.threePhase ? 44 : 34) +
+        (capabilities.supportsMaxPower ? 6 : 0) +
+        (capabilities.supportsMaximumFlag ? 2 : 0) +
+        (capabilities.supportsExtremeMode ? 2 : 0);
+
+    let result = payloadOf(frame, Command.GetRealTimeData, minLength);
+
+    let ptr = 0;
+
+    /** @type ChargerRealTimeData */
+    let data = {};
+
+    if (!capabilities.threePhase) {
+        data.electricCurrent = parseInt(result.substring(ptr, ptr + 4), 16);
+        data.voltage = parseInt(result.substring(ptr + 4, ptr + 8), 16);
+        ptr += 8;
+    } else {
+        data.electricCurrentA = parseInt(result.substring(ptr, ptr + 2), 16);
+        data.electricCurrentB = parseInt(result.substring(ptr + 2, ptr + 4), 16);
+        data.electricCurrentC = parseInt(result.substring(ptr + 4, ptr + 6), 16);
+        ptr += 6;
+
+        data.voltageA = parseInt(result.substring(ptr, ptr + 4), 16);
+        data.voltageB = parseInt(result.substring(ptr + 4, ptr + 8), 16);
+        data.voltageC = parseInt(result.substring(ptr + 8, ptr + 12), 16);
+        ptr += 12;
+    }
+
+    data.power = parseInt(result.substring(ptr, ptr + 4), 16) / 10;
+    data.totalPower = parseInt(result.substring(ptr + 4, ptr + 8), 16) / 10;
+    data.temperature = parseInt(result.substring(ptr + 8, ptr + 10), 16) - 100;
+    data.state = /**@type ChargerState*/parseInt(result.substring(ptr + 10, ptr + 12), 16);
+    if (data.state === 4) // 4 and 1 are the same
+        data.state = ChargerState.Unplugged;
+    else if (data.state === 3) // 3 and 2 are the same
+        data.state = ChargerState.Standby;
+    ptr += 12;
+
+    data.timedChargeEnabled = result.substring(ptr, ptr + 2) !== '00';
+    ptr += 2;
+
+    data.startChargeTime = parseInt(result.substring(ptr, ptr + 2), 16).toString().padStart(2, '0') + ':' +
+        parseInt(result.substring(ptr + 2, ptr + 4), 16).toString().padStart(2, '0') + ':' +
+        parseInt(result.substring(ptr + 4, ptr + 6), 16).toString().padStart(2, '0');
+    ptr += 6;
+
+    data.endChargeTime = parseInt(result.substring(ptr, ptr + 2), 16).toString().padStart(2, '0') + ':' +
+        parseInt(result.substring(ptr + 2, ptr + 4), 16).toString().padStart(2, '0') + ':' +
+        parseInt(result.substring(ptr + 4, ptr + 6), 16).toString().padStart(2, '0');
+    ptr += 6;
+
+    if (capabilities.supportsMaxPower) {
+        data.maxCurrent = parseInt(result.substring(ptr, ptr + 2), 16);
+        data.maxPower = parseInt(result.substring(ptr + 2, ptr + 4), 16);
+        data.isReservation = parseInt(result.substring(ptr + 4, ptr + 6), 16) === 1;
+        ptr += 6;
+    }
+
+    if (capabilities.supportsMaximumFlag) {
+        data.isMaximum = parseInt(result.substring(ptr, ptr + 2), 16) === 1;
+        ptr += 2;
+    }
+
+    if (capabilities.supportsExtremeMode) {
+        data.isExtremeMode = parseInt(result.substring(ptr, ptr + 2), 16) === 1;
+    }
+
+    return data;
+};
+
+/**
+ * @returns {string}
+ */
+const encodeGetControlsState = () => Command.GetControlsState;
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @param {DecodeOptions?} options `model` or `capabilities`, for the fields of the charger's firmware
+ * @returns {ChargerControlsState}
+ */
+const decodeGetControlsState = (frame, options) => {
+    const parsed = toParsedFrame(frame);
+    const capabilities = capabilitiesOf(options) ?? inferCapabilities(parsed, CONTROLS_STATE_LENGTHS);
+
+    let minLength = 18 +
+        (capabilities.supportsReservation ? 10 : 0) +
+        (capabilities.supportsMaxMonthlyPower ? 6 : 0) +
+        (capabilities.supportsExtremeMode ? 4 : 0);
+
+    let result = payloadOf(parsed, Command.GetControlsState, minLength);
+
+    /** @type ChargerControlsState */
+    let control = {
+        rfid: parseInt(result.substring(0, 2), 16) === 1,
+        appControlCharging: parseInt(result.substring(2, 4), 16) === 1,
+        dlb: parseInt(result.substring(4, 6), 16) !== 0, // possible values: 00 disabled, 01 enabled, 02 ?
+        groundingDetection: parseInt(result.substring(6, 8), 16) === 1,
+        temperatureThreshold: parseInt(result.substring(8, 10), 16),
+        maxCurrent: parseInt(result.substring(10, 14), 16),
+        dlbPattern: parseInt(result.substring(14, 16), 16),
+        dlbMaxCurrent: parseInt(result.substring(16, 18), 16),
+    };
+
+    let i = 18;
+    if (capabilities.supportsReservation) {
+        control.reservation = parseInt(result.substring(18, 20), 16).toString(2).padStart(7, '0');
+        control.reservationStart = (parseInt(result.substring(20, 22), 16) || 0).toString().padStart(2, '0') +
+            (parseInt(result.substring(22, 24), 16) || 0).toString().padStart(2, '0');
+        control.reservationEnd = (parseInt(result.substring(24, 26), 16) || 0).toString().padStart(2, '0') +
+            (parseInt(result.substring(26, 28), 16) || 0).toString().padStart(2, '0');
+        i = 28;
+    }
+
+    if (capabilities.supportsMaxMonthlyPower) {
+        control.maxMonthlyPower = parseInt(result.substring(i, i + 4), 16);
+        i += 4;
+        control.emergencyStopProtection = (parseInt(result.substring(i, i + 2), 16) || 0) === 1;
+        i += 2;
+    }
+
+    if (capabilities.supportsExtremeMode) {
+        control.extremeMode = parseInt(result.substring(i, i + 2), 16) === 1;
+        control.nightMode = parseInt(result.substring(i + 2, i + 4), 16) === 1;
+    }
+
+    return control;
+};
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.enabled
+ * @returns {string}
+ */
+const encodeSetBluetoothConnectionMode = ({ enabled }) => Command.SetBluetoothConnectionMode + encodeFlag(enabled, 'enabled');
+
+const decodeSetBluetoothConnectionMode = setterResultDecoder(Command.SetBluetoothConnectionMode);
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.enabled
+ * @returns {string}
+ */
+const encodeSwitchIapMode = ({ enabled }) => Command.SwitchIapMode + encodeFlag(enabled, 'enabled');
+
+const decodeSwitchIapMode = setterResultDecoder(Command.SwitchIapMode);
+
+/**
+ * @param {Object} args
+ * @param {number} args.maxPower kWh, 0-255
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeSetMaxPower = ({ maxPower }) =>
+    Command.SetMaxPower + encodeBytes([validateInteger(maxPower, 'maxPower', 0, 0xff)]);
+
+const decodeSetMaxPower = setterResultDecoder(Command.SetMaxPower);
+
+/**
+ * @param {Object} args
+ * @param {string|TimeOfDay|Date|null?} args.from 'HH:mm', `{ hour, minute }` or a `Date`. Seconds are not sent.
+ * @param {string|TimeOfDay|Date|null?} args.to same as `from`
+ * @param {string|null?} args.daysOfWeek sunday-saturday "1010101"
+ * @param {Date?} args.now the current time, defaults to this machine's
+ * @param {string|null?} args.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ * @returns {string}
+ * @throws {TypeError|RangeError} for invalid times or days
+ */
+const encodeSetReservation = ({ from, to, daysOfWeek, now = new Date(), timeZone = null }) => {
+    const week = validateDaysOfWeek(daysOfWeek);
+
+    let rsr = util.getCurrentDate(now, timeZone);
+    rsr += week ? encodeBytes([parseInt(week, 2)]) : '00';
+
+    for (let [name, value] of [['from', from], ['to', to]]) {
+        if (value === null || value === undefined || value === '') {
+            rsr += '0000';
+        } else {
+            let time = parseTimeOfDay(value, timeZone, name);
+            rsr += encodeBytes([time.hour, time.minute]);
+        }
+    }
+
+    return Command.SetReservation + rsr;
+};
+
+const decodeSetReservation = setterResultDecoder(Command.SetReservation);
+
+/**
+ * @param {Object?} args
+ * @param {Date?} args.now the time to set, defaults to this machine's
+ * @param {string|null?} args.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ * @returns {string}
+ */
+const encodeSetTime = ({ now = new Date(), timeZone = null } = {}) =>
+    Command.SetTime + util.getCurrentDate(now, timeZone);
+
+const decodeSetTime = setterResultDecoder(Command.SetTime);
+
+/**
+ * @returns {string}
+ */
+const encodeGetPowerConsumptionRecords = () => Command.GetPowerConsumptionRecords;
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @param {DecodeOptions?} options `model` or `capabilities`, for whether the charger's firmware reports years
+ * @returns {PowerConsumptionRecords}
+ */
+const decodeGetPowerConsumptionRecords = (frame, options) => {
+    const parsed = toParsedFrame(frame);
+    const capabilities = capabilitiesOf(options) ?? inferCapabilities(parsed, CONSUMPTION_RECORDS_LENGTHS);
+
+    let result = payloadOf(parsed, Command.GetPowerConsumptionRecords, capabilities.supportsYearRecords ? 168 : 128);
+
+    let days = [];
+    let months = [];
+    let years = [];
+
+    let ptr = 0;
+    for (let i = 0; i < 20; i++) {
+        days.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0) / 10);
+        ptr += 4;
+    }
+
+    for (let i = 0; i < 12; i++) {
+        months.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0) / 10);
+        ptr += 4;
+    }
+
+    if (capabilities.supportsYearRecords) {
+        for (let i = 0; i < 10; i++) {
+            years.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0));
+            ptr += 4;
+        }
+    }
+
+    /** @type PowerConsumptionRecords */
+    return {
+        days: days,
+        months: months,
+        years: years,
+    };
+};
+
+/**
+ * @param {Object} args
+ * @param {number} args.maxMonthlyPower kWh, 0-65535
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeSetMaxMonthlyPower = ({ maxMonthlyPower }) =>
+    Command.SetMaxMonthlyPower + validateInteger(maxMonthlyPower, 'maxMonthlyPower', 0, 0xffff).toString(16).padStart(4, '0');
+
+const decodeSetMaxMonthlyPower = setterResultDecoder(Command.SetMaxMonthlyPower);
+
+/**
+ * @param {Object} args
+ * @param {boolean} args.enabled
+ * @returns {string}
+ */
+const encodeSetEmergencyStopProtection = ({ enabled }) => Command.SetEmergencyStopProtection + encodeFlag(enabled, 'enabled');
+
+const decodeSetEmergencyStopProtection = setterResultDecoder(Command.SetEmergencyStopProtection);
+
+/**
+ * @param {Object} args
+ * @param {number} args.year 2000-2255
+ * @param {number} args.month 1-12
+ * @returns {string}
+ * @throws {TypeError|RangeError}
+ */
+const encodeGetPowerConsumptionRecordsOfMonth = ({ year, month }) =>
+    Command.GetPowerConsumptionRecordsOfMonth +
+    encodeBytes([validateInteger(year, 'year', 2000, 2000 + 0xff) - 2000, validateInteger(month, 'month', 1, 12) - 1]);
+
+/**
+ * @param {string|ParsedMessage} frame
+ * @param {DecodeOptions} options `year` and `month` of the request are required, for the number of days
+ * @returns {PowerConsumptionRecordsOfMonth}
+ */
+const decodeGetPowerConsumptionRecordsOfMonth = (frame, { year, month } = {}) => {
+    if (!year || !month)
+        throw new TypeError('the requested year and month are required for decoding monthly records');
+
+    const monthLastDay = new Date(year, month, 0).getDate();
+
+    let result = payloadOf(frame, Command.GetPowerConsumptionRecordsOfMonth, 2 + monthLastDay * 4);
+
+    const isEffective = result.substring(0, 2) === '01';
+    let days = [];
+
+    let ptr = 2;
+    for (let i = 0; i < monthLastDay; i++) {
+        days.push((parseInt(result.substring(ptr, ptr + 4), 16) || 0) / 10);
+        ptr += 4;
+    }
+
+    /** @type PowerConsumptionRecordsOfMonth */
+    return {
+        isEffective: isEffective,
+        days: days,
+    };
+};
+
+/**
+ * Decoders by command code
+ * @type {Object<string, function(frame: string|ParsedMessage, options: DecodeOptions?): *>}
+ */
+const decoders = Object.freeze({
+    [Command.Error]: decodeError,
+    [Command.Heartbeat]: decodeHeartbeat,
+    [Command.PasswordChange]: decodePasswordChange,
+    [Command.GetIpAddress]: decodeGetIpAddress,
+    [Command.GetChargerModel]: decodeGetChargerModel,
+    [Command.SetWifiAccessPoint]: decodeSetWifiAccessPoint,
+    [Command.SetChargeState]: decodeSetChargeState,
+    [Command.SetTimedChargeState]: decodeSetTimedChargeState,
+    [Command.SetRFIDAndApp]: decodeSetRFIDAndApp,
+    [Command.SetDLB]: decodeSetDLB,
+    [Command.SetGroundingDetection]: decodeSetGroundingDetection,
+    [Command.SetMaxCurrent]: decodeSetMaxCurrent,
+    [Command.GetFaultStatus]: decodeGetFaultStatus,
+    [Command.GetRealTimeData]: decodeGetRealTimeData,
+    [Command.GetControlsState]: decodeGetControlsState,
+    [Command.SetBluetoothConnectionMode]: decodeSetBluetoothConnectionMode,
+    [Command.SwitchIapMode]: decodeSwitchIapMode,
+    [Command.SetMaxPower]: decodeSetMaxPower,
+    [Command.SetReservation]: decodeSetReservation,
+    [Command.SetTime]: decodeSetTime,
+    [Command.GetPowerConsumptionRecords]: decodeGetPowerConsumptionRecords,
+    [Command.SetMaxMonthlyPower]: decodeSetMaxMonthlyPower,
+    [Command.SetEmergencyStopProtection]: decodeSetEmergencyStopProtection,
+    [Command.GetPowerConsumptionRecordsOfMonth]: decodeGetPowerConsumptionRecordsOfMonth,
+});
+
+/**
+ * Encoders by command code
+ * @type {Object<string, function(args: Object?): string>}
+ */
+const encoders = Object.freeze({
+    [Command.Error]: encodeError,
+    [Command.Heartbeat]: encodeHeartbeat,
+    [Command.PasswordChange]: encodePasswordChange,
+    [Command.GetIpAddress]: encodeGetIpAddress,
+    [Command.GetChargerModel]: encodeGetChargerModel,
+    [Command.SetWifiAccessPoint]: encodeSetWifiAccessPoint,
+    [Command.SetChargeState]: encodeSetChargeState,
+    [Command.SetTimedChargeState]: encodeSetTimedChargeState,
+    [Command.SetRFIDAndApp]: encodeSetRFIDAndApp,
+    [Command.SetDLB]: encodeSetDLB,
+    [Command.SetGroundingDetection]: encodeSetGroundingDetection,
+    [Command.SetMaxCurrent]: encodeSetMaxCurrent,
+    [Command.GetFaultStatus]: encodeGetFaultStatus,
+    [Command.GetRealTimeData]: encodeGetRealTimeData,
+    [Command.GetControlsState]: encodeGetControlsState,
+    [Command.SetBluetoothConnectionMode]: encodeSetBluetoothConnectionMode,
+    [Command.SwitchIapMode]: encodeSwitchIapMode,
+    [Command.SetMaxPower]: encodeSetMaxPower,
+    [Command.SetReservation]: encodeSetReservation,
+    [Command.SetTime]: encodeSetTime,
+    [Command.GetPowerConsumptionRecords]: encodeGetPowerConsumptionRecords,
+    [Command.SetMaxMonthlyPower]: encodeSetMaxMonthlyPower,
+    [Command.SetEmergencyStopProtection]: encodeSetEmergencyStopProtection,
+    [Command.GetPowerConsumptionRecordsOfMonth]: encodeGetPowerConsumptionRecordsOfMonth,
+});
+
+/**
+ * Decodes any response frame, by its command code.
+ * @param {string|ParsedMessage} frame
+ * @param {DecodeOptions?} options
+ * @returns {{command: Command, messageId: string, value: *}}
+ */
+const decode = (frame, options) => {
+    let parsed = toParsedFrame(frame);
+
+    let decoder = decoders[parsed.command];
+    if (!decoder)
+        throw new ChargerProtocolError({ reason: 'command', raw: parsed.raw, command: parsed.command });
+
+    return { command: parsed.command, messageId: parsed.messageId, value: decoder(parsed, options) };
+};
+
+export {
+    compileMessage,
+    compileResponse,
+    parseFrame,
+    parseRequest,
+    decode,
+    encoders,
+    decoders,
+    encodeError, decodeError,
+    encodeHeartbeat, decodeHeartbeat,
+    encodePasswordChange, decodePasswordChange,
+    encodeGetIpAddress, decodeGetIpAddress,
+    encodeGetChargerModel, decodeGetChargerModel,
+    encodeSetWifiAccessPoint, decodeSetWifiAccessPoint,
+    encodeSetChargeState, decodeSetChargeState,
+    encodeSetTimedChargeState, decodeSetTimedChargeState,
+    encodeSetRFIDAndApp, decodeSetRFIDAndApp,
+    encodeSetDLB, decodeSetDLB,
+    encodeSetGroundingDetection, decodeSetGroundingDetection,
+    encodeSetMaxCurrent, decodeSetMaxCurrent,
+    encodeGetFaultStatus, decodeGetFaultStatus,
+    encodeGetRealTimeData, decodeGetRealTimeData,
+    encodeGetControlsState, decodeGetControlsState,
+    encodeSetBluetoothConnectionMode, decodeSetBluetoothConnectionMode,
+    encodeSwitchIapMode, decodeSwitchIapMode,
+    encodeSetMaxPower, decodeSetMaxPower,
+    encodeSetReservation, decodeSetReservation,
+    encodeSetTime, decodeSetTime,
+    encodeGetPowerConsumptionRecords, decodeGetPowerConsumptionRecords,
+    encodeSetMaxMonthlyPower, decodeSetMaxMonthlyPower,
+    encodeSetEmergencyStopProtection, decodeSetEmergencyStopProtection,
+    encodeGetPowerConsumptionRecordsOfMonth, decodeGetPowerConsumptionRecordsOfMonth,
+};
@@ -0,0 +1,204 @@
+import iconv from 'iconv-lite';
+import { Buffer } from 'node:buffer';
+import { FRAME_HEADER, MESSAGE_ID, STRING_ENCODING } from './protocol.js';
+import { wallTime } from './clock.js';
+
+/**
+ * @typedef {Object} ParsedRequest
+ * @property {string} raw
+ * @property {string} messageId
+ * @property {number} length
+ * @property {number} password numeric password, as encoded in the frame
+ * @property {string} command
+ * @property {string} data command arguments, without the checksum
+ */
+
+class CommandUtil {
+    password = '123456';
+
+    constructor() {
+    }
+
+    /**
+     * @param {string} input
+     * @returns {string}
+     */
+    checksum(input) {
+        if (!input)
+            return '00';
+
+        input = input.replace(/ /g, '');
+        const length = input.length;
+
+        if ((length % 2) !== 0)
+            return '00';
+
+        let chk = 0;
+
+        for (let i = 0; i < length; i += 2) {
+            chk += parseInt(input.substring(i, i + 2), 16);
+        }
+
+        chk = chk % 0x100;
+
+        return chk.toString(16).padStart(2, '0');
+    }
+
+    /**
+     * @param {string} input
+     * @returns {boolean}
+     */
+    testChecksum(input) {
+        let chk1 = input.substring(input.length - 2);
+        let chk2 = this.checksum(input.substring(0, input.length - 2));
+        return chk2 === chk1;
+    }
+
+    /**
+     * @param {string} command
+     * @param {string?} messageId
+     * @returns {string}
+     */
+    compileMessage(command, messageId = MESSAGE_ID) {
+        let password = this.password || '123456';
+
+        let encodedPwd = parseInt(password, 10).toString(16).padStart(8, '0');
+        let length = Math.trunc(
+            (FRAME_HEADER.length + messageId.length + encodedPwd.length + command.length) / 2) + 2;
+        let lengthHex = length.toString(16).padStart(2, '0');
+        let full = FRAME_HEADER + messageId + lengthHex + encodedPwd + command;
+        return full + this.checksum(full);
+    }
+
+    /**
+     * Compiles a frame the way the charger sends it back - same layout as `compileMessage`, but without a password.
+     * @param {string} command command code followed by the payload
+     * @param {string?} messageId
+     * @returns {string}
+     */
+    compileResponse(command, messageId = MESSAGE_ID) {
+        let length = Math.trunc(
+            (FRAME_HEADER.length + messageId.length + command.length) / 2) + 2;
+        let lengthHex = length.toString(16).padStart(2, '0');
+        let full = FRAME_HEADER + messageId + lengthHex + command;
+        return full + this.checksum(full);
+    }
+
+    /**
+     * Tells why `parseResult` would reject a frame.
+     * @param {string} input
+     * @returns {string|undefined} 'length', 'header' or 'checksum', or `undefined` for a valid frame
+     */
+    getResultError(input) {
+        if (!input || input.length < 13 || (input.length % 2) !== 0) return 'length';
+        if (!input.startsWith(FRAME_HEADER)) return 'header';
+        if (!this.testChecksum(input)) return 'checksum';
+    }
+
+    /**
+     * @param {string} input
+     * @returns {ParsedMessage|undefined}
+     */
+    parseResult(input) {
+        if (this.getResultError(input)) return;
+
+        return {
+            raw: input,
+            messageId: input.substring(4, 8),
+            command: input.substring(10, 12),
+            data: input.substring(12),
+        };
+    }
+
+    /**
+     * Parses a frame compiled by `compileMessage`, as the charger receives it.
+     * @param {string} input
+     * @returns {ParsedRequest|undefined}
+     */
+    parseRequest(input) {
+        if (!input) return;
+        if (input.length < 22) return;
+        if ((input.length % 2) !== 0) return;
+        if (!input.startsWith(FRAME_HEADER)) return;
+        if (!this.testChecksum(input)) return;
+
+        return {
+            raw: input,
+            messageId: input.substring(4, 8),
+            length: parseInt(input.substring(8, 10), 16),
+            password: parseInt(input.substring(10, 18), 16),
+            command: input.substring(18, 20),
+            data: input.substring(20, input.length - 2),
+        };
+    }
+
+    /**
+     * @param {string} input
+     * @returns {boolean}
+     */
+    decodeBoolean(input) {
+        return input.substring(0, 2) === '01';
+    }
+
+    /**
+     * @param {string} hexInput
+     * @param {string?} encoding defaults to the firmware's, `STRING_ENCODING`
+     * @returns {string}
+     */
+    decodeString(hexInput, encoding = STRING_ENCODING) {
+        return iconv.decode(Buffer.from(hexInput.replace(/ /g, ''), 'hex'), encoding)
+            // eslint-disable-next-line no-control-regex
+            .replace(/\x00*$/, '');
+    }
+
+    /**
+     * @param {string} input
+     * @param {string?} encoding defaults to the firmware's, `STRING_ENCODING`
+     * @returns {string}
+     */
+    encodeString(input, encoding = STRING_ENCODING) {
+        return iconv.encode(input, encoding).toString('hex').toUpperCase();
+    }
+
+    /**
+     * @param {string} data payload of a `GetChargerModel` response
+     * @returns {ChargerModel}
+     */
+    decodeChargerModel(data) {
+        return {
+            mode: /**@type ChargerMode*/parseInt(data.substring(0, 4), 16),
+            version: this.decodeString(data.substring(4, 44)),
+            firmwareVersion: parseInt(data.substring(44, 46), 16).toString() + '.' +
+                parseInt(data.substring(46, 48), 16).toString().padStart(2, '0'),
+            hardwareVersion: parseInt(data.substring(48, 50), 16).toString(),
+        };
+    }
+
+    /**
+     * @param {string} data payload of a `GetIpAddress` response
+     * @returns {{code: string, ip: string, port: number}}
+     */
+    decodeIpAddress(data) {
+        return {
+            code: parseInt(data.substring(0, 8), 16).toString(),
+            ip: parseInt(data.substring(8, 10), 16) + '.' +
+                parseInt(data.substring(10, 12), 16) + '.' +
+                parseInt(data.substring(12, 14), 16) + '.' +
+                parseInt(data.substring(14, 16), 16),
+            port: parseInt(data.substring(16, 20), 16),
+        };
+    }
+
+    /**
+     * @param {Date?} now defaults to this machine's current time
+     * @param {string|null?} timeZone IANA timezone the charger's clock is in, defaults to this machine's
+     * @returns {string}
+     */
+    getCurrentDate(now = new Date(), timeZone = null) {
+        let time = wallTime(now, timeZone);
+        return [time.year % 100, time.month, time.day, time.hour, time.minute, time.second]
+            .map(x => x.toString().padStart(2, '0')).join('');
+    }
+}
+
+export { CommandUtil };
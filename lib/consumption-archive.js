@@ -0,0 +1,634 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import { wallTime } from './clock.js';
+import { calendarDate, formatDate, parseBoundary, totalConsumption } from './consumption-history.js';
+
+/**
+ * @typedef {Object} HistoryStore
+ * Keeps the daily consumption of each charger. Methods may return promises.
+ * @property {function(charger: string, range: {from: string?, to: string?}?): (Promise<ConsumptionRow[]>|ConsumptionRow[])} getDays
+ *  daily rows between two 'YYYY-MM-DD' dates (inclusive, both optional), in chronological order
+ * @property {function(charger: string, rows: ConsumptionRow[]): (Promise<void>|void)} putDays inserts or replaces rows by their date
+ * @property {function(charger: string): (Promise<Object|null>|Object|null)} getState the archive's bookkeeping, `null` at first
+ * @property {function(charger: string, state: Object): (Promise<void>|void)} setState
+ */
+
+/**
+ * @typedef {Object} HistoryAnomaly
+ * @property {string} kind 'reset' when the charger's records have dropped, as after a counter reset,
+ *  'clock_skew' when its records are shifted in time, as when its clock is off,
+ *  'conflict' when past days have changed otherwise
+ * @property {string} message
+ * @property {string[]} dates the affected dates. Their archived values are kept.
+ * @property {number?} offset for 'clock_skew', by how many days the charger's records are ahead when positive
+ */
+
+/**
+ * @typedef {Object} HistorySyncResult
+ * @property {string} today the charger's current date, 'YYYY-MM-DD'
+ * @property {boolean} backfilled whether this sync has backfilled older months
+ * @property {number} added days archived for the first time
+ * @property {number} updated days updated, i.e. today's value as it grows
+ * @property {HistoryAnomaly[]} anomalies
+ */
+
+/** How far back to backfill, when the firmware does not report years */
+const BACKFILL_MONTHS = 120;
+
+/** Largest shift, in days, looked for when detecting a skewed clock */
+const MAX_SKEW_DAYS = 3;
+
+/**
+ * @param {string} date 'YYYY-MM-DD'
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (date, days) => {
+    let [year, month, day] = date.split('-').map(x => parseInt(x, 10));
+    return formatDate(calendarDate(year, month, day + days));
+};
+
+/**
+ * Finds by how many days `reported` is shifted against `archived`, when all of the compared days match that way.
+ * @param {Map<string, number>} reported
+ * @param {Map<string, number>} archived
+ * @param {string[]} dates the days that did not match as they are
+ * @returns {number|null}
+ */
+const findShift = (reported, archived, dates) => {
+    for (let offset = 1; offset <= MAX_SKEW_DAYS; offset++) {
+        for (let shift of [offset, -offset]) {
+            let compared = dates.filter(date => archived.has(addDays(date, -shift)));
+            if (compared.length && compared.length === dates.length &&
+                compared.every(date => archived.get(addDays(date, -shift)) === reported.get(date)) &&
+                compared.some(date => reported.get(date) > 0))
+                return shift;
+        }
+    }
+    return null;
+};
+
+/**
+ * @param {Object<string, number>} days date => kWh
+ * @param {{from: string?, to: string?}} range
+ * @returns {ConsumptionRow[]}
+ */
+const rowsOfDays = (days, { from = null, to = null } = {}) => Object.keys(days)
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .sort()
+    .map(date => ({ date, kWh: days[date] }));
+
+/**
+ * Keeps the history in memory.
+ */
+class MemoryHistoryStore {
+    /** @type Map<string, {days: Object<string, number>, state: Object|null}> */
+    #chargers = new Map();
+
+    /**
+     * @param {string} charger
+     * @returns {{days: Object<string, number>, state: Object|null}}
+     */
+    #entry(charger) {
+        let entry = this.#chargers.get(charger);
+        if (!entry) {
+            entry = { days: {}, state: null };
+            this.#chargers.set(charger, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {string} charger
+     * @param {{from: string?, to: string?}?} range
+     * @returns {ConsumptionRow[]}
+     */
+    getDays(charger, range) {
+        return rowsOfDays(this.#entry(charger).days, range);
+    }
+
+    /**
+     * @param {string} charger
+     * @param {ConsumptionRow[]} rows
+     */
+    putDays(charger, rows) {
+        let days = this.#entry(charger).days;
+        for (let row of rows)
+            days[row.date] = row.kWh;
+    }
+
+    /**
+     * @param {string} charger
+     * @returns {Object|null}
+     */
+    getState(charger) {
+        return this.#entry(charger).state;
+    }
+
+    /**
+     * @param {string} charger
+     * @param {Object} state
+     */
+    setState(charger, state) {
+        this.#entry(charger).state = state;
+    }
+}
+
+/**
+ * @typedef {Object} JsonHistoryFile
+ * @property {Promise<{version: number, chargers: Object<string, {days: Object<string, number>, state: Object|null}>}>|null} loading
+ * @property {Promise<void>} writing
+ */
+
+/**
+ * The archive files in use, by their resolved paths. Stores of the same file share its data and its writes,
+ * or they would overwrite each other's chargers, and write the same temporary file at once.
+ * @type Map<string, JsonHistoryFile>
+ */
+const jsonHistoryFiles = new Map();
+
+/**
+ * Keeps the history of all chargers in one JSON file. This is the default `HistoryStore`.
+ * Writes go to a temporary file first, which then replaces the archive, so a crash never leaves it half written.
+ * Stores of the same path in a process share the file's data, and write it one at a time.
+ */
+class JsonFileHistoryStore {
+    /** @type string */
+    #path;
+
+    /** @type JsonHistoryFile */
+    #file;
+
+    /**
+     * @param {string} filePath
+     */
+    constructor(filePath) {
+        this.#path = filePath;
+
+        const resolved = path.resolve(filePath);
+        this.#file = jsonHistoryFiles.get(resolved);
+        if (!this.#file) {
+            this.#file = { loading: null, writing: Promise.resolve() };
+            jsonHistoryFiles.set(resolved, this.#file);
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    get path() {
+        return this.#path;
+    }
+
+    /**
+     * @param {string} charger
+     * @returns {Promise<{days: Object<string, number>, state: Object|null}>}
+     */
+    async #entry(charger) {
+        const file = this.#file;
+
+        if (!file.loading) {
+            file.loading = fs.promises.readFile(this.#path, 'utf8')
+                .then(text => JSON.parse(text), err => {
+                    if (err.code === 'ENOENT')
+                        return { version: 1, chargers: {} };
+                    throw err;
+                });
+        }
+
+        let data;
+        try {
+            data = await file.loading;
+        } catch (err) {
+            file.loading = null; // try again next time
+            throw err;
+        }
+
+        if (!data.chargers[charger])
+            data.chargers[charger] = { days: {}, state: null };
+        return data.chargers[charger];
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async #save() {
+        const file = this.#file;
+        const data = await file.loading;
+        const temporaryPath = this.#path + '.tmp';
+
+        file.writing = file.writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(temporaryPath, JSON.stringify(data));
+                await fs.promises.rename(temporaryPath, this.#path);
+            });
+
+        return file.writing;
+    }
+
+    /**
+     * @param {string} charger
+     * @param {{from: string?, to: string?}?} range
+     * @returns {Promise<ConsumptionRow[]>}
+     */
+    async getDays(charger, range) {
+        return rowsOfDays((await this.#entry(charger)).days, range);
+    }
+
+    /**
+     * @param {string} charger
+     * @param {ConsumptionRow[]} rows
+     * @returns {Promise<void>}
+     */
+    async putDays(charger, rows) {
+        let days = (await this.#entry(charger)).days;
+        for (let row of rows)
+            days[row.date] = row.kWh;
+        await this.#save();
+    }
+
+    /**
+     * @param {string} charger
+     * @returns {Promise<Object|null>}
+     */
+    async getState(charger) {
+        return (await this.#entry(charger)).state;
+    }
+
+    /**
+     * @param {string} charger
+     * @param {Object} state
+     * @returns {Promise<void>}
+     */
+    async setState(charger, state) {
+        (await this.#entry(charger)).state = state;
+        await this.#save();
+    }
+}
+
+/**
+ * Keeps the history in SQLite. Pass it an open database of `node:sqlite` (`DatabaseSync`) or `better-sqlite3`,
+ * or any object with the same `exec()` and `prepare()`. The tables are created when missing.
+ */
+class SqliteHistoryStore {
+    /** @type Object */
+    #db;
+
+    /** @type string */
+    #prefix;
+
+    /**
+     * @param {Object} db
+     * @param {Object?} options
+     * @param {string?} options.tablePrefix (default 'bcp_')
+     */
+    constructor(db, { tablePrefix = 'bcp_' } = {}) {
+        this.#db = db;
+        this.#prefix = tablePrefix;
+
+        db.exec(`CREATE TABLE IF NOT EXISTS ${tablePrefix}consumption_days (
+            charger TEXT NOT NULL, date TEXT NOT NULL, kwh REAL NOT NULL, PRIMARY KEY (charger, date));
+            CREATE TABLE IF NOT EXISTS ${tablePrefix}consumption_state (
+            charger TEXT NOT NULL PRIMARY KEY, state TEXT NOT NULL);`);
+    }
+
+    /**
+     * @param {string} charger
+     * @param {{from: string?, to: string?}?} range
+     * @returns {ConsumptionRow[]}
+     */
+    getDays(charger, { from = null, to = null } = {}) {
+        return this.#db
+            .prepare(`SELECT date, kwh FROM ${this.#prefix}consumption_days
+                WHERE charger = ? AND date >= ? AND date <= ? ORDER BY date`)
+            .all(charger, from ?? '0000-00-00', to ?? '9999-99-99')
+            .map(row => ({ date: row.date, kWh: row.kwh }));
+    }
+
+    /**
+     * @param {string} charger
+     * @param {ConsumptionRow[]} rows
+     */
+    putDays(charger, rows) {
+        const statement = this.#db.prepare(`INSERT INTO ${this.#prefix}consumption_days (charger, date, kwh) VALUES (?, ?, ?)
+            ON CONFLICT (charger, date) DO UPDATE SET kwh = excluded.kwh`);
+
+        this.#db.exec('BEGIN');
+        try {
+            for (let row of rows)
+                statement.run(charger, row.date, row.kWh);
+            this.#db.exec('COMMIT');
+        } catch (err) {
+            this.#db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} charger
+     * @returns {Object|null}
+     */
+    getState(charger) {
+        let row = this.#db
+            .prepare(`SELECT state FROM ${this.#prefix}consumption_state WHERE charger = ?`)
+            .get(charger);
+        return row ? JSON.parse(row.state) : null;
+    }
+
+    /**
+     * @param {string} charger
+     * @param {Object} state
+     */
+    setState(charger, state) {
+        this.#db
+            .prepare(`INSERT INTO ${this.#prefix}consumption_state (charger, state) VALUES (?, ?)
+                ON CONFLICT (charger) DO UPDATE SET state = excluded.state`)
+            .run(charger, JSON.stringify(state));
+    }
+}
+
+/**
+ * Archives a charger's daily consumption locally, beyond the 20 days, 12 months and 10 years the charger remembers.
+ * Each sync merges the month records since the previous sync - on the first one, every month the charger has records for.
+ * Days before yesterday are final: when the charger reports them differently later, the archived values are kept,
+ * and the difference is reported as an `anomaly` (a counter reset, a skewed clock or another conflict).
+ */
+class ConsumptionArchive extends EventEmitter {
+    /** @type ChargerController */
+    #controller;
+
+    /** @type string|null */
+    #charger;
+
+    /** @type HistoryStore */
+    #store;
+
+    /** @type number */
+    #interval;
+
+    /** @type string|null */
+    #backfillFrom;
+
+    /** @type boolean */
+    #running = false;
+
+    /** @type ReturnType<typeof setTimeout>|null */
+    #timer = null;
+
+    /** @type Promise<HistorySyncResult>|null */
+    #syncing = null;
+
+    /**
+     * @param {ChargerController} controller
+     * @param {Object?} options
+     * @param {string|null?} options.charger the charger's key in the store. Defaults to the controller's `code`.
+     * @param {HistoryStore|string?} options.store a store, or the path of a JSON file (default 'bcp-charger-history.json')
+     * @param {number?} options.interval milliseconds between syncs (default 6 hours)
+     * @param {string?} options.backfillFrom 'YYYY-MM', the oldest month to backfill. Defaults to the oldest year the
+     *  charger reports consumption for, or to 10 years back when its firmware does not report years.
+     */
+    constructor(controller, {
+        charger = null,
+        store = 'bcp-charger-history.json',
+        interval = 6 * 60 * 60 * 1000,
+        backfillFrom = null,
+    } = {}) {
+        super();
+
+        this.#controller = controller;
+        this.#charger = charger === null ? null : String(charger);
+        this.#store = typeof store === 'string' ? new JsonFileHistoryStore(store) : store;
+        this.#interval = interval;
+        this.#backfillFrom = backfillFrom;
+    }
+
+    /**
+     * @returns {HistoryStore}
+     */
+    get store() {
+        return this.#store;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.#running;
+    }
+
+    /**
+     * Syncs now, and then every `interval`.
+     */
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+        this.#tick();
+    }
+
+    /**
+     * Stops syncing. A sync in progress completes.
+     */
+    stop() {
+        this.#running = false;
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Archived consumption, totalled by `granularity`.
+     * @param {Object?} query
+     * @param {string|Date|null?} query.from 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD', or a `Date` - inclusive
+     * @param {string|Date|null?} query.to same as `from`, inclusive
+     * @param {string?} query.granularity 'day' (default), 'month' or 'year'
+     * @returns {Promise<ConsumptionRow[]>}
+     */
+    async query({ from = null, to = null, granularity = 'day' } = {}) {
+        if (!['day', 'month', 'year'].includes(granularity))
+            throw new RangeError(`granularity must be day, month or year, got '${granularity}'`);
+
+        const timeZone = this.#controller.timeZone;
+        let rows = await this.#store.getDays(this.#key(), {
+            from: from === null ? null : formatDate(parseBoundary(from, false, timeZone, 'from')),
+            to: to === null ? null : formatDate(parseBoundary(to, true, timeZone, 'to')),
+        });
+
+        return totalConsumption(rows, granularity);
+    }
+
+    /**
+     * Pulls the charger's records, and merges them into the store. Concurrent calls share the sync in progress.
+     * @returns {Promise<HistorySyncResult>}
+     */
+    async sync() {
+        if (!this.#syncing) {
+            this.#syncing = this.#sync().finally(() => {
+                this.#syncing = null;
+            });
+        }
+        return this.#syncing;
+    }
+
+    #tick() {
+        this.sync()
+            .catch(err => {
+                /**
+                 * A scheduled sync has failed. It's tried again after `interval`.
+                 *
+                 * @event sync_error
+                 * @type {Error} error
+                 */
+                this.emit('sync_error', err);
+            })
+            .then(() => {
+                if (this.#running)
+                    this.#timer = setTimeout(() => this.#tick(), this.#interval);
+            });
+    }
+
+    /**
+     * @returns {string} the charger's key in the store
+     * @throws {Error} when it's not given, and the controller's code is not known
+     */
+    #key() {
+        const key = this.#charger ?? this.#controller.code;
+        if (key === null)
+            throw new Error('the charger\'s code is not known - set the controller\'s code, or pass the charger option');
+        return key;
+    }
+
+    /**
+     * @returns {Promise<HistorySyncResult>}
+     */
+    async #sync() {
+        const controller = this.#controller;
+        const store = this.#store;
+        const charger = this.#key();
+
+        const state = (await store.getState(charger)) ?? {};
+        const rolling = await controller.getDatedConsumptionRecords();
+
+        const now = wallTime(new Date(), controller.timeZone);
+        const today = rolling.days.length ? rolling.days[rolling.days.length - 1].date : formatDate(now);
+        const yesterday = addDays(today, -1);
+        const [year, month] = today.split('-').map(x => parseInt(x, 10));
+
+        const backfill = !state.backfilled;
+        let from;
+        if (backfill) {
+            let firstYear = rolling.years.find(row => row.kWh > 0)?.date;
+            from = this.#backfillFrom ??
+                (rolling.years.length
+                    ? (firstYear ? firstYear + '-01' : formatDate({ year, month, day: 1 }, 'month'))
+                    : formatDate(calendarDate(year, month - BACKFILL_MONTHS + 1, 1), 'month'));
+        } else {
+            // From the month of the day before the last sync, which may have been updated since
+            from = addDays(state.today ?? yesterday, -1).substring(0, 7);
+        }
+
+        const rows = await controller.getConsumption({ from, to: today });
+        const reported = new Map(rows.map(row => [row.date, row.kWh]));
+        const archived = new Map((await store.getDays(charger, {
+            from: rows.length ? addDays(rows[0].date, -MAX_SKEW_DAYS) : today,
+            to: today,
+        })).map(row => [row.date, row.kWh]));
+
+        let changes = [];
+        let added = 0;
+        let updated = 0;
+        let conflicts = [];
+
+        for (let row of rows) {
+            let previous = archived.get(row.date);
+            if (previous === undefined) {
+                changes.push(row);
+                added++;
+            } else if (previous !== row.kWh) {
+                if (row.date >= yesterday) {
+                    changes.push(row);
+                    updated++;
+                } else {
+                    conflicts.push(row.date);
+                }
+            }
+        }
+
+        if (changes.length)
+            await store.putDays(charger, changes);
+
+        let anomalies = [];
+
+        if (conflicts.length) {
+            let shift = findShift(reported, archived, conflicts);
+            if (shift !== null) {
+                anomalies.push({ kind: 'clock_skew', message: 'the charger reports archived days on other dates', dates: conflicts, offset: shift });
+            } else if (conflicts.every(date => reported.get(date) < archived.get(date))) {
+                anomalies.push({ kind: 'reset', message: 'the charger reports less consumption for archived days', dates: conflicts });
+            } else {
+                anomalies.push({ kind: 'conflict', message: 'the charger reports archived days differently', dates: conflicts });
+            }
+        }
+
+        // The rolling days are dated by this machine's view of the charger's calendar, the month records by the charger's
+        let mismatches = rolling.days
+            .filter(row => row.date < yesterday && reported.has(row.date) && reported.get(row.date) !== row.kWh)
+            .map(row => row.date);
+        if (mismatches.length && !anomalies.some(anomaly => anomaly.kind === 'clock_skew')) {
+            let shift = findShift(reported, new Map(rolling.days.map(row => [row.date, row.kWh])), mismatches);
+            if (shift !== null)
+                anomalies.push({ kind: 'clock_skew', message: 'the charger\'s clock is off', dates: mismatches, offset: shift });
+        }
+
+        // Closed months may not decrease
+        let previousMonths = new Map((state.months ?? []).map(row => [row.date, row.kWh]));
+        let decreased = rolling.months
+            .filter(row => row.date < today.substring(0, 7) && previousMonths.get(row.date) > row.kWh)
+            .map(row => row.date);
+        if (decreased.length)
+            anomalies.push({ kind: 'reset', message: 'the charger\'s monthly totals have decreased', dates: decreased });
+
+        // Records for a month that has not started yet
+        const next = calendarDate(year, month + 1, 1);
+        const nextRecords = await controller.sendGetPowerConsumptionRecordsOfMonth(next.year, next.month);
+        if (nextRecords.isEffective && nextRecords.days.some(kWh => kWh > 0))
+            anomalies.push({ kind: 'clock_skew', message: 'the charger has records for a future month', dates: [formatDate(next, 'month')] });
+
+        await store.setState(charger, {
+            backfilled: true,
+            lastSync: new Date().toISOString(),
+            today,
+            months: rolling.months,
+        });
+
+        for (let anomaly of anomalies) {
+            /**
+             * The charger's records disagree with the archive. The archived values are kept.
+             *
+             * @event anomaly
+             * @type {HistoryAnomaly} anomaly
+             */
+            this.emit('anomaly', anomaly);
+        }
+
+        /** @type HistorySyncResult */
+        const result = { today, backfilled: backfill, added, updated, anomalies };
+
+        /**
+         * A sync has completed.
+         *
+         * @event sync
+         * @type {HistorySyncResult} result
+         */
+        this.emit('sync', result);
+
+        return result;
+    }
+}
+
+export {
+    ConsumptionArchive,
+    MemoryHistoryStore,
+    JsonFileHistoryStore,
+    SqliteHistoryStore,
+};
@@ -0,0 +1,250 @@
+import { wallTime } from './clock.js';
+
+/**
+ * @typedef {Object} ConsumptionRow
+ * @property {string} date 'YYYY-MM-DD' for days, 'YYYY-MM' for months, 'YYYY' for years - on the charger's calendar
+ * @property {number} kWh
+ */
+
+/**
+ * @typedef {Object} DatedConsumptionRecords
+ * @property {ConsumptionRow[]} days
+ * @property {ConsumptionRow[]} months
+ * @property {ConsumptionRow[]} years empty when the firmware does not report years
+ */
+
+/**
+ * @typedef {Object} ConsumptionQuery
+ * @property {string|Date} from 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD', or a `Date` - inclusive
+ * @property {string|Date|null?} to same as `from`, inclusive. Defaults to today.
+ * @property {string?} granularity 'day' (default), 'month' or 'year'
+ */
+
+/**
+ * @typedef {Object} CalendarDate
+ * @property {number} year
+ * @property {number} month 1-12
+ * @property {number} day 1-31
+ */
+
+/** The charger's records start from this year */
+const FIRST_RECORD_YEAR = 2000;
+
+/**
+ * @param {number} year
+ * @param {number} month 1-12
+ * @returns {number}
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * @param {number} year
+ * @param {number} month 1-12, rolls over
+ * @param {number} day rolls over
+ * @returns {CalendarDate}
+ */
+const calendarDate = (year, month, day) => {
+    let date = new Date(Date.UTC(year, month - 1, day));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+/**
+ * @param {CalendarDate} date
+ * @param {string} granularity 'day', 'month' or 'year'
+ * @returns {string}
+ */
+const formatDate = ({ year, month, day }, granularity = 'day') => {
+    let text = year.toString().padStart(4, '0');
+    if (granularity !== 'year')
+        text += '-' + month.toString().padStart(2, '0');
+    if (granularity === 'day')
+        text += '-' + day.toString().padStart(2, '0');
+    return text;
+};
+
+/**
+ * @param {CalendarDate} a
+ * @param {CalendarDate} b
+ * @returns {number}
+ */
+const compareDates = (a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+
+/**
+ * Records are kept in tenths of kWh - sums are rounded back to them.
+ * @param {number} kWh
+ * @returns {number}
+ */
+const roundKWh = kWh => Math.round(kWh * 10) / 10;
+
+/**
+ * @param {string|Date} value
+ * @param {boolean} isEnd whether partial dates resolve to their last day
+ * @param {string|null} timeZone for `Date` values
+ * @param {string} name
+ * @returns {CalendarDate}
+ * @throws {TypeError|RangeError}
+ */
+const parseBoundary = (value, isEnd, timeZone, name) => {
+    if (value instanceof Date) {
+        let { year, month, day } = wallTime(value, timeZone);
+        return { year, month, day };
+    }
+
+    let match = typeof value === 'string' ? /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value.trim()) : null;
+    if (!match)
+        throw new TypeError(`${name} must be 'YYYY', 'YYYY-MM', 'YYYY-MM-DD' or a Date`);
+
+    let year = parseInt(match[1], 10);
+    let month = match[2] === undefined ? (isEnd ? 12 : 1) : parseInt(match[2], 10);
+    if (month < 1 || month > 12)
+        throw new RangeError(`${name} has an invalid month`);
+
+    let day = match[3] === undefined ? (isEnd ? daysInMonth(year, month) : 1) : parseInt(match[3], 10);
+    if (day < 1 || day > daysInMonth(year, month))
+        throw new RangeError(`${name} has an invalid day`);
+
+    return { year, month, day };
+};
+
+/**
+ * Dates the rolling records of `sendGetPowerConsumptionRecords()`.
+ * Each array is in chronological order, its last entry being the current day, month or year on the charger's clock.
+ * @param {PowerConsumptionRecords} records
+ * @param {Object?} options
+ * @param {Date?} options.now the charger's current time, defaults to this machine's
+ * @param {string|null?} options.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ * @returns {DatedConsumptionRecords}
+ */
+const datePowerConsumptionRecords = (records, { now = new Date(), timeZone = null } = {}) => {
+    const today = wallTime(now, timeZone);
+    const back = (values, i) => values.length - 1 - i;
+
+    return {
+        days: records.days.map((kWh, i) => ({
+            date: formatDate(calendarDate(today.year, today.month, today.day - back(records.days, i))),
+            kWh,
+        })),
+        months: records.months.map((kWh, i) => ({
+            date: formatDate(calendarDate(today.year, today.month - back(records.months, i), 1), 'month'),
+            kWh,
+        })),
+        years: (records.years ?? []).map((kWh, i) => ({
+            date: formatDate({ year: today.year - back(records.years, i), month: 1, day: 1 }, 'year'),
+            kWh,
+        })),
+    };
+};
+
+/**
+ * Dates the records of `sendGetPowerConsumptionRecordsOfMonth()`.
+ * @param {number} year
+ * @param {number} month 1-12
+ * @param {PowerConsumptionRecordsOfMonth} records
+ * @returns {ConsumptionRow[]} empty when the charger has no records for the month
+ */
+const dateMonthRecords = (year, month, records) => {
+    if (!records.isEffective)
+        return [];
+    return records.days.map((kWh, i) => ({ date: formatDate({ year, month, day: i + 1 }), kWh }));
+};
+
+/**
+ * Collects the daily records of a range of dates, one month query at a time, and totals them by `granularity`.
+ * Months the charger has no records for are left out. The range is cut at today, as the charger's calendar has it.
+ * @param {function(year: number, month: number): Promise<PowerConsumptionRecordsOfMonth>} fetchMonth
+ * @param {ConsumptionQuery} query
+ * @param {Object?} options
+ * @param {Date?} options.now the charger's current time, defaults to this machine's
+ * @param {string|null?} options.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ * @returns {Promise<ConsumptionRow[]>} in chronological order
+ * @throws {TypeError|RangeError} for an invalid query, before fetching anything
+ */
+const collectConsumption = async (fetchMonth, { from, to = null, granularity = 'day' }, { now = new Date(), timeZone = null } = {}) => {
+    if (!['day', 'month', 'year'].includes(granularity))
+        throw new RangeError(`granularity must be day, month or year, got '${granularity}'`);
+
+    const { year, month, day } = wallTime(now, timeZone);
+    const today = { year, month, day };
+
+    let start = parseBoundary(from, false, timeZone, 'from');
+    if (start.year < FIRST_RECORD_YEAR)
+        start = { year: FIRST_RECORD_YEAR, month: 1, day: 1 };
+    let end = to === null || to === undefined ? today : parseBoundary(to, true, timeZone, 'to');
+    if (compareDates(end, today) > 0)
+        end = today;
+    if (compareDates(start, end) > 0)
+        throw new RangeError('from must not be after to');
+
+    let rows = [];
+    for (let current = { ...start, day: 1 }; compareDates(current, end) <= 0; current = calendarDate(current.year, current.month + 1, 1)) {
+        let records = await fetchMonth(current.year, current.month);
+        rows.push(...dateMonthRecords(current.year, current.month, records)
+            .filter(row => row.date >= formatDate(start) && row.date <= formatDate(end)));
+    }
+
+    return totalConsumption(rows, granularity);
+};
+
+/**
+ * Totals daily rows by month or year.
+ * @param {ConsumptionRow[]} rows daily rows, in chronological order
+ * @param {string} granularity 'day' (rows are returned as they are), 'month' or 'year'
+ * @returns {ConsumptionRow[]}
+ */
+const totalConsumption = (rows, granularity) => {
+    if (granularity === 'day')
+        return rows;
+
+    const length = granularity === 'month' ? 7 : 4;
+    let totals = new Map();
+    for (let row of rows) {
+        let key = row.date.substring(0, length);
+        totals.set(key, (totals.get(key) ?? 0) + row.kWh);
+    }
+
+    return [...totals].map(([date, kWh]) => ({ date, kWh: roundKWh(kWh) }));
+};
+
+/**
+ * @param {string} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+const csvCell = (value, delimiter) => {
+    value = String(value);
+    return value.includes(delimiter) || /["\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+/**
+ * Formats consumption rows for spreadsheets and expense systems.
+ * @param {ConsumptionRow[]} rows
+ * @param {Object?} options
+ * @param {string?} options.format 'csv' (default) or 'json'
+ * @param {string?} options.delimiter CSV delimiter (default ','), i.e. ';' for locales with decimal commas
+ * @param {boolean?} options.header whether the CSV starts with a `date,kWh` header row (default `true`)
+ * @returns {string} CSV with CRLF line endings, as in RFC 4180, or a JSON array
+ */
+const formatConsumption = (rows, { format = 'csv', delimiter = ',', header = true } = {}) => {
+    if (format === 'json')
+        return JSON.stringify(rows.map(({ date, kWh }) => ({ date, kWh })), null, 2) + '\n';
+
+    if (format !== 'csv')
+        throw new RangeError(`format must be csv or json, got '${format}'`);
+
+    let lines = rows.map(({ date, kWh }) => csvCell(date, delimiter) + delimiter + csvCell(kWh, delimiter));
+    if (header)
+        lines.unshift('date' + delimiter + 'kWh');
+
+    return lines.map(line => line + '\r\n').join('');
+};
+
+export {
+    calendarDate,
+    formatDate,
+    parseBoundary,
+    totalConsumption,
+    datePowerConsumptionRecords,
+    dateMonthRecords,
+    collectConsumption,
+    formatConsumption,
+};
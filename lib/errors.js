@@ -0,0 +1,199 @@
+import { ChargerErrorCode } from './protocol.js';
+
+/** Descriptions of the known `ChargerErrorCode`s */
+const DEVICE_ERROR_MESSAGES = Object.freeze({
+    [ChargerErrorCode.WrongPassword]: 'wrong password',
+    [ChargerErrorCode.UnsupportedCommand]: 'unsupported command',
+});
+
+/**
+ * Base class of the errors thrown by this library. `code` tells them apart without parsing messages.
+ */
+class ChargerError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code
+     */
+    constructor(message, code) {
+        super(message);
+
+        this.name = this.constructor.name;
+
+        /** @type string */
+        this.code = code;
+    }
+}
+
+/**
+ * The charger did not respond in time, after all attempts.
+ */
+class ChargerTimeoutError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.command the command code
+     * @param {{ipAddress: string, port: number}} details.host
+     * @param {number?} details.attempts
+     */
+    constructor({ command, host, attempts = 1 }) {
+        super('result timed out', 'ETIMEDOUT');
+
+        /** @type string */
+        this.command = command;
+
+        /** @type {{ipAddress: string, port: number}} */
+        this.host = host;
+
+        /** @type number */
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * The charger has responded to a setter, but did not accept it.
+ */
+class ChargerRejectedError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.command the command code
+     */
+    constructor({ command }) {
+        super(`command ${command} was rejected by the charger`, 'EREJECTED');
+
+        /** @type string */
+        this.command = command;
+    }
+}
+
+/**
+ * A frame could not be parsed: a bad header or checksum, or a payload too short for its command.
+ */
+class ChargerProtocolError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.reason 'header', 'checksum', 'length' or 'command'
+     * @param {string?} details.raw the frame
+     * @param {string?} details.command the command code, if known
+     */
+    constructor({ reason, raw = null, command = null }) {
+        super(`malformed frame (${reason})`, 'EPROTO');
+
+        /** @type string */
+        this.reason = reason;
+
+        /** @type string|null */
+        this.raw = raw;
+
+        /** @type string|null */
+        this.command = command;
+    }
+}
+
+/**
+ * The charger has sent back a `Command.Error` frame.
+ * The message describes the known `ChargerErrorCode`s; other codes are passed on as sent.
+ */
+class ChargerDeviceError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.deviceCode the error code, see `ChargerErrorCode`
+     * @param {string?} details.command the command code that has failed, if known
+     */
+    constructor({ deviceCode, command = null }) {
+        const description = DEVICE_ERROR_MESSAGES[deviceCode];
+        super(description
+            ? `charger error: ${description} (code ${deviceCode})`
+            : `charger error: code ${deviceCode}`, 'EDEVICE');
+
+        /** @type string */
+        this.deviceCode = deviceCode;
+
+        /** @type string|null */
+        this.command = command;
+    }
+}
+
+/**
+ * `disconnect()` was called while the command was queued or in flight, so it was dropped.
+ */
+class ChargerDisconnectedError extends ChargerError {
+    constructor() {
+        super('disconnected before the command has completed', 'EDISCONNECTED');
+    }
+}
+
+/**
+ * The charger's firmware does not support a command, so it was not sent. See `ChargerController.capabilities`.
+ */
+class ChargerUnsupportedError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.command the command code
+     * @param {string} details.firmwareVersion
+     */
+    constructor({ command, firmwareVersion }) {
+        super(`command ${command} is not supported by firmware ${firmwareVersion}`, 'EUNSUPPORTED');
+
+        /** @type string */
+        this.command = command;
+
+        /** @type string */
+        this.firmwareVersion = firmwareVersion;
+    }
+}
+
+/**
+ * A step of `provisionWifi()` has failed. `step` tells which, and `cause` holds the underlying error, if any.
+ */
+class ChargerProvisioningError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.step see `ProvisioningStep`
+     * @param {string} details.reason
+     * @param {Error|null?} details.cause
+     */
+    constructor({ step, reason, cause = null }) {
+        super(`wifi provisioning failed at ${step}: ${reason}`, 'EPROVISION');
+
+        /** @type string */
+        this.step = step;
+
+        /** @type string */
+        this.reason = reason;
+
+        /** @type Error|null */
+        this.cause = cause;
+    }
+}
+
+/**
+ * A password change could not be confirmed: the charger has responded to neither the new password nor the previous one.
+ * The controller keeps the previous password. `cause` holds the underlying error, if any.
+ */
+class ChargerPasswordError extends ChargerError {
+    /**
+     * @param {Object} details
+     * @param {string} details.reason
+     * @param {Error|null?} details.cause
+     */
+    constructor({ reason, cause = null }) {
+        super(`password change could not be confirmed: ${reason}`, 'EPASSWORD');
+
+        /** @type string */
+        this.reason = reason;
+
+        /** @type Error|null */
+        this.cause = cause;
+    }
+}
+
+export {
+    ChargerError,
+    ChargerTimeoutError,
+    ChargerRejectedError,
+    ChargerProtocolError,
+    ChargerDeviceError,
+    ChargerDisconnectedError,
+    ChargerUnsupportedError,
+    ChargerProvisioningError,
+    ChargerPasswordError,
+};
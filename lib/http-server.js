@@ -0,0 +1,582 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import {
+    ChargerTimeoutError,
+    ChargerRejectedError,
+    ChargerProtocolError,
+    ChargerDeviceError,
+    ChargerUnsupportedError,
+} from './errors.js';
+import { ChargerFleet } from './charger-fleet.js';
+import { WEEKDAYS, normalizeReservation } from './reservation.js';
+import { CURRENT_LIMITS } from './validation.js';
+
+/**
+ * @typedef {Object} HttpServerOptions
+ * @property {string|string[]|function(token: string): boolean|null?} token
+ *  bearer token(s) accepted in the `Authorization` header, or in a `token` query parameter (for `EventSource`).
+ *  `null` (default) disables authentication.
+ * @property {number?} maxBodySize maximum request body size in bytes (default 65536)
+ * @property {number?} keepAliveInterval milliseconds between SSE keep-alive comments (default 15000)
+ * @property {string?} title the OpenAPI document's title
+ * @property {string?} version the OpenAPI document's version
+ */
+
+/**
+ * @typedef {Object} HttpRoute
+ * @property {string} method
+ * @property {string} path relative to the charger, with `{param}` placeholders
+ * @property {string} summary
+ * @property {Object<string, Object>?} params JSON schemas of the path parameters
+ * @property {Object?} body JSON schema of the request body
+ * @property {boolean?} stream whether the route responds with Server-Sent Events
+ * @property {function(controller: ChargerController, request: {params: Object, body: *}): Promise<*>?} handler
+ */
+
+/** Controller events relayed over Server-Sent Events */
+const STREAMED_EVENTS = Object.freeze(['realtime_data', 'fault_status']);
+
+/**
+ * @param {ChargerController} controller
+ * @returns {Promise<void>}
+ */
+const ensureModel = async controller => {
+    if (!controller.modelInfo)
+        await controller.sendGetChargerModel();
+};
+
+/**
+ * @param {Object} body
+ * @returns {Reservation}
+ */
+const reservationOfBody = body => {
+    let days = body.days ?? WEEKDAYS.filter((day, i) => body.daysOfWeek?.[i] === '1');
+    try {
+        return normalizeReservation({ days, from: body.from, to: body.to });
+    } catch (err) {
+        throw Object.assign(new Error(err.message), { status: 400 });
+    }
+};
+
+/** @type HttpRoute[] */
+const ROUTES = [
+    {
+        method: 'GET',
+        path: '/status',
+        summary: 'Realtime data',
+        handler: async controller => {
+            await ensureModel(controller);
+            return controller.sendGetRealTimeData();
+        },
+    },
+    {
+        method: 'GET',
+        path: '/faults',
+        summary: 'Fault status',
+        handler: controller => controller.sendGetFaultStatus(),
+    },
+    {
+        method: 'GET',
+        path: '/controls',
+        summary: 'Controls state',
+        handler: controller => controller.sendGetControlsState(),
+    },
+    {
+        method: 'GET',
+        path: '/history/{year}/{month}',
+        summary: 'Daily power consumption of a month',
+        params: {
+            year: { type: 'integer', minimum: 2000, maximum: 2255 },
+            month: { type: 'integer', minimum: 1, maximum: 12 },
+        },
+        handler: (controller, { params }) =>
+            controller.sendGetPowerConsumptionRecordsOfMonth(params.year, params.month),
+    },
+    {
+        method: 'POST',
+        path: '/charge',
+        summary: 'Start or stop charging',
+        body: {
+            type: 'object',
+            required: ['on'],
+            properties: {
+                on: { type: 'boolean' },
+            },
+            additionalProperties: false,
+        },
+        handler: async (controller, { body }) => {
+            await ensureModel(controller);
+            return { ok: await controller.sendSetChargeState(body.on, { retry: true }) };
+        },
+    },
+    {
+        method: 'PUT',
+        path: '/max-current',
+        summary: 'Set the max current',
+        body: {
+            type: 'object',
+            required: ['maxCurrent'],
+            properties: {
+                maxCurrent: { type: 'integer', minimum: CURRENT_LIMITS.min, maximum: CURRENT_LIMITS.max },
+            },
+            additionalProperties: false,
+        },
+        handler: async (controller, { body }) => ({ ok: await controller.sendSetMaxCurrent(body.maxCurrent) }),
+    },
+    {
+        method: 'PUT',
+        path: '/dlb',
+        summary: 'Set the dynamic load balancing',
+        body: {
+            type: 'object',
+            required: ['enabled', 'maxCurrent'],
+            properties: {
+                enabled: { type: 'boolean' },
+                extremeMode: { type: 'boolean' },
+                maxCurrent: { type: 'integer', minimum: 0, maximum: 255 },
+                nightMode: { type: 'boolean' },
+            },
+            additionalProperties: false,
+        },
+        handler: async (controller, { body }) => ({
+            ok: await controller.sendSetDLB(body.enabled, !!body.extremeMode, body.maxCurrent, !!body.nightMode),
+        }),
+    },
+    {
+        method: 'GET',
+        path: '/reservation',
+        summary: 'The reservation, and its window in progress or next',
+        handler: async controller => {
+            const reservation = await controller.getReservation();
+            return { reservation, next: await controller.getNextReservationWindow() };
+        },
+    },
+    {
+        method: 'PUT',
+        path: '/reservation',
+        summary: 'Set the reservation',
+        body: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: {
+                from: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+                to: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+                days: { type: 'array', items: { type: 'string', enum: WEEKDAYS } },
+                daysOfWeek: { type: 'string', pattern: '^[01]{7}$' },
+            },
+            additionalProperties: false,
+        },
+        handler: async (controller, { body }) => ({
+            ok: await controller.setReservation(reservationOfBody(body)),
+        }),
+    },
+    {
+        method: 'DELETE',
+        path: '/reservation',
+        summary: 'Clear the reservation',
+        handler: async controller => ({ ok: await controller.setReservation(null) }),
+    },
+    {
+        method: 'GET',
+        path: '/events',
+        summary: `Server-Sent Events stream of ${STREAMED_EVENTS.join(', ')}`,
+        stream: true,
+    },
+];
+
+/**
+ * Validates a value against the subset of JSON schema used by the routes.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path
+ * @returns {string[]} errors
+ */
+const validateSchema = (schema, value, path = 'body') => {
+    switch (schema.type) {
+        case 'object': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value))
+                return [`${path} must be an object`];
+
+            let errors = [];
+
+            for (let key of schema.required ?? []) {
+                if (value[key] === undefined)
+                    errors.push(`${path}.${key} is required`);
+            }
+
+            for (let [key, item] of Object.entries(value)) {
+                let propertySchema = schema.properties?.[key];
+                if (!propertySchema) {
+                    if (schema.additionalProperties === false)
+                        errors.push(`${path}.${key} is not allowed`);
+                    continue;
+                }
+                errors = errors.concat(validateSchema(propertySchema, item, `${path}.${key}`));
+            }
+
+            return errors;
+        }
+
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : [`${path} must be a boolean`];
+
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value))
+                return [`${path} must be a number`];
+            if (schema.type === 'integer' && !Number.isInteger(value))
+                return [`${path} must be an integer`];
+            if (schema.minimum !== undefined && value < schema.minimum)
+                return [`${path} must be >= ${schema.minimum}`];
+            if (schema.maximum !== undefined && value > schema.maximum)
+                return [`${path} must be <= ${schema.maximum}`];
+            return [];
+
+        case 'string':
+            if (typeof value !== 'string')
+                return [`${path} must be a string`];
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+                return [`${path} must match ${schema.pattern}`];
+            if (schema.enum !== undefined && !schema.enum.includes(value))
+                return [`${path} must be one of ${schema.enum.join(', ')}`];
+            return [];
+
+        case 'array':
+            if (!Array.isArray(value))
+                return [`${path} must be an array`];
+            return value.flatMap((item, i) => validateSchema(schema.items ?? {}, item, `${path}[${i}]`));
+    }
+
+    return [];
+};
+
+/**
+ * @param {HttpRoute[]} routes
+ * @param {boolean} isFleet
+ * @param {HttpServerOptions} options
+ * @returns {Object} OpenAPI 3 document
+ */
+const buildOpenApi = (routes, isFleet, options) => {
+    const paths = {};
+
+    const codeParam = { name: 'code', in: 'path', required: true, schema: { type: 'string' } };
+
+    if (isFleet) {
+        paths['/chargers'] = {
+            get: {
+                summary: 'Codes of the chargers in the fleet',
+                responses: { 200: { description: 'OK' } },
+            },
+        };
+    }
+
+    for (let route of routes) {
+        const path = (isFleet ? '/chargers/{code}' : '') + route.path;
+
+        const operation = {
+            summary: route.summary,
+            parameters: (isFleet ? [codeParam] : []).concat(Object.entries(route.params ?? {})
+                .map(([name, schema]) => ({ name, in: 'path', required: true, schema }))),
+            responses: {
+                200: route.stream
+                    ? { description: 'OK', content: { 'text/event-stream': {} } }
+                    : { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } },
+                400: { description: 'Invalid request' },
+                401: { description: 'Missing or wrong token' },
+                409: { description: 'Rejected by the charger' },
+                501: { description: 'Not supported by the charger\'s firmware' },
+                502: { description: 'Charger error, or a malformed response' },
+                504: { description: 'The charger did not respond' },
+            },
+        };
+
+        if (route.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: route.body } },
+            };
+        }
+
+        paths[path] = Object.assign(paths[path] ?? {}, { [route.method.toLowerCase()]: operation });
+    }
+
+    let document = {
+        openapi: '3.0.3',
+        info: { title: options.title, version: options.version },
+        paths,
+    };
+
+    if (options.token) {
+        document.components = { securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } } };
+        document.security = [{ bearer: [] }];
+    }
+
+    return document;
+};
+
+/**
+ * @param {Error} err
+ * @returns {number}
+ */
+const statusOf = err => {
+    if (err instanceof ChargerTimeoutError) return 504;
+    if (err instanceof ChargerRejectedError) return 409;
+    if (err instanceof ChargerUnsupportedError) return 501;
+    if (err instanceof ChargerDeviceError || err instanceof ChargerProtocolError) return 502;
+    return 500;
+};
+
+/**
+ * @param {ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+const sendJson = (res, status, body) => {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+    });
+    res.end(json);
+};
+
+/**
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {boolean}
+ */
+const safeEqual = (expected, actual) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * @param {string} segment
+ * @returns {string}
+ * @throws {Error} with `status` 400, for a malformed escape
+ */
+const decodePathSegment = segment => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (ignored) {
+        throw Object.assign(new Error('malformed url'), { status: 400 });
+    }
+};
+
+/**
+ * A body over `maxBodySize` is discarded instead of read, and the socket is left open for the 413 response.
+ * @param {IncomingMessage} req
+ * @param {number} maxBodySize
+ * @returns {Promise<*>}
+ */
+const readJsonBody = (req, maxBodySize) => new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+        size += chunk.length;
+        if (size > maxBodySize) {
+            req.off('data', onData);
+            req.resume();
+            reject(Object.assign(new Error('request body is too large'), { status: 413 }));
+            return;
+        }
+        chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+    req.on('error', reject);
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+        } catch (ignored) {
+            reject(Object.assign(new Error('request body is not valid JSON'), { status: 400 }));
+        }
+    });
+});
+
+/**
+ * Creates a request listener exposing a controller, or each charger in a fleet under `/chargers/{code}`, over REST.
+ * Mount it on any `http.Server`, or use `createHttpServer()`.
+ * @param {ChargerController|ChargerFleet} target
+ * @param {HttpServerOptions?} options
+ * @returns {function(req: IncomingMessage, res: ServerResponse)}
+ */
+const createHttpHandler = (target, {
+    token = null,
+    maxBodySize = 65536,
+    keepAliveInterval = 15000,
+    title = 'BCP charger API',
+    version = '1.0.0',
+} = {}) => {
+    const isFleet = target instanceof ChargerFleet;
+    const openApi = buildOpenApi(ROUTES, isFleet, { token, title, version });
+
+    const routes = ROUTES.map(route => {
+        let names = [];
+        let pattern = route.path.replace(/\{(\w+)\}/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        return Object.assign({}, route, {
+            regex: new RegExp('^' + pattern + '$'),
+            names,
+        });
+    });
+
+    /**
+     * @param {IncomingMessage} req
+     * @param {URL} url
+     * @returns {boolean}
+     */
+    const isAuthorized = (req, url) => {
+        if (!token)
+            return true;
+
+        let header = req.headers.authorization ?? '';
+        let provided = header.startsWith('Bearer ') ? header.substring(7) : url.searchParams.get('token');
+        if (!provided)
+            return false;
+
+        if (typeof token === 'function')
+            return !!token(provided);
+
+        return (Array.isArray(token) ? token : [token]).some(x => safeEqual(x, provided));
+    };
+
+    /**
+     * @param {ChargerController} controller
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    const stream = (controller, req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.write(': connected\n\n');
+
+        let listeners = STREAMED_EVENTS.map(event => {
+            let listener = data => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            controller.on(event, listener);
+            return listener;
+        });
+
+        let keepAlive = keepAliveInterval > 0
+            ? setInterval(() => res.write(': keep-alive\n\n'), keepAliveInterval)
+            : null;
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            STREAMED_EVENTS.forEach((event, i) => controller.off(event, listeners[i]));
+        });
+    };
+
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (!isAuthorized(req, url))
+                return sendJson(res, 401, { error: 'unauthorized' });
+
+            let path = url.pathname.replace(/\/+$/, '') || '/';
+            let controller = target;
+
+            if (path === '/openapi.json' && req.method === 'GET')
+                return sendJson(res, 200, openApi);
+
+            if (isFleet) {
+                if (path === '/chargers' && req.method === 'GET')
+                    return sendJson(res, 200, target.codes);
+
+                let match = /^\/chargers\/([^/]+)(\/.*)$/.exec(path);
+                controller = match ? target.get(decodePathSegment(match[1])) : undefined;
+                if (!controller)
+                    return sendJson(res, 404, { error: 'not found' });
+                path = match[2];
+            }
+
+            let pathMatches = false;
+
+            for (let route of routes) {
+                let match = route.regex.exec(path);
+                if (!match)
+                    continue;
+
+                pathMatches = true;
+                if (route.method !== req.method)
+                    continue;
+
+                let params = {};
+                let errors = [];
+                route.names.forEach((name, i) => {
+                    let schema = route.params[name];
+                    let value = decodePathSegment(match[i + 1]);
+                    params[name] = schema.type === 'integer' || schema.type === 'number' ? Number(value) : value;
+                    errors = errors.concat(validateSchema(schema, params[name], name));
+                });
+
+                let body;
+                if (route.body) {
+                    body = await readJsonBody(req, maxBodySize);
+                    errors = errors.concat(validateSchema(route.body, body));
+                }
+
+                if (errors.length)
+                    return sendJson(res, 400, { error: 'invalid request', details: errors });
+
+                if (route.stream)
+                    return stream(controller, req, res);
+
+                return sendJson(res, 200, await route.handler(controller, { params, body }));
+            }
+
+            if (pathMatches)
+                return sendJson(res, 405, { error: 'method not allowed' });
+
+            return sendJson(res, 404, { error: 'not found' });
+        } catch (err) {
+            if (res.headersSent)
+                return res.end();
+
+            // The rest of a body too large to read is not waited for
+            if (err.status === 413)
+                res.setHeader('Connection', 'close');
+
+            sendJson(res, err.status ?? statusOf(err), { error: err.message, code: err.code });
+        }
+    };
+};
+
+/**
+ * Creates an `http.Server` exposing a controller, or each charger in a fleet, over REST. Call `listen()` on it.
+ * The server does not poll by itself - the SSE stream relays events of `startMonitoring()` or of other callers.
+ * @param {ChargerController|ChargerFleet} target
+ * @param {HttpServerOptions?} options
+ * @returns {Server}
+ */
+const createHttpServer = (target, options) => {
+    const server = http.createServer(createHttpHandler(target, options));
+
+    // SSE streams never end by themselves, and would keep `close()` waiting forever
+    const sockets = new Set();
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    const close = server.close.bind(server);
+    server.close = callback => {
+        close(callback);
+        for (let socket of sockets)
+            socket.destroy();
+        return server;
+    };
+
+    return server;
+};
+
+export { createHttpServer, createHttpHandler };
@@ -0,0 +1,310 @@
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import { Command, ChargerState } from './protocol.js';
+
+/**
+ * @typedef {Object} MetricsExporterOptions
+ * @property {string?} prefix prepended to each metric name (default 'bcp_charger_')
+ * @property {number[]?} buckets upper bounds of the command duration histogram, in seconds
+ */
+
+/** Upper bounds of the command duration histogram, in seconds */
+const DEFAULT_BUCKETS = Object.freeze([0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]);
+
+/** Fault flags, exported as the `flag` label */
+const FAULT_FLAGS = Object.freeze([
+    'overVoltage', 'underVoltage', 'overload', 'highTemperature', 'groundDetection', 'leakage',
+    'cpSignalAbnormal', 'emergencyStopButton', 'ccSignalAbnormal', 'dlbWiring', 'dlbOffline', 'motorLock',
+    'sticking', 'contactor',
+]);
+
+/** Realtime fields per phase label. Single-phase chargers report theirs as phase A. */
+const PHASES = Object.freeze({
+    A: { current: ['electricCurrentA', 'electricCurrent'], voltage: ['voltageA', 'voltage'] },
+    B: { current: ['electricCurrentB'], voltage: ['voltageB'] },
+    C: { current: ['electricCurrentC'], voltage: ['voltageC'] },
+});
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+const commandName = code => Object.keys(Command).find(key => Command[key] === code) ?? code;
+
+/**
+ * Escapes a label value as in the Prometheus text format.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * @param {Object<string, *>} labels
+ * @returns {string}
+ */
+const formatLabels = labels => {
+    let pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = value => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+};
+
+/**
+ * @param {Object} data
+ * @param {string[]} fields
+ * @returns {number|undefined}
+ */
+const firstOf = (data, fields) => fields.map(field => data[field]).find(value => typeof value === 'number');
+
+/**
+ * Collects the controllers' realtime data, fault status and health in the Prometheus text format.
+ * Values are only updated by the controllers' events - use `controller.startMonitoring()` to keep them fresh.
+ *
+ * Gauges: `voltage_volts{phase}`, `current_amperes{phase}`, `power_kilowatts`, `temperature_celsius`,
+ * `state{state}`, `fault{flag}` and `last_update_timestamp_seconds`.
+ * Counters: `energy_kilowatt_hours_total` (`totalPower`, which resets with each session),
+ * `command_timeouts_total{command}` and `malformed_frames_total`.
+ * Histogram: `command_duration_seconds{command}`.
+ * All of them are labelled by `charger`.
+ */
+class MetricsExporter {
+    /** @type string */
+    #prefix;
+
+    /** @type number[] */
+    #buckets;
+
+    /** @type Map<string, {controller: ChargerController, listeners: Object<string, function>}> */
+    #chargers = new Map();
+
+    /** @type Map<string, Object> */
+    #realtime = new Map();
+
+    /** @type Map<string, Object> */
+    #faults = new Map();
+
+    /** @type Map<string, number> */
+    #lastUpdate = new Map();
+
+    /** @type Map<string, number> */
+    #malformed = new Map();
+
+    /** @type Map<string, Map<string, number>> charger => command => count */
+    #timeouts = new Map();
+
+    /** @type Map<string, Map<string, {counts: number[], sum: number, count: number}>> charger => command => histogram */
+    #durations = new Map();
+
+    /**
+     * @param {MetricsExporterOptions?} options
+     */
+    constructor({ prefix = 'bcp_charger_', buckets = DEFAULT_BUCKETS } = {}) {
+        this.#prefix = prefix;
+        this.#buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * Labels of the exported chargers
+     * @returns {string[]}
+     */
+    get chargers() {
+        return [...this.#chargers.keys()];
+    }
+
+    /**
+     * Starts collecting a controller's metrics.
+     * @param {string} charger the `charger` label, i.e. its code
+     * @param {ChargerController} controller
+     * @returns {MetricsExporter}
+     */
+    add(charger, controller) {
+        charger = String(charger);
+
+        if (this.#chargers.has(charger))
+            throw new Error(`charger ${charger} is already exported`);
+
+        const listeners = {
+            realtime_data: data => {
+                this.#realtime.set(charger, data);
+                this.#lastUpdate.set(charger, Date.now());
+            },
+            fault_status: status => {
+                this.#faults.set(charger, status);
+                this.#lastUpdate.set(charger, Date.now());
+            },
+            malformed_message: () => this.#malformed.set(charger, (this.#malformed.get(charger) ?? 0) + 1),
+            command_timing: event => this.#recordTiming(charger, event),
+        };
+
+        for (let [event, listener] of Object.entries(listeners))
+            controller.on(event, listener);
+
+        this.#chargers.set(charger, { controller, listeners });
+        this.#malformed.set(charger, 0);
+        this.#timeouts.set(charger, new Map());
+        this.#durations.set(charger, new Map());
+
+        return this;
+    }
+
+    /**
+     * Stops collecting a controller's metrics, and drops them.
+     * @param {string} charger
+     * @returns {boolean} false if it was not exported
+     */
+    remove(charger) {
+        charger = String(charger);
+
+        let entry = this.#chargers.get(charger);
+        if (!entry)
+            return false;
+
+        for (let [event, listener] of Object.entries(entry.listeners))
+            entry.controller.off(event, listener);
+
+        for (let map of [this.#chargers, this.#realtime, this.#faults, this.#lastUpdate, this.#malformed, this.#timeouts, this.#durations])
+            map.delete(charger);
+
+        return true;
+    }
+
+    /**
+     * @param {string} charger
+     * @param {{command: string, duration: number, outcome: string}} event
+     */
+    #recordTiming(charger, { command, duration, outcome }) {
+        if (outcome === 'timeout') {
+            let timeouts = this.#timeouts.get(charger);
+            timeouts.set(command, (timeouts.get(command) ?? 0) + 1);
+            return;
+        }
+
+        if (outcome !== 'ok' && outcome !== 'device_error')
+            return;
+
+        let durations = this.#durations.get(charger);
+        let histogram = durations.get(command);
+        if (!histogram) {
+            histogram = { counts: this.#buckets.map(() => 0), sum: 0, count: 0 };
+            durations.set(command, histogram);
+        }
+
+        let seconds = duration / 1000;
+        this.#buckets.forEach((bound, i) => {
+            if (seconds <= bound) histogram.counts[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    /**
+     * Renders all metrics in the Prometheus text exposition format (version 0.0.4).
+     * @returns {string}
+     */
+    metrics() {
+        let lines = [];
+
+        /**
+         * @param {string} name
+         * @param {string} type
+         * @param {string} help
+         * @param {Array<Array>} samples `[labels, value, suffix?]`, the suffix being appended to the name
+         */
+        const family = (name, type, help, samples) => {
+            name = this.#prefix + name;
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (let [labels, value, suffix = ''] of samples)
+                lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+        };
+
+        const realtime = (field, fields = [field]) => [...this.#realtime].flatMap(([charger, data]) => {
+            let value = firstOf(data, fields);
+            return value === undefined ? [] : [[{ charger }, value]];
+        });
+
+        const perPhase = kind => [...this.#realtime].flatMap(([charger, data]) => Object.entries(PHASES)
+            .map(([phase, fields]) => [{ charger, phase }, firstOf(data, fields[kind])])
+            .filter(([, value]) => value !== undefined));
+
+        family('voltage_volts', 'gauge', 'Voltage per phase.', perPhase('voltage'));
+        family('current_amperes', 'gauge', 'Current per phase.', perPhase('current'));
+        family('power_kilowatts', 'gauge', 'Current power consumption.', realtime('power'));
+        family('temperature_celsius', 'gauge', 'Charger temperature.', realtime('temperature'));
+        family('energy_kilowatt_hours_total', 'counter', 'Energy delivered in the current session.', realtime('totalPower'));
+
+        family('state', 'gauge', 'Charger state, 1 for the current one.', [...this.#realtime].flatMap(([charger, data]) =>
+            Object.entries(ChargerState).map(([state, value]) => [{ charger, state }, data.state === value ? 1 : 0])));
+
+        family('fault', 'gauge', 'Fault flags, 1 when raised.', [...this.#faults].flatMap(([charger, status]) =>
+            FAULT_FLAGS.filter(flag => flag in status).map(flag => [{ charger, flag }, status[flag] ? 1 : 0])));
+
+        family('last_update_timestamp_seconds', 'gauge', 'Time of the last realtime data or fault status.',
+            [...this.#lastUpdate].map(([charger, time]) => [{ charger }, time / 1000]));
+
+        family('command_duration_seconds', 'histogram', 'Round trip time of answered commands, per attempt.',
+            [...this.#durations].flatMap(([charger, durations]) => [...durations].flatMap(([code, histogram]) => {
+                let labels = { charger, command: commandName(code) };
+                return [
+                    ...this.#buckets.map((bound, i) => [{ ...labels, le: formatValue(bound) }, histogram.counts[i], '_bucket']),
+                    [{ ...labels, le: '+Inf' }, histogram.count, '_bucket'],
+                    [labels, histogram.sum, '_sum'],
+                    [labels, histogram.count, '_count'],
+                ];
+            })));
+
+        family('command_timeouts_total', 'counter', 'Command attempts that timed out.',
+            [...this.#timeouts].flatMap(([charger, timeouts]) =>
+                [...timeouts].map(([code, count]) => [{ charger, command: commandName(code) }, count])));
+
+        family('malformed_frames_total', 'counter', 'Frames that could not be parsed.',
+            [...this.#malformed].map(([charger, count]) => [{ charger }, count]));
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * A request listener serving `GET /metrics`. Mount it on any `http.Server`, or use `createServer()`.
+     * @returns {function(req: IncomingMessage, res: ServerResponse)}
+     */
+    handler() {
+        return (req, res) => {
+            let { pathname } = new URL(req.url, 'http://localhost');
+
+            if (pathname !== '/metrics') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end('not found\n');
+            }
+
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD' });
+                return res.end('method not allowed\n');
+            }
+
+            let body = this.metrics();
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        };
+    }
+
+    /**
+     * Creates an `http.Server` serving `GET /metrics`. Call `listen()` on it.
+     * @returns {Server}
+     */
+    createServer() {
+        return http.createServer(this.handler());
+    }
+}
+
+export { MetricsExporter };
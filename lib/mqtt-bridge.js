@@ -0,0 +1,547 @@
+import { EventEmitter } from 'node:events';
+import { ChargerMode, ChargerState } from './protocol.js';
+import { CURRENT_LIMITS } from './validation.js';
+
+/**
+ * @typedef {Object} MqttClient
+ * The subset of an MQTT.js client that the bridge uses.
+ * @property {function(topic: string, message: string, options: {retain: boolean, qos: number}, callback: function(Error?))} publish
+ * @property {function(topic: string, callback: function(Error?))} subscribe
+ * @property {function(topic: string, callback: function(Error?))} unsubscribe
+ * @property {function(event: string, listener: function)} on
+ * @property {function(event: string, listener: function)} off
+ */
+
+/**
+ * @typedef {Object} MqttBridgeOptions
+ * @property {string} id identifies the charger in topics and Home Assistant unique ids, i.e. its code
+ * @property {string?} name the device name in Home Assistant (default 'BCP charger <id>')
+ * @property {string?} baseTopic (default 'bcp-charger')
+ * @property {string|null?} discoveryPrefix Home Assistant's discovery prefix (default 'homeassistant'). `null` disables discovery.
+ * @property {number?} heartbeatInterval milliseconds between availability heartbeats (default 30000)
+ * @property {number?} offlineAfter consecutive heartbeat failures before the charger is published as offline (default 2)
+ * @property {number?} qos (default 1)
+ */
+
+/**
+ * @typedef {Object} HomeAssistantEntity
+ * @property {string} component 'sensor', 'binary_sensor', 'switch' or 'number'
+ * @property {string} objectId
+ * @property {string} name
+ * @property {string} stateTopic relative to the charger's topic
+ * @property {string?} commandTopic relative to the charger's topic
+ * @property {Object?} config extra discovery config fields
+ */
+
+const ON = 'ON';
+const OFF = 'OFF';
+
+/** Fault flags, as published under `fault/` */
+const FAULT_FLAGS = Object.freeze([
+    'overVoltage', 'underVoltage', 'overload', 'highTemperature', 'groundDetection', 'leakage',
+    'cpSignalAbnormal', 'emergencyStopButton', 'ccSignalAbnormal', 'dlbWiring', 'dlbOffline', 'motorLock',
+    'sticking', 'contactor',
+]);
+
+/** Fault flags that are only reported by firmwares with `supportsContactorFaults` */
+const CONTACTOR_FAULT_FLAGS = Object.freeze(['sticking', 'contactor']);
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const toPayload = value => {
+    if (typeof value === 'boolean')
+        return value ? ON : OFF;
+    if (value === null || value === undefined)
+        return '';
+    return String(value);
+};
+
+/**
+ * @param {string} payload
+ * @returns {boolean|null}
+ */
+const parseSwitch = payload => {
+    payload = payload.trim().toUpperCase();
+    if (payload === ON || payload === 'TRUE' || payload === '1') return true;
+    if (payload === OFF || payload === 'FALSE' || payload === '0') return false;
+    return null;
+};
+
+/**
+ * @param {number} state
+ * @returns {string}
+ */
+const stateName = state => Object.keys(ChargerState).find(key => ChargerState[key] === state) ?? String(state);
+
+/**
+ * Bridges a controller to MQTT: publishes its snapshots as retained topics, maps command topics onto setters,
+ * and publishes Home Assistant discovery configs.
+ * The bridge does not poll by itself, other than the availability heartbeat - use `controller.startMonitoring()`.
+ *
+ * Topics, under `<baseTopic>/<id>/`:
+ * `realtime/<field>`, `fault/<flag>`, `controls/<field>`, `availability` ('online'/'offline'),
+ * and the command topics `set/charging`, `set/max_current`, `set/dlb` and `set/emergency_stop_protection`.
+ */
+class MqttBridge extends EventEmitter {
+    /** @type ChargerController */
+    #controller;
+
+    /** @type MqttClient */
+    #client;
+
+    /** @type Required<MqttBridgeOptions> */
+    #options;
+
+    /** @type boolean */
+    #running = false;
+
+    /** @type boolean|null */
+    #online = null;
+
+    /** @type number */
+    #heartbeatFailures = 0;
+
+    /** @type ReturnType<typeof setTimeout>|null */
+    #heartbeatTimer = null;
+
+    /** @type boolean */
+    #discoveryPublished = false;
+
+    #onRealTimeData = data => this.#publishSnapshot('realtime', data);
+
+    #onFaultStatus = status => this.#publishSnapshot('fault', status);
+
+    #onControlsState = controls => this.#publishSnapshot('controls', controls);
+
+    #onMessage = (topic, payload) => this.#handleMessage(topic, payload);
+
+    // The broker publishes the last will when the connection drops, so the availability is restored on reconnecting
+    #onConnect = () => {
+        if (this.#online !== null)
+            this.#publish('availability', this.#online ? 'online' : 'offline');
+    };
+
+    /**
+     * @param {ChargerController} controller
+     * @param {MqttClient} client a connected MQTT.js client, or one with the same interface
+     * @param {MqttBridgeOptions} options
+     */
+    constructor(controller, client, {
+        id,
+        name = null,
+        baseTopic = 'bcp-charger',
+        discoveryPrefix = 'homeassistant',
+        heartbeatInterval = 30000,
+        offlineAfter = 2,
+        qos = 1,
+    }) {
+        super();
+
+        if (!id)
+            throw new TypeError('an id is required for the charger\'s topics');
+
+        this.#controller = controller;
+        this.#client = client;
+        this.#options = {
+            id: String(id),
+            name: name ?? `BCP charger ${id}`,
+            baseTopic,
+            discoveryPrefix,
+            heartbeatInterval,
+            offlineAfter,
+            qos,
+        };
+    }
+
+    /**
+     * The last will to connect the client with, so that the broker publishes the charger as offline
+     * when the connection drops: `mqtt.connect(url, { will: MqttBridge.lastWill(options) })`.
+     * @param {MqttBridgeOptions} options the bridge's options - only `id`, `baseTopic` and `qos` are used
+     * @returns {{topic: string, payload: string, retain: boolean, qos: number}}
+     */
+    static lastWill({ id, baseTopic = 'bcp-charger', qos = 1 }) {
+        if (!id)
+            throw new TypeError('an id is required for the charger\'s topics');
+
+        return { topic: `${baseTopic}/${id}/availability`, payload: 'offline', retain: true, qos };
+    }
+
+    /**
+     * The charger's topic, under which all of its topics are
+     * @returns {string}
+     */
+    get topic() {
+        return `${this.#options.baseTopic}/${this.#options.id}`;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.#running;
+    }
+
+    /**
+     * `null` until the first heartbeat
+     * @returns {boolean|null}
+     */
+    get isOnline() {
+        return this.#online;
+    }
+
+    /**
+     * Subscribes to the command topics, starts relaying, and starts the availability heartbeat.
+     * The discovery configs are published once the charger responds, as the entities depend on its model.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.#running) return;
+        this.#running = true;
+
+        const controller = this.#controller;
+
+        controller.on('realtime_data', this.#onRealTimeData);
+        controller.on('fault_status', this.#onFaultStatus);
+        controller.on('controls_state', this.#onControlsState);
+        this.#client.on('message', this.#onMessage);
+        this.#client.on('connect', this.#onConnect);
+
+        try {
+            await new Promise((resolve, reject) => this.#client.subscribe(`${this.topic}/set/+`,
+                err => err ? reject(err) : resolve()));
+        } catch (err) {
+            this.stop();
+            throw err;
+        }
+
+        await this.#heartbeat();
+    }
+
+    /**
+     * Stops relaying, and publishes the charger as offline.
+     */
+    stop() {
+        if (!this.#running) return;
+        this.#running = false;
+
+        const controller = this.#controller;
+
+        controller.off('realtime_data', this.#onRealTimeData);
+        controller.off('fault_status', this.#onFaultStatus);
+        controller.off('controls_state', this.#onControlsState);
+        this.#client.off('message', this.#onMessage);
+        this.#client.off('connect', this.#onConnect);
+        this.#client.unsubscribe(`${this.topic}/set/+`, () => {});
+
+        clearTimeout(this.#heartbeatTimer);
+        this.#heartbeatTimer = null;
+
+        this.#publish('availability', 'offline');
+        this.#online = null;
+    }
+
+    /**
+     * The Home Assistant entities for the charger, according to its model and capabilities
+     * @returns {HomeAssistantEntity[]}
+     */
+    getEntities() {
+        const threePhase = this.#controller.modelInfo?.mode === ChargerMode.ThreePhase;
+        const capabilities = this.#controller.capabilities;
+
+        const measurement = (field, name, deviceClass, unit) => ({
+            component: 'sensor', objectId: field, name,
+            stateTopic: `realtime/${field}`,
+            config: { device_class: deviceClass, unit_of_measurement: unit, state_class: 'measurement' },
+        });
+
+        let entities = [];
+
+        if (threePhase) {
+            for (let phase of ['A', 'B', 'C']) {
+                entities.push(measurement(`electricCurrent${phase}`, `Current ${phase}`, 'current', 'A'));
+                entities.push(measurement(`voltage${phase}`, `Voltage ${phase}`, 'voltage', 'V'));
+            }
+        } else {
+            entities.push(measurement('electricCurrent', 'Current', 'current', 'A'));
+            entities.push(measurement('voltage', 'Voltage', 'voltage', 'V'));
+        }
+
+        entities.push(
+            measurement('power', 'Power', 'power', 'kW'),
+            measurement('temperature', 'Temperature', 'temperature', '°C'),
+            {
+                component: 'sensor', objectId: 'totalPower', name: 'Energy',
+                stateTopic: 'realtime/totalPower',
+                config: { device_class: 'energy', unit_of_measurement: 'kWh', state_class: 'total_increasing' },
+            },
+            {
+                component: 'sensor', objectId: 'state', name: 'State',
+                stateTopic: 'realtime/stateName',
+                config: { device_class: 'enum', options: Object.keys(ChargerState) },
+            },
+            {
+                component: 'switch', objectId: 'charging', name: 'Charging',
+                stateTopic: 'realtime/charging', commandTopic: 'set/charging',
+            },
+            {
+                component: 'number', objectId: 'max_current', name: 'Max current',
+                stateTopic: 'controls/maxCurrent', commandTopic: 'set/max_current',
+                config: {
+                    device_class: 'current', unit_of_measurement: 'A',
+                    min: CURRENT_LIMITS.min, max: CURRENT_LIMITS.max, step: 1, mode: 'box',
+                },
+            },
+            {
+                component: 'switch', objectId: 'dlb', name: 'Dynamic load balancing',
+                stateTopic: 'controls/dlb', commandTopic: 'set/dlb',
+                config: { entity_category: 'config' },
+            },
+        );
+
+        if (capabilities?.supportsEmergencyStopProtection ?? true) {
+            entities.push({
+                component: 'switch', objectId: 'emergency_stop_protection', name: 'Emergency stop protection',
+                stateTopic: 'controls/emergencyStopProtection', commandTopic: 'set/emergency_stop_protection',
+                config: { entity_category: 'config' },
+            });
+        }
+
+        for (let flag of FAULT_FLAGS) {
+            if (CONTACTOR_FAULT_FLAGS.includes(flag) && !(capabilities?.supportsContactorFaults ?? true))
+                continue;
+
+            entities.push({
+                component: 'binary_sensor', objectId: `fault_${flag}`,
+                name: `Fault: ${flag.replace(/([A-Z])/g, ' $1').toLowerCase()}`,
+                stateTopic: `fault/${flag}`,
+                config: { device_class: 'problem', entity_category: 'diagnostic' },
+            });
+        }
+
+        return entities;
+    }
+
+    /**
+     * Publishes a retained discovery config for each entity. Called once the charger first responds.
+     * @returns {Promise<void>}
+     */
+    async publishDiscovery() {
+        const { id, name, discoveryPrefix } = this.#options;
+        const model = this.#controller.modelInfo;
+        const nodeId = `bcp_${id}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+        const device = {
+            identifiers: [nodeId],
+            name,
+            manufacturer: 'BCP',
+            model: model?.version,
+            sw_version: model?.firmwareVersion,
+            hw_version: model?.hardwareVersion,
+        };
+
+        await Promise.all(this.getEntities().map(entity => {
+            let config = Object.assign({
+                name: entity.name,
+                unique_id: `${nodeId}_${entity.objectId}`,
+                state_topic: `${this.topic}/${entity.stateTopic}`,
+                availability_topic: `${this.topic}/availability`,
+                device,
+            }, entity.config);
+
+            if (entity.commandTopic)
+                config.command_topic = `${this.topic}/${entity.commandTopic}`;
+
+            return this.#publishRaw(`${discoveryPrefix}/${entity.component}/${nodeId}/${entity.objectId}/config`,
+                JSON.stringify(config));
+        }));
+    }
+
+    /**
+     * @param {string} kind
+     * @param {Object} snapshot
+     */
+    #publishSnapshot(kind, snapshot) {
+        for (let [key, value] of Object.entries(snapshot)) {
+            this.#publish(`${kind}/${key}`, toPayload(value));
+        }
+
+        if (kind === 'realtime') {
+            this.#publish('realtime/stateName', stateName(snapshot.state));
+            this.#publish('realtime/charging', toPayload(snapshot.state === ChargerState.Charging));
+        }
+    }
+
+    /**
+     * @param {string} subtopic
+     * @param {string} payload
+     * @returns {Promise<void>}
+     */
+    #publish(subtopic, payload) {
+        return this.#publishRaw(`${this.topic}/${subtopic}`, payload);
+    }
+
+    /**
+     * @param {string} topic
+     * @param {string} payload
+     * @returns {Promise<void>}
+     */
+    #publishRaw(topic, payload) {
+        return new Promise(resolve => {
+            this.#client.publish(topic, payload, { retain: true, qos: this.#options.qos }, err => {
+                if (err) {
+                    /**
+                     * Publishing to the broker has failed.
+                     *
+                     * @event publish_error
+                     * @type {Object} event
+                     * @property {string} topic
+                     * @property {Error} error
+                     */
+                    this.emit('publish_error', { topic, error: err });
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @param {string} topic
+     * @param {Buffer|string} payload
+     * @returns {Promise<void>}
+     */
+    async #handleMessage(topic, payload) {
+        const prefix = `${this.topic}/set/`;
+        if (!topic.startsWith(prefix))
+            return;
+
+        const command = topic.substring(prefix.length);
+        const text = payload.toString();
+        const controller = this.#controller;
+
+        try {
+            switch (command) {
+                case 'charging': {
+                    let on = parseSwitch(text);
+                    if (on === null)
+                        throw new TypeError(`invalid payload: ${text}`);
+                    if (!controller.modelInfo)
+                        await controller.sendGetChargerModel();
+                    await controller.sendSetChargeState(on, { retry: true });
+                    await controller.sendGetRealTimeData();
+                    break;
+                }
+
+                case 'max_current': {
+                    let maxCurrent = Number(text);
+                    if (!Number.isFinite(maxCurrent))
+                        throw new TypeError(`invalid payload: ${text}`);
+                    await controller.sendSetMaxCurrent(maxCurrent);
+                    await controller.sendGetControlsState();
+                    break;
+                }
+
+                case 'dlb': {
+                    let enabled = parseSwitch(text);
+                    if (enabled === null)
+                        throw new TypeError(`invalid payload: ${text}`);
+                    // The other DLB settings are kept as they are
+                    let controls = controller.lastControlsState ?? await controller.sendGetControlsState();
+                    await controller.sendSetDLB(enabled, !!controls.extremeMode, controls.dlbMaxCurrent, !!controls.nightMode);
+                    await controller.sendGetControlsState();
+                    break;
+                }
+
+                case 'emergency_stop_protection': {
+                    let enabled = parseSwitch(text);
+                    if (enabled === null)
+                        throw new TypeError(`invalid payload: ${text}`);
+                    await controller.sendSetEmergencyStopProtection(enabled);
+                    await controller.sendGetControlsState();
+                    break;
+                }
+
+                default:
+                    throw new TypeError(`unknown command topic: ${command}`);
+            }
+
+            /**
+             * A command topic message has been applied.
+             *
+             * @event command
+             * @type {Object} event
+             * @property {string} command
+             * @property {string} payload
+             */
+            this.emit('command', { command, payload: text });
+        } catch (err) {
+            /**
+             * A command topic message has failed.
+             *
+             * @event command_error
+             * @type {Object} event
+             * @property {string} command
+             * @property {string} payload
+             * @property {Error} error
+             */
+            this.emit('command_error', { command, payload: text, error: err });
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async #heartbeat() {
+        this.#heartbeatTimer = null;
+
+        const controller = this.#controller;
+
+        try {
+            await controller.sendHeartbeat();
+
+            if (!this.#discoveryPublished && this.#options.discoveryPrefix !== null) {
+                if (!controller.modelInfo)
+                    await controller.sendGetChargerModel();
+                await this.publishDiscovery();
+                this.#discoveryPublished = true;
+            }
+
+            if (!this.#running)
+                return;
+
+            this.#heartbeatFailures = 0;
+            this.#setOnline(true);
+        } catch (ignored) {
+            if (!this.#running)
+                return;
+
+            if (++this.#heartbeatFailures >= this.#options.offlineAfter || this.#online === null)
+                this.#setOnline(false);
+        }
+
+        if (this.#running && this.#options.heartbeatInterval > 0)
+            this.#heartbeatTimer = setTimeout(() => this.#heartbeat(), this.#options.heartbeatInterval);
+    }
+
+    /**
+     * @param {boolean} online
+     */
+    #setOnline(online) {
+        if (this.#online === online)
+            return;
+
+        this.#online = online;
+        this.#publish('availability', online ? 'online' : 'offline');
+
+        /**
+         * The charger's availability has changed, according to the heartbeats.
+         *
+         * @event availability
+         * @type {boolean} online
+         */
+        this.emit('availability', online);
+    }
+}
+
+export { MqttBridge };
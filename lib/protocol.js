@@ -0,0 +1,79 @@
+const FRAME_HEADER = '55aa';
+const MESSAGE_ID = '0001';
+
+/** Character set of the strings the firmware sends and takes */
+const STRING_ENCODING = 'gbk';
+
+/**
+ * @enum {string} Command
+ */
+const Command = Object.freeze({
+    Error: '00',
+    Heartbeat: '01',
+    PasswordChange: '02',
+    GetIpAddress: '03',
+    GetChargerModel: '04',
+    SetWifiAccessPoint: '05',
+    SetChargeState: '06',
+
+    SetTimedChargeState: '69',
+    SetRFIDAndApp: '6a',
+    SetDLB: '6b',
+    SetGroundingDetection: '6c',
+    SetMaxCurrent: '6d',
+    GetFaultStatus: '6e',
+    GetRealTimeData: '70',
+    GetControlsState: '71',
+    SetBluetoothConnectionMode: '72',
+    SwitchIapMode: '73',
+    SetMaxPower: '74',
+    SetReservation: '75',
+    SetTime: '76',
+    GetPowerConsumptionRecords: '77',
+    SetMaxMonthlyPower: '78',
+    SetEmergencyStopProtection: '79',
+    GetPowerConsumptionRecordsOfMonth: '7a',
+});
+
+/**
+ * @enum {number} ChargerMode
+ */
+const ChargerMode = Object.freeze({
+    OnePhase: 0,
+    ThreePhase: 1,
+});
+
+/**
+ * @enum {number} ChargerState
+ */
+const ChargerState = Object.freeze({
+    Abnormal: 0,
+    Unplugged: 1,
+    Standby: 2,
+    NotReady: 5, // plugged, but waiting for ready state from the vehicle
+    Charging: 6,
+    SelfChecking: 7,
+});
+
+/**
+ * Order in which queued commands are sent to the charger. Commands of the same priority are sent in order.
+ * @enum {number} CommandPriority
+ */
+const CommandPriority = Object.freeze({
+    Low: -10,
+    Normal: 0,
+    High: 10,
+});
+
+/**
+ * Error codes sent back in `Command.Error` frames.
+ * The firmware does not document them, so these are only the ones known so far - others are passed on as sent.
+ * They name the error, but the controller does not decide anything by them.
+ * @enum {string} ChargerErrorCode
+ */
+const ChargerErrorCode = Object.freeze({
+    WrongPassword: '01',
+    UnsupportedCommand: '02',
+});
+
+export { FRAME_HEADER, MESSAGE_ID, STRING_ENCODING, Command, ChargerMode, ChargerState, CommandPriority, ChargerErrorCode };
@@ -0,0 +1,133 @@
+import { parseTimeOfDay, wallTime, zonedDate } from './clock.js';
+
+/**
+ * @typedef {Object} Reservation
+ * A weekly reservation: the charger starts charging at `from` on each of `days`, and stops at `to`.
+ * When `to` is not after `from`, the window is overnight, and ends on the next day.
+ * @property {string[]} days the days the window starts on, as `WEEKDAYS`, in week order
+ * @property {string} from 'HH:mm'
+ * @property {string} to 'HH:mm'
+ */
+
+/**
+ * @typedef {Object} ReservationWindow
+ * @property {Date} start
+ * @property {Date} end
+ */
+
+/** Day names, in the order of the charger's days bitmask (sunday first) */
+const WEEKDAYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+/**
+ * @param {number} hour
+ * @param {number} minute
+ * @returns {string} 'HH:mm'
+ */
+const formatTime = (hour, minute) => hour.toString().padStart(2, '0') + ':' + minute.toString().padStart(2, '0');
+
+/**
+ * Reads the reservation of a controls state, as decoded by `sendGetControlsState()`.
+ * @param {ChargerControlsState} controls
+ * @returns {Reservation|null} `null` when there is none, or the firmware does not report it
+ */
+const reservationFromControls = controls => {
+    if (controls.reservation === undefined || controls.reservation === null)
+        return null;
+
+    let bits = controls.reservation;
+    let from = controls.reservationStart ?? '0000';
+    let to = controls.reservationEnd ?? '0000';
+
+    // A cleared reservation is all zeros
+    if (!bits.includes('1') && from === '0000' && to === '0000')
+        return null;
+
+    return {
+        days: WEEKDAYS.filter((day, i) => bits[i] === '1'),
+        from: from.substring(0, 2) + ':' + from.substring(2, 4),
+        to: to.substring(0, 2) + ':' + to.substring(2, 4),
+    };
+};
+
+/**
+ * Validates a reservation, and brings it to its canonical form - the one read back from the charger.
+ * @param {Reservation|Object} reservation `days` may be in any order, `from` and `to` may be `{ hour, minute }`
+ * @returns {Reservation}
+ * @throws {TypeError|RangeError}
+ */
+const normalizeReservation = reservation => {
+    if (!reservation || typeof reservation !== 'object')
+        throw new TypeError('reservation must be an object, or null to clear it');
+
+    let { days, from, to } = reservation;
+
+    if (!Array.isArray(days))
+        throw new TypeError(`reservation.days must be an array of ${WEEKDAYS.join(', ')}`);
+    for (let day of days) {
+        if (!WEEKDAYS.includes(day))
+            throw new RangeError(`reservation.days has an unknown day: ${day}`);
+    }
+
+    let fromTime = parseTimeOfDay(from, null, 'reservation.from');
+    let toTime = parseTimeOfDay(to, null, 'reservation.to');
+
+    // The charger only keeps hours and minutes
+    if (fromTime.second || toTime.second)
+        throw new RangeError('reservation times cannot have seconds');
+    if (fromTime.hour === toTime.hour && fromTime.minute === toTime.minute)
+        throw new RangeError('reservation.from and reservation.to must differ');
+
+    return {
+        days: WEEKDAYS.filter(day => days.includes(day)),
+        from: formatTime(fromTime.hour, fromTime.minute),
+        to: formatTime(toTime.hour, toTime.minute),
+    };
+};
+
+/**
+ * @param {string[]} days
+ * @returns {string} sunday-saturday "1010101", as taken by `sendSetReservation()`
+ */
+const daysToBits = days => WEEKDAYS.map(day => days.includes(day) ? '1' : '0').join('');
+
+/**
+ * The reservation window in progress, or the next one to start.
+ * @param {Reservation|null} reservation
+ * @param {Object?} options
+ * @param {Date?} options.now defaults to this machine's current time
+ * @param {string|null?} options.timeZone IANA timezone the charger's clock is in, defaults to this machine's
+ * @returns {ReservationWindow|null} `null` when there are no days to start on
+ */
+const nextReservationWindow = (reservation, { now = new Date(), timeZone = null } = {}) => {
+    if (!reservation || !reservation.days.length)
+        return null;
+
+    const [fromHour, fromMinute] = reservation.from.split(':').map(x => parseInt(x, 10));
+    const [toHour, toMinute] = reservation.to.split(':').map(x => parseInt(x, 10));
+    const overnight = toHour * 60 + toMinute <= fromHour * 60 + fromMinute;
+    const today = wallTime(now, timeZone);
+
+    // From yesterday, for an overnight window still in progress
+    for (let offset = -1; offset <= 7; offset++) {
+        let day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (!reservation.days.includes(WEEKDAYS[day.getUTCDay()]))
+            continue;
+
+        let date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+        let start = zonedDate({ ...date, hour: fromHour, minute: fromMinute, second: 0 }, timeZone);
+        let end = zonedDate({ ...date, day: date.day + (overnight ? 1 : 0), hour: toHour, minute: toMinute, second: 0 }, timeZone);
+
+        if (end > now)
+            return { start, end };
+    }
+
+    return null;
+};
+
+export {
+    WEEKDAYS,
+    reservationFromControls,
+    normalizeReservation,
+    daysToBits,
+    nextReservationWindow,
+};
@@ -0,0 +1,272 @@
+import { EventEmitter } from 'node:events';
+import { ChargerState } from './protocol.js';
+
+/**
+ * @typedef {Object} ChargingSession
+ * @property {string} id
+ * @property {Date} startedAt
+ * @property {Date|null} endedAt `null` while the session is open
+ * @property {number} energy kWh delivered, from `totalPower` deltas
+ * @property {number} peakPower kW
+ * @property {number[]} averageCurrent per phase, while charging. One item for 1-phase chargers, three for 3-phase.
+ * @property {boolean} isReservation whether a reservation has started the charge
+ * @property {number} samples number of realtime data snapshots recorded
+ */
+
+/**
+ * @typedef {Object} SessionQuery
+ * @property {Date|number?} from sessions that started at or after this time
+ * @property {Date|number?} to sessions that started before this time
+ * @property {number?} limit max number of sessions, most recent first
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {function(session: ChargingSession): (Promise<void>|void)} save inserts or updates a session by its `id`
+ * @property {function(query: SessionQuery?): (Promise<ChargingSession[]>|ChargingSession[])} query
+ */
+
+/**
+ * Keeps the sessions in memory. This is the default `SessionStore`.
+ */
+class MemorySessionStore {
+    /** @type Map<string, ChargingSession> */
+    #sessions = new Map();
+
+    /**
+     * @param {ChargingSession} session
+     */
+    save(session) {
+        this.#sessions.set(session.id, session);
+    }
+
+    /**
+     * @param {SessionQuery?} query
+     * @returns {ChargingSession[]}
+     */
+    query({ from, to, limit } = {}) {
+        let sessions = Array.from(this.#sessions.values())
+            .filter(x => (from == null || x.startedAt >= new Date(from)) &&
+                (to == null || x.startedAt < new Date(to)))
+            .sort((a, b) => b.startedAt - a.startedAt);
+
+        if (limit > 0)
+            sessions = sessions.slice(0, limit);
+
+        return sessions;
+    }
+}
+
+/** States that open a session */
+const SESSION_STATES = Object.freeze([ChargerState.NotReady, ChargerState.Charging]);
+
+/**
+ * Turns a controller's realtime data into charging sessions.
+ * A session opens when the charger starts charging (or waits for the vehicle to be ready),
+ * and closes when the vehicle is unplugged. An open session is saved as it progresses, every `saveInterval`.
+ * Times are read on the controller's clock, see `ChargerController.now`.
+ * The tracker does not poll by itself - use `controller.startMonitoring()` or poll `sendGetRealTimeData()`.
+ */
+class SessionTracker extends EventEmitter {
+    /** @type ChargerController */
+    #controller;
+
+    /** @type SessionStore */
+    #store;
+
+    /** @type ChargingSession|null */
+    #session = null;
+
+    /** @type number */
+    #lastTotalPower = 0;
+
+    /** @type number[] */
+    #currentSums = [];
+
+    /** @type number */
+    #currentSamples = 0;
+
+    /** @type number */
+    #nextId = 1;
+
+    /** @type number */
+    #saveInterval;
+
+    /** @type number */
+    #lastSavedAt = 0;
+
+    #onRealTimeData = data => this.#handleRealTimeData(data);
+
+    /**
+     * @param {ChargerController} controller
+     * @param {Object?} options
+     * @param {SessionStore?} options.store where sessions are saved, defaults to a `MemorySessionStore`
+     * @param {number?} options.saveInterval milliseconds between saves of an open session's progress, by the controller's clock.
+     *  `0` saves every sample. Default 60000.
+     */
+    constructor(controller, { store = new MemorySessionStore(), saveInterval = 60000 } = {}) {
+        super();
+
+        this.#controller = controller;
+        this.#store = store;
+        this.#saveInterval = saveInterval;
+
+        controller.on('realtime_data', this.#onRealTimeData);
+    }
+
+    /**
+     * The open session, if any
+     * @returns {ChargingSession|null}
+     */
+    get currentSession() {
+        return this.#session;
+    }
+
+    /**
+     * @returns {SessionStore}
+     */
+    get store() {
+        return this.#store;
+    }
+
+    /**
+     * @param {SessionQuery?} query
+     * @returns {Promise<ChargingSession[]>}
+     */
+    async getSessions(query) {
+        return this.#store.query(query);
+    }
+
+    /**
+     * Stops tracking. An open session stays open, and is not saved again.
+     */
+    detach() {
+        this.#controller.off('realtime_data', this.#onRealTimeData);
+    }
+
+    /**
+     * @param {ChargerRealTimeData} data
+     */
+    #handleRealTimeData(data) {
+        if (!this.#session) {
+            if (SESSION_STATES.includes(data.state))
+                this.#open(data);
+            return;
+        }
+
+        this.#record(data);
+
+        if (data.state === ChargerState.Unplugged) {
+            this.#close();
+        } else if (this.#controller.now.getTime() - this.#lastSavedAt >= this.#saveInterval) {
+            this.#save();
+        }
+    }
+
+    /**
+     * @param {ChargerRealTimeData} data
+     */
+    #open(data) {
+        const now = this.#controller.now;
+
+        this.#session = {
+            id: now.getTime().toString(36) + '-' + (this.#nextId++).toString(36),
+            startedAt: now,
+            endedAt: null,
+            energy: 0,
+            peakPower: 0,
+            averageCurrent: [],
+            isReservation: !!data.isReservation,
+            samples: 0,
+        };
+
+        // The counter restarts with each charge, so what it shows when the session opens was delivered in it
+        this.#lastTotalPower = 0;
+        this.#currentSums = [];
+        this.#currentSamples = 0;
+
+        this.#record(data);
+        this.#save();
+
+        /**
+         * A charging session has started.
+         *
+         * @event session_started
+         * @type {ChargingSession}
+         */
+        this.emit('session_started', this.#session);
+    }
+
+    /**
+     * @param {ChargerRealTimeData} data
+     */
+    #record(data) {
+        const session = this.#session;
+
+        if (typeof data.totalPower === 'number' && !isNaN(data.totalPower)) {
+            let delta = data.totalPower - this.#lastTotalPower;
+            // The counter has restarted, so everything it shows is new
+            session.energy += delta >= 0 ? delta : data.totalPower;
+            this.#lastTotalPower = data.totalPower;
+        }
+
+        session.peakPower = Math.max(session.peakPower, data.power || 0);
+        session.isReservation = session.isReservation || !!data.isReservation;
+        session.samples++;
+
+        if (data.state === ChargerState.Charging) {
+            let currents = data.electricCurrent !== undefined
+                ? [data.electricCurrent]
+                : [data.electricCurrentA, data.electricCurrentB, data.electricCurrentC];
+
+            currents.forEach((x, i) => {
+                this.#currentSums[i] = (this.#currentSums[i] || 0) + (x || 0);
+            });
+            this.#currentSamples++;
+
+            session.averageCurrent = this.#currentSums.map(x => x / this.#currentSamples);
+        }
+
+        // Round away floating point noise
+        session.energy = Math.round(session.energy * 1000) / 1000;
+    }
+
+    #close() {
+        const session = this.#session;
+        session.endedAt = this.#controller.now;
+
+        this.#session = null;
+        this.#save(session);
+
+        /**
+         * A charging session has ended, as the vehicle was unplugged.
+         *
+         * @event session_ended
+         * @type {ChargingSession}
+         */
+        this.emit('session_ended', session);
+    }
+
+    /**
+     * @param {ChargingSession?} session
+     */
+    #save(session = this.#session) {
+        this.#lastSavedAt = this.#controller.now.getTime();
+
+        let copy = Object.assign({}, session, { averageCurrent: session.averageCurrent.slice() });
+
+        Promise.resolve()
+            .then(() => this.#store.save(copy))
+            .catch(err => {
+                /**
+                 * The session store has failed to save a session.
+                 *
+                 * @event store_error
+                 * @type {Error}
+                 */
+                this.emit('store_error', err);
+            });
+    }
+}
+
+export { SessionTracker, MemorySessionStore };
@@ -0,0 +1,606 @@
+import http from 'node:http';
+import https from 'node:https';
+import { EventEmitter } from 'node:events';
+import { ChargerMode, ChargerState } from './protocol.js';
+import { CURRENT_LIMITS } from './validation.js';
+
+/**
+ * @typedef {Object} GridPowerSource
+ * Provides grid power readings, in watts: positive when importing from the grid, negative when exporting to it.
+ * @property {function(onReading: function(watts: number), onError: function(Error))} start
+ * @property {function()} stop
+ */
+
+/**
+ * @typedef {Object} SolarSurplusOptions
+ * @property {SolarMode?} mode (default `SolarMode.Pv`)
+ * @property {number?} minCurrent lowest current the charger charges with, in amps (default 6)
+ * @property {number?} maxCurrent highest current to set, in amps (default 32)
+ * @property {number?} startSurplus watts of surplus above the minimum charging power, required to start (default 0)
+ * @property {number?} stopDeficit watts of grid import tolerated at the minimum current, before stopping (default 300)
+ * @property {number?} startDelay milliseconds the surplus must last before starting (default 60000)
+ * @property {number?} stopDelay milliseconds the deficit must last before stopping (default 180000)
+ * @property {number?} minOnTime minimum milliseconds of charging before stopping (default 300000)
+ * @property {number?} minOffTime minimum milliseconds between stopping and starting again (default 300000)
+ * @property {number?} staleAfter milliseconds after which the last reading is ignored (default 60000)
+ * @property {number?} nominalVoltage used while the charger does not report a voltage (default 230)
+ */
+
+/**
+ * @typedef {Object} SolarDecision
+ * @property {Date} time
+ * @property {SolarMode} mode
+ * @property {string} action 'start', 'stop', 'adjust' or 'hold'
+ * @property {string} reason
+ * @property {number|null} gridPower the last reading in watts, `null` if there is none or it's stale
+ * @property {number|null} surplus watts available for charging, including what the charger draws now
+ * @property {number|null} availableCurrent amps the surplus is worth, before clamping
+ * @property {number|null} current amps set by this decision, or kept by it
+ * @property {number} phases
+ * @property {number} voltage
+ * @property {boolean} charging
+ */
+
+/**
+ * @enum {string} SolarMode
+ */
+const SolarMode = Object.freeze({
+    /** Charges only from surplus */
+    Pv: 'pv',
+    /** Always charges at least at the minimum current, and faster with surplus */
+    MinPv: 'minpv',
+});
+
+/**
+ * Readings pushed by the application, i.e. from a meter's own callback API.
+ */
+class CallbackGridSource {
+    /** @type function(watts: number)|null */
+    #listener = null;
+
+    /**
+     * @param {function(watts: number)} onReading
+     */
+    start(onReading) {
+        this.#listener = onReading;
+    }
+
+    stop() {
+        this.#listener = null;
+    }
+
+    /**
+     * @param {number} watts positive when importing, negative when exporting
+     */
+    push(watts) {
+        this.#listener?.(watts);
+    }
+}
+
+/**
+ * Polls a JSON endpoint, i.e. of an inverter or a smart meter gateway.
+ */
+class HttpPollGridSource {
+    /** @type string */
+    #url;
+
+    /** @type number */
+    #interval;
+
+    /** @type number */
+    #timeout;
+
+    /** @type Object<string, string> */
+    #headers;
+
+    /** @type function(body: *): number */
+    #extract;
+
+    /** @type ReturnType<typeof setTimeout>|null */
+    #timer = null;
+
+    /** @type boolean */
+    #running = false;
+
+    /**
+     * @param {string} url
+     * @param {Object?} options
+     * @param {number?} options.interval milliseconds between polls (default 5000)
+     * @param {number?} options.timeout milliseconds (default 5000)
+     * @param {Object<string, string>?} options.headers
+     * @param {function(body: *): number?} options.extract picks the grid power in watts from the parsed JSON body.
+     *  Defaults to the body itself when it's a number, or its `power` property.
+     */
+    constructor(url, {
+        interval = 5000,
+        timeout = 5000,
+        headers = {},
+        extract = body => typeof body === 'number' ? body : body?.power,
+    } = {}) {
+        this.#url = url;
+        this.#interval = interval;
+        this.#timeout = timeout;
+        this.#headers = headers;
+        this.#extract = extract;
+    }
+
+    /**
+     * @param {function(watts: number)} onReading
+     * @param {function(Error)} onError
+     */
+    start(onReading, onError) {
+        if (this.#running) return;
+        this.#running = true;
+
+        const poll = async () => {
+            try {
+                let watts = Number(this.#extract(await this.#fetch()));
+                if (!Number.isFinite(watts))
+                    throw new TypeError('the response has no grid power reading');
+                if (this.#running)
+                    onReading(watts);
+            } catch (err) {
+                if (this.#running)
+                    onError(err);
+            }
+
+            if (this.#running)
+                this.#timer = setTimeout(poll, this.#interval);
+        };
+
+        poll();
+    }
+
+    stop() {
+        this.#running = false;
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * @returns {Promise<*>} the parsed JSON body
+     */
+    #fetch() {
+        const client = this.#url.startsWith('https:') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            let req = client.get(this.#url, { headers: this.#headers, timeout: this.#timeout }, res => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => {
+                    if (res.statusCode !== 200)
+                        return reject(new Error(`grid power request failed with status ${res.statusCode}`));
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (ignored) {
+                        reject(new Error('grid power response is not valid JSON'));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error('grid power request timed out')));
+            req.on('error', reject);
+        });
+    }
+}
+
+/**
+ * Readings from an MQTT topic. Pass it any connected MQTT.js client, or one with the same interface.
+ */
+class MqttGridSource {
+    /** @type MqttClient */
+    #client;
+
+    /** @type string */
+    #topic;
+
+    /** @type function(payload: string): number */
+    #parse;
+
+    /** @type function(topic: string, payload: Buffer)|null */
+    #onMessage = null;
+
+    /**
+     * @param {MqttClient} client
+     * @param {string} topic
+     * @param {Object?} options
+     * @param {function(payload: string): number?} options.parse picks the grid power in watts from a payload.
+     *  Defaults to parsing it as a number.
+     */
+    constructor(client, topic, { parse = payload => parseFloat(payload) } = {}) {
+        this.#client = client;
+        this.#topic = topic;
+        this.#parse = parse;
+    }
+
+    /**
+     * @param {function(watts: number)} onReading
+     * @param {function(Error)} onError
+     */
+    start(onReading, onError) {
+        if (this.#onMessage) return;
+
+        this.#onMessage = (topic, payload) => {
+            if (topic !== this.#topic)
+                return;
+
+            let watts = Number(this.#parse(payload.toString('utf8')));
+            if (Number.isFinite(watts))
+                onReading(watts);
+            else
+                onError(new TypeError(`invalid grid power payload: ${payload}`));
+        };
+
+        this.#client.on('message', this.#onMessage);
+        this.#client.subscribe(this.#topic, err => err && onError(err));
+    }
+
+    stop() {
+        if (!this.#onMessage) return;
+
+        this.#client.off('message', this.#onMessage);
+        this.#client.unsubscribe(this.#topic, () => {});
+        this.#onMessage = null;
+    }
+}
+
+/**
+ * @param {ChargerRealTimeData|null} data
+ * @returns {number} the average voltage of the phases that report one, 0 if none does
+ */
+const averageVoltage = data => {
+    let voltages = [data?.voltage, data?.voltageA, data?.voltageB, data?.voltageC]
+        .filter(x => typeof x === 'number' && x > 0);
+    return voltages.length ? voltages.reduce((a, b) => a + b, 0) / voltages.length : 0;
+};
+
+/**
+ * Charges from solar surplus: adjusts the charger's max current to the power exported to the grid,
+ * and starts and stops charging with hysteresis, delays and minimum on/off times.
+ * Each reading is evaluated into a `decision` event, whatever the outcome, so they can be audited.
+ * It does not poll the charger by itself - use `controller.startMonitoring()` to keep the realtime data fresh.
+ */
+class SolarSurplusController extends EventEmitter {
+    /** @type ChargerController */
+    #controller;
+
+    /** @type GridPowerSource */
+    #source;
+
+    /** @type Required<SolarSurplusOptions> */
+    #options;
+
+    /** @type boolean */
+    #running = false;
+
+    /** @type {{watts: number, time: number}|null} */
+    #reading = null;
+
+    /** @type boolean */
+    #charging = false;
+
+    /** @type number|null */
+    #current = null;
+
+    /** @type number */
+    #startedAt = -Infinity;
+
+    /** @type number */
+    #stoppedAt = -Infinity;
+
+    /** @type number|null */
+    #surplusSince = null;
+
+    /** @type number|null */
+    #deficitSince = null;
+
+    /** @type boolean */
+    #evaluating = false;
+
+    /** @type boolean */
+    #pendingEvaluation = false;
+
+    /** @type ReturnType<typeof setTimeout>|null */
+    #staleTimer = null;
+
+    /** @type SolarDecision|null */
+    #lastDecision = null;
+
+    #onRealTimeData = data => {
+        this.#charging = data.state === ChargerState.NotReady || data.state === ChargerState.Charging;
+    };
+
+    /**
+     * @param {ChargerController} controller
+     * @param {GridPowerSource} source
+     * @param {SolarSurplusOptions?} options
+     */
+    constructor(controller, source, {
+        mode = SolarMode.Pv,
+        minCurrent = CURRENT_LIMITS.min,
+        maxCurrent = CURRENT_LIMITS.max,
+        startSurplus = 0,
+        stopDeficit = 300,
+        startDelay = 60000,
+        stopDelay = 180000,
+        minOnTime = 300000,
+        minOffTime = 300000,
+        staleAfter = 60000,
+        nominalVoltage = 230,
+    } = {}) {
+        super();
+
+        this.#controller = controller;
+        this.#source = source;
+        this.#options = {
+            mode,
+            minCurrent: Math.max(CURRENT_LIMITS.min, minCurrent),
+            maxCurrent: Math.min(CURRENT_LIMITS.max, maxCurrent),
+            startSurplus,
+            stopDeficit,
+            startDelay,
+            stopDelay,
+            minOnTime,
+            minOffTime,
+            staleAfter,
+            nominalVoltage,
+        };
+    }
+
+    /**
+     * @returns {SolarMode}
+     */
+    get mode() {
+        return this.#options.mode;
+    }
+
+    /**
+     * Takes effect on the next reading.
+     * @param {SolarMode} mode
+     */
+    set mode(mode) {
+        this.#options.mode = mode;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.#running;
+    }
+
+    /**
+     * @returns {SolarDecision|null}
+     */
+    get lastDecision() {
+        return this.#lastDecision;
+    }
+
+    /**
+     * Starts following the source's readings.
+     */
+    start() {
+        if (this.#running) return;
+        this.#running = true;
+
+        const data = this.#controller.lastRealTimeData;
+        if (data)
+            this.#onRealTimeData(data);
+        if (this.#charging)
+            this.#startedAt = Date.now();
+
+        this.#controller.on('realtime_data', this.#onRealTimeData);
+
+        this.#source.start(
+            watts => this.#handleReading(watts),
+            err => {
+                /**
+                 * The source has failed to provide a reading.
+                 *
+                 * @event source_error
+                 * @type {Error} error
+                 */
+                this.emit('source_error', err);
+            });
+    }
+
+    /**
+     * Stops following the readings. The charger is left as it is.
+     */
+    stop() {
+        if (!this.#running) return;
+        this.#running = false;
+
+        this.#source.stop();
+        this.#controller.off('realtime_data', this.#onRealTimeData);
+        clearTimeout(this.#staleTimer);
+        this.#staleTimer = null;
+    }
+
+    /**
+     * @param {number} watts
+     */
+    #handleReading(watts) {
+        if (!this.#running) return;
+
+        this.#reading = { watts, time: Date.now() };
+
+        // Without readings, the last one turns stale, and is evaluated as such
+        clearTimeout(this.#staleTimer);
+        this.#staleTimer = setTimeout(() => this.#evaluate(), this.#options.staleAfter + 1);
+
+        this.#evaluate();
+    }
+
+    async #evaluate() {
+        if (this.#evaluating) {
+            this.#pendingEvaluation = true;
+            return;
+        }
+
+        this.#evaluating = true;
+        try {
+            do {
+                this.#pendingEvaluation = false;
+                await this.#decide();
+            } while (this.#pendingEvaluation && this.#running);
+        } finally {
+            this.#evaluating = false;
+        }
+    }
+
+    async #decide() {
+        if (!this.#running) return;
+
+        const now = Date.now();
+        const options = this.#options;
+        const controller = this.#controller;
+        const data = controller.lastRealTimeData;
+
+        const phases = controller.modelInfo?.mode === ChargerMode.ThreePhase ? 3 : 1;
+        const voltage = averageVoltage(data) || options.nominalVoltage;
+        const minPower = options.minCurrent * voltage * phases;
+        const reading = this.#reading && now - this.#reading.time <= options.staleAfter ? this.#reading : null;
+
+        let surplus = null;
+        let availableCurrent = null;
+        if (reading) {
+            surplus = (this.#charging ? (data?.power ?? 0) * 1000 : 0) - reading.watts;
+            availableCurrent = surplus / (voltage * phases);
+        }
+
+        const clamp = amps => Math.max(options.minCurrent, Math.min(options.maxCurrent, Math.floor(amps)));
+
+        /** @type SolarDecision */
+        const decision = {
+            time: new Date(now),
+            mode: options.mode,
+            action: 'hold',
+            reason: '',
+            gridPower: reading ? reading.watts : null,
+            surplus,
+            availableCurrent,
+            current: this.#current,
+            phases,
+            voltage,
+            charging: this.#charging,
+        };
+
+        const hold = reason => Object.assign(decision, { action: 'hold', reason });
+        const act = (action, current, reason) => Object.assign(decision, { action, current, reason });
+
+        if (!controller.modelInfo || !data) {
+            hold('waiting for the charger\'s realtime data');
+        } else if (!this.#charging && !controller.canStartCharging) {
+            this.#surplusSince = null;
+            this.#deficitSince = null;
+            hold('the vehicle is not ready to charge');
+        } else if (!this.#charging) {
+            this.#deficitSince = null;
+
+            if (options.mode === SolarMode.MinPv) {
+                if (now - this.#stoppedAt < options.minOffTime)
+                    hold('minimum off time');
+                else
+                    act('start', reading ? clamp(availableCurrent) : options.minCurrent, 'min+PV mode');
+            } else if (reading && surplus >= minPower + options.startSurplus) {
+                if (this.#surplusSince === null)
+                    this.#surplusSince = now;
+                if (now - this.#surplusSince < options.startDelay)
+                    hold('surplus, waiting for the start delay');
+                else if (now - this.#stoppedAt < options.minOffTime)
+                    hold('surplus, waiting for the minimum off time');
+                else
+                    act('start', clamp(availableCurrent), 'surplus');
+            } else {
+                this.#surplusSince = null;
+                hold(reading ? 'not enough surplus' : 'no recent grid reading');
+            }
+        } else {
+            this.#surplusSince = null;
+
+            if (options.mode === SolarMode.Pv && (!reading || surplus < minPower - options.stopDeficit)) {
+                if (this.#deficitSince === null)
+                    this.#deficitSince = now;
+                let reason = reading ? 'deficit' : 'no recent grid reading';
+
+                if (now - this.#deficitSince >= options.stopDelay && now - this.#startedAt >= options.minOnTime) {
+                    act('stop', null, reason);
+                } else if (this.#current !== options.minCurrent) {
+                    act('adjust', options.minCurrent, reason + ', waiting to stop');
+                } else {
+                    hold(reason + ', waiting to stop');
+                }
+            } else {
+                this.#deficitSince = null;
+
+                let target = reading ? clamp(availableCurrent) : options.minCurrent;
+                if (target !== this.#current)
+                    act('adjust', target, reading ? 'following the surplus' : 'no recent grid reading');
+                else
+                    hold('current unchanged');
+            }
+        }
+
+        this.#lastDecision = decision;
+
+        /**
+         * Each reading's evaluation, including the ones that changed nothing.
+         *
+         * @event decision
+         * @type {SolarDecision} decision
+         */
+        this.emit('decision', decision);
+
+        await this.#apply(decision);
+    }
+
+    /**
+     * @param {SolarDecision} decision
+     */
+    async #apply(decision) {
+        const controller = this.#controller;
+
+        try {
+            switch (decision.action) {
+                case 'start':
+                    await controller.sendSetMaxCurrent(decision.current);
+                    this.#current = decision.current;
+                    await controller.sendSetChargeState(true, { retry: true });
+                    this.#charging = true;
+                    this.#startedAt = Date.now();
+                    break;
+
+                case 'stop':
+                    await controller.sendSetChargeState(false, { retry: true });
+                    this.#charging = false;
+                    this.#stoppedAt = Date.now();
+                    this.#deficitSince = null;
+                    break;
+
+                case 'adjust':
+                    await controller.sendSetMaxCurrent(decision.current);
+                    this.#current = decision.current;
+                    break;
+            }
+        } catch (err) {
+            /**
+             * A decision could not be applied. It's retried with the next reading.
+             *
+             * @event command_error
+             * @type {Object} event
+             * @property {SolarDecision} decision
+             * @property {Error} error
+             */
+            this.emit('command_error', { decision, error: err });
+        }
+    }
+}
+
+export {
+    SolarMode,
+    SolarSurplusController,
+    CallbackGridSource,
+    HttpPollGridSource,
+    MqttGridSource,
+};
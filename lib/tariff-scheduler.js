@@ -0,0 +1,621 @@
+import { EventEmitter } from 'node:events';
+import { ChargerMode, ChargerState } from './protocol.js';
+import { validateTimeZone, wallTime } from './clock.js';
+
+/**
+ * @typedef {Object} PriceSlot
+ * @property {Date} start
+ * @property {Date} end
+ * @property {number} price per kWh, in any currency
+ */
+
+/**
+ * @typedef {Object} PriceSource
+ * @property {function(from: Date, to: Date): (PriceSlot[]|Promise<PriceSlot[]>)} getPrices
+ *  the known prices between two times. Sources that are `EventEmitter`s may emit `'update'` when their prices change.
+ */
+
+/**
+ * @typedef {Object} WeeklyTariffPeriod
+ * @property {number[]?} days days of the week it applies to, 0 = sunday. Defaults to every day.
+ * @property {string} from 'HH:mm'
+ * @property {string} to 'HH:mm', before `from` for periods that cross midnight
+ * @property {number} price
+ */
+
+/**
+ * @typedef {Object} PlannedSlot
+ * @property {Date} start
+ * @property {Date} end
+ * @property {number} price
+ * @property {number} energy kWh charged in the slot
+ */
+
+/**
+ * @typedef {Object} ChargingPlan
+ * @property {PlannedSlot[]} slots the chosen slots, in chronological order
+ * @property {Array<{start: Date, end: Date}>} windows the slots, with adjacent ones merged
+ * @property {number} energy kWh planned
+ * @property {number} cost
+ * @property {number} power kW the charger is expected to charge with
+ * @property {boolean} feasible whether the planned energy covers the required energy
+ * @property {Date} departure
+ */
+
+/**
+ * @typedef {Object} TariffSchedulerOptions
+ * @property {string?} strategy 'commands' (default) starts and stops charging at the slot boundaries,
+ *  'timed' programs the charger's timed-charge window with the next window instead
+ * @property {number?} maxCurrent amps to plan with. Defaults to the charger's `maxCurrent` control.
+ * @property {number?} nominalVoltage (default 230)
+ */
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @param {string} time 'HH:mm'
+ * @returns {number} minutes since midnight
+ */
+const minutesOf = time => (parseInt(time.substring(0, 2), 10) || 0) * 60 + (parseInt(time.substring(3, 5), 10) || 0);
+
+/**
+ * @param {{start: Date, end: Date}} window
+ * @returns {string}
+ */
+const windowKey = window => window.start.getTime() + '-' + window.end.getTime();
+
+/**
+ * A static time-of-use tariff, repeating every week, on the clock of its timezone.
+ */
+class WeeklyTariff {
+    /** @type WeeklyTariffPeriod[] */
+    #periods;
+
+    /** @type number */
+    #defaultPrice;
+
+    /** @type number */
+    #resolution;
+
+    /** @type string|null */
+    #timeZone;
+
+    /**
+     * @param {WeeklyTariffPeriod[]} periods the first period that covers a time sets its price
+     * @param {Object?} options
+     * @param {number?} options.defaultPrice outside of all periods (default 0)
+     * @param {number?} options.resolution minutes between price changes (default 15)
+     * @param {string|null?} options.timeZone IANA timezone the periods are in, defaults to this machine's
+     */
+    constructor(periods, { defaultPrice = 0, resolution = 15, timeZone = null } = {}) {
+        if (timeZone !== null)
+            validateTimeZone(timeZone);
+
+        this.#periods = periods.map(period => Object.assign({}, period, {
+            fromMinutes: minutesOf(period.from),
+            toMinutes: minutesOf(period.to),
+        }));
+        this.#defaultPrice = defaultPrice;
+        this.#resolution = resolution;
+        this.#timeZone = timeZone;
+    }
+
+    /**
+     * @param {Date} time
+     * @returns {number}
+     */
+    priceAt(time) {
+        const wall = wallTime(time, this.#timeZone);
+        const day = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+        const minutes = wall.hour * 60 + wall.minute;
+
+        for (let period of this.#periods) {
+            let { fromMinutes, toMinutes } = period;
+            let covers;
+            if (fromMinutes < toMinutes) {
+                covers = minutes >= fromMinutes && minutes < toMinutes && (!period.days || period.days.includes(day));
+            } else {
+                // Crosses midnight - the part after midnight belongs to the previous day
+                covers = (minutes >= fromMinutes && (!period.days || period.days.includes(day))) ||
+                    (minutes < toMinutes && (!period.days || period.days.includes((day + 6) % 7)));
+            }
+            if (covers)
+                return period.price;
+        }
+
+        return this.#defaultPrice;
+    }
+
+    /**
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {PriceSlot[]}
+     */
+    getPrices(from, to) {
+        const step = this.#resolution * 60 * 1000;
+
+        // Align to the resolution, on the tariff's clock
+        const wall = wallTime(from, this.#timeZone);
+        const start = from.getTime() - from.getMilliseconds() -
+            ((wall.minute % this.#resolution) * 60 + wall.second) * 1000;
+
+        let slots = [];
+        for (let time = start; time < to.getTime(); time += step) {
+            let price = this.priceAt(new Date(time));
+            let last = slots[slots.length - 1];
+            if (last && last.price === price && last.end.getTime() === time)
+                last.end = new Date(time + step);
+            else
+                slots.push({ start: new Date(time), end: new Date(time + step), price });
+        }
+
+        return slots;
+    }
+}
+
+/**
+ * Dynamic prices, i.e. hourly day-ahead prices from a feed. Emits `'update'` when they are replaced.
+ */
+class DynamicTariff extends EventEmitter {
+    /** @type PriceSlot[] */
+    #slots = [];
+
+    /**
+     * @param {PriceSlot[]?} slots
+     */
+    constructor(slots = []) {
+        super();
+        this.setPrices(slots, { silent: true });
+    }
+
+    /**
+     * @returns {PriceSlot[]}
+     */
+    get prices() {
+        return this.#slots;
+    }
+
+    /**
+     * Replaces the known prices.
+     * @param {PriceSlot[]} slots
+     * @param {Object?} options
+     * @param {boolean?} options.silent do not emit `'update'`
+     */
+    setPrices(slots, { silent = false } = {}) {
+        this.#slots = slots
+            .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end), price: Number(slot.price) }))
+            .sort((a, b) => a.start - b.start);
+
+        if (!silent) {
+            /**
+             * The prices have been replaced.
+             *
+             * @event update
+             * @type {PriceSlot[]} prices
+             */
+            this.emit('update', this.#slots);
+        }
+    }
+
+    /**
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {PriceSlot[]}
+     */
+    getPrices(from, to) {
+        return this.#slots.filter(slot => slot.end > from && slot.start < to);
+    }
+}
+
+/**
+ * Parses a JSON price feed: an array of `{ start, end?, price }`, or an object with such an array in `prices`.
+ * Slots without an `end` last an hour.
+ * @param {string|Object|Array} input
+ * @returns {PriceSlot[]}
+ */
+const parsePriceJson = input => {
+    let json = typeof input === 'string' ? JSON.parse(input) : input;
+    let items = Array.isArray(json) ? json : json?.prices;
+    if (!Array.isArray(items))
+        throw new TypeError('the price feed has no prices');
+
+    return items.map((item, i) => {
+        let start = new Date(item.start);
+        let price = Number(item.price);
+        if (isNaN(start.getTime()) || !Number.isFinite(price))
+            throw new TypeError(`price ${i + 1} needs a start and a price`);
+        return { start, end: item.end ? new Date(item.end) : new Date(start.getTime() + HOUR), price };
+    });
+};
+
+/**
+ * Parses a CSV price feed, with `start` and `price` columns, and an optional `end` column.
+ * Without a header row, the columns are `start,price`. Slots without an `end` last an hour.
+ * @param {string} text
+ * @returns {PriceSlot[]}
+ */
+const parsePriceCsv = text => {
+    let rows = text.split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => line.split(/[,;]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+
+    let columns = { start: 0, price: 1, end: -1 };
+    if (rows.length && rows[0].some(cell => /^[a-z_ ]+$/i.test(cell))) {
+        let header = rows.shift().map(cell => cell.toLowerCase());
+        columns = { start: header.indexOf('start'), price: header.indexOf('price'), end: header.indexOf('end') };
+        if (columns.start === -1 || columns.price === -1)
+            throw new TypeError('the price feed needs start and price columns');
+    }
+
+    return parsePriceJson(rows.map(row => ({
+        start: row[columns.start],
+        end: columns.end !== -1 && row[columns.end] ? row[columns.end] : null,
+        price: row[columns.price],
+    })));
+};
+
+/**
+ * Picks the cheapest slots that deliver the required energy before departure.
+ * Slots without a price are not used. The last chosen slot is shortened to what's needed.
+ * @param {Object} params
+ * @param {PriceSlot[]} params.prices
+ * @param {number} params.energy kWh required
+ * @param {number} params.power kW the charger charges with
+ * @param {Date} params.departure
+ * @param {Date?} params.now
+ * @returns {ChargingPlan}
+ */
+const planCharging = ({ prices, energy, power, departure, now = new Date() }) => {
+    let candidates = prices
+        .map(slot => ({
+            start: new Date(Math.max(slot.start.getTime(), now.getTime())),
+            end: new Date(Math.min(slot.end.getTime(), departure.getTime())),
+            price: slot.price,
+        }))
+        .filter(slot => slot.end > slot.start)
+        .sort((a, b) => a.price - b.price || a.start - b.start);
+
+    let slots = [];
+    let planned = 0;
+
+    for (let slot of candidates) {
+        let remaining = energy - planned;
+        if (remaining <= 1e-9 || power <= 0)
+            break;
+
+        let hours = (slot.end - slot.start) / HOUR;
+        let slotEnergy = hours * power;
+        if (slotEnergy > remaining) {
+            // Whole seconds, as the charger's timed-charge window is
+            let duration = Math.ceil(remaining / power * HOUR / 1000) * 1000;
+            slot.end = new Date(Math.min(slot.start.getTime() + duration, slot.end.getTime()));
+            slotEnergy = remaining;
+        }
+
+        slots.push(Object.assign(slot, { energy: slotEnergy }));
+        planned += slotEnergy;
+    }
+
+    slots.sort((a, b) => a.start - b.start);
+
+    let windows = [];
+    for (let slot of slots) {
+        let last = windows[windows.length - 1];
+        if (last && last.end.getTime() === slot.start.getTime())
+            last.end = slot.end;
+        else
+            windows.push({ start: slot.start, end: slot.end });
+    }
+
+    return {
+        slots,
+        windows,
+        energy: planned,
+        cost: slots.reduce((sum, slot) => sum + slot.energy * slot.price, 0),
+        power,
+        feasible: planned >= energy - 1e-9,
+        departure,
+    };
+};
+
+/**
+ * Charges the required energy before departure, in the cheapest slots of a tariff.
+ * Plans are re-computed when the prices update, and when the vehicle is plugged or unplugged.
+ * Plug events come from monitoring - use `controller.startMonitoring()`.
+ */
+class TariffScheduler extends EventEmitter {
+    /** @type ChargerController */
+    #controller;
+
+    /** @type PriceSource */
+    #source;
+
+    /** @type Required<TariffSchedulerOptions> */
+    #options;
+
+    /** @type {{departure: Date, energy: number}|null} */
+    #target = null;
+
+    /** @type ChargingPlan|null */
+    #plan = null;
+
+    /** @type number kWh delivered since the target was set */
+    #delivered = 0;
+
+    /** @type number|null */
+    #lastTotalPower = null;
+
+    /** @type boolean whether the scheduler has started charging */
+    #charging = false;
+
+    /** @type string|null the timed-charge window last programmed */
+    #programmed = null;
+
+    /** @type ReturnType<typeof setTimeout>|null */
+    #timer = null;
+
+    #onPricesUpdate = () => this.#replanSafely();
+
+    #onPlugged = () => this.#replanSafely();
+
+    #onUnplugged = () => {
+        this.#charging = false;
+        this.#lastTotalPower = null;
+        this.#replanSafely();
+    };
+
+    #onRealTimeData = data => {
+        if (this.#lastTotalPower !== null && data.totalPower > this.#lastTotalPower)
+            this.#delivered += data.totalPower - this.#lastTotalPower;
+        this.#lastTotalPower = data.totalPower;
+    };
+
+    /**
+     * @param {ChargerController} controller
+     * @param {PriceSource} source
+     * @param {TariffSchedulerOptions?} options
+     */
+    constructor(controller, source, { strategy = 'commands', maxCurrent = null, nominalVoltage = 230 } = {}) {
+        super();
+
+        if (strategy !== 'commands' && strategy !== 'timed')
+            throw new TypeError(`unknown strategy: ${strategy}`);
+
+        this.#controller = controller;
+        this.#source = source;
+        this.#options = { strategy, maxCurrent, nominalVoltage };
+    }
+
+    /**
+     * @returns {ChargingPlan|null}
+     */
+    get plan() {
+        return this.#plan;
+    }
+
+    /**
+     * @returns {{departure: Date, energy: number}|null}
+     */
+    get target() {
+        return this.#target;
+    }
+
+    /**
+     * kWh delivered since `schedule()`
+     * @returns {number}
+     */
+    get delivered() {
+        return this.#delivered;
+    }
+
+    /**
+     * Plans and runs charging of `energy` kWh before `departure`. Replaces the previous target.
+     * @param {Object} target
+     * @param {Date|number|string} target.departure
+     * @param {number} target.energy kWh
+     * @returns {Promise<ChargingPlan>}
+     */
+    async schedule({ departure, energy }) {
+        departure = new Date(departure);
+        if (isNaN(departure.getTime()))
+            throw new TypeError('departure must be a valid time');
+        if (!(energy > 0))
+            throw new RangeError('energy must be a positive number of kWh');
+
+        const wasScheduled = this.#target !== null;
+
+        this.#target = { departure, energy };
+        this.#delivered = 0;
+        this.#lastTotalPower = this.#controller.lastRealTimeData?.totalPower ?? null;
+
+        if (!wasScheduled) {
+            const controller = this.#controller;
+            controller.on('plugged', this.#onPlugged);
+            controller.on('unplugged', this.#onUnplugged);
+            controller.on('realtime_data', this.#onRealTimeData);
+            if (typeof this.#source.on === 'function')
+                this.#source.on('update', this.#onPricesUpdate);
+        }
+
+        return this.replan();
+    }
+
+    /**
+     * Re-computes the plan for the remaining energy, and runs it.
+     * @returns {Promise<ChargingPlan>}
+     */
+    async replan() {
+        if (!this.#target)
+            throw new Error('nothing is scheduled, call schedule() first');
+
+        const controller = this.#controller;
+        const now = new Date();
+        const { departure, energy } = this.#target;
+
+        if (!controller.modelInfo)
+            await controller.sendGetChargerModel();
+
+        const maxCurrent = this.#options.maxCurrent ??
+            (controller.lastControlsState ?? await controller.sendGetControlsState()).maxCurrent;
+        const phases = controller.modelInfo.mode === ChargerMode.ThreePhase ? 3 : 1;
+        const power = maxCurrent * this.#options.nominalVoltage * phases / 1000;
+
+        const prices = await this.#source.getPrices(now, departure);
+
+        const plan = planCharging({
+            prices,
+            energy: Math.max(0, energy - this.#delivered),
+            power,
+            departure,
+            now,
+        });
+
+        if (!this.#target)
+            return plan; // cancelled meanwhile
+
+        this.#plan = plan;
+
+        /**
+         * A plan has been computed, on `schedule()` or when re-planning.
+         *
+         * @event plan
+         * @type {ChargingPlan} plan
+         */
+        this.emit('plan', plan);
+
+        await this.#run();
+
+        return plan;
+    }
+
+    /**
+     * Stops running the plan. Charging that the scheduler has started is stopped.
+     * @returns {Promise<void>}
+     */
+    async cancel() {
+        if (!this.#target) return;
+
+        const controller = this.#controller;
+        controller.off('plugged', this.#onPlugged);
+        controller.off('unplugged', this.#onUnplugged);
+        controller.off('realtime_data', this.#onRealTimeData);
+        if (typeof this.#source.off === 'function')
+            this.#source.off('update', this.#onPricesUpdate);
+
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        this.#target = null;
+        this.#plan = null;
+        this.#programmed = null;
+
+        if (this.#charging)
+            await this.#act('stop', null);
+    }
+
+    #replanSafely() {
+        if (!this.#target) return;
+
+        this.replan().catch(err => {
+            /**
+             * Re-planning has failed, i.e. the prices could not be fetched.
+             *
+             * @event plan_error
+             * @type {Error} error
+             */
+            this.emit('plan_error', err);
+        });
+    }
+
+    /**
+     * Applies the plan at the current time, and sets a timer for its next boundary.
+     * @returns {Promise<void>}
+     */
+    async #run() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+
+        const plan = this.#plan;
+        if (!plan) return;
+
+        const now = Date.now();
+        const current = plan.windows.find(w => w.start.getTime() <= now && now < w.end.getTime()) ?? null;
+        const next = plan.windows.find(w => w.start.getTime() > now) ?? null;
+
+        if (this.#options.strategy === 'commands') {
+            // Without a vehicle, charging starts on re-planning when it's plugged in
+            const unplugged = this.#controller.lastKnownState === ChargerState.Unplugged;
+            if (current && !this.#charging && !unplugged)
+                await this.#act('start', current);
+            else if (!current && this.#charging)
+                await this.#act('stop', null);
+        } else {
+            const window = current ?? next;
+            if (window && windowKey(window) !== this.#programmed)
+                await this.#act('program', window);
+        }
+
+        const boundary = current ? current.end : next?.start;
+        if (boundary && this.#plan === plan) {
+            // Long delays are split, as timers overflow after ~24.8 days
+            const delay = Math.min(boundary.getTime() - now, 0x7fffffff);
+            this.#timer = setTimeout(() => this.#run(), delay);
+        }
+    }
+
+    /**
+     * @param {string} action 'start', 'stop' or 'program'
+     * @param {{start: Date, end: Date}|null} window
+     * @returns {Promise<void>}
+     */
+    async #act(action, window) {
+        const controller = this.#controller;
+
+        /**
+         * The scheduler is acting on the charger: starting or stopping charging,
+         * or programming the timed-charge window.
+         *
+         * @event action
+         * @type {Object} event
+         * @property {string} action 'start', 'stop' or 'program'
+         * @property {{start: Date, end: Date}|null} window
+         */
+        this.emit('action', { action, window });
+
+        try {
+            switch (action) {
+                case 'start':
+                    await controller.sendSetChargeState(true, { retry: true });
+                    this.#charging = true;
+                    break;
+                case 'stop':
+                    await controller.sendSetChargeState(false, { retry: true });
+                    this.#charging = false;
+                    break;
+                case 'program':
+                    // Read on the charger's clock, in the controller's `timeZone`
+                    await controller.sendSetTimedChargeState(window.start, window.end);
+                    this.#programmed = windowKey(window);
+                    break;
+            }
+        } catch (err) {
+            /**
+             * An action has failed. It's retried at the next boundary, or when re-planning.
+             *
+             * @event command_error
+             * @type {Object} event
+             * @property {string} action
+             * @property {Error} error
+             */
+            this.emit('command_error', { action, error: err });
+        }
+    }
+}
+
+export {
+    WeeklyTariff,
+    DynamicTariff,
+    parsePriceJson,
+    parsePriceCsv,
+    planCharging,
+    TariffScheduler,
+};
@@ -0,0 +1,368 @@
+import fs from 'node:fs';
+import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
+import { Command } from './protocol.js';
+import { CommandUtil } from './command-util.js';
+import { ChargerProtocolError } from './errors.js';
+import * as codec from './codec.js';
+
+/**
+ * @typedef {Object} CaptureEntry
+ * @property {string} time ISO timestamp
+ * @property {string} direction 'out' for frames sent to the charger, 'in' for datagrams received from it
+ * @property {{address: string, port: number}|null} peer the charger's address for 'out', the sender's for 'in'
+ * @property {string} raw the frame as sent or received
+ * @property {ParsedMessage|ParsedRequest|null} message the parsed frame, `null` if malformed
+ */
+
+/**
+ * @typedef {Object} DecodedCaptureEntry
+ * @property {CaptureEntry} entry
+ * @property {string|null} command the command code, `null` if malformed
+ * @property {*} value the decoded value, see `codec.decode()`
+ * @property {Error|null} error why the frame could not be decoded
+ */
+
+const util = new CommandUtil();
+
+/** The redacted password, as encoded in place of the real one */
+const REDACTED_PASSWORD = '00000000';
+
+/**
+ * @param {string} frame
+ * @returns {string} the frame, with a recalculated checksum
+ */
+const withChecksum = frame => {
+    let body = frame.substring(0, frame.length - 2);
+    return body + util.checksum(body);
+};
+
+/**
+ * Blanks the password in a frame sent to the charger - and the new password of `PasswordChange`,
+ * or the Wi-Fi password of `SetWifiAccessPoint`. The checksum is recalculated, so the frame still parses.
+ * Frames that are not requests are returned as is.
+ * @param {string} raw
+ * @returns {string}
+ */
+const redactFrame = raw => {
+    const request = util.parseRequest(raw);
+    if (!request)
+        return raw;
+
+    let args = request.data;
+
+    if (request.command === Command.PasswordChange) {
+        args = REDACTED_PASSWORD + args.substring(REDACTED_PASSWORD.length);
+    } else if (request.command === Command.SetWifiAccessPoint && args.length >= 4) {
+        // The lengths are in bytes, as the strings are sent. The password's length is blanked too.
+        let passwordStart = 4 + parseInt(args.substring(0, 2), 16) * 2;
+        args = args.substring(0, 2) + '00' + args.substring(4, passwordStart) +
+            '0'.repeat(Math.max(0, args.length - passwordStart));
+    }
+
+    return withChecksum(
+        raw.substring(0, 10) + REDACTED_PASSWORD + raw.substring(18, 20) + args + raw.substring(raw.length - 2));
+};
+
+/**
+ * @param {string} direction
+ * @param {string} raw
+ * @returns {ParsedMessage|ParsedRequest|null}
+ */
+const parseEntryFrame = (direction, raw) =>
+    (direction === 'out' ? util.parseRequest(raw) : util.parseResult(raw)) ?? null;
+
+/**
+ * Records frames to a JSON-lines capture file, one `CaptureEntry` per line - or in memory, without a target.
+ * Assign it to `controller.capture` to record a controller's traffic.
+ */
+class TrafficRecorder extends EventEmitter {
+    /** @type Writable|null */
+    #stream = null;
+
+    /** @type boolean */
+    #ownsStream = false;
+
+    /** @type boolean */
+    #redact;
+
+    /** @type CaptureEntry[]|null */
+    #entries = null;
+
+    /** @type Error|null */
+    #error = null;
+
+    /** @type boolean */
+    #closed = false;
+
+    /**
+     * @param {string|Writable|null} target a file path to append to, or a writable stream. `null` keeps the entries in memory.
+     * @param {Object?} options
+     * @param {boolean?} options.redact blank passwords in recorded frames (default `true`), see `redactFrame()`
+     */
+    constructor(target = null, { redact = true } = {}) {
+        super();
+
+        this.#redact = redact;
+
+        if (typeof target === 'string') {
+            this.#stream = fs.createWriteStream(target, { flags: 'a' });
+            this.#ownsStream = true;
+        } else if (target) {
+            this.#stream = target;
+        } else {
+            this.#entries = [];
+        }
+
+        this.#stream?.on('error', err => {
+            if (!this.#error)
+                this.#error = err;
+
+            /**
+             * The capture could not be written.
+             *
+             * @event write_error
+             * @type {Error} error
+             */
+            this.emit('write_error', err);
+        });
+    }
+
+    /**
+     * The recorded entries, when recording in memory
+     * @returns {CaptureEntry[]|null}
+     */
+    get entries() {
+        return this.#entries;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isClosed() {
+        return this.#closed;
+    }
+
+    /**
+     * Records a frame. Called by the controller for each frame sent and datagram received.
+     * @param {string} direction 'out' or 'in'
+     * @param {Buffer|string} frame
+     * @param {{address: string, port: number}|null} peer
+     * @returns {CaptureEntry|null} `null` once closed
+     */
+    record(direction, frame, peer = null) {
+        if (this.#closed)
+            return null;
+
+        let raw = Buffer.isBuffer(frame) ? frame.toString('utf8') : frame;
+        if (this.#redact && direction === 'out')
+            raw = redactFrame(raw);
+
+        /** @type CaptureEntry */
+        const entry = {
+            time: new Date().toISOString(),
+            direction,
+            peer: peer ? { address: peer.address, port: peer.port } : null,
+            raw,
+            message: parseEntryFrame(direction, raw),
+        };
+
+        if (this.#entries)
+            this.#entries.push(entry);
+        else
+            this.#stream.write(JSON.stringify(entry) + '\n');
+
+        /**
+         * An entry was recorded.
+         *
+         * @event entry
+         * @type {CaptureEntry} entry
+         */
+        this.emit('entry', entry);
+
+        return entry;
+    }
+
+    /**
+     * Stops recording, and closes the file when the recorder has opened it.
+     * @returns {Promise<void>} rejects if the capture could not be written
+     */
+    async close() {
+        if (this.#closed) return;
+        this.#closed = true;
+
+        if (this.#ownsStream)
+            await new Promise(resolve => this.#stream.end(resolve));
+
+        if (this.#error)
+            throw this.#error;
+    }
+}
+
+/**
+ * Parses a JSON-lines capture.
+ * @param {string} text
+ * @returns {CaptureEntry[]}
+ */
+const parseCapture = text => text
+    .split('\n')
+    .flatMap((line, i) => {
+        if (!line.trim())
+            return [];
+        try {
+            return [JSON.parse(line)];
+        } catch (ignored) {
+            throw new SyntaxError(`capture line ${i + 1} is not valid JSON`);
+        }
+    });
+
+/**
+ * Reads a JSON-lines capture file.
+ * @param {string} path
+ * @returns {Promise<CaptureEntry[]>}
+ */
+const readCapture = async path => parseCapture(await fs.promises.readFile(path, 'utf8'));
+
+/**
+ * Feeds the received frames of a capture back through the parsers and decoders.
+ * The model for realtime data is taken from the capture's `GetChargerModel` responses, unless given.
+ * @param {CaptureEntry[]} entries
+ * @param {DecodeOptions?} options passed to `codec.decode()`
+ * @returns {DecodedCaptureEntry[]}
+ */
+const decodeCapture = (entries, options = {}) => {
+    let model = options.model ?? null;
+    let results = [];
+
+    for (let entry of entries) {
+        if (entry.direction !== 'in')
+            continue;
+
+        let frame = util.parseResult(entry.raw);
+        if (!frame) {
+            results.push({
+                entry,
+                command: null,
+                value: undefined,
+                error: new ChargerProtocolError({ reason: util.getResultError(entry.raw), raw: entry.raw }),
+            });
+            continue;
+        }
+
+        try {
+            let { value } = codec.decode(frame, Object.assign({}, options, { model }));
+            if (frame.command === Command.GetChargerModel && !model)
+                model = value;
+            results.push({ entry, command: frame.command, value, error: null });
+        } catch (err) {
+            results.push({ entry, command: frame.command, value: undefined, error: err });
+        }
+    }
+
+    return results;
+};
+
+/**
+ * A socket-like object serving the responses of a capture, see `createReplayTransport()`.
+ */
+class ReplaySocket extends EventEmitter {
+    /** @type CaptureEntry[] */
+    #entries;
+
+    /** @type boolean[] */
+    #consumed;
+
+    /** @type boolean */
+    #closed = false;
+
+    /** @type boolean */
+    #echoMessageId;
+
+    /** @type Map<string, string> the message id of the last request of each command */
+    #messageIds = new Map();
+
+    /**
+     * @param {CaptureEntry[]} entries
+     * @param {boolean} echoMessageId
+     */
+    constructor(entries, echoMessageId) {
+        super();
+        this.#entries = entries;
+        this.#consumed = entries.map(() => false);
+        this.#echoMessageId = echoMessageId;
+    }
+
+    /**
+     * Answers a request with the received frames that have followed the next unanswered request
+     * of the same command in the capture, until the next request. Unknown requests are left unanswered.
+     * The frames are replayed as recorded, message ids included, unless `echoMessageId` is set:
+     * then each response takes the id of the last request of its command, as requests may interleave in a capture.
+     * @param {Buffer} buffer
+     * @param {number} port
+     * @param {string} address
+     * @param {function(Error?)?} callback
+     */
+    send(buffer, port, address, callback) {
+        if (this.#closed) {
+            callback?.(new Error('the replay socket is closed'));
+            return;
+        }
+
+        const request = util.parseRequest(buffer.toString('utf8'));
+        if (request)
+            this.#messageIds.set(request.command, request.messageId);
+        const index = request ? this.#entries.findIndex((entry, i) => !this.#consumed[i] &&
+            entry.direction === 'out' && util.parseRequest(entry.raw)?.command === request.command) : -1;
+
+        let responses = [];
+        if (index !== -1) {
+            this.#consumed[index] = true;
+            for (let i = index + 1; i < this.#entries.length && this.#entries[i].direction !== 'out'; i++) {
+                this.#consumed[i] = true;
+                responses.push(this.#entries[i]);
+            }
+        }
+
+        setImmediate(() => {
+            callback?.(null);
+
+            for (let entry of responses) {
+                if (this.#closed) return;
+
+                let raw = entry.raw;
+                const result = this.#echoMessageId ? util.parseResult(raw) : null;
+                if (result)
+                    raw = withChecksum(raw.substring(0, 4) + (this.#messageIds.get(result.command) ?? request.messageId) + raw.substring(8));
+
+                this.emit('message', Buffer.from(raw, 'utf8'), entry.peer ?? { address, port });
+            }
+        });
+    }
+
+    close() {
+        this.#closed = true;
+    }
+}
+
+/**
+ * Creates a `ChargerTransport` that serves a capture instead of a charger, for deterministic regression tests:
+ * `new ChargerController(password, { transport: createReplayTransport(entries) })`.
+ * The responses are replayed byte for byte, so that the firmware's message ids are too - whether it echoes them or not.
+ * @param {CaptureEntry[]} entries
+ * @param {Object?} options
+ * @param {boolean?} options.echoMessageId answer with the request's message id instead of the recorded one,
+ *  as if the firmware echoed it (default `false`)
+ * @returns {ChargerTransport}
+ */
+const createReplayTransport = (entries, { echoMessageId = false } = {}) => ({
+    open: async () => new ReplaySocket(entries, echoMessageId),
+});
+
+export {
+    TrafficRecorder,
+    redactFrame,
+    parseCapture,
+    readCapture,
+    decodeCapture,
+    createReplayTransport,
+};
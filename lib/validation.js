@@ -0,0 +1,145 @@
+import iconv from 'iconv-lite';
+import { STRING_ENCODING } from './protocol.js';
+
+/**
+ * @typedef {Object} CurrentLimits
+ * @property {number} min amps
+ * @property {number} max amps
+ */
+
+/**
+ * The max current range the firmware accepts, in amps.
+ * It's fixed: the same for 1-phase and 3-phase models, as no model is known to take a different one.
+ */
+const CURRENT_LIMITS = Object.freeze({ min: 6, max: 32 });
+
+/** Byte lengths the charger takes for Wi-Fi credentials, as encoded */
+const WIFI_LIMITS = Object.freeze({
+    ssidMaxBytes: 32,
+    // WPA passphrases. An empty password joins an open network.
+    passwordMinBytes: 8,
+    passwordMaxBytes: 63,
+});
+
+/** Numeric strings are sent as 32 bit numbers, i.e. the password and the charger's code */
+const MAX_NUMERIC_STRING = 0xffffffff;
+
+/**
+ * @param {*} value
+ * @param {string} name
+ * @returns {boolean}
+ * @throws {TypeError}
+ */
+const validateBoolean = (value, name) => {
+    if (typeof value !== 'boolean')
+        throw new TypeError(`${name} must be a boolean`);
+    return value;
+};
+
+/**
+ * @param {*} value
+ * @param {string} name
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {TypeError|RangeError}
+ */
+const validateInteger = (value, name, min, max) => {
+    if (!Number.isInteger(value))
+        throw new TypeError(`${name} must be an integer, got ${typeof value === 'string' ? `'${value}'` : value}`);
+    if (value < min || value > max)
+        throw new RangeError(`${name} must be between ${min} and ${max}, got ${value}`);
+    return value;
+};
+
+/**
+ * Validates a string of digits, as the password and the charger's code are.
+ * @param {*} value a string, or a non-negative integer
+ * @param {string} name
+ * @returns {number}
+ * @throws {TypeError|RangeError}
+ */
+const validateNumericString = (value, name) => {
+    if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0)
+        value = value.toString();
+
+    if (typeof value !== 'string' || !/^\d+$/.test(value))
+        throw new TypeError(`${name} must be a string of digits`);
+
+    let number = parseInt(value, 10);
+    if (number > MAX_NUMERIC_STRING)
+        throw new RangeError(`${name} must be at most ${MAX_NUMERIC_STRING}`);
+    return number;
+};
+
+/**
+ * @param {*} value amps
+ * @returns {number}
+ * @throws {TypeError|RangeError}
+ */
+const validateMaxCurrent = value => validateInteger(value, 'maxCurrent', CURRENT_LIMITS.min, CURRENT_LIMITS.max);
+
+/**
+ * @param {*} value sunday-saturday "1010101". `null`, `undefined` or '' for none.
+ * @returns {string|null}
+ * @throws {TypeError}
+ */
+const validateDaysOfWeek = value => {
+    if (value === null || value === undefined || value === '')
+        return null;
+    if (typeof value !== 'string' || !/^[01]{7}$/.test(value))
+        throw new TypeError(`daysOfWeek must be 7 digits of 0 or 1, sunday first, got '${value}'`);
+    return value;
+};
+
+/**
+ * @param {string} value
+ * @param {string} name
+ * @param {string} encoding
+ * @returns {Buffer}
+ * @throws {RangeError} for characters that the encoding cannot represent
+ */
+const encodeStrictly = (value, name, encoding) => {
+    const bytes = iconv.encode(value, encoding);
+    if (iconv.decode(bytes, encoding) !== value)
+        throw new RangeError(`${name} has characters that cannot be encoded as ${encoding}`);
+    return bytes;
+};
+
+/**
+ * @param {*} ssid
+ * @param {*} password '' for an open network
+ * @param {string?} encoding 'gbk' (the firmware's, default) or 'utf8', for networks that name themselves in UTF-8
+ * @returns {{ssid: Buffer, password: Buffer}} as encoded
+ * @throws {TypeError|RangeError}
+ */
+const validateWifiCredentials = (ssid, password, encoding = STRING_ENCODING) => {
+    if (encoding !== 'gbk' && encoding !== 'utf8')
+        throw new RangeError(`encoding must be gbk or utf8, got '${encoding}'`);
+    if (typeof ssid !== 'string' || !ssid)
+        throw new TypeError('ssid must be a non-empty string');
+    if (typeof password !== 'string')
+        throw new TypeError('password must be a string, empty for an open network');
+
+    const ssidBytes = encodeStrictly(ssid, 'ssid', encoding);
+    const passwordBytes = encodeStrictly(password, 'password', encoding);
+
+    if (ssidBytes.length > WIFI_LIMITS.ssidMaxBytes)
+        throw new RangeError(`ssid must be at most ${WIFI_LIMITS.ssidMaxBytes} bytes as ${encoding}, got ${ssidBytes.length}`);
+    if (passwordBytes.length &&
+        (passwordBytes.length < WIFI_LIMITS.passwordMinBytes || passwordBytes.length > WIFI_LIMITS.passwordMaxBytes))
+        throw new RangeError(`password must be ${WIFI_LIMITS.passwordMinBytes}-${WIFI_LIMITS.passwordMaxBytes} bytes as ${encoding}, got ${passwordBytes.length}`);
+
+    return { ssid: ssidBytes, password: passwordBytes };
+};
+
+export {
+    CURRENT_LIMITS,
+    WIFI_LIMITS,
+    validateBoolean,
+    validateInteger,
+    validateNumericString,
+    validateMaxCurrent,
+    validateDaysOfWeek,
+    validateWifiCredentials,
+};
@@ -0,0 +1,162 @@
+import * as codec from './codec.js';
+import { STRING_ENCODING } from './protocol.js';
+import { validateNumericString } from './validation.js';
+import { ChargerProvisioningError, ChargerRejectedError, ChargerTimeoutError } from './errors.js';
+
+/**
+ * The steps of `provisionWifi()`, in order.
+ * @enum {string} ProvisioningStep
+ */
+const ProvisioningStep = Object.freeze({
+    Validate: 'validate',
+    SendCredentials: 'send_credentials',
+    LeaveAccessPoint: 'leave_access_point',
+    JoinNetwork: 'join_network',
+    Resolve: 'resolve',
+    Verify: 'verify',
+});
+
+/**
+ * @typedef {Object} ProvisioningOptions
+ * @property {string} ssid the network the charger should join
+ * @property {string} password '' for an open network
+ * @property {string} chargerCode the charger's code, for finding it on the network
+ * @property {string?} encoding 'gbk' (the firmware's, default) or 'utf8', for networks that name themselves in UTF-8
+ * @property {function(): Promise<void>|void?} joinNetwork called once the charger has left its hotspot,
+ *  to bring this machine back on the network - unless it does so by itself
+ * @property {number?} leaveTimeout milliseconds for the charger to leave its hotspot (default 30 seconds)
+ * @property {number?} resolveTimeout milliseconds for the charger to show up on the network (default 2 minutes)
+ * @property {number?} pollInterval milliseconds between checks (default 2 seconds)
+ */
+
+/**
+ * @typedef {Object} ProvisioningResult
+ * @property {string} ip the charger's address on the network
+ * @property {number} port
+ * @property {ChargerModel} model
+ */
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Moves a charger from its hotspot onto a network, and finds it there.
+ * The controller should be connected to the charger's hotspot. The steps, in order:
+ * send the credentials, wait for the charger to leave its hotspot, `joinNetwork()`,
+ * resolve the charger by its code on the network, and check it responds there.
+ * Each step emits `provisioning` events on the controller.
+ * @param {ChargerController} controller
+ * @param {ProvisioningOptions} options
+ * @returns {Promise<ProvisioningResult>}
+ * @throws {ChargerProvisioningError} with the step that has failed, and why
+ */
+const provisionWifi = async (controller, {
+    ssid,
+    password,
+    chargerCode,
+    encoding = STRING_ENCODING,
+    joinNetwork = null,
+    leaveTimeout = 30000,
+    resolveTimeout = 120000,
+    pollInterval = 2000,
+}) => {
+    /**
+     * @param {string} step
+     * @param {function(): Promise<*>} action
+     * @param {function(err: Error): string} reasonOf
+     * @returns {Promise<*>}
+     */
+    const run = async (step, action, reasonOf = err => err.message) => {
+        /**
+         * A step of `provisionWifi()` has started, completed or failed.
+         *
+         * @event provisioning
+         * @type {Object} event
+         * @property {ProvisioningStep} step
+         * @property {string} status 'started', 'completed' or 'failed'
+         * @property {ChargerProvisioningError?} error when failed
+         */
+        controller.emit('provisioning', { step, status: 'started' });
+
+        let result;
+        try {
+            result = await action();
+        } catch (err) {
+            const error = new ChargerProvisioningError({ step, reason: reasonOf(err), cause: err });
+            controller.emit('provisioning', { step, status: 'failed', error });
+            throw error;
+        }
+
+        controller.emit('provisioning', { step, status: 'completed' });
+        return result;
+    };
+
+    await run(ProvisioningStep.Validate, async () => {
+        codec.encodeSetWifiAccessPoint({ ssid, password, encoding });
+        validateNumericString(chargerCode, 'chargerCode');
+    });
+
+    await run(ProvisioningStep.SendCredentials,
+        () => controller.sendSetWifiAccessPoint(ssid, password, { encoding }),
+        err => {
+            if (err instanceof ChargerTimeoutError)
+                return 'the charger did not respond. Is this machine connected to its hotspot?';
+            if (err instanceof ChargerRejectedError)
+                return 'the charger has rejected the credentials';
+            return err.message;
+        });
+
+    await run(ProvisioningStep.LeaveAccessPoint, async () => {
+        const deadline = Date.now() + leaveTimeout;
+        for (;;) {
+            try {
+                await controller.sendHeartbeat();
+            } catch (err) {
+                if (err instanceof ChargerTimeoutError)
+                    return; // gone
+                throw err;
+            }
+
+            if (Date.now() >= deadline)
+                throw new Error(`the charger is still on its hotspot after ${leaveTimeout / 1000}s. Check the ssid and password`);
+            await sleep(pollInterval);
+        }
+    });
+
+    if (joinNetwork)
+        await run(ProvisioningStep.JoinNetwork, async () => joinNetwork());
+
+    const { ip, port } = await run(ProvisioningStep.Resolve, async () => {
+        // Broadcast on the network, on the same port
+        controller.setHost(null, controller.host.port);
+
+        const deadline = Date.now() + resolveTimeout;
+        for (;;) {
+            try {
+                return await controller.sendGetIpAddress(chargerCode, { retry: false });
+            } catch (err) {
+                if (!(err instanceof ChargerTimeoutError))
+                    throw err;
+            }
+
+            if (Date.now() >= deadline)
+                throw new Error(`the charger was not found on the network after ${resolveTimeout / 1000}s. ` +
+                    'It may have failed to join it, or this machine is on another network');
+            await sleep(pollInterval);
+        }
+    });
+
+    const model = await run(ProvisioningStep.Verify,
+        () => controller.sendGetChargerModel(),
+        err => err instanceof ChargerTimeoutError ? `the charger does not respond at ${ip}:${port}` : err.message);
+
+    return { ip, port, model };
+};
+
+export {
+    ProvisioningStep,
+    provisionWifi,
+};
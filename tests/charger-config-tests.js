@@ -0,0 +1,59 @@
+import { strict as assert } from 'node:assert';
+import { ChargerController, ChargerEmulator, ConfigFieldStatus, EmulatorProfile } from '../index.js';
+
+describe('charger config', () => {
+    let emulator;
+    let controller;
+
+    beforeEach(async () => {
+        emulator = new ChargerEmulator({ code: '12345678', port: 0, profile: EmulatorProfile.ThreePhaseV111 });
+        await emulator.start();
+
+        controller = new ChargerController('123456');
+        controller.localPort = 0;
+        controller.resultTimeout = 200;
+        controller.setHost('127.0.0.1', emulator.address.port);
+        await controller.sendGetChargerModel();
+    });
+
+    afterEach(async () => {
+        controller.disconnect();
+        await emulator.stop();
+    });
+
+    const desired = {
+        maxCurrent: 16,
+        dlb: { enabled: true, maxCurrent: 40 },
+        reservation: { days: ['mon', 'wed'], from: '22:00', to: '06:30' },
+    };
+
+    it('reports the fields to change in a dry run, without changing them', async () => {
+        const before = await controller.getConfig();
+        const result = await controller.applyConfig(desired, { dryRun: true });
+
+        assert.equal(result.ok, true);
+        assert.deepEqual(result.fields.map(x => [x.field, x.status]), [
+            ['dlb.enabled', ConfigFieldStatus.Planned],
+            ['dlb.maxCurrent', ConfigFieldStatus.Planned],
+            ['maxCurrent', ConfigFieldStatus.Planned],
+            ['reservation', ConfigFieldStatus.Planned],
+        ]);
+        assert.deepEqual(await controller.getConfig(), before);
+    });
+
+    it('applies the fields that differ, and keeps the others', async () => {
+        const before = await controller.getConfig();
+        const result = await controller.applyConfig(desired);
+
+        assert.equal(result.ok, true);
+        assert.ok(result.fields.every(x => x.status === ConfigFieldStatus.Applied));
+
+        const after = await controller.getConfig();
+        assert.deepEqual(after, Object.assign({}, before, desired, {
+            dlb: Object.assign({}, before.dlb, desired.dlb),
+        }));
+
+        const again = await controller.applyConfig(desired);
+        assert.ok(again.fields.every(x => x.status === ConfigFieldStatus.Unchanged));
+    });
+});
@@ -0,0 +1,139 @@
+import { strict as assert } from 'node:assert';
+import { once } from 'node:events';
+import { ChargerController, ChargerEmulator, ChargerState } from '../index.js';
+
+/** Polls everything every few milliseconds */
+const FAST_POLLING = Object.freeze({
+    realtimeInterval: 10,
+    idleRealtimeInterval: 10,
+    faultInterval: 10,
+    controlsInterval: 10,
+});
+
+describe('ChargerMonitor', () => {
+    let emulator;
+    let controller;
+
+    beforeEach(async () => {
+        emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+        await emulator.start();
+
+        controller = new ChargerController('123456');
+        controller.localPort = 0;
+        controller.resultTimeout = 200;
+        controller.setHost('127.0.0.1', emulator.address.port);
+    });
+
+    afterEach(async () => {
+        controller.stopMonitoring();
+        controller.disconnect();
+        await emulator.stop();
+    });
+
+    /**
+     * @param {string[]} names
+     * @returns {Array<{name: string, event: *}>} filled as the events are emitted
+     */
+    const record = names => {
+        let events = [];
+        for (let name of names)
+            controller.on(name, event => events.push({ name, event }));
+        return events;
+    };
+
+    it('emits the state changes, plugging and charging of consecutive snapshots', async () => {
+        const events = record(['state_change', 'plugged', 'unplugged', 'charging_started', 'charging_stopped']);
+
+        controller.startMonitoring(FAST_POLLING);
+        await once(controller, 'realtime_data');
+        assert.deepEqual(events, []);
+
+        emulator.plugIn();
+        await once(controller, 'plugged');
+
+        emulator.startCharging();
+        await once(controller, 'charging_started');
+
+        emulator.stopCharging();
+        await once(controller, 'charging_stopped');
+
+        emulator.unplug();
+        await once(controller, 'unplugged');
+
+        assert.deepEqual(events, [
+            { name: 'state_change', event: { previous: ChargerState.Unplugged, state: ChargerState.Standby } },
+            { name: 'plugged', event: undefined },
+            { name: 'state_change', event: { previous: ChargerState.Standby, state: ChargerState.Charging } },
+            { name: 'charging_started', event: undefined },
+            { name: 'state_change', event: { previous: ChargerState.Charging, state: ChargerState.Standby } },
+            { name: 'charging_stopped', event: undefined },
+            { name: 'state_change', event: { previous: ChargerState.Standby, state: ChargerState.Unplugged } },
+            { name: 'unplugged', event: undefined },
+        ]);
+    });
+
+    it('reports faults that are active at start, then raised and cleared ones', async () => {
+        const events = record(['fault_raised', 'fault_cleared']);
+
+        emulator.raiseFault('overVoltage');
+        controller.startMonitoring(FAST_POLLING);
+        await once(controller, 'fault_raised');
+
+        emulator.raiseFault('leakage');
+        await once(controller, 'fault_raised');
+
+        emulator.clearFault('overVoltage');
+        await once(controller, 'fault_cleared');
+
+        assert.deepEqual(events, [
+            { name: 'fault_raised', event: { flag: 'overVoltage' } },
+            { name: 'fault_raised', event: { flag: 'leakage' } },
+            { name: 'fault_cleared', event: { flag: 'overVoltage' } },
+        ]);
+    });
+
+    it('emits the changed controls', async () => {
+        controller.startMonitoring(FAST_POLLING);
+        await once(controller, 'controls_state');
+
+        await controller.sendSetMaxCurrent(16);
+        const [{ changes }] = await once(controller, 'controls_changed');
+        assert.deepEqual(changes, { maxCurrent: { previous: 32, current: 16 } });
+    });
+
+    it('reports a failed poll, and keeps polling', async () => {
+        await controller.sendGetChargerModel();
+        controller.resultTimeout = 20;
+        controller.retryPolicy = { attempts: 1 };
+        emulator.dropRequests(1);
+
+        controller.startMonitoring(Object.assign({}, FAST_POLLING, { faultInterval: 0, controlsInterval: 0 }));
+        const [err] = await once(controller, 'monitor_error');
+        assert.equal(err.code, 'ETIMEDOUT');
+
+        await once(controller, 'realtime_data');
+        assert.equal(controller.isMonitoring, true);
+    });
+
+    it('stops polling, and emits nothing more', async () => {
+        controller.startMonitoring(FAST_POLLING);
+        await once(controller, 'realtime_data');
+        await once(controller, 'controls_state');
+
+        controller.stopMonitoring();
+        assert.equal(controller.isMonitoring, false);
+
+        // Let a poll that was in flight complete
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        let requests = 0;
+        emulator.on('request', () => requests++);
+        const events = record(['state_change', 'plugged']);
+
+        emulator.plugIn();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.equal(requests, 0);
+        assert.deepEqual(events, []);
+    });
+});
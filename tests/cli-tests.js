@@ -0,0 +1,147 @@
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ChargerEmulator } from '../index.js';
+import { runCli, CliExitCode, parseArgv, resolveConnection } from '../lib/cli.js';
+
+describe('bcp-charger', () => {
+    describe('parseArgv', () => {
+        it('splits the flags from the arguments', () => {
+            assert.deepEqual(parseArgv(['set-dlb', 'on', '--max-current', '40', '--extreme', '--ip=10.0.0.5']), {
+                flags: { 'max-current': '40', extreme: true, ip: '10.0.0.5' },
+                args: ['set-dlb', 'on'],
+            });
+        });
+
+        it('keeps an argument after --, and fails on a flag without its value', () => {
+            assert.deepEqual(parseArgv(['history', '--']), { flags: {}, args: ['history', '--'] });
+            assert.throws(() => parseArgv(['status', '--ip']), { message: 'missing value for --ip' });
+        });
+    });
+
+    describe('resolveConnection', () => {
+        let dir;
+        let configPath;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcp-charger-cli-'));
+            configPath = path.join(dir, 'config.json');
+            fs.writeFileSync(configPath, JSON.stringify({ ip: '10.0.0.1', port: 4000, password: '111111', timeZone: 'UTC' }));
+        });
+
+        afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        it('takes the flags over the environment, and the environment over the config file', () => {
+            const env = { BCP_CHARGER_CONFIG: configPath, BCP_CHARGER_IP: '10.0.0.2', BCP_CHARGER_PORT: '5000' };
+
+            assert.deepEqual(resolveConnection({ ip: '10.0.0.3' }, env), {
+                code: undefined,
+                ip: '10.0.0.3',
+                port: 5000,
+                localPort: null,
+                password: '111111',
+                timeout: 1000,
+                timeZone: 'UTC',
+            });
+
+            assert.equal(resolveConnection({}, env).ip, '10.0.0.2');
+            assert.equal(resolveConnection({ config: configPath }, {}).ip, '10.0.0.1');
+        });
+
+        it('fails on an unreadable config file, or a port that is not a number', () => {
+            assert.throws(() => resolveConnection({ config: path.join(dir, 'missing.json') }, {}),
+                { message: /^cannot read config file/ });
+            assert.throws(() => resolveConnection({ config: configPath, port: 'x' }, {}),
+                { message: 'port must be a number' });
+        });
+    });
+
+    describe('runCli', () => {
+        let emulator;
+        let dir;
+        let env;
+
+        beforeEach(async () => {
+            emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+            await emulator.start();
+
+            // Away from the user's ~/.bcp-charger.json
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bcp-charger-cli-'));
+            fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ localPort: 0, timeout: 100 }));
+            env = { BCP_CHARGER_CONFIG: path.join(dir, 'config.json') };
+        });
+
+        afterEach(async () => {
+            await emulator.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        /**
+         * @param {string[]} argv
+         * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+         */
+        const run = async argv => {
+            let stdout = '';
+            let stderr = '';
+            const exitCode = await runCli(argv, {
+                stdout: { write: text => stdout += text },
+                stderr: { write: text => stderr += text },
+                env,
+            });
+            return { exitCode, stdout, stderr };
+        };
+
+        /**
+         * @param {string[]} argv
+         * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+         */
+        const runOnEmulator = argv => run(argv.concat(['--ip', '127.0.0.1', '--port', String(emulator.address.port)]));
+
+        it('prints the status as JSON', async () => {
+            emulator.plugIn();
+
+            const { exitCode, stdout } = await runOnEmulator(['status', '--json']);
+            assert.equal(exitCode, CliExitCode.Ok);
+
+            const status = JSON.parse(stdout);
+            assert.equal(status.model.firmwareVersion, '1.11');
+            assert.equal(status.controls.maxCurrent, 32);
+        });
+
+        it('resolves the charger by its code, and sets the current', async () => {
+            const { exitCode } = await run(['set-current', '16', '--code', '12345678', '--port', String(emulator.address.port)]);
+            assert.equal(exitCode, CliExitCode.Ok);
+        });
+
+        it('exits with 2 on usage errors', async () => {
+            for (let argv of [[], ['launch', '--ip', '127.0.0.1'], ['status'], ['set-current', 'many', '--ip', '127.0.0.1']]) {
+                const { exitCode, stderr } = await run(argv);
+                assert.equal(exitCode, CliExitCode.Usage, argv.join(' '));
+                assert.ok(argv.length === 0 || stderr.includes('run "bcp-charger help" for usage'));
+            }
+
+            const { exitCode, stderr } = await runOnEmulator(['set-current', '40']);
+            assert.equal(exitCode, CliExitCode.Usage);
+            assert.equal(stderr.split('\n')[0], 'bcp-charger: maxCurrent must be between 6 and 32, got 40');
+        });
+
+        it('exits with 3 when the charger does not respond', async () => {
+            emulator.dropRequests(100);
+            const { exitCode, stderr } = await runOnEmulator(['status']);
+            assert.equal(exitCode, CliExitCode.Timeout);
+            assert.equal(stderr, 'bcp-charger: result timed out\n');
+        });
+
+        it('exits with 4 when the charger rejects a command', async () => {
+            const { exitCode } = await runOnEmulator(['start']);
+            assert.equal(exitCode, CliExitCode.Rejected);
+        });
+
+        it('exits with 5 on an error frame', async () => {
+            const { exitCode, stderr } = await runOnEmulator(['status', '--password', '111111']);
+            assert.equal(exitCode, CliExitCode.DeviceError);
+            assert.equal(stderr, 'bcp-charger: charger error: wrong password (code 01)\n');
+        });
+    });
+});
@@ -0,0 +1,44 @@
+import { strict as assert } from 'node:assert';
+import { wallTime, zonedDate } from '../lib/clock.js';
+
+describe('clock', () => {
+    describe('zonedDate', () => {
+        it('finds the moment a clock in a timezone shows a wall time', () => {
+            const date = zonedDate({ year: 2026, month: 6, day: 21, hour: 12, minute: 0, second: 0 }, 'Asia/Jerusalem');
+            assert.equal(date.toISOString(), '2026-06-21T09:00:00.000Z');
+        });
+
+        it('rolls days over, as Date does', () => {
+            const date = zonedDate({ year: 2026, month: 12, day: 32, hour: 0, minute: 0, second: 0 }, 'UTC');
+            assert.equal(date.toISOString(), '2027-01-01T00:00:00.000Z');
+        });
+
+        for (let [timeZone, day, expected] of [
+            ['Asia/Jerusalem', 27, '2026-03-27T00:30:00.000Z'],
+            ['America/New_York', 8, '2026-03-08T07:30:00.000Z'],
+        ]) {
+            it(`moves a wall time skipped by the daylight saving transition in ${timeZone} past the gap`, () => {
+                // The clocks jump from 02:00 to 03:00
+                const date = zonedDate({ year: 2026, month: 3, day, hour: 2, minute: 30, second: 0 }, timeZone);
+                assert.equal(date.toISOString(), expected);
+                assert.deepEqual(wallTime(date, timeZone), { year: 2026, month: 3, day, hour: 3, minute: 30, second: 0 });
+            });
+        }
+
+        it('resolves the wall times around a daylight saving gap', () => {
+            const at = (hour, minute) => zonedDate({ year: 2026, month: 3, day: 27, hour, minute, second: 0 }, 'Asia/Jerusalem')
+                .toISOString();
+
+            assert.equal(at(1, 59), '2026-03-26T23:59:00.000Z');
+            assert.equal(at(2, 0), '2026-03-27T00:00:00.000Z');
+            assert.equal(at(3, 0), '2026-03-27T00:00:00.000Z');
+            assert.equal(at(3, 1), '2026-03-27T00:01:00.000Z');
+        });
+
+        it('resolves a wall time that repeats when the clocks go back to one of its moments', () => {
+            // 01:30 shows twice in New York, at 05:30Z and 06:30Z
+            const date = zonedDate({ year: 2026, month: 11, day: 1, hour: 1, minute: 30, second: 0 }, 'America/New_York');
+            assert.ok(['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z'].includes(date.toISOString()));
+        });
+    });
+});
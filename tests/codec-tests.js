@@ -0,0 +1,69 @@
+import { strict as assert } from 'node:assert';
+import { ChargerController, ChargerEmulator, Command, codec } from '../index.js';
+
+// 00:45:37 on the 20th in Jerusalem (UTC+3) - a day later than in UTC, with non-zero seconds
+const NOW = new Date('2026-10-19T21:45:37Z');
+const TIME_ZONE = 'Asia/Jerusalem';
+
+describe('codec', () => {
+    describe('time-based encoders', () => {
+        it('encodes the timed charge as offsets from the charger clock, and times of day', () => {
+            assert.equal(
+                codec.encodeSetTimedChargeState({ from: '23:30:15', to: '06:00', now: NOW, timeZone: TIME_ZONE }),
+                '69' + '00013fd6' + '00019b2f' + '171e0f' + '060000' + '002d25');
+        });
+
+        it('encodes the time to set as decimal digits, on the charger clock', () => {
+            assert.equal(codec.encodeSetTime({ now: NOW, timeZone: TIME_ZONE }), '76' + '261020004537');
+            assert.equal(codec.encodeSetTime({ now: NOW, timeZone: 'UTC' }), '76' + '261019214537');
+        });
+
+        it('encodes the reservation with the charger clock, days and times of day', () => {
+            assert.equal(
+                codec.encodeSetReservation({ from: '22:00', to: '06:30', daysOfWeek: '0101000', now: NOW, timeZone: TIME_ZONE }),
+                '75' + '261020004537' + '28' + '1600' + '061e');
+        });
+    });
+
+    describe('frames sent by the controller', () => {
+        let emulator;
+        let controller;
+        let frames;
+
+        beforeEach(async () => {
+            emulator = new ChargerEmulator({ code: '12345678', port: 0, echoMessageId: false });
+            await emulator.start();
+
+            controller = new ChargerController('123456', { clock: () => NOW, timeZone: TIME_ZONE });
+            controller.localPort = 0;
+            controller.resultTimeout = 200;
+            controller.setHost('127.0.0.1', emulator.address.port);
+
+            frames = {};
+            emulator.on('request', request => {
+                frames[request.command] = request.raw;
+            });
+        });
+
+        afterEach(async () => {
+            controller.disconnect();
+            await emulator.stop();
+        });
+
+        it('sends the exact timed charge frame', async () => {
+            await controller.sendSetTimedChargeState('23:30:15', '06:00');
+            assert.equal(frames[Command.SetTimedChargeState],
+                '55aa00011c0001e2406900013fd600019b2f171e0f060000002d2525');
+        });
+
+        it('sends the exact sync time frame', async () => {
+            await controller.sendSyncTime();
+            assert.equal(frames[Command.SetTime], '55aa0001110001e240762610200045377c');
+        });
+
+        it('sends the exact reservation frame', async () => {
+            await controller.setReservation({ days: ['mon', 'wed'], from: '22:00', to: '06:30' });
+            assert.equal(frames[Command.SetReservation], '55aa0001160001e24075261020004537281600061ee2');
+        });
+    });
+});
@@ -0,0 +1,254 @@
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    ChargerController,
+    ChargerEmulator,
+    ConsumptionArchive,
+    EmulatorProfile,
+    JsonFileHistoryStore,
+    MemoryHistoryStore,
+    SqliteHistoryStore,
+} from '../index.js';
+
+const DAY = 24 * 3600 * 1000;
+
+/** Ten days into January, on the first sync */
+const FIRST_SYNC = new Date('2026-01-10T12:00:00Z');
+
+/**
+ * @param {string} date 'YYYY-MM-DD'
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY).toISOString().substring(0, 10);
+
+/**
+ * A distinct consumption for each day: 101-131 in December, 201-231 in January.
+ * @param {string} date
+ * @returns {number}
+ */
+const consumptionOf = date => (date.startsWith('2025') ? 100 : 200) + parseInt(date.substring(8), 10);
+
+/**
+ * The charger's records, as `consumption` has them, on the day of `now`.
+ * @param {function(date: string): number} consumption
+ * @param {Date} now
+ * @param {number[]} months
+ * @returns {Object} the emulator's history option
+ */
+const historyOf = (consumption, now, months) => {
+    const today = now.toISOString().substring(0, 10);
+    const month = (key, length) => Array.from({ length }, (_, i) => {
+        const date = `${key}-${String(i + 1).padStart(2, '0')}`;
+        return date <= today ? consumption(date) : 0;
+    });
+
+    return {
+        days: Array.from({ length: 20 }, (_, i) => consumption(addDays(today, i - 19))),
+        months,
+        years: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1],
+        monthly: { '2025-12': month('2025-12', 31), '2026-01': month('2026-01', 31) },
+    };
+};
+
+const stores = [
+    ['MemoryHistoryStore', () => new MemoryHistoryStore()],
+    ['JsonFileHistoryStore', directory => new JsonFileHistoryStore(path.join(directory, 'history.json'))],
+    ['SqliteHistoryStore', (_directory, sqlite) => sqlite && new SqliteHistoryStore(new sqlite.DatabaseSync(':memory:'))],
+];
+
+describe('ConsumptionArchive', () => {
+    let directory;
+    let sqlite;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bcp-archive-'));
+        sqlite = await import('node:sqlite').catch(() => null);
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    for (const [name, createStore] of stores) {
+        describe(`with a ${name}`, () => {
+            let emulator = null;
+            let controller;
+            let archive;
+            let now;
+
+            /**
+             * Replaces the charger with one reporting `consumption`.
+             * @param {function(date: string): number} consumption
+             * @param {Object?} options
+             * @param {number[]?} options.months the rolling month records
+             * @param {Object<string, number[]>?} options.monthly more months of records
+             */
+            const serve = async (consumption, { months = new Array(12).fill(50), monthly = {} } = {}) => {
+                if (emulator)
+                    await emulator.stop();
+
+                const history = historyOf(consumption, now, months);
+                Object.assign(history.monthly, monthly);
+                emulator = new ChargerEmulator({ code: '12345678', port: 0, profile: EmulatorProfile.OnePhaseV111, history });
+                await emulator.start();
+                controller.setHost('127.0.0.1', emulator.address.port);
+            };
+
+            beforeEach(async function () {
+                const store = createStore(fs.mkdtempSync(path.join(directory, 'store-')), sqlite);
+                if (!store)
+                    this.skip();
+
+                now = FIRST_SYNC;
+                controller = new ChargerController('123456', { clock: () => now, timeZone: 'UTC' });
+                controller.localPort = 0;
+                controller.resultTimeout = 200;
+                archive = new ConsumptionArchive(controller, { charger: 'garage', store });
+                await serve(consumptionOf);
+            });
+
+            afterEach(async () => {
+                if (emulator) {
+                    controller.disconnect();
+                    await emulator.stop();
+                    emulator = null;
+                }
+            });
+
+            it('backfills every month the charger has records for on the first sync', async () => {
+                const result = await archive.sync();
+
+                assert.deepEqual(result, { today: '2026-01-10', backfilled: true, added: 41, updated: 0, anomalies: [] });
+                assert.deepEqual(await archive.query({ granularity: 'month' }), [
+                    { date: '2025-12', kWh: 3596 },
+                    { date: '2026-01', kWh: 2055 },
+                ]);
+                assert.deepEqual(await archive.query({ from: '2025-12-31', to: '2026-01-01' }), [
+                    { date: '2025-12-31', kWh: 131 },
+                    { date: '2026-01-01', kWh: 201 },
+                ]);
+            });
+
+            it('merges the same records only once', async () => {
+                await archive.sync();
+                const result = await archive.sync();
+
+                assert.deepEqual(result, { today: '2026-01-10', backfilled: false, added: 0, updated: 0, anomalies: [] });
+                assert.equal((await archive.query()).length, 41);
+            });
+
+            it('adds the new days, and updates today\'s value as it grows', async () => {
+                await archive.sync();
+
+                now = new Date(FIRST_SYNC.getTime() + DAY);
+                await serve(date => (date === '2026-01-10' ? 250 : consumptionOf(date)));
+                const result = await archive.sync();
+
+                assert.deepEqual(result, { today: '2026-01-11', backfilled: false, added: 1, updated: 1, anomalies: [] });
+                assert.deepEqual(await archive.query({ from: '2026-01-10' }), [
+                    { date: '2026-01-10', kWh: 250 },
+                    { date: '2026-01-11', kWh: 211 },
+                ]);
+            });
+
+            it('reports a reset when the charger reports less for archived days and months, keeping the archived values', async () => {
+                await archive.sync();
+
+                await serve(() => 0, { months: new Array(12).fill(0) });
+                const result = await archive.sync();
+
+                assert.deepEqual(result.anomalies.map(anomaly => [anomaly.kind, anomaly.dates.length]), [['reset', 8], ['reset', 11]]);
+                assert.deepEqual(result.anomalies[0].dates.slice(0, 2), ['2026-01-01', '2026-01-02']);
+                assert.deepEqual(result.anomalies[1].dates.slice(0, 2), ['2025-02', '2025-03']);
+                assert.equal(result.updated, 2);
+                assert.deepEqual(await archive.query({ from: '2026-01-08', to: '2026-01-10' }), [
+                    { date: '2026-01-08', kWh: 208 },
+                    { date: '2026-01-09', kWh: 0 },
+                    { date: '2026-01-10', kWh: 0 },
+                ]);
+            });
+
+            it('reports a clock skew when the charger reports archived days a day later', async () => {
+                await archive.sync();
+
+                await serve(date => consumptionOf(addDays(date, -1)));
+                const anomalies = [];
+                archive.on('anomaly', anomaly => anomalies.push(anomaly));
+                const result = await archive.sync();
+
+                assert.deepEqual(result.anomalies, anomalies);
+                assert.equal(anomalies.length, 1);
+                assert.equal(anomalies[0].kind, 'clock_skew');
+                assert.equal(anomalies[0].offset, 1);
+                assert.equal(anomalies[0].dates.length, 8);
+                assert.deepEqual(await archive.query({ from: '2026-01-01', to: '2026-01-01' }), [{ date: '2026-01-01', kWh: 201 }]);
+            });
+
+            it('reports a clock skew when the charger has records for a future month', async () => {
+                await serve(consumptionOf, { monthly: { '2026-02': [1] } });
+                const result = await archive.sync();
+
+                assert.deepEqual(result.anomalies, [
+                    { kind: 'clock_skew', message: 'the charger has records for a future month', dates: ['2026-02'] },
+                ]);
+            });
+
+            it('reports a conflict when an archived day changes otherwise', async () => {
+                await archive.sync();
+
+                await serve(date => (date === '2026-01-03' ? 999 : consumptionOf(date)));
+                const result = await archive.sync();
+
+                assert.deepEqual(result.anomalies, [
+                    { kind: 'conflict', message: 'the charger reports archived days differently', dates: ['2026-01-03'] },
+                ]);
+                assert.deepEqual(await archive.query({ from: '2026-01-03', to: '2026-01-03' }), [{ date: '2026-01-03', kWh: 203 }]);
+            });
+
+            it('keys the charger by the controller\'s code by default', async () => {
+                const store = archive.store;
+                const unnamed = new ConsumptionArchive(controller, { store });
+                await assert.rejects(unnamed.sync(), { message: /the charger's code is not known/ });
+
+                controller.code = 12345678;
+                await unnamed.sync();
+                assert.equal((await store.getDays('12345678')).length, 41);
+                assert.equal((await store.getDays('garage')).length, 0);
+            });
+        });
+    }
+
+    describe('JsonFileHistoryStore', () => {
+        it('shares the file between the stores of the same path', async () => {
+            const file = path.join(directory, 'shared.json');
+            const first = new JsonFileHistoryStore(file);
+            const second = new JsonFileHistoryStore(path.relative(process.cwd(), file));
+
+            await Promise.all([
+                first.putDays('garage', [{ date: '2026-01-01', kWh: 1 }]),
+                second.putDays('driveway', [{ date: '2026-01-01', kWh: 2 }]),
+                second.setState('garage', { backfilled: true }),
+            ]);
+
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            assert.deepEqual(data.chargers, {
+                garage: { days: { '2026-01-01': 1 }, state: { backfilled: true } },
+                driveway: { days: { '2026-01-01': 2 }, state: null },
+            });
+            assert.deepEqual(await first.getDays('driveway'), [{ date: '2026-01-01', kWh: 2 }]);
+            assert.ok(!fs.existsSync(file + '.tmp'));
+        });
+
+        it('reads the file written before', async () => {
+            const file = path.join(directory, 'written.json');
+            fs.writeFileSync(file, JSON.stringify({ version: 1, chargers: { garage: { days: { '2026-01-02': 3 }, state: null } } }));
+
+            const store = new JsonFileHistoryStore(file);
+            assert.deepEqual(await store.getDays('garage', { from: '2026-01-01' }), [{ date: '2026-01-02', kWh: 3 }]);
+            assert.equal(await store.getState('garage'), null);
+        });
+    });
+});
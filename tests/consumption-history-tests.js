@@ -0,0 +1,166 @@
+import { strict as assert } from 'node:assert';
+import {
+    ChargerController,
+    ChargerEmulator,
+    Command,
+    EmulatorProfile,
+    datePowerConsumptionRecords,
+    formatConsumption,
+} from '../index.js';
+
+/** 00:30 on 2026-01-01 in Jerusalem, still 2025 in UTC */
+const NOW = new Date('2025-12-31T22:30:00Z');
+
+/**
+ * @param {number} count
+ * @param {number} first
+ * @returns {number[]}
+ */
+const series = (count, first) => Array.from({ length: count }, (_, i) => first + i);
+
+describe('consumption history', () => {
+    describe('datePowerConsumptionRecords', () => {
+        const records = { days: series(20, 1), months: series(12, 101), years: series(10, 1001) };
+
+        it('dates the records back from today, on the clock of the timezone', () => {
+            const dated = datePowerConsumptionRecords(records, { now: NOW, timeZone: 'Asia/Jerusalem' });
+
+            assert.deepEqual(dated.days[19], { date: '2026-01-01', kWh: 20 });
+            assert.deepEqual(dated.days[18], { date: '2025-12-31', kWh: 19 });
+            assert.deepEqual(dated.days[0], { date: '2025-12-13', kWh: 1 });
+            assert.deepEqual(dated.months.map(x => x.date), [
+                '2025-02', '2025-03', '2025-04', '2025-05', '2025-06', '2025-07',
+                '2025-08', '2025-09', '2025-10', '2025-11', '2025-12', '2026-01',
+            ]);
+            assert.deepEqual(dated.years[0], { date: '2017', kWh: 1001 });
+            assert.deepEqual(dated.years[9], { date: '2026', kWh: 1010 });
+        });
+
+        it('dates the same records a day earlier in UTC', () => {
+            const dated = datePowerConsumptionRecords(records, { now: NOW, timeZone: 'UTC' });
+            assert.equal(dated.days[19].date, '2025-12-31');
+            assert.equal(dated.months[11].date, '2025-12');
+            assert.equal(dated.years[9].date, '2025');
+        });
+
+        it('dates the days across the end of february', () => {
+            const dated = datePowerConsumptionRecords(records, { now: new Date('2028-03-01T12:00:00Z'), timeZone: 'UTC' });
+            assert.deepEqual(dated.days.slice(17).map(x => x.date), ['2028-02-28', '2028-02-29', '2028-03-01']);
+        });
+
+        it('leaves the years empty when the firmware does not report them', () => {
+            const dated = datePowerConsumptionRecords({ days: [1], months: [2] }, { now: NOW, timeZone: 'UTC' });
+            assert.deepEqual(dated.years, []);
+        });
+    });
+
+    describe('against the emulator', () => {
+        let emulator;
+        let controller;
+        let months;
+
+        beforeEach(async () => {
+            emulator = new ChargerEmulator({
+                code: '12345678',
+                port: 0,
+                profile: EmulatorProfile.OnePhaseV111,
+                history: {
+                    days: series(20, 1),
+                    months: series(12, 1),
+                    monthly: {
+                        '2025-11': new Array(30).fill(1),
+                        '2025-12': series(31, 1).map(x => x / 10),
+                        '2026-01': new Array(31).fill(2),
+                    },
+                },
+            });
+            await emulator.start();
+
+            months = [];
+            emulator.on('request', request => {
+                if (request.command === Command.GetPowerConsumptionRecordsOfMonth)
+                    months.push(request.data);
+            });
+
+            controller = new ChargerController('123456', { clock: () => NOW, timeZone: 'Asia/Jerusalem' });
+            controller.localPort = 0;
+            controller.resultTimeout = 200;
+            controller.setHost('127.0.0.1', emulator.address.port);
+        });
+
+        afterEach(async () => {
+            controller.disconnect();
+            await emulator.stop();
+        });
+
+        it('dates the rolling records on the charger\'s clock', async () => {
+            const dated = await controller.getDatedConsumptionRecords();
+            assert.deepEqual(dated.days[19], { date: '2026-01-01', kWh: 20 });
+            assert.deepEqual(dated.months[11], { date: '2026-01', kWh: 12 });
+        });
+
+        it('stitches the days of the months of a range, across a year boundary', async () => {
+            const rows = await controller.getConsumption({ from: '2025-12-30', to: '2026-01-02' });
+
+            // Cut at today, the 1st
+            assert.deepEqual(rows, [
+                { date: '2025-12-30', kWh: 3 },
+                { date: '2025-12-31', kWh: 3.1 },
+                { date: '2026-01-01', kWh: 2 },
+            ]);
+            assert.equal(months.length, 2);
+        });
+
+        it('totals the range by month, leaving out months without records', async () => {
+            const rows = await controller.getConsumption({ from: '2025-10', granularity: 'month' });
+            assert.deepEqual(rows, [
+                { date: '2025-11', kWh: 30 },
+                { date: '2025-12', kWh: 49.6 },
+                { date: '2026-01', kWh: 2 },
+            ]);
+            assert.equal(months.length, 4);
+        });
+
+        it('totals the range by year', async () => {
+            const rows = await controller.getConsumption({ from: '2025', granularity: 'year' });
+            assert.deepEqual(rows, [{ date: '2025', kWh: 79.6 }, { date: '2026', kWh: 2 }]);
+        });
+
+        it('rejects an invalid query before sending anything', async () => {
+            await assert.rejects(controller.getConsumption({ from: '2025-12', granularity: 'week' }),
+                { name: 'RangeError', message: 'granularity must be day, month or year, got \'week\'' });
+            await assert.rejects(controller.getConsumption({ from: '2025-12-31', to: '2025-12-01' }),
+                { name: 'RangeError', message: 'from must not be after to' });
+            await assert.rejects(controller.getConsumption({ from: '31/12/2025' }), TypeError);
+            await assert.rejects(controller.getConsumption({ from: '2025-02-29' }),
+                { name: 'RangeError', message: 'from has an invalid day' });
+            assert.deepEqual(months, []);
+        });
+    });
+
+    describe('formatConsumption', () => {
+        const rows = [{ date: '2025-12-31', kWh: 3.1 }, { date: '2026-01-01', kWh: 2 }];
+
+        it('formats CSV with a header and CRLF line endings', () => {
+            assert.equal(formatConsumption(rows), 'date,kWh\r\n2025-12-31,3.1\r\n2026-01-01,2\r\n');
+        });
+
+        it('formats CSV with another delimiter, or without a header', () => {
+            assert.equal(formatConsumption(rows, { delimiter: ';', header: false }), '2025-12-31;3.1\r\n2026-01-01;2\r\n');
+        });
+
+        it('quotes the cells that hold the delimiter', () => {
+            assert.equal(formatConsumption([{ date: '2026', kWh: 1.5 }], { delimiter: '.', header: false }), '2026."1.5"\r\n');
+        });
+
+        it('formats JSON, with only the dates and kWh', () => {
+            const json = formatConsumption(rows.map(row => Object.assign({ extra: true }, row)), { format: 'json' });
+            assert.deepEqual(JSON.parse(json), rows);
+            assert.ok(json.endsWith('\n'));
+        });
+
+        it('rejects an unknown format', () => {
+            assert.throws(() => formatConsumption(rows, { format: 'xml' }), RangeError);
+        });
+    });
+});
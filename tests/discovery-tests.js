@@ -0,0 +1,136 @@
+import { strict as assert } from 'node:assert';
+import dgram from 'node:dgram';
+import { ChargerDiscovery, ChargerEmulator, EmulatorProfile, Command } from '../index.js';
+import { CommandUtil } from '../lib/command-util.js';
+
+/**
+ * A charger that answers the undocumented query for code 0, which the emulator does not
+ * @param {string} code
+ * @returns {Promise<dgram.Socket>}
+ */
+const startWildcardCharger = async code => {
+    const util = new CommandUtil();
+    const socket = dgram.createSocket('udp4');
+
+    socket.on('message', (msg, rinfo) => {
+        const request = util.parseRequest(msg.toString('utf8'));
+        if (request?.command !== Command.GetIpAddress || parseInt(request.data.substring(0, 8), 16) !== 0)
+            return;
+
+        const response = Command.GetIpAddress + parseInt(code, 10).toString(16).padStart(8, '0') + '7f000001' +
+            socket.address().port.toString(16).padStart(4, '0');
+        socket.send(Buffer.from(util.compileResponse(response), 'utf8'), rinfo.port, rinfo.address);
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    return socket;
+};
+
+describe('ChargerDiscovery', () => {
+    /** @type ChargerEmulator[] */
+    let emulators = [];
+
+    beforeEach(async () => {
+        emulators = [
+            new ChargerEmulator({ code: '12345678', port: 0, profile: EmulatorProfile.OnePhaseV111 }),
+            new ChargerEmulator({ code: '87654321', port: 0, password: '654321' }),
+        ];
+        for (let emulator of emulators)
+            await emulator.start();
+    });
+
+    afterEach(async () => {
+        for (let emulator of emulators)
+            await emulator.stop();
+    });
+
+    /**
+     * @param {ChargerEmulator} emulator
+     * @param {Object?} options
+     * @returns {ChargerDiscovery}
+     */
+    const discoveryOf = (emulator, options) => new ChargerDiscovery({
+        timeout: 200,
+        address: '127.0.0.1',
+        port: emulator.address.port,
+        localPort: 0,
+        ...options,
+    });
+
+    it('finds a charger by its code, with its model', async () => {
+        const port = emulators[0].address.port;
+        const chargers = await discoveryOf(emulators[0], { codes: ['12345678'] }).scan();
+
+        assert.equal(chargers.length, 1);
+        assert.equal(chargers[0].code, '12345678');
+        assert.equal(chargers[0].ip, '127.0.0.1');
+        assert.equal(chargers[0].port, port);
+        assert.equal(chargers[0].model.firmwareVersion, EmulatorProfile.OnePhaseV111.firmwareVersion);
+    });
+
+    it('leaves out the model of a charger with a different password', async () => {
+        const chargers = await discoveryOf(emulators[1], { codes: ['87654321'] }).scan();
+        assert.equal(chargers.length, 1);
+        assert.equal(chargers[0].model, null);
+    });
+
+    it('does not find a charger by another code', async () => {
+        assert.deepEqual(await discoveryOf(emulators[0], { codes: ['87654321'] }).scan(), []);
+    });
+
+    it('sends the query for code 0 only when asked for', async () => {
+        let queried = [];
+        emulators[0].on('request', request => queried.push(request.data.substring(0, 8)));
+
+        await discoveryOf(emulators[0], { codes: ['12345678'] }).scan();
+        assert.ok(!queried.includes('00000000'));
+
+        queried = [];
+        await discoveryOf(emulators[0], { codes: ['12345678'], wildcard: true }).scan();
+        assert.ok(queried.includes('00000000'));
+    });
+
+    it('finds a charger that answers the query for code 0, when asked for', async () => {
+        const charger = await startWildcardCharger('55555555');
+        const options = { timeout: 200, address: '127.0.0.1', port: charger.address().port, localPort: 0, includeModel: false };
+
+        try {
+            assert.deepEqual(await new ChargerDiscovery(options).scan(), []);
+
+            const chargers = await new ChargerDiscovery(Object.assign({}, options, { wildcard: true })).scan();
+            assert.deepEqual(chargers, [{ code: '55555555', ip: '127.0.0.1', port: charger.address().port, model: null }]);
+        } finally {
+            charger.close();
+        }
+    });
+
+    it('emits the socket errors of a scan, or fails the scan without a listener', async () => {
+        const discovery = discoveryOf(emulators[0], { codes: ['12345678'], address: 'no-such-host.invalid' });
+        await assert.rejects(discovery.scan(), { code: 'ENOTFOUND' });
+
+        let errors = [];
+        discovery.on('error', err => errors.push(err));
+        assert.deepEqual(await discovery.scan(), []);
+        assert.ok(errors.length > 0);
+        assert.ok(errors.every(err => err.code === 'ENOTFOUND'));
+    });
+
+    it('emits charger_found and charger_lost', async () => {
+        const discovery = discoveryOf(emulators[0], { codes: ['12345678'], interval: 10, lostAfter: 1 });
+
+        const found = new Promise(resolve => discovery.once('charger_found', resolve));
+        const lost = new Promise(resolve => discovery.once('charger_lost', resolve));
+
+        discovery.start();
+        try {
+            assert.equal((await found).code, '12345678');
+            assert.equal(discovery.chargers.length, 1);
+
+            await emulators[0].stop();
+            assert.equal((await lost).code, '12345678');
+            assert.equal(discovery.chargers.length, 0);
+        } finally {
+            discovery.stop();
+        }
+    });
+});
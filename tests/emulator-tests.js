@@ -0,0 +1,385 @@
+import { strict as assert } from 'node:assert';
+import {
+    ChargerController,
+    ChargerEmulator,
+    EmulatorProfile,
+    ChargerState,
+    ChargerMode,
+    Command,
+    codec,
+    ChargerTimeoutError,
+    ChargerRejectedError,
+    ChargerDeviceError,
+    ChargerErrorCode,
+    ChargerDisconnectedError,
+    ChargerUnsupportedError,
+    CommandPriority,
+} from '../index.js';
+import { MESSAGE_ID } from '../lib/protocol.js';
+
+/**
+ * @param {Object?} options emulator options
+ * @returns {Promise<{emulator: ChargerEmulator, controller: ChargerController}>}
+ */
+const startCharger = async (options = {}) => {
+    const emulator = new ChargerEmulator({ code: '12345678', port: 0, ...options });
+    await emulator.start();
+
+    const controller = new ChargerController(options.password ?? '123456');
+    controller.localPort = 0;
+    controller.resultTimeout = 200;
+    controller.retryPolicy = { attempts: 3, backoff: 10, jitter: 0 };
+    controller.setHost('127.0.0.1', emulator.address.port);
+
+    return { emulator, controller };
+};
+
+describe('ChargerController against ChargerEmulator', () => {
+    let emulator;
+    let controller;
+
+    afterEach(async () => {
+        controller?.disconnect();
+        await emulator?.stop();
+        controller = emulator = null;
+    });
+
+    for (let [name, profile] of Object.entries(EmulatorProfile)) {
+        describe(name, () => {
+            beforeEach(async () => {
+                ({ emulator, controller } = await startCharger({ profile }));
+            });
+
+            it('reads the model and capabilities', async () => {
+                const model = await controller.sendGetChargerModel();
+                assert.equal(model.version, profile.version);
+                assert.equal(model.firmwareVersion, profile.firmwareVersion);
+                assert.equal(model.mode, profile.mode);
+                assert.equal(controller.capabilities.threePhase, profile.mode === ChargerMode.ThreePhase);
+            });
+
+            it('answers a heartbeat', async () => {
+                let heartbeats = 0;
+                controller.on('heartbeat', () => heartbeats++);
+                await controller.sendHeartbeat();
+                assert.equal(heartbeats, 1);
+            });
+
+            it('starts and stops charging', async () => {
+                emulator.plugIn();
+                assert.equal((await controller.sendGetRealTimeData()).state, ChargerState.Standby);
+
+                assert.equal(await controller.sendSetChargeState(true), true);
+                assert.equal(emulator.chargerState, ChargerState.Charging);
+                assert.equal((await controller.sendGetRealTimeData()).state, ChargerState.Charging);
+
+                assert.equal(await controller.sendSetChargeState(false), true);
+                assert.equal(emulator.chargerState, ChargerState.Standby);
+            });
+
+            it('reads faults', async () => {
+                emulator.raiseFault('overVoltage');
+                const faults = await controller.sendGetFaultStatus();
+                assert.equal(faults.overVoltage, true);
+                assert.equal(faults.leakage, false);
+                assert.equal('sticking' in faults, controller.capabilities.supportsContactorFaults);
+            });
+
+            it('sets and reads back the controls', async () => {
+                assert.equal(await controller.sendSetRFIDAndApp(true, false), true);
+                assert.equal(await controller.sendSetDLB(true, false, 40, false), true);
+                assert.equal(await controller.sendSetGroundingDetection(false), true);
+                assert.equal(await controller.sendSetMaxCurrent(16), true);
+
+                const controls = await controller.sendGetControlsState();
+                assert.equal(controls.rfid, true);
+                assert.equal(controls.appControlCharging, false);
+                assert.equal(controls.dlb, true);
+                assert.equal(controls.dlbMaxCurrent, 40);
+                assert.equal(controls.groundingDetection, false);
+                assert.equal(controls.maxCurrent, 16);
+            });
+
+            it('sets the monthly limit and emergency stop protection, where supported', async () => {
+                await controller.sendGetChargerModel();
+
+                if (!controller.capabilities.supportsMaxMonthlyPower) {
+                    await assert.rejects(controller.sendSetMaxMonthlyPower(100), ChargerUnsupportedError);
+                    await assert.rejects(controller.sendSetEmergencyStopProtection(true), ChargerUnsupportedError);
+                    return;
+                }
+
+                await controller.sendSetMaxMonthlyPower(100);
+                await controller.sendSetEmergencyStopProtection(true);
+
+                const controls = await controller.sendGetControlsState();
+                assert.equal(controls.maxMonthlyPower, 100);
+                assert.equal(controls.emergencyStopProtection, true);
+            });
+
+            it('sets and clears the reservation', async () => {
+                await controller.setReservation({ days: ['mon', 'wed'], from: '22:00', to: '06:30' });
+                assert.deepEqual(await controller.getReservation(),
+                    { days: ['mon', 'wed'], from: '22:00', to: '06:30' });
+
+                await controller.setReservation(null);
+                assert.equal(await controller.getReservation(), null);
+            });
+
+            it('reads the consumption records', async () => {
+                const records = await controller.sendGetPowerConsumptionRecords();
+                assert.equal(records.days.length, 20);
+                assert.equal(records.months.length, 12);
+                assert.equal(records.years.length, controller.capabilities.supportsYearRecords ? 10 : 0);
+            });
+        });
+    }
+
+    describe('any profile', () => {
+        beforeEach(async () => {
+            ({ emulator, controller } = await startCharger({
+                history: { monthly: { '2026-02': [1.5, 2] } },
+            }));
+        });
+
+        it('resolves the charger by its code', async () => {
+            const port = emulator.address.port;
+            controller.setHost(null, port);
+            assert.deepEqual(await controller.sendGetIpAddress('12345678'), { ip: '127.0.0.1', port });
+        });
+
+        it('reads the records of a month', async () => {
+            const records = await controller.sendGetPowerConsumptionRecordsOfMonth(2026, 2);
+            assert.equal(records.isEffective, true);
+            assert.equal(records.days.length, 28);
+            assert.deepEqual(records.days.slice(0, 3), [1.5, 2, 0]);
+
+            assert.equal((await controller.sendGetPowerConsumptionRecordsOfMonth(2026, 3)).isEffective, false);
+        });
+
+        it('sets the timed charge', async () => {
+            await controller.sendSetTimedChargeState('23:00', '06:15');
+            const data = await controller.sendGetRealTimeData();
+            assert.equal(data.timedChargeEnabled, true);
+        });
+
+        it('sets the max power', async () => {
+            await controller.sendSetMaxPower(20);
+            assert.equal((await controller.sendGetRealTimeData()).maxPower, 20);
+        });
+
+        it('syncs the clock', async () => {
+            await controller.sendSyncTime();
+            assert.ok(Math.abs(emulator.now.getTime() - Date.now()) < 2000);
+        });
+
+        it('sets the wifi access point, bluetooth and iap modes', async () => {
+            await controller.sendSetWifiAccessPoint('home', 'secret-passphrase');
+            assert.deepEqual(emulator.wifi, { ssid: 'home', password: 'secret-passphrase' });
+
+            await controller.sendSetBluetoothConnectionMode(true);
+            assert.equal(emulator.bluetoothConnectionMode, true);
+
+            await controller.sendSwitchIapMode(true);
+            assert.equal(emulator.iapMode, true);
+        });
+
+        it('changes the password', async () => {
+            assert.equal(await controller.sendSetPassword('654321'), true);
+            assert.equal(emulator.password, '654321');
+            await controller.sendHeartbeat();
+        });
+
+        it('confirms a password change whose response was lost', async () => {
+            await controller.sendHeartbeat();
+            emulator.dropResponses(1);
+            assert.equal(await controller.sendSetPassword('654321'), true);
+            assert.equal(emulator.password, '654321');
+            await controller.sendHeartbeat();
+        });
+
+        it('keeps the previous password when the change was lost', async () => {
+            await controller.sendHeartbeat();
+            emulator.dropRequests(1);
+            await assert.rejects(controller.sendSetPassword('654321'), ChargerTimeoutError);
+            assert.equal(emulator.password, '123456');
+            await controller.sendHeartbeat();
+        });
+
+        it('rejects a current out of the firmware range', async () => {
+            // Past the client's validation, straight to the charger
+            const command = Command.SetMaxCurrent + (40).toString(16).padStart(4, '0');
+            assert.equal(codec.decodeSetMaxCurrent(await controller.sendCommand(command, true)), false);
+        });
+
+        it('retries a getter when packets are lost', async () => {
+            await controller.sendHeartbeat();
+            emulator.dropRequests(1);
+            emulator.dropResponses(1);
+            await controller.sendGetControlsState();
+        });
+
+        it('times out when the charger does not respond', async () => {
+            emulator.dropRequests(10);
+            await assert.rejects(controller.sendHeartbeat(), ChargerTimeoutError);
+        });
+
+        it('does not retry a setter unless asked to', async () => {
+            await controller.sendHeartbeat();
+            emulator.dropRequests(1);
+            await assert.rejects(controller.sendSetRFIDAndApp(true, true), ChargerTimeoutError);
+            await controller.sendSetRFIDAndApp(true, true);
+        });
+
+        it('rejects a charge that cannot start', async () => {
+            await assert.rejects(controller.sendSetChargeState(true), ChargerRejectedError);
+        });
+    });
+
+    describe('message ids', () => {
+        /**
+         * @param {boolean} echoMessageId
+         * @returns {Promise<string[]>} the message ids of the requests, in order
+         */
+        const sendRequests = async echoMessageId => {
+            ({ emulator, controller } = await startCharger({ echoMessageId }));
+
+            let messageIds = [];
+            emulator.on('request', request => messageIds.push(request.messageId));
+
+            await controller.sendGetRealTimeData();
+            await controller.sendGetControlsState();
+            await controller.sendHeartbeat();
+
+            return messageIds;
+        };
+
+        it('are the default one, for firmware that does not echo them', async () => {
+            // The probe, the model, and the three requests
+            const messageIds = await sendRequests(false);
+            assert.equal(messageIds.length, 5);
+            assert.notEqual(messageIds[0], MESSAGE_ID);
+            assert.deepEqual(messageIds.slice(1), new Array(4).fill(MESSAGE_ID));
+        });
+
+        it('are per request, once the firmware is seen echoing them', async () => {
+            // The model goes out alongside the probe, before its echo is seen
+            const messageIds = await sendRequests(true);
+            assert.equal(messageIds.length, 5);
+            assert.equal(messageIds[1], MESSAGE_ID);
+            assert.ok(!messageIds.slice(2).includes(MESSAGE_ID));
+            assert.equal(new Set(messageIds).size, 5);
+        });
+
+        it('are probed alongside the first command, without holding it up', async () => {
+            ({ emulator, controller } = await startCharger());
+
+            let retries = 0;
+            controller.on('retry', () => retries++);
+
+            // The probe goes first, and its response is lost
+            emulator.dropResponses(1);
+            const startedAt = Date.now();
+            await controller.sendHeartbeat();
+
+            assert.equal(retries, 0);
+            assert.ok(Date.now() - startedAt < controller.resultTimeout);
+        });
+
+        it('are not probed on a broadcast', async () => {
+            ({ emulator, controller } = await startCharger());
+
+            let messageIds = [];
+            emulator.on('request', request => messageIds.push(request.messageId));
+
+            controller.setHost(null, emulator.address.port);
+            await controller.sendGetIpAddress('12345678');
+            assert.deepEqual(messageIds, [MESSAGE_ID]);
+        });
+    });
+
+    describe('command queue', () => {
+        let commands;
+
+        beforeEach(async () => {
+            ({ emulator, controller } = await startCharger());
+            await controller.sendGetChargerModel();
+
+            commands = [];
+            emulator.on('request', request => commands.push(request.command));
+        });
+
+        it('sends queued commands by priority, and in order within one', async () => {
+            await Promise.all([
+                controller.sendHeartbeat(),
+                controller.sendGetFaultStatus({ priority: CommandPriority.Low }),
+                controller.sendGetControlsState(),
+                controller.sendGetRealTimeData({ priority: CommandPriority.High }),
+                controller.sendGetPowerConsumptionRecords(),
+            ]);
+
+            assert.deepEqual(commands, [
+                Command.Heartbeat, Command.GetRealTimeData, Command.GetControlsState,
+                Command.GetPowerConsumptionRecords, Command.GetFaultStatus,
+            ]);
+        });
+
+        it('coalesces identical reads into one request', async () => {
+            const [first, second] = await Promise.all([
+                controller.sendGetControlsState(),
+                controller.sendGetControlsState(),
+            ]);
+
+            assert.deepEqual(first, second);
+            assert.deepEqual(commands, [Command.GetControlsState]);
+        });
+
+        it('raises a coalesced read to the priority of its most urgent caller', async () => {
+            await Promise.all([
+                controller.sendHeartbeat(),
+                controller.sendGetControlsState({ priority: CommandPriority.Low }),
+                controller.sendGetFaultStatus(),
+                controller.sendGetControlsState({ priority: CommandPriority.High }),
+            ]);
+
+            assert.deepEqual(commands, [Command.Heartbeat, Command.GetControlsState, Command.GetFaultStatus]);
+        });
+
+        it('drops the queued and in-flight commands on disconnect, without sending them again', async () => {
+            let dropped = 0;
+            emulator.on('dropped', () => dropped++);
+            emulator.dropRequests(10);
+
+            const pending = [controller.sendGetRealTimeData(), controller.sendGetFaultStatus()]
+                .map(x => assert.rejects(x, ChargerDisconnectedError));
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            controller.disconnect();
+            await Promise.all(pending);
+
+            // Only the first one was sent
+            await new Promise(resolve => setTimeout(resolve, controller.resultTimeout));
+            assert.equal(dropped, 1);
+        });
+    });
+
+    describe('wrong password', () => {
+        beforeEach(async () => {
+            ({ emulator, controller } = await startCharger());
+            controller.disconnect();
+            controller = new ChargerController('111111');
+            controller.localPort = 0;
+            controller.resultTimeout = 200;
+            controller.setHost('127.0.0.1', emulator.address.port);
+        });
+
+        it('fails with the error frame of the charger', async () => {
+            await assert.rejects(controller.sendHeartbeat(), {
+                name: 'ChargerDeviceError',
+                deviceCode: ChargerErrorCode.WrongPassword,
+                command: Command.Heartbeat,
+                message: 'charger error: wrong password (code 01)',
+            });
+        });
+    });
+});
@@ -0,0 +1,22 @@
+import { strict as assert } from 'node:assert';
+import { ChargerError, ChargerDeviceError, ChargerErrorCode } from '../index.js';
+
+describe('ChargerDeviceError', () => {
+    it('describes the known error codes', () => {
+        const wrongPassword = new ChargerDeviceError({ deviceCode: ChargerErrorCode.WrongPassword, command: '01' });
+        assert.equal(wrongPassword.message, 'charger error: wrong password (code 01)');
+        assert.equal(wrongPassword.code, 'EDEVICE');
+        assert.equal(wrongPassword.command, '01');
+        assert.ok(wrongPassword instanceof ChargerError);
+
+        const unsupported = new ChargerDeviceError({ deviceCode: ChargerErrorCode.UnsupportedCommand });
+        assert.equal(unsupported.message, 'charger error: unsupported command (code 02)');
+        assert.equal(unsupported.command, null);
+    });
+
+    it('passes an unknown error code on as sent', () => {
+        const err = new ChargerDeviceError({ deviceCode: '7f' });
+        assert.equal(err.message, 'charger error: code 7f');
+        assert.equal(err.deviceCode, '7f');
+    });
+});
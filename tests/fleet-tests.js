@@ -0,0 +1,65 @@
+import { strict as assert } from 'node:assert';
+import { ChargerController, ChargerEmulator, ChargerFleet } from '../index.js';
+
+describe('ChargerFleet', () => {
+    /** @type ChargerEmulator[] */
+    let emulators;
+    /** @type ChargerFleet */
+    let fleet;
+
+    beforeEach(async () => {
+        emulators = [
+            new ChargerEmulator({ code: '12345678', port: 0 }),
+            new ChargerEmulator({ code: '87654321', port: 0, password: '654321' }),
+        ];
+        for (let emulator of emulators)
+            await emulator.start();
+
+        fleet = new ChargerFleet({ localPort: 0 });
+        fleet.add('12345678', { ip: '127.0.0.1', port: emulators[0].address.port });
+        fleet.add('87654321', { password: '654321', ip: '127.0.0.1', port: emulators[1].address.port });
+        for (let controller of fleet.controllers)
+            controller.resultTimeout = 200;
+    });
+
+    afterEach(async () => {
+        fleet.close();
+        for (let emulator of emulators)
+            await emulator.stop();
+    });
+
+    it('routes the responses to each charger over one socket', async () => {
+        const results = await fleet.setMaxCurrent(16);
+        assert.deepEqual(results.map(x => [x.code, x.ok, x.value]), [['12345678', true, true], ['87654321', true, true]]);
+        assert.equal((await fleet.get('87654321').sendGetControlsState()).maxCurrent, 16);
+    });
+
+    it('syncs the clock of each charger', async () => {
+        const results = await fleet.broadcastSyncTime();
+        assert.ok(results.every(x => x.ok));
+        for (let emulator of emulators)
+            assert.ok(Math.abs(emulator.now.getTime() - Date.now()) < 2000);
+    });
+
+    it('tags the events with the charger code', async () => {
+        let codes = [];
+        fleet.on('realtime_data', ({ code }) => codes.push(code));
+        await fleet.get('87654321').sendGetRealTimeData();
+        assert.deepEqual(codes, ['87654321']);
+    });
+
+    it('reports the failures of each charger', async () => {
+        emulators[1].dropRequests(10);
+        const results = await fleet.setMaxCurrent(16);
+        assert.equal(results[0].ok, true);
+        assert.equal(results[1].ok, false);
+        assert.equal(results[1].error.code, 'ETIMEDOUT');
+    });
+
+    it('creates controllers of the given class', () => {
+        class TestController extends ChargerController {}
+        const other = new ChargerFleet({ controllerClass: TestController, localPort: 0 });
+        assert.ok(other.add('12345678') instanceof TestController);
+        assert.ok(fleet.get('12345678') instanceof ChargerController);
+    });
+});
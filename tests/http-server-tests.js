@@ -0,0 +1,95 @@
+import { strict as assert } from 'node:assert';
+import http from 'node:http';
+import { ChargerController, ChargerEmulator, ChargerFleet, createHttpServer } from '../index.js';
+
+/**
+ * @param {http.Server} server
+ * @param {string} method
+ * @param {string} path
+ * @param {*?} body
+ * @returns {Promise<{status: number, body: *}>}
+ */
+const request = (server, method, path, body) => new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, method, path }, res => {
+        let chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+});
+
+describe('createHttpServer', () => {
+    let emulator;
+    let controller;
+    let server;
+
+    beforeEach(async () => {
+        emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+        await emulator.start();
+
+        // A Wednesday
+        controller = new ChargerController('123456', { clock: () => new Date('2026-01-07T12:00:00Z'), timeZone: 'UTC' });
+        controller.localPort = 0;
+        controller.resultTimeout = 200;
+        controller.setHost('127.0.0.1', emulator.address.port);
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        controller.disconnect();
+        await emulator.stop();
+    });
+
+    /**
+     * @param {ChargerController|ChargerFleet} target
+     * @param {HttpServerOptions?} options
+     */
+    const listen = async (target, options) => {
+        server = createHttpServer(target, options);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    };
+
+    it('reads the next reservation window on the controller clock', async () => {
+        await listen(controller);
+        await controller.setReservation({ days: ['mon'], from: '22:00', to: '06:30' });
+
+        const { status, body } = await request(server, 'GET', '/reservation');
+        assert.equal(status, 200);
+        assert.deepEqual(body.reservation, { days: ['mon'], from: '22:00', to: '06:30' });
+        assert.deepEqual(body.next, { start: '2026-01-12T22:00:00.000Z', end: '2026-01-13T06:30:00.000Z' });
+    });
+
+    it('validates the max current against the range of the charger', async () => {
+        await listen(controller);
+
+        const { status, body } = await request(server, 'PUT', '/max-current', { maxCurrent: 40 });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details, ['body.maxCurrent must be <= 32']);
+
+        const openApi = (await request(server, 'GET', '/openapi.json')).body;
+        const schema = openApi.paths['/max-current'].put.requestBody.content['application/json'].schema;
+        assert.deepEqual(schema.properties.maxCurrent, { type: 'integer', minimum: 6, maximum: 32 });
+    });
+
+    it('answers an oversized body with 413, before closing the connection', async () => {
+        await listen(controller, { maxBodySize: 100 });
+
+        const { status, body } = await request(server, 'PUT', '/max-current', { maxCurrent: 16, padding: 'x'.repeat(100000) });
+        assert.equal(status, 413);
+        assert.equal(body.error, 'request body is too large');
+    });
+
+    it('rejects a malformed escape in a path parameter', async () => {
+        await listen(controller);
+        const { status } = await request(server, 'GET', '/history/%E0/1');
+        assert.equal(status, 400);
+    });
+
+    it('rejects a malformed escape in a fleet charger code', async () => {
+        const fleet = new ChargerFleet({ localPort: 0 });
+        await listen(fleet);
+        const { status } = await request(server, 'GET', '/chargers/%E0/status');
+        assert.equal(status, 400);
+    });
+});
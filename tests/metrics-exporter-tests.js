@@ -0,0 +1,103 @@
+import { strict as assert } from 'node:assert';
+import { ChargerController, ChargerEmulator, ChargerState, Command, MetricsExporter } from '../index.js';
+
+describe('MetricsExporter', () => {
+    let controller;
+    let exporter;
+
+    beforeEach(() => {
+        controller = new ChargerController('123456');
+        exporter = new MetricsExporter({ buckets: [0.1, 0.01] });
+    });
+
+    /**
+     * @param {string} name the metric name, without the prefix
+     * @returns {string[]} its sample lines
+     */
+    const samples = name => exporter.metrics().split('\n')
+        .filter(line => line.startsWith(`bcp_charger_${name}{`) || line.startsWith(`bcp_charger_${name} `));
+
+    it('renders the realtime data and faults, with the labels escaped', () => {
+        exporter.add('garage "north"\\2\nB', controller);
+
+        controller.emit('realtime_data', {
+            state: ChargerState.Charging, voltageA: 231, voltageB: 230, voltageC: 229,
+            electricCurrentA: 16, electricCurrentB: 16, electricCurrentC: 15, power: 11.1, temperature: 35, totalPower: 4.2,
+        });
+        controller.emit('fault_status', { overVoltage: true, leakage: false });
+
+        const charger = 'charger="garage \\"north\\"\\\\2\\nB"';
+        assert.deepEqual(samples('voltage_volts'), [
+            `bcp_charger_voltage_volts{${charger},phase="A"} 231`,
+            `bcp_charger_voltage_volts{${charger},phase="B"} 230`,
+            `bcp_charger_voltage_volts{${charger},phase="C"} 229`,
+        ]);
+        assert.deepEqual(samples('power_kilowatts'), [`bcp_charger_power_kilowatts{${charger}} 11.1`]);
+        assert.deepEqual(samples('energy_kilowatt_hours_total'), [`bcp_charger_energy_kilowatt_hours_total{${charger}} 4.2`]);
+        assert.ok(samples('state').includes(`bcp_charger_state{${charger},state="Charging"} 1`));
+        assert.ok(samples('state').includes(`bcp_charger_state{${charger},state="Standby"} 0`));
+        assert.deepEqual(samples('fault'), [
+            `bcp_charger_fault{${charger},flag="overVoltage"} 1`,
+            `bcp_charger_fault{${charger},flag="leakage"} 0`,
+        ]);
+    });
+
+    it('renders the command timings as histograms, and counts the timeouts apart', () => {
+        exporter.add('1', controller);
+
+        controller.emit('command_timing', { command: Command.Heartbeat, duration: 5, outcome: 'ok' });
+        controller.emit('command_timing', { command: Command.Heartbeat, duration: 50, outcome: 'device_error' });
+        controller.emit('command_timing', { command: Command.Heartbeat, duration: 500, outcome: 'ok' });
+        controller.emit('command_timing', { command: Command.Heartbeat, duration: 1000, outcome: 'timeout' });
+        controller.emit('command_timing', { command: Command.Heartbeat, duration: 1, outcome: 'send_error' });
+        controller.emit('malformed_message', Buffer.from('55aa'), new Error('malformed'));
+
+        const text = exporter.metrics();
+        assert.ok(text.includes([
+            '# HELP bcp_charger_command_duration_seconds Round trip time of answered commands, per attempt.',
+            '# TYPE bcp_charger_command_duration_seconds histogram',
+            'bcp_charger_command_duration_seconds_bucket{charger="1",command="Heartbeat",le="0.01"} 1',
+            'bcp_charger_command_duration_seconds_bucket{charger="1",command="Heartbeat",le="0.1"} 2',
+            'bcp_charger_command_duration_seconds_bucket{charger="1",command="Heartbeat",le="+Inf"} 3',
+            'bcp_charger_command_duration_seconds_sum{charger="1",command="Heartbeat"} 0.555',
+            'bcp_charger_command_duration_seconds_count{charger="1",command="Heartbeat"} 3',
+            '# HELP bcp_charger_command_timeouts_total Command attempts that timed out.',
+            '# TYPE bcp_charger_command_timeouts_total counter',
+            'bcp_charger_command_timeouts_total{charger="1",command="Heartbeat"} 1',
+            '# HELP bcp_charger_malformed_frames_total Frames that could not be parsed.',
+            '# TYPE bcp_charger_malformed_frames_total counter',
+            'bcp_charger_malformed_frames_total{charger="1"} 1',
+        ].join('\n') + '\n'));
+    });
+
+    it('times the commands of a controller', async () => {
+        const emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+        await emulator.start();
+
+        controller.localPort = 0;
+        controller.setHost('127.0.0.1', emulator.address.port);
+        exporter.add('12345678', controller);
+
+        try {
+            await controller.sendGetRealTimeData();
+        } finally {
+            controller.disconnect();
+            await emulator.stop();
+        }
+
+        assert.ok(samples('command_duration_seconds_count')
+            .includes('bcp_charger_command_duration_seconds_count{charger="12345678",command="GetRealTimeData"} 1'));
+    });
+
+    it('drops the metrics of a removed charger', () => {
+        exporter.add('1', controller);
+        controller.emit('realtime_data', { state: ChargerState.Standby, power: 0 });
+
+        assert.equal(exporter.remove('1'), true);
+        controller.emit('realtime_data', { state: ChargerState.Standby, power: 1 });
+
+        assert.deepEqual(exporter.chargers, []);
+        assert.deepEqual(samples('power_kilowatts'), []);
+        assert.equal(exporter.remove('1'), false);
+    });
+});
@@ -0,0 +1,112 @@
+import { strict as assert } from 'node:assert';
+import net from 'node:net';
+import Aedes from 'aedes';
+import mqtt from 'mqtt';
+import { ChargerController, ChargerEmulator, MqttBridge } from '../index.js';
+
+describe('MqttBridge', () => {
+    let broker;
+    let server;
+    let emulator;
+    let controller;
+    let client;
+    let observer;
+    let bridge;
+
+    const options = { id: '12345678', heartbeatInterval: 0 };
+
+    /**
+     * @param {Object?} connectOptions
+     * @returns {Promise<MqttClient>}
+     */
+    const connect = async connectOptions => {
+        const connected = mqtt.connect(`mqtt://127.0.0.1:${server.address().port}`, { reconnectPeriod: 50, ...connectOptions });
+        await new Promise((resolve, reject) => {
+            connected.once('connect', resolve);
+            connected.once('error', reject);
+        });
+        return connected;
+    };
+
+    /**
+     * Resolves with the next payload published to a topic, retained or not.
+     * @param {string} topic
+     * @param {string?} payload waits for this payload
+     * @returns {Promise<string>}
+     */
+    const nextMessage = (topic, payload) => new Promise(resolve => {
+        const onMessage = (messageTopic, message) => {
+            if (messageTopic !== topic || (payload !== undefined && message.toString() !== payload))
+                return;
+            observer.off('message', onMessage);
+            resolve(message.toString());
+        };
+        observer.on('message', onMessage);
+        observer.subscribe(topic);
+    });
+
+    beforeEach(async () => {
+        broker = Aedes();
+        server = net.createServer(broker.handle);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+        await emulator.start();
+
+        controller = new ChargerController('123456');
+        controller.localPort = 0;
+        controller.resultTimeout = 200;
+        controller.setHost('127.0.0.1', emulator.address.port);
+
+        client = await connect({ will: MqttBridge.lastWill(options) });
+        observer = await connect();
+        bridge = new MqttBridge(controller, client, options);
+    });
+
+    afterEach(async () => {
+        bridge.stop();
+        await new Promise(resolve => client.end(true, {}, resolve));
+        await new Promise(resolve => observer.end(true, {}, resolve));
+        controller.disconnect();
+        await emulator.stop();
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('publishes the availability and the discovery configs', async () => {
+        const discovery = nextMessage('homeassistant/number/bcp_12345678/max_current/config');
+        await bridge.start();
+
+        assert.equal(bridge.isOnline, true);
+        assert.equal(await nextMessage('bcp-charger/12345678/availability'), 'online');
+        const config = JSON.parse(await discovery);
+        assert.equal(config.availability_topic, 'bcp-charger/12345678/availability');
+        assert.deepEqual([config.min, config.max], [6, 32]);
+    });
+
+    it('publishes the snapshots the controller reads', async () => {
+        await bridge.start();
+        const maxCurrent = nextMessage('bcp-charger/12345678/controls/maxCurrent');
+        await controller.sendGetControlsState();
+        assert.equal(await maxCurrent, String(emulator.controls.maxCurrent));
+    });
+
+    it('applies a command topic', async () => {
+        await bridge.start();
+        const applied = new Promise(resolve => bridge.once('command', resolve));
+        observer.publish('bcp-charger/12345678/set/max_current', '10');
+        assert.deepEqual(await applied, { command: 'max_current', payload: '10' });
+        assert.equal(emulator.controls.maxCurrent, 10);
+    });
+
+    it('is published offline by the last will, and online again on reconnecting', async () => {
+        await bridge.start();
+        await nextMessage('bcp-charger/12345678/availability', 'online');
+
+        const offline = nextMessage('bcp-charger/12345678/availability', 'offline');
+        client.stream.destroy();
+        await offline;
+
+        assert.equal(await nextMessage('bcp-charger/12345678/availability', 'online'), 'online');
+    });
+});
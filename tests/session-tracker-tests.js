@@ -0,0 +1,69 @@
+import { strict as assert } from 'node:assert';
+import { ChargerController, ChargerState, SessionTracker, MemorySessionStore } from '../index.js';
+
+describe('SessionTracker', () => {
+    let now;
+    let controller;
+    let tracker;
+    let saved;
+
+    beforeEach(() => {
+        now = new Date('2026-10-19T08:00:00Z');
+        saved = [];
+        controller = new ChargerController('123456', { clock: () => now });
+
+        const store = new MemorySessionStore();
+        const save = store.save.bind(store);
+        store.save = session => {
+            saved.push(session);
+            save(session);
+        };
+
+        tracker = new SessionTracker(controller, { store, saveInterval: 60000 });
+    });
+
+    afterEach(() => tracker.detach());
+
+    /**
+     * @param {number} minutes
+     * @param {Partial<ChargerRealTimeData>} data
+     */
+    const sample = (minutes, data) => {
+        now = new Date(now.getTime() + minutes * 60000);
+        controller.emit('realtime_data', { power: 7, electricCurrent: 32, ...data });
+    };
+
+    it('counts the energy of the sample that opens the session', async () => {
+        sample(0, { state: ChargerState.Charging, totalPower: 0.4 });
+        sample(1, { state: ChargerState.Charging, totalPower: 0.5 });
+        sample(1, { state: ChargerState.Unplugged, totalPower: 0.5 });
+        await Promise.resolve();
+
+        const [session] = await tracker.getSessions();
+        assert.equal(session.energy, 0.5);
+        assert.equal(session.samples, 3);
+    });
+
+    it('dates the session by the controller clock', async () => {
+        const startedAt = now;
+        sample(0, { state: ChargerState.Charging, totalPower: 0 });
+        sample(30, { state: ChargerState.Unplugged, totalPower: 3 });
+        await Promise.resolve();
+
+        const [session] = await tracker.getSessions();
+        assert.deepEqual(session.startedAt, startedAt);
+        assert.deepEqual(session.endedAt, new Date(startedAt.getTime() + 30 * 60000));
+    });
+
+    it('saves the progress of an open session every saveInterval', async () => {
+        sample(0, { state: ChargerState.Charging, totalPower: 0 });
+        sample(0.5, { state: ChargerState.Charging, totalPower: 0.1 });
+        sample(0.5, { state: ChargerState.Charging, totalPower: 0.2 });
+        sample(0.5, { state: ChargerState.Charging, totalPower: 0.3 });
+        await Promise.resolve();
+
+        // Opened, and a minute later
+        assert.deepEqual(saved.map(x => x.energy), [0, 0.2]);
+        assert.equal(saved[1].endedAt, null);
+    });
+});
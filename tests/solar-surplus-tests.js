@@ -0,0 +1,204 @@
+import { strict as assert } from 'node:assert';
+import { once } from 'node:events';
+import FakeTimers from '@sinonjs/fake-timers';
+import {
+    ChargerController,
+    ChargerEmulator,
+    ChargerState,
+    EmulatorProfile,
+    SolarMode,
+    SolarSurplusController,
+    CallbackGridSource,
+} from '../index.js';
+
+/** Starts at once, and stops at once */
+const NO_DELAYS = Object.freeze({
+    startDelay: 0,
+    stopDelay: 0,
+    minOnTime: 0,
+    minOffTime: 0,
+});
+
+describe('SolarSurplusController', () => {
+    /** @type ChargerEmulator */
+    let emulator;
+    /** @type ChargerController */
+    let controller;
+    /** @type CallbackGridSource */
+    let source;
+    /** @type SolarSurplusController|null */
+    let solar;
+    let clock;
+
+    beforeEach(() => {
+        // Only the clock is faked: the charger's round trips still take real time
+        clock = FakeTimers.install({ toFake: ['Date'], now: new Date('2026-06-21T12:00:00Z') });
+        source = new CallbackGridSource();
+        solar = null;
+    });
+
+    afterEach(async () => {
+        solar?.stop();
+        controller.disconnect();
+        await emulator.stop();
+        clock.uninstall();
+    });
+
+    /**
+     * Starts a charger with a vehicle plugged in, and the solar controller following it
+     * @param {SolarSurplusOptions?} options
+     * @param {EmulatorProfile?} profile
+     */
+    const startSolar = async (options, profile = EmulatorProfile.OnePhaseV111) => {
+        emulator = new ChargerEmulator({ code: '12345678', port: 0, profile });
+        await emulator.start();
+        emulator.plugIn();
+
+        controller = new ChargerController('123456');
+        controller.localPort = 0;
+        controller.resultTimeout = 200;
+        controller.setHost('127.0.0.1', emulator.address.port);
+        await controller.sendGetChargerModel();
+        await controller.sendGetRealTimeData();
+
+        solar = new SolarSurplusController(controller, source, options);
+        solar.start();
+    };
+
+    /**
+     * Pushes a reading, and waits for its decision - which comes after the previous one was applied
+     * @param {number} watts
+     * @returns {Promise<SolarDecision>}
+     */
+    const read = async watts => {
+        const decision = once(solar, 'decision');
+        source.push(watts);
+        return (await decision)[0];
+    };
+
+    it('starts once the surplus has lasted the start delay', async () => {
+        await startSolar({ startDelay: 60000, minOffTime: 0 });
+
+        assert.equal((await read(-2000)).reason, 'surplus, waiting for the start delay');
+        clock.tick(59999);
+        assert.equal((await read(-2000)).action, 'hold');
+
+        // Not enough surplus restarts the delay
+        clock.tick(1);
+        assert.equal((await read(-1000)).reason, 'not enough surplus');
+        assert.equal((await read(-2000)).reason, 'surplus, waiting for the start delay');
+        clock.tick(60000);
+
+        const decision = await read(-2000);
+        assert.equal(decision.action, 'start');
+        assert.equal(decision.current, 8);
+
+        assert.equal((await read(-2000)).charging, true);
+        assert.equal(emulator.chargerState, ChargerState.Charging);
+        assert.equal(emulator.controls.maxCurrent, 8);
+    });
+
+    it('stops only after the stop delay, and the minimum on time', async () => {
+        await startSolar({ startDelay: 0, minOffTime: 0, stopDelay: 180000, minOnTime: 300000 });
+        assert.equal((await read(-3000)).action, 'start');
+
+        let decision = await read(500);
+        assert.equal(decision.action, 'adjust');
+        assert.equal(decision.current, 6);
+        assert.equal(decision.reason, 'deficit, waiting to stop');
+
+        clock.tick(180000);
+        decision = await read(500);
+        assert.equal(decision.action, 'hold');
+        assert.equal(decision.reason, 'deficit, waiting to stop');
+
+        clock.tick(120000);
+        assert.equal((await read(500)).action, 'stop');
+
+        assert.equal((await read(500)).charging, false);
+        assert.equal(emulator.chargerState, ChargerState.Standby);
+    });
+
+    it('keeps charging when the deficit ends before the stop delay', async () => {
+        await startSolar({ startDelay: 0, minOffTime: 0, stopDelay: 180000, minOnTime: 0 });
+        assert.equal((await read(-3000)).action, 'start');
+        assert.equal((await read(500)).current, 6);
+
+        clock.tick(179999);
+        assert.equal((await read(-3000)).reason, 'following the surplus');
+
+        clock.tick(1);
+        assert.notEqual((await read(500)).action, 'stop');
+    });
+
+    it('ignores a stale reading', async () => {
+        await startSolar({ startDelay: 0, minOffTime: 0, stopDelay: 180000, staleAfter: 100 });
+        assert.equal((await read(-3000)).action, 'start');
+
+        // The last reading is evaluated again once it has turned stale
+        clock.tick(101);
+        const [decision] = await once(solar, 'decision');
+
+        assert.equal(decision.gridPower, null);
+        assert.equal(decision.surplus, null);
+        assert.equal(decision.action, 'adjust');
+        assert.equal(decision.current, 6);
+        assert.equal(decision.reason, 'no recent grid reading, waiting to stop');
+    });
+
+    it('does not start on a reading that has turned stale during the start delay', async () => {
+        await startSolar({ startDelay: 60000, minOffTime: 0, staleAfter: 100 });
+        assert.equal((await read(-3000)).reason, 'surplus, waiting for the start delay');
+
+        clock.tick(60000);
+        const [decision] = await once(solar, 'decision');
+        assert.equal(decision.action, 'hold');
+        assert.equal(decision.reason, 'no recent grid reading');
+    });
+
+    it('clamps the current to the current range', async () => {
+        await startSolar(Object.assign({}, NO_DELAYS, { minCurrent: 2, maxCurrent: 40, stopDelay: 180000 }));
+
+        const decision = await read(-50000);
+        assert.equal(decision.action, 'start');
+        assert.equal(decision.current, 32);
+        assert.ok(decision.availableCurrent > 32);
+
+        assert.equal((await read(0)).current, 6);
+        assert.equal((await read(0)).action, 'hold');
+        assert.equal(emulator.controls.maxCurrent, 6);
+    });
+
+    it('clamps the current to the configured range', async () => {
+        await startSolar(Object.assign({}, NO_DELAYS, { maxCurrent: 10 }));
+        assert.equal((await read(-5000)).current, 10);
+    });
+
+    it('starts at the minimum current in min+PV mode, without surplus', async () => {
+        await startSolar({ mode: SolarMode.MinPv, minOffTime: 0 });
+
+        const decision = await read(1000);
+        assert.equal(decision.action, 'start');
+        assert.equal(decision.current, 6);
+        assert.equal((await read(1000)).action, 'hold');
+    });
+
+    for (let [profile, phases, current] of [[EmulatorProfile.OnePhaseV111, 1, 30], [EmulatorProfile.ThreePhaseV111, 3, 10]]) {
+        it(`derives the current from the surplus over ${phases} phase(s)`, async () => {
+            await startSolar(NO_DELAYS, profile);
+
+            const decision = await read(-7000);
+            assert.equal(decision.phases, phases);
+            assert.equal(decision.voltage, 230);
+            assert.equal(decision.current, current);
+        });
+    }
+
+    it('needs the surplus for the minimum current on every phase to start', async () => {
+        await startSolar(NO_DELAYS, EmulatorProfile.ThreePhaseV111);
+
+        // 6A on 3 phases at 230V take 4140W
+        assert.equal((await read(-4100)).reason, 'not enough surplus');
+        assert.equal((await read(-4200)).action, 'start');
+    });
+});
@@ -0,0 +1,336 @@
+import { strict as assert } from 'node:assert';
+import { once } from 'node:events';
+import {
+    ChargerController,
+    ChargerEmulator,
+    ChargerState,
+    Command,
+    DynamicTariff,
+    TariffScheduler,
+    WeeklyTariff,
+    parsePriceCsv,
+    parsePriceJson,
+    planCharging,
+} from '../index.js';
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @param {string} start
+ * @param {string} end
+ * @param {number} price
+ * @returns {PriceSlot}
+ */
+const slot = (start, end, price) => ({ start: new Date(start), end: new Date(end), price });
+
+describe('tariff scheduler', () => {
+    describe('planCharging', () => {
+        const prices = [
+            slot('2026-06-21T18:00:00Z', '2026-06-21T19:00:00Z', 0.40),
+            slot('2026-06-21T19:00:00Z', '2026-06-21T20:00:00Z', 0.10),
+            slot('2026-06-21T20:00:00Z', '2026-06-21T21:00:00Z', 0.20),
+            slot('2026-06-21T21:00:00Z', '2026-06-21T22:00:00Z', 0.15),
+        ];
+
+        it('picks the cheapest slots, and shortens the last one to what is needed', () => {
+            const plan = planCharging({
+                prices,
+                energy: 15,
+                power: 10,
+                departure: new Date('2026-06-21T22:00:00Z'),
+                now: new Date('2026-06-21T18:00:00Z'),
+            });
+
+            assert.deepEqual(plan.slots.map(x => [x.start.toISOString(), x.end.toISOString(), x.energy]), [
+                ['2026-06-21T19:00:00.000Z', '2026-06-21T20:00:00.000Z', 10],
+                ['2026-06-21T21:00:00.000Z', '2026-06-21T21:30:00.000Z', 5],
+            ]);
+            assert.equal(plan.energy, 15);
+            assert.ok(Math.abs(plan.cost - (10 * 0.10 + 5 * 0.15)) < 1e-9);
+            assert.equal(plan.feasible, true);
+        });
+
+        it('merges adjacent slots into windows', () => {
+            const plan = planCharging({
+                prices,
+                energy: 30,
+                power: 10,
+                departure: new Date('2026-06-21T22:00:00Z'),
+                now: new Date('2026-06-21T18:00:00Z'),
+            });
+
+            assert.deepEqual(plan.windows.map(x => [x.start.toISOString(), x.end.toISOString()]), [
+                ['2026-06-21T19:00:00.000Z', '2026-06-21T22:00:00.000Z'],
+            ]);
+        });
+
+        it('uses only the time between now and the departure', () => {
+            const plan = planCharging({
+                prices,
+                energy: 100,
+                power: 10,
+                departure: new Date('2026-06-21T20:30:00Z'),
+                now: new Date('2026-06-21T19:30:00Z'),
+            });
+
+            assert.deepEqual(plan.windows.map(x => [x.start.toISOString(), x.end.toISOString()]), [
+                ['2026-06-21T19:30:00.000Z', '2026-06-21T20:30:00.000Z'],
+            ]);
+            assert.equal(plan.energy, 10);
+            assert.equal(plan.feasible, false);
+        });
+
+        it('plans nothing without prices', () => {
+            const plan = planCharging({ prices: [], energy: 10, power: 10, departure: new Date(), now: new Date() });
+            assert.deepEqual(plan.slots, []);
+            assert.equal(plan.feasible, false);
+        });
+    });
+
+    describe('WeeklyTariff', () => {
+        it('reads the periods on the clock of its timezone', () => {
+            const tariff = new WeeklyTariff([{ from: '23:00', to: '07:00', price: 0.1 }], {
+                defaultPrice: 0.3,
+                timeZone: 'Asia/Jerusalem',
+            });
+
+            // UTC+3 in summer
+            assert.equal(tariff.priceAt(new Date('2026-06-21T19:59:00Z')), 0.3);
+            assert.equal(tariff.priceAt(new Date('2026-06-21T20:00:00Z')), 0.1);
+            assert.equal(tariff.priceAt(new Date('2026-06-22T03:59:00Z')), 0.1);
+            assert.equal(tariff.priceAt(new Date('2026-06-22T04:00:00Z')), 0.3);
+        });
+
+        it('counts the part of a period after midnight to the day it started', () => {
+            // Fridays, from 22:00 to 02:00
+            const tariff = new WeeklyTariff([{ days: [5], from: '22:00', to: '02:00', price: 1 }], { timeZone: 'UTC' });
+
+            assert.equal(tariff.priceAt(new Date('2026-06-19T01:00:00Z')), 0);
+            assert.equal(tariff.priceAt(new Date('2026-06-19T21:59:00Z')), 0);
+            assert.equal(tariff.priceAt(new Date('2026-06-19T22:00:00Z')), 1);
+            assert.equal(tariff.priceAt(new Date('2026-06-20T01:59:00Z')), 1);
+            assert.equal(tariff.priceAt(new Date('2026-06-20T02:00:00Z')), 0);
+            assert.equal(tariff.priceAt(new Date('2026-06-20T22:00:00Z')), 0);
+        });
+
+        it('takes the price of the first period that covers a time', () => {
+            const tariff = new WeeklyTariff([
+                { days: [0], from: '10:00', to: '12:00', price: 2 },
+                { from: '00:00', to: '23:59', price: 1 },
+            ], { timeZone: 'UTC' });
+
+            assert.equal(tariff.priceAt(new Date('2026-06-21T11:00:00Z')), 2);
+            assert.equal(tariff.priceAt(new Date('2026-06-22T11:00:00Z')), 1);
+        });
+
+        it('aligns the slots to the resolution on its clock, and merges equal prices', () => {
+            // UTC+5:30
+            const tariff = new WeeklyTariff([{ from: '16:00', to: '17:00', price: 1 }], {
+                resolution: 60,
+                timeZone: 'Asia/Kolkata',
+            });
+
+            const slots = tariff.getPrices(new Date('2026-06-21T10:10:00Z'), new Date('2026-06-21T13:00:00Z'));
+            assert.deepEqual(slots.map(x => [x.start.toISOString(), x.end.toISOString(), x.price]), [
+                ['2026-06-21T09:30:00.000Z', '2026-06-21T10:30:00.000Z', 0],
+                ['2026-06-21T10:30:00.000Z', '2026-06-21T11:30:00.000Z', 1],
+                ['2026-06-21T11:30:00.000Z', '2026-06-21T13:30:00.000Z', 0],
+            ]);
+        });
+
+        it('rejects an unknown timezone', () => {
+            assert.throws(() => new WeeklyTariff([], { timeZone: 'Nowhere/Special' }), RangeError);
+        });
+    });
+
+    describe('price feeds', () => {
+        it('parses a JSON array, or an object with prices, with hour long slots by default', () => {
+            const expected = [
+                slot('2026-06-21T18:00:00Z', '2026-06-21T19:00:00Z', 0.4),
+                slot('2026-06-21T19:00:00Z', '2026-06-21T19:15:00Z', 0.1),
+            ];
+            const items = [
+                { start: '2026-06-21T18:00:00Z', price: 0.4 },
+                { start: '2026-06-21T19:00:00Z', end: '2026-06-21T19:15:00Z', price: '0.1' },
+            ];
+
+            assert.deepEqual(parsePriceJson(items), expected);
+            assert.deepEqual(parsePriceJson(JSON.stringify({ prices: items })), expected);
+        });
+
+        it('rejects a JSON feed without prices, or with an invalid one', () => {
+            assert.throws(() => parsePriceJson({}), { name: 'TypeError', message: 'the price feed has no prices' });
+            assert.throws(() => parsePriceJson([{ start: '2026-06-21T18:00:00Z', price: 0.4 }, { start: 'soon', price: 1 }]),
+                { name: 'TypeError', message: 'price 2 needs a start and a price' });
+        });
+
+        it('parses a CSV feed by its header', () => {
+            const csv = 'price;"end";start\r\n' +
+                '0.4;2026-06-21T18:30:00Z;2026-06-21T18:00:00Z\r\n' +
+                '"0.1";;"2026-06-21T19:00:00Z"\r\n';
+
+            assert.deepEqual(parsePriceCsv(csv), [
+                slot('2026-06-21T18:00:00Z', '2026-06-21T18:30:00Z', 0.4),
+                slot('2026-06-21T19:00:00Z', '2026-06-21T20:00:00Z', 0.1),
+            ]);
+        });
+
+        it('parses a CSV feed without a header as start,price', () => {
+            assert.deepEqual(parsePriceCsv('2026-06-21T18:00:00Z,0.4\n\n2026-06-21T19:00:00Z,0.1\n'), [
+                slot('2026-06-21T18:00:00Z', '2026-06-21T19:00:00Z', 0.4),
+                slot('2026-06-21T19:00:00Z', '2026-06-21T20:00:00Z', 0.1),
+            ]);
+        });
+
+        it('rejects a CSV header without start and price columns', () => {
+            assert.throws(() => parsePriceCsv('time,cost\n2026-06-21T18:00:00Z,0.4\n'),
+                { name: 'TypeError', message: 'the price feed needs start and price columns' });
+        });
+    });
+
+    describe('TariffScheduler', () => {
+        /** @type ChargerEmulator */
+        let emulator;
+        /** @type ChargerController */
+        let controller;
+        /** @type TariffScheduler */
+        let scheduler;
+
+        beforeEach(async () => {
+            emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+            await emulator.start();
+
+            controller = new ChargerController('123456');
+            controller.localPort = 0;
+            controller.resultTimeout = 200;
+            controller.setHost('127.0.0.1', emulator.address.port);
+        });
+
+        afterEach(async () => {
+            await scheduler?.cancel();
+            controller.stopMonitoring();
+            controller.disconnect();
+            await emulator.stop();
+        });
+
+        /**
+         * @param {number} from milliseconds from now
+         * @param {number} to milliseconds from now
+         * @param {number} price
+         * @returns {PriceSlot}
+         */
+        const slotFromNow = (from, to, price) =>
+            ({ start: new Date(Date.now() + from), end: new Date(Date.now() + to), price });
+
+        /**
+         * @param {string} action
+         * @returns {Promise<{action: string, window: Object}>}
+         */
+        const nextAction = async action => {
+            for (;;) {
+                const [event] = await once(scheduler, 'action');
+                if (event.action === action)
+                    return event;
+            }
+        };
+
+        /**
+         * @param {ChargerState} state
+         * @returns {Promise<void>} once the emulated charger is in the state
+         */
+        const chargerReaches = async state => {
+            while (emulator.chargerState !== state)
+                await once(emulator, 'state_change');
+        };
+
+        it('starts charging in a planned window, and stops at its end', async () => {
+            emulator.plugIn();
+            await controller.sendGetRealTimeData();
+
+            scheduler = new TariffScheduler(controller, new DynamicTariff([slotFromNow(-HOUR, 200, 0.1)]));
+
+            const started = nextAction('start');
+            const plan = await scheduler.schedule({ departure: Date.now() + HOUR, energy: 20 });
+            await started;
+
+            assert.equal(plan.windows.length, 1);
+            assert.equal(plan.feasible, false);
+            assert.equal(emulator.chargerState, ChargerState.Charging);
+
+            await nextAction('stop');
+            await chargerReaches(ChargerState.Standby);
+        });
+
+        it('stops the charging it has started when cancelled', async () => {
+            emulator.plugIn();
+            await controller.sendGetRealTimeData();
+
+            scheduler = new TariffScheduler(controller, new DynamicTariff([slotFromNow(-HOUR, HOUR, 0.1)]));
+            await scheduler.schedule({ departure: Date.now() + HOUR, energy: 1 });
+            assert.equal(emulator.chargerState, ChargerState.Charging);
+
+            const stopped = nextAction('stop');
+            await scheduler.cancel();
+            await stopped;
+
+            assert.equal(emulator.chargerState, ChargerState.Standby);
+            assert.equal(scheduler.plan, null);
+        });
+
+        it('re-plans when the prices update', async () => {
+            emulator.plugIn();
+            await controller.sendGetRealTimeData();
+
+            const tariff = new DynamicTariff([slotFromNow(HOUR / 2, HOUR, 0.1)]);
+            scheduler = new TariffScheduler(controller, tariff);
+
+            let plan = await scheduler.schedule({ departure: Date.now() + HOUR, energy: 1 });
+            assert.ok(plan.windows[0].start.getTime() > Date.now());
+            assert.equal(emulator.chargerState, ChargerState.Standby);
+
+            const replanned = once(scheduler, 'plan');
+            tariff.setPrices([slotFromNow(-HOUR, HOUR, 0.1)]);
+
+            [plan] = await replanned;
+            assert.ok(plan.windows[0].start.getTime() <= Date.now());
+            await chargerReaches(ChargerState.Charging);
+        });
+
+        it('re-plans when the vehicle is plugged in, and starts then', async () => {
+            controller.startMonitoring({ realtimeInterval: 10, idleRealtimeInterval: 10, faultInterval: 0, controlsInterval: 0 });
+            await once(controller, 'realtime_data');
+
+            scheduler = new TariffScheduler(controller, new DynamicTariff([slotFromNow(-HOUR, HOUR, 0.1)]));
+            let actions = [];
+            scheduler.on('action', event => actions.push(event.action));
+
+            await scheduler.schedule({ departure: Date.now() + HOUR, energy: 1 });
+            assert.deepEqual(actions, []);
+
+            const replanned = once(scheduler, 'plan');
+            const started = nextAction('start');
+            emulator.plugIn();
+
+            await replanned;
+            await started;
+            await chargerReaches(ChargerState.Charging);
+            assert.deepEqual(actions, ['start']);
+        });
+
+        it('programs the timed-charge window with the timed strategy', async () => {
+            scheduler = new TariffScheduler(controller, new DynamicTariff([slotFromNow(HOUR, 2 * HOUR, 0.1)]),
+                { strategy: 'timed', maxCurrent: 16 });
+
+            let requests = [];
+            emulator.on('request', request => requests.push(request.command));
+
+            const programmed = nextAction('program');
+            const plan = await scheduler.schedule({ departure: Date.now() + 3 * HOUR, energy: 1 });
+            const { window } = await programmed;
+
+            assert.equal(plan.power, 16 * 230 / 1000);
+            assert.deepEqual(window, plan.windows[0]);
+            assert.ok(requests.includes(Command.SetTimedChargeState));
+        });
+    });
+});
@@ -0,0 +1,191 @@
+import { strict as assert } from 'node:assert';
+import { fileURLToPath } from 'node:url';
+import {
+    ChargerController,
+    ChargerEmulator,
+    ChargerMode,
+    ChargerState,
+    Command,
+    codec,
+    ChargerTimeoutError,
+    TrafficRecorder,
+    redactFrame,
+    parseCapture,
+    readCapture,
+    decodeCapture,
+    createReplayTransport,
+} from '../index.js';
+import { CommandUtil } from '../lib/command-util.js';
+import { MESSAGE_ID } from '../lib/protocol.js';
+
+/** Recorded from a charging 3-phase 1.11 charger: its model, realtime data, controls state and faults */
+const CAPTURE_PATH = fileURLToPath(new URL('./captures/three-phase-v111.jsonl', import.meta.url));
+
+describe('traffic capture', () => {
+    let entries;
+
+    beforeEach(async () => {
+        entries = await readCapture(CAPTURE_PATH);
+    });
+
+    describe('decodeCapture', () => {
+        it('decodes the received frames, with the model of the capture', () => {
+            const decoded = decodeCapture(entries);
+            assert.ok(decoded.every(x => x.error === null));
+            assert.deepEqual(decoded.map(x => x.command), [
+                Command.Heartbeat, Command.GetChargerModel, Command.GetRealTimeData,
+                Command.GetControlsState, Command.GetFaultStatus,
+            ]);
+
+            const realtime = decoded[2].value;
+            assert.equal(realtime.state, ChargerState.Charging);
+            assert.deepEqual([realtime.voltageA, realtime.voltageB, realtime.voltageC], [231, 231, 231]);
+            assert.deepEqual([realtime.electricCurrentA, realtime.electricCurrentB, realtime.electricCurrentC], [16, 16, 16]);
+            assert.equal(realtime.totalPower, 4.2);
+            assert.equal(realtime.temperature, 35);
+        });
+
+        it('reports a malformed frame, and goes on', () => {
+            const received = entries.find(x => x.direction === 'in');
+            const raw = received.raw.substring(0, received.raw.length - 2) + '00';
+            const decoded = decodeCapture([Object.assign({}, received, { raw })].concat(entries));
+            assert.equal(decoded[0].command, null);
+            assert.equal(decoded[0].error.code, 'EPROTO');
+            assert.ok(decoded.slice(1).every(x => x.error === null));
+        });
+    });
+
+    describe('createReplayTransport', () => {
+        const util = new CommandUtil();
+        let controller;
+
+        beforeEach(() => {
+            controller = new ChargerController('123456', { transport: createReplayTransport(entries) });
+            controller.resultTimeout = 100;
+            controller.retryPolicy = { attempts: 1 };
+            controller.setHost('127.0.0.1', 3333);
+        });
+
+        afterEach(() => controller.disconnect());
+
+        it('answers the controller with the captured responses', async () => {
+            const model = await controller.sendGetChargerModel();
+            assert.equal(model.mode, ChargerMode.ThreePhase);
+            assert.equal(model.firmwareVersion, '1.11');
+
+            const realtime = await controller.sendGetRealTimeData();
+            assert.equal(realtime.state, ChargerState.Charging);
+            assert.equal(realtime.power, 11.1);
+
+            const controls = await controller.sendGetControlsState();
+            assert.equal(controls.maxCurrent, 32);
+            assert.equal(controls.appControlCharging, true);
+
+            const faults = await controller.sendGetFaultStatus();
+            assert.ok(Object.values(faults).every(x => x === false));
+        });
+
+        it('leaves a request that is not in the capture unanswered', async () => {
+            await assert.rejects(controller.sendGetPowerConsumptionRecords(), ChargerTimeoutError);
+        });
+
+        /**
+         * @param {CaptureEntry[]} replayed
+         * @param {Object?} options
+         * @returns {Promise<CaptureEntry[]>} the frames of the replay
+         */
+        const replay = async (replayed, options) => {
+            const replaying = new ChargerController('123456', { transport: createReplayTransport(replayed, options) });
+            replaying.resultTimeout = 100;
+            replaying.setHost('127.0.0.1', 3333);
+            replaying.capture = new TrafficRecorder();
+
+            try {
+                await replaying.sendGetChargerModel();
+                await replaying.sendGetRealTimeData();
+            } finally {
+                replaying.disconnect();
+            }
+
+            return replaying.capture.entries;
+        };
+
+        it('replays the message ids of firmware that does not echo them, as recorded', async () => {
+            const emulator = new ChargerEmulator({ code: '12345678', port: 0, echoMessageId: false });
+            await emulator.start();
+
+            const recording = new ChargerController('123456');
+            recording.localPort = 0;
+            recording.setHost('127.0.0.1', emulator.address.port);
+            recording.capture = new TrafficRecorder();
+
+            try {
+                await recording.sendGetChargerModel();
+                await recording.sendGetRealTimeData();
+            } finally {
+                recording.disconnect();
+                await emulator.stop();
+            }
+
+            const replayed = await replay(recording.capture.entries);
+            assert.ok(replayed.filter(x => x.direction === 'in').every(x => x.message.messageId === MESSAGE_ID));
+
+            // Past the probe, the requests keep the default id
+            assert.deepEqual(replayed.filter(x => x.direction === 'out').slice(1).map(x => x.message.messageId),
+                [MESSAGE_ID, MESSAGE_ID]);
+        });
+
+        it('answers with the message ids of the requests, when asked to', async () => {
+            const recorded = entries.map(entry => entry.direction === 'in'
+                ? Object.assign({}, entry, { raw: util.compileResponse(util.parseResult(entry.raw).command +
+                    util.parseResult(entry.raw).data, '0abc') })
+                : entry);
+
+            const replayed = await replay(recorded, { echoMessageId: true });
+            const messageIdsOf = direction => replayed.filter(x => x.direction === direction).map(x => x.message.messageId).sort();
+            assert.deepEqual(messageIdsOf('in'), messageIdsOf('out'));
+        });
+    });
+
+    describe('TrafficRecorder', () => {
+        it('records the frames of a replay, with the passwords redacted', async () => {
+            const controller = new ChargerController('123456', { transport: createReplayTransport(entries) });
+            controller.setHost('127.0.0.1', 3333);
+            controller.capture = new TrafficRecorder();
+
+            try {
+                await controller.sendGetChargerModel();
+            } finally {
+                controller.disconnect();
+            }
+
+            const recorded = controller.capture.entries;
+            // The message id probe goes out alongside the request
+            assert.deepEqual(recorded.map(x => x.direction), ['out', 'out', 'in', 'in']);
+            assert.ok(recorded.filter(x => x.direction === 'out').every(x => x.message.password === 0));
+            assert.deepEqual(parseCapture(recorded.map(x => JSON.stringify(x)).join('\n')), recorded);
+        });
+
+        it('blanks the password of a frame, and keeps it valid', () => {
+            const util = new CommandUtil();
+            util.password = '123456';
+
+            const redacted = util.parseRequest(redactFrame(util.compileMessage(Command.Heartbeat)));
+            assert.equal(redacted.password, 0);
+            assert.equal(redacted.command, Command.Heartbeat);
+        });
+
+        for (let [ssid, encoding] of [['café', 'gbk'], ['café', 'utf8'], ['我的网络', 'gbk'], ['我的网络', 'utf8']]) {
+            it(`blanks the wifi password after the ssid '${ssid}' in ${encoding}, by its length in bytes`, () => {
+                const util = new CommandUtil();
+                const sent = codec.encodeSetWifiAccessPoint({ ssid, password: 'secret-passphrase', encoding });
+                const ssidHex = util.encodeString(ssid, encoding);
+
+                const redacted = util.parseRequest(redactFrame(util.compileMessage(sent)));
+                assert.equal(redacted.command, Command.SetWifiAccessPoint);
+                assert.equal(redacted.data, sent.substring(2, 4) + '00' + ssidHex + '0'.repeat(2 * 'secret-passphrase'.length));
+                assert.equal(util.decodeString(redacted.data.substring(4, 4 + ssidHex.length), encoding), ssid);
+            });
+        }
+    });
+});
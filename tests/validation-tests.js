@@ -0,0 +1,79 @@
+import { strict as assert } from 'node:assert';
+import {
+    ChargerController,
+    ChargerEmulator,
+    CURRENT_LIMITS,
+    WIFI_LIMITS,
+} from '../index.js';
+
+describe('validation', () => {
+    let emulator;
+    let controller;
+    let requests;
+
+    beforeEach(async () => {
+        emulator = new ChargerEmulator({ code: '12345678', port: 0 });
+        await emulator.start();
+
+        controller = new ChargerController('123456');
+        controller.localPort = 0;
+        controller.resultTimeout = 200;
+        controller.setHost('127.0.0.1', emulator.address.port);
+
+        requests = 0;
+        emulator.on('request', () => requests++);
+    });
+
+    afterEach(async () => {
+        controller.disconnect();
+        await emulator.stop();
+        assert.equal(requests, 0, 'nothing should be sent for an invalid argument');
+    });
+
+    it('has a single current range', () => {
+        assert.deepEqual(CURRENT_LIMITS, { min: 6, max: 32 });
+    });
+
+    it('rejects a max current out of range', async () => {
+        await assert.rejects(controller.sendSetMaxCurrent(CURRENT_LIMITS.max + 1),
+            { name: 'RangeError', message: 'maxCurrent must be between 6 and 32, got 33' });
+        await assert.rejects(controller.sendSetMaxCurrent(CURRENT_LIMITS.min - 1), RangeError);
+    });
+
+    it('rejects a max current that is not an integer', async () => {
+        await assert.rejects(controller.sendSetMaxCurrent(16.5), TypeError);
+        await assert.rejects(controller.sendSetMaxCurrent('16'),
+            { name: 'TypeError', message: 'maxCurrent must be an integer, got \'16\'' });
+    });
+
+    it('rejects a dlb current and powers out of range', async () => {
+        await assert.rejects(controller.sendSetDLB(true, false, 256, false), RangeError);
+        await assert.rejects(controller.sendSetMaxPower(256), RangeError);
+        await assert.rejects(controller.sendSetMaxPower(-1), RangeError);
+    });
+
+    it('rejects flags that are not booleans', async () => {
+        await assert.rejects(controller.sendSetRFIDAndApp('yes', true), TypeError);
+        await assert.rejects(controller.sendSetGroundingDetection(1), TypeError);
+    });
+
+    it('rejects an invalid password or code', async () => {
+        await assert.rejects(controller.sendSetPassword('12ab'), TypeError);
+        await assert.rejects(controller.sendSetPassword('4294967296'), RangeError);
+        await assert.rejects(controller.sendGetIpAddress('code'), TypeError);
+        assert.throws(() => new ChargerController('-1'), TypeError);
+    });
+
+    it('rejects wifi credentials out of the byte limits', async () => {
+        await assert.rejects(controller.sendSetWifiAccessPoint('x'.repeat(WIFI_LIMITS.ssidMaxBytes + 1), 'passphrase'), RangeError);
+        // 17 characters, but over 32 bytes as encoded
+        await assert.rejects(controller.sendSetWifiAccessPoint('我'.repeat(17), 'passphrase'), RangeError);
+        await assert.rejects(controller.sendSetWifiAccessPoint('home', 'short'), RangeError);
+    });
+
+    it('rejects invalid days and times', async () => {
+        await assert.rejects(controller.sendSetReservation('22:00', '06:00', '101'), TypeError);
+        await assert.rejects(controller.sendSetReservation('25:00', '06:00', '1010101'), RangeError);
+        await assert.rejects(controller.sendSetTimedChargeState('22:00', 'later'), TypeError);
+    });
+});
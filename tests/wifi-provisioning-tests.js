@@ -0,0 +1,161 @@
+import { strict as assert } from 'node:assert';
+import {
+    ChargerController,
+    ChargerEmulator,
+    ChargerProvisioningError,
+    ChargerRejectedError,
+    ChargerTimeoutError,
+    Command,
+    ProvisioningStep,
+} from '../index.js';
+
+const CREDENTIALS = { ssid: 'home', password: 'secret-passphrase', chargerCode: '12345678' };
+
+describe('provisionWifi', () => {
+    let emulator = null;
+    let controller;
+    let events;
+
+    /**
+     * Starts a charger on its hotspot, and connects to it.
+     * @param {Object?} options of the emulator
+     */
+    const hotspot = async (options = {}) => {
+        emulator = new ChargerEmulator(Object.assign({ code: '12345678', port: 0 }, options));
+        await emulator.start();
+        controller.setHost('127.0.0.1', emulator.address.port);
+    };
+
+    /**
+     * @param {Object} options
+     * @returns {Promise<ChargerProvisioningError>} the error `provisionWifi()` has failed with
+     */
+    const failure = async options => {
+        const error = await controller.provisionWifi(Object.assign({}, CREDENTIALS, options)).then(
+            () => assert.fail('provisioning should have failed'),
+            err => err);
+        assert.ok(error instanceof ChargerProvisioningError);
+        assert.equal(error.code, 'EPROVISION');
+        assert.deepEqual(events[events.length - 1], [error.step, 'failed']);
+        return error;
+    };
+
+    beforeEach(() => {
+        controller = new ChargerController('123456');
+        controller.localPort = 0;
+        controller.resultTimeout = 100;
+        controller.retryPolicy = { attempts: 1 };
+
+        events = [];
+        controller.on('provisioning', ({ step, status }) => events.push([step, status]));
+    });
+
+    afterEach(async () => {
+        controller.disconnect();
+        if (emulator) {
+            await emulator.stop();
+            emulator = null;
+        }
+    });
+
+    it('moves the charger onto the network, and finds it there', async () => {
+        await hotspot({ wifiSwitchDelay: 400 });
+        const port = emulator.address.port;
+        let joined = 0;
+
+        const result = await controller.provisionWifi(Object.assign({}, CREDENTIALS, {
+            joinNetwork: () => { joined++; },
+            leaveTimeout: 1000,
+            resolveTimeout: 1000,
+            pollInterval: 50,
+        }));
+
+        assert.deepEqual(result, { ip: '127.0.0.1', port, model: result.model });
+        assert.equal(typeof result.model.version, 'string');
+        assert.deepEqual(emulator.wifi, { ssid: 'home', password: 'secret-passphrase' });
+        assert.equal(joined, 1);
+        assert.equal(controller.code, '12345678');
+        assert.deepEqual(events, [
+            ProvisioningStep.Validate,
+            ProvisioningStep.SendCredentials,
+            ProvisioningStep.LeaveAccessPoint,
+            ProvisioningStep.JoinNetwork,
+            ProvisioningStep.Resolve,
+            ProvisioningStep.Verify,
+        ].flatMap(step => [[step, 'started'], [step, 'completed']]));
+    });
+
+    it('fails validating invalid credentials, before sending anything', async () => {
+        await hotspot();
+        let requests = 0;
+        emulator.on('request', () => requests++);
+
+        const error = await failure({ password: 'short' });
+        assert.equal(error.step, ProvisioningStep.Validate);
+        assert.ok(error.cause instanceof RangeError);
+
+        assert.equal((await failure({ chargerCode: 'garage' })).step, ProvisioningStep.Validate);
+        assert.equal(requests, 0);
+    });
+
+    it('fails sending the credentials when the charger does not reply on its hotspot', async () => {
+        await hotspot();
+        emulator.dropRequests(10);
+
+        const error = await failure({});
+        assert.equal(error.step, ProvisioningStep.SendCredentials);
+        assert.equal(error.reason, 'the charger did not respond. Is this machine connected to its hotspot?');
+        assert.ok(error.cause instanceof ChargerTimeoutError);
+    });
+
+    it('fails sending the credentials when the charger rejects them', async () => {
+        await hotspot();
+        emulator.rejectRequests(Command.SetWifiAccessPoint);
+
+        const error = await failure({});
+        assert.equal(error.step, ProvisioningStep.SendCredentials);
+        assert.equal(error.reason, 'the charger has rejected the credentials');
+        assert.ok(error.cause instanceof ChargerRejectedError);
+        assert.deepEqual(emulator.wifi, { ssid: '', password: '' });
+    });
+
+    it('fails when the charger is still on its hotspot after leaveTimeout', async () => {
+        await hotspot();
+
+        const error = await failure({ leaveTimeout: 200, pollInterval: 50 });
+        assert.equal(error.step, ProvisioningStep.LeaveAccessPoint);
+        assert.equal(error.reason, 'the charger is still on its hotspot after 0.2s. Check the ssid and password');
+    });
+
+    it('fails when the charger is not found on the network within resolveTimeout', async () => {
+        await hotspot({ wifiSwitchDelay: 60000 });
+        let joined = 0;
+
+        const error = await failure({ joinNetwork: () => { joined++; }, resolveTimeout: 200, pollInterval: 50 });
+        assert.equal(error.step, ProvisioningStep.Resolve);
+        assert.equal(error.reason, 'the charger was not found on the network after 0.2s. ' +
+            'It may have failed to join it, or this machine is on another network');
+        assert.equal(joined, 1);
+        assert.deepEqual(events.slice(-4), [
+            [ProvisioningStep.JoinNetwork, 'started'],
+            [ProvisioningStep.JoinNetwork, 'completed'],
+            [ProvisioningStep.Resolve, 'started'],
+            [ProvisioningStep.Resolve, 'failed'],
+        ]);
+    });
+
+    it('sends a non-ASCII ssid in GBK, by its length in bytes', async () => {
+        await hotspot({ wifiSwitchDelay: 200 });
+        let sent = null;
+        emulator.on('request', request => {
+            if (request.command === Command.SetWifiAccessPoint)
+                sent = request.data;
+        });
+
+        await controller.provisionWifi(Object.assign({}, CREDENTIALS, { ssid: '我的网络', resolveTimeout: 1000, pollInterval: 50 }));
+
+        // 4 characters of 2 bytes each, then the 17 bytes of the password
+        assert.equal(sent.substring(0, 20), '0811' + 'CED2B5C4CDF8C2E7');
+        assert.deepEqual(emulator.wifi, { ssid: '我的网络', password: 'secret-passphrase' });
+    });
+});